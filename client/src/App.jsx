@@ -3,6 +3,7 @@ import Home from './pages/Home'
 import Worlds from './pages/Worlds'
 import WorldDetail from './pages/WorldDetail'
 import CharacterCreator from './pages/CharacterCreator'
+import SettingBuilder from './pages/SettingBuilder'
 import CleanGameSession from './components/CleanGameSession'
 import './styles/design-system.css'
 import './styles/App.css'
@@ -15,6 +16,8 @@ function App() {
         <Route path="/worlds" element={<Worlds />} />
         <Route path="/worlds/:id" element={<WorldDetail />} />
         <Route path="/characters/new" element={<CharacterCreator />} />
+        <Route path="/settings/new" element={<SettingBuilder />} />
+        <Route path="/settings/:settingId/edit" element={<SettingBuilder />} />
         <Route path="/session/:id" element={<CleanGameSession />} />
       </Routes>
     </div>
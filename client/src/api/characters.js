@@ -58,3 +58,38 @@ export async function generateBackstory(id, concept) {
   if (!response.ok) throw new Error('Failed to generate backstory')
   return response.json()
 }
+
+export async function getProgression(id) {
+  const response = await fetch(`${API_BASE}/characters/${id}/progression`)
+  if (!response.ok) throw new Error('Failed to fetch progression')
+  return response.json()
+}
+
+export async function awardXp(id, amount, reason) {
+  const response = await fetch(`${API_BASE}/characters/${id}/xp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ amount, reason })
+  })
+  if (!response.ok) throw new Error('Failed to award XP')
+  return response.json()
+}
+
+export async function levelUp(id, { attributes = {}, skills = {}, sessionId } = {}) {
+  const response = await fetch(`${API_BASE}/characters/${id}/level-up`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ attributes, skills, session_id: sessionId })
+  })
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to level up')
+  }
+  return response.json()
+}
+
+export async function getWallet(id, { limit = 5 } = {}) {
+  const response = await fetch(`${API_BASE}/economy/characters/${id}/wallet?limit=${limit}`)
+  if (!response.ok) throw new Error('Failed to fetch wallet')
+  return response.json()
+}
@@ -5,12 +5,15 @@ export async function checkLLMHealth() {
   return response.json()
 }
 
-export async function generateContent(worldId, type, prompt) {
+export async function generateContent(worldId, type, prompt, { save = false } = {}) {
   const response = await fetch(`${API_BASE}/llm/generate/${type}`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ world_id: worldId, prompt })
+    body: JSON.stringify({ world_id: worldId, prompt, save })
   })
-  if (!response.ok) throw new Error('Failed to generate content')
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to generate content')
+  }
   return response.json()
 }
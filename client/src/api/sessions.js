@@ -35,6 +35,92 @@ export async function sendAction(sessionId, data) {
   return response.json()
 }
 
+export async function streamAction(sessionId, data, onEvent) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/action/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) {
+    // e.g. 409 when it is someone else's turn
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to send action')
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let result = null
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    // Events are separated by a blank line
+    const events = buffer.split('\n\n')
+    buffer = events.pop()
+
+    for (const raw of events) {
+      let type = 'message'
+      let payload = ''
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim()
+        else if (line.startsWith('data:')) payload += line.slice(5).trim()
+      }
+      const parsed = payload ? JSON.parse(payload) : {}
+
+      if (type === 'error') throw new Error(parsed.details || parsed.error || 'Failed to send action')
+      if (type === 'done') result = parsed
+      onEvent?.(type, parsed)
+    }
+  }
+
+  return result
+}
+
+export function connectSessionSocket(sessionId, { clientId, characterId, onMessage, onClose } = {}) {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
+  const params = new URLSearchParams()
+  if (clientId) params.set('client_id', clientId)
+  if (characterId) params.set('character_id', characterId)
+
+  const socket = new WebSocket(`${protocol}//${window.location.host}${API_BASE}/sessions/${sessionId}/ws?${params}`)
+  socket.addEventListener('message', (event) => {
+    try {
+      onMessage?.(JSON.parse(event.data))
+    } catch (error) {
+      console.error('Invalid session message:', error)
+    }
+  })
+  socket.addEventListener('close', (event) => onClose?.(event))
+  return socket
+}
+
+export async function getTurnOrder(sessionId) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/turns`)
+  if (!response.ok) throw new Error('Failed to fetch turn order')
+  return response.json()
+}
+
+export async function startTurnOrder(sessionId, { roundSummary = false } = {}) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/turns`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ round_summary: roundSummary })
+  })
+  if (!response.ok) throw new Error('Failed to start turn order')
+  return response.json()
+}
+
+export async function endTurnOrder(sessionId) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/turns`, {
+    method: 'DELETE'
+  })
+  if (!response.ok) throw new Error('Failed to end turn order')
+  return response.json()
+}
+
 export async function addCharacterToSession(sessionId, characterId) {
   const response = await fetch(`${API_BASE}/sessions/${sessionId}/characters`, {
     method: 'POST',
@@ -52,3 +138,22 @@ export async function deleteSession(id) {
   if (!response.ok) throw new Error('Failed to delete session')
   return response.json()
 }
+
+export async function getSessionNpcs(sessionId) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/npcs`)
+  if (!response.ok) throw new Error('Failed to fetch NPCs')
+  return response.json()
+}
+
+export async function talkToNpc(sessionId, npcName, data) {
+  const response = await fetch(`${API_BASE}/sessions/${sessionId}/npcs/${encodeURIComponent(npcName)}/talk`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to talk')
+  }
+  return response.json()
+}
@@ -0,0 +1,39 @@
+const API_BASE = '/api'
+
+async function readError(response, fallback) {
+  const error = await response.json().catch(() => ({}))
+  return new Error(error.details || error.error || fallback)
+}
+
+export async function getShops(sessionId, characterId = null) {
+  const query = characterId ? `?character_id=${characterId}` : ''
+  const response = await fetch(`${API_BASE}/economy/sessions/${sessionId}/shops${query}`)
+  if (!response.ok) throw new Error('Failed to fetch shops')
+  return response.json()
+}
+
+export async function haggle(sessionId, shopId, characterId) {
+  const response = await fetch(`${API_BASE}/economy/sessions/${sessionId}/shops/${shopId}/haggle`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ characterId })
+  })
+  if (!response.ok) throw await readError(response, 'Failed to haggle')
+  return response.json()
+}
+
+export async function tradeWithShop(sessionId, shopId, { characterId, mode, item, quantity = 1 }) {
+  const response = await fetch(`${API_BASE}/economy/sessions/${sessionId}/shops/${shopId}/trade`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ characterId, mode, item, quantity })
+  })
+  if (!response.ok) throw await readError(response, 'Failed to trade')
+  return response.json()
+}
+
+export async function getSessionInventory(sessionId, characterId) {
+  const response = await fetch(`${API_BASE}/persistence/sessions/${sessionId}/characters/${characterId}/inventory`)
+  if (!response.ok) throw new Error('Failed to fetch inventory')
+  return response.json()
+}
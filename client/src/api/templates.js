@@ -0,0 +1,60 @@
+const API_BASE = '/api'
+
+async function readError(response, fallback) {
+  const error = await response.json().catch(() => ({}))
+  return Object.assign(new Error(error.details || error.error || fallback), { status: response.status })
+}
+
+export async function getSettings() {
+  const response = await fetch(`${API_BASE}/templates`)
+  if (!response.ok) throw new Error('Failed to fetch settings')
+  return response.json()
+}
+
+export async function getSettingTemplate(settingId) {
+  const response = await fetch(`${API_BASE}/templates/${settingId}`)
+  if (!response.ok) throw new Error('Failed to fetch setting')
+  return response.json()
+}
+
+export async function createSettingTemplate(data) {
+  const response = await fetch(`${API_BASE}/templates`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) throw await readError(response, 'Failed to create setting')
+  return response.json()
+}
+
+export async function updateSettingTemplate(settingId, data) {
+  const response = await fetch(`${API_BASE}/templates/${settingId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) throw await readError(response, 'Failed to update setting')
+  return response.json()
+}
+
+export async function deleteSettingTemplate(settingId) {
+  const response = await fetch(`${API_BASE}/templates/${settingId}`, {
+    method: 'DELETE'
+  })
+  if (!response.ok) throw await readError(response, 'Failed to delete setting')
+  return response.json()
+}
+
+export function getSettingExportUrl(settingId) {
+  return `${API_BASE}/templates/${settingId}/export`
+}
+
+export async function importSettingBundle(bundle, onConflict = 'error') {
+  const response = await fetch(`${API_BASE}/templates/import?on_conflict=${onConflict}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(bundle)
+  })
+  if (!response.ok) throw await readError(response, 'Failed to import setting')
+  return response.json()
+}
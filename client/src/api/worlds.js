@@ -39,3 +39,129 @@ export async function deleteWorld(id) {
   if (!response.ok) throw new Error('Failed to delete world')
   return response.json()
 }
+
+export async function getWorldContent(worldId, kind) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/content/${kind}`)
+  if (!response.ok) throw new Error('Failed to fetch world content')
+  return response.json()
+}
+
+export async function createWorldContent(worldId, kind, data) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/content/${kind}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) throw new Error('Failed to create world content')
+  return response.json()
+}
+
+export async function updateWorldContent(worldId, kind, entryId, data) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/content/${kind}/${entryId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) throw new Error('Failed to update world content')
+  return response.json()
+}
+
+export async function deleteWorldContent(worldId, kind, entryId) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/content/${kind}/${entryId}`, {
+    method: 'DELETE'
+  })
+  if (!response.ok) throw new Error('Failed to delete world content')
+  return response.json()
+}
+
+export async function getRelationshipGraph(worldId) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/relationships`)
+  if (!response.ok) throw new Error('Failed to fetch relationships')
+  return response.json()
+}
+
+export async function getRelationship(worldId, relationshipId) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/relationships/${relationshipId}`)
+  if (!response.ok) throw new Error('Failed to fetch relationship')
+  return response.json()
+}
+
+export async function saveRelationship(worldId, data) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/relationships`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to save relationship')
+  }
+  return response.json()
+}
+
+export async function updateRelationship(worldId, relationshipId, data) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/relationships/${relationshipId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to update relationship')
+  }
+  return response.json()
+}
+
+export async function deleteRelationship(worldId, relationshipId) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/relationships/${relationshipId}`, {
+    method: 'DELETE'
+  })
+  if (!response.ok) throw new Error('Failed to delete relationship')
+  return response.json()
+}
+
+export async function getFactions(worldId) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/factions`)
+  if (!response.ok) throw new Error('Failed to fetch factions')
+  return response.json()
+}
+
+export async function getFaction(worldId, factionId) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/factions/${factionId}`)
+  if (!response.ok) throw new Error('Failed to fetch faction')
+  return response.json()
+}
+
+export async function saveFaction(worldId, data) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/factions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to save faction')
+  }
+  return response.json()
+}
+
+export async function deleteFaction(worldId, factionId) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/factions/${factionId}`, {
+    method: 'DELETE'
+  })
+  if (!response.ok) throw new Error('Failed to delete faction')
+  return response.json()
+}
+
+export async function setFactionStance(worldId, factionId, otherFactionId, stance) {
+  const response = await fetch(`${API_BASE}/worlds/${worldId}/factions/${factionId}/stances/${otherFactionId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ stance })
+  })
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.details || error.error || 'Failed to set stance')
+  }
+  return response.json()
+}
@@ -65,7 +65,7 @@ const CharacterPanel = ({ characters, selectedCharacter, onCharacterSelect }) =>
                       <div className="flex items-center gap-1 text-sm">
                         <span className="text-warning">💳</span>
                         <span className="text-primary font-medium">
-                          {(character.credits || 1000).toLocaleString()} credits
+                          {(character.credits ?? 0).toLocaleString()} credits
                         </span>
                       </div>
                     </div>
@@ -113,6 +113,24 @@ const CharacterPanel = ({ characters, selectedCharacter, onCharacterSelect }) =>
                     </div>
                   )}
 
+                  {/* Inventory */}
+                  {character.inventory?.length > 0 && (
+                    <div className="mt-2">
+                      <div className="text-xs text-muted mb-1">Inventory:</div>
+                      <div className="flex flex-wrap gap-1">
+                        {character.inventory.map((item) => (
+                          <span
+                            key={item.id}
+                            className={`badge text-xs ${item.location === 'equipped' ? 'badge-primary' : ''}`}
+                            title={item.scope === 'session' ? 'Only in this session' : item.description}
+                          >
+                            {item.name}{item.quantity > 1 ? ` ×${item.quantity}` : ''}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Relationships Preview */}
                   {character.relationships && Object.keys(character.relationships).length > 0 && (
                     <div className="mt-2">
@@ -1,5 +1,8 @@
 import { useState, useEffect, useRef } from 'react'
 import { useParams, Link } from 'react-router-dom'
+import { connectSessionSocket, streamAction, getTurnOrder, startTurnOrder, endTurnOrder, getSessionNpcs, talkToNpc } from '../api/sessions'
+import { getProgression, getWallet } from '../api/characters'
+import ShopPanel from './ShopPanel'
 import '../styles/clean-game-ui.css'
 
 const CleanGameSession = () => {
@@ -10,17 +13,60 @@ const CleanGameSession = () => {
   const [currentAction, setCurrentAction] = useState('')
   const [isLoading, setIsLoading] = useState(true)
   const [isSending, setIsSending] = useState(false)
+  const [isStreaming, setIsStreaming] = useState(false)
   const [selectedCharacter, setSelectedCharacter] = useState(null)
+  const [connectedPlayers, setConnectedPlayers] = useState([])
+  const [turnOrder, setTurnOrder] = useState(null)
+  const [progression, setProgression] = useState(null)
+  const [wallet, setWallet] = useState(null)
+  const [shopRefresh, setShopRefresh] = useState(0)
+  const [npcs, setNpcs] = useState([])
+  const [talkTo, setTalkTo] = useState('')
   const messagesEndRef = useRef(null)
+  const selectedCharacterRef = useRef(null)
+  const clientIdRef = useRef(`${Date.now()}-${Math.random().toString(36).substr(2, 9)}`)
 
   useEffect(() => {
     loadSession()
   }, [sessionId])
 
+  // Live updates from other players in the same session
+  useEffect(() => {
+    const socket = connectSessionSocket(sessionId, {
+      clientId: clientIdRef.current,
+      onMessage: handleSessionEvent
+    })
+    return () => socket.close()
+  }, [sessionId])
+
   useEffect(() => {
     scrollToBottom()
   }, [messages])
 
+  useEffect(() => {
+    selectedCharacterRef.current = selectedCharacter
+    if (selectedCharacter) {
+      loadProgression(selectedCharacter.id)
+      loadWallet(selectedCharacter.id)
+    }
+  }, [selectedCharacter?.id])
+
+  const loadProgression = async (characterId) => {
+    try {
+      setProgression(await getProgression(characterId))
+    } catch (error) {
+      console.error('Failed to load progression:', error)
+    }
+  }
+
+  const loadWallet = async (characterId) => {
+    try {
+      setWallet(await getWallet(characterId))
+    } catch (error) {
+      console.error('Failed to load wallet:', error)
+    }
+  }
+
   const loadSession = async () => {
     try {
       setIsLoading(true)
@@ -40,15 +86,22 @@ const CleanGameSession = () => {
       
       // Convert session history to clean format
       if (sessionData.history && sessionData.history.length > 0) {
-        const formattedMessages = sessionData.history.map((msg, index) => ({
-          id: index,
-          role: msg.role === 'user' ? 'player' : 'gm',
-          content: msg.content,
-          timestamp: new Date(msg.created_at).getTime()
-        }))
+        const formattedMessages = sessionData.history.map((msg, index) => {
+          const npcReply = msg.metadata?.type === 'npc_dialogue' && msg.role !== 'user'
+          return {
+            id: index,
+            role: msg.role === 'user' ? 'player' : npcReply ? 'npc' : 'gm',
+            content: npcReply ? msg.content.replace(`${msg.metadata.npc}: `, '') : msg.content,
+            timestamp: new Date(msg.created_at).getTime(),
+            author: npcReply ? msg.metadata.npc : undefined
+          }
+        })
         setMessages(formattedMessages)
       }
       
+      setTurnOrder(await getTurnOrder(sessionId).catch(() => null))
+      setNpcs(await getSessionNpcs(sessionId).catch(() => []))
+
       // Set character
       if (sessionData.characters && sessionData.characters.length > 0) {
         setSelectedCharacter(sessionData.characters[0])
@@ -61,13 +114,157 @@ const CleanGameSession = () => {
     }
   }
 
+  const handleSessionEvent = ({ type, payload, timestamp }) => {
+    // Our own actions are already rendered locally
+    const fromThisClient = payload?.clientId === clientIdRef.current
+    const time = new Date(timestamp).getTime()
+
+    switch (type) {
+      case 'connected':
+      case 'presence':
+        setConnectedPlayers(payload.clients || [])
+        break
+
+      case 'player_action':
+        if (fromThisClient) break
+        setMessages(prev => [...prev, {
+          id: `${time}-player`,
+          role: 'player',
+          content: payload.action,
+          timestamp: time,
+          author: payload.characterName
+        }])
+        break
+
+      case 'gm_response':
+        if (fromThisClient) break
+        setMessages(prev => [
+          ...prev,
+          { id: `${time}-gm`, role: 'gm', content: payload.response, timestamp: time },
+          ...(payload.followUp
+            ? [{ id: `${time}-gm-followup`, role: 'gm', content: payload.followUp, timestamp: time }]
+            : []),
+          ...(payload.roundSummary
+            ? [{ id: `${time}-gm-round`, role: 'gm', content: payload.roundSummary, timestamp: time }]
+            : [])
+        ])
+        break
+
+      case 'npc_dialogue':
+        if (fromThisClient) break
+        setMessages(prev => [
+          ...prev,
+          { id: `${time}-player`, role: 'player', content: payload.message, timestamp: time, author: `${payload.character} → ${payload.npc}` },
+          { id: `${time}-npc`, role: 'npc', content: payload.reply, timestamp: time, author: payload.npc }
+        ])
+        break
+
+      case 'turn_update':
+        setTurnOrder(payload)
+        break
+
+      case 'combat_update': {
+        // Combat XP lands when an encounter ends
+        const award = payload.xpAwards?.find(a => a.characterId === selectedCharacterRef.current?.id)
+        if (award) setProgression(award.progression)
+        break
+      }
+
+      case 'wallet_update':
+        // Trades, quest rewards and loot; reload for the latest ledger entries
+        if (payload.characterId === selectedCharacterRef.current?.id) loadWallet(payload.characterId)
+        break
+
+      case 'shop_update':
+      case 'reputation_update':
+        // Someone traded, stock changed, or faction standing moved prices
+        setShopRefresh(n => n + 1)
+        break
+
+      case 'participant_joined':
+        if (!payload.character) break
+        setSession(prev => prev && ({
+          ...prev,
+          characters: [
+            ...(prev.characters || []).filter(c => c.id !== payload.character.id),
+            payload.character
+          ]
+        }))
+        break
+
+      case 'time_update':
+        setSession(prev => prev && ({
+          ...prev,
+          clock: payload.clock,
+          state: {
+            ...prev.state,
+            gameState: {
+              ...prev.state?.gameState,
+              timeOfDay: payload.clock.timeOfDay,
+              season: payload.clock.season,
+              ...(payload.clock.weather && { weather: payload.clock.weather.condition })
+            }
+          }
+        }))
+        break
+
+      case 'scene_update':
+        setSession(prev => prev && ({
+          ...prev,
+          state: { ...prev.state, currentScene: payload.scene }
+        }))
+        break
+
+      default:
+        break
+    }
+  }
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
 
+  // Dialogue mode: the chosen NPC answers instead of the Game Master
+  const handleTalk = async (npcName, message) => {
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      role: 'player',
+      content: message,
+      timestamp: Date.now(),
+      author: `${selectedCharacter.name} → ${npcName}`
+    }])
+
+    try {
+      const result = await talkToNpc(sessionId, npcName, {
+        character_id: selectedCharacter.id,
+        message,
+        client_id: clientIdRef.current
+      })
+      setMessages(prev => [...prev, { id: Date.now() + 1, role: 'npc', content: result.reply, timestamp: Date.now(), author: result.npc }])
+    } catch (error) {
+      console.error('Failed to talk:', error)
+      setMessages(prev => [...prev, {
+        id: Date.now() + 1,
+        role: 'gm',
+        content: `Error: ${error.message}. Please try again.`,
+        timestamp: Date.now(),
+        isError: true
+      }])
+    }
+  }
+
   const handleSubmitAction = async (e) => {
     e.preventDefault()
     if (!currentAction.trim() || isSending || !selectedCharacter) return
+
+    if (talkTo) {
+      const message = currentAction.trim()
+      setCurrentAction('')
+      setIsSending(true)
+      await handleTalk(talkTo, message)
+      setIsSending(false)
+      return
+    }
     
     const actionText = currentAction.trim()
     setCurrentAction('')
@@ -83,36 +280,56 @@ const CleanGameSession = () => {
     }
     setMessages(prev => [...prev, playerMessage])
     
+    // GM messages are filled in as tokens stream in
+    const gmId = Date.now() + 1
+    const followUpId = Date.now() + 2
+    const roundSummaryId = Date.now() + 3
+    const streamIds = { response: gmId, followUp: followUpId, roundSummary: roundSummaryId }
+    const appendToken = (id, token) => {
+      setIsStreaming(true)
+      setMessages(prev => prev.some(m => m.id === id)
+        ? prev.map(m => m.id === id ? { ...m, content: m.content + token } : m)
+        : [...prev, { id, role: 'gm', content: token, timestamp: Date.now() }])
+    }
+
     try {
-      // Send to API
-      const response = await fetch(`/api/sessions/${sessionId}/action`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: actionText,
-          character_id: selectedCharacter.id
-        })
+      const result = await streamAction(sessionId, {
+        action: actionText,
+        character_id: selectedCharacter.id,
+        client_id: clientIdRef.current
+      }, (type, data) => {
+        if (type === 'token') {
+          appendToken(streamIds[data.part] || gmId, data.token)
+        } else if (type === 'rolls') {
+          // Roll tags are swapped for their results once the dice are resolved
+          setMessages(prev => prev.map(m => m.id === gmId ? { ...m, content: data.response } : m))
+        }
       })
-      
-      if (!response.ok) throw new Error('Failed to send action')
-      
-      const result = await response.json()
-      
-      // Add GM response
-      const gmMessage = {
-        id: Date.now() + 1,
-        role: 'gm',
-        content: result.response,
-        timestamp: Date.now()
+
+      // Settle on the final text (annotated rolls, narration of the dice outcome)
+      if (result) {
+        setMessages(prev => {
+          const settled = prev.filter(m => !Object.values(streamIds).includes(m.id))
+          return [
+            ...settled,
+            { id: gmId, role: 'gm', content: result.response, timestamp: Date.now() },
+            ...(result.followUp
+              ? [{ id: followUpId, role: 'gm', content: result.followUp, timestamp: Date.now() }]
+              : []),
+            ...(result.roundSummary
+              ? [{ id: roundSummaryId, role: 'gm', content: result.roundSummary, timestamp: Date.now() }]
+              : [])
+          ]
+        })
+        if (result.turn) setTurnOrder(result.turn)
       }
-      setMessages(prev => [...prev, gmMessage])
-      
+
     } catch (error) {
       console.error('Failed to send action:', error)
       
       // Add error message
       const errorMessage = {
-        id: Date.now() + 2,
+        id: Date.now() + 4,
         role: 'gm',
         content: `Error: ${error.message}. Please try again.`,
         timestamp: Date.now(),
@@ -121,6 +338,17 @@ const CleanGameSession = () => {
       setMessages(prev => [...prev, errorMessage])
     } finally {
       setIsSending(false)
+      setIsStreaming(false)
+    }
+  }
+
+  const handleToggleTurnOrder = async () => {
+    try {
+      setTurnOrder(turnOrder?.enabled
+        ? await endTurnOrder(sessionId)
+        : await startTurnOrder(sessionId, { roundSummary: true }))
+    } catch (error) {
+      console.error('Failed to change turn order:', error)
     }
   }
 
@@ -128,6 +356,11 @@ const CleanGameSession = () => {
     setCurrentAction(action)
   }
 
+  // In turn-based mode only the character whose turn it is may act
+  const waitingForTurn = Boolean(
+    turnOrder?.enabled && turnOrder.current && turnOrder.current.characterId !== selectedCharacter?.id
+  )
+
   const getDisplayedAttributes = () => {
     if (!selectedCharacter?.attributes) return []
     
@@ -182,6 +415,20 @@ const CleanGameSession = () => {
         </div>
         <div style={{ fontSize: '0.875rem', color: '#718096' }}>
           {world.setting} • {world.name}
+          {session.clock && ` • ${session.clock.label}`}
+          {session.clock?.weather && ` • ${session.clock.weather.condition}${session.clock.weather.sheltered ? ' outside' : ''}`}
+          {connectedPlayers.length > 1 && ` • ${connectedPlayers.length} players connected`}
+          {turnOrder?.enabled && turnOrder.current && ` • Round ${turnOrder.round}: ${turnOrder.current.name}'s turn`}
+          {session.characters?.length > 1 && (
+            <button
+              className="clean-quick-button"
+              style={{ marginLeft: '0.75rem' }}
+              onClick={handleToggleTurnOrder}
+              disabled={isSending}
+            >
+              {turnOrder?.enabled ? 'End turns' : 'Roll initiative'}
+            </button>
+          )}
         </div>
       </div>
 
@@ -203,7 +450,7 @@ const CleanGameSession = () => {
               messages.map((message) => (
                 <div key={message.id} className={`clean-message ${message.role}`}>
                   <div className="clean-message-author">
-                    {message.role === 'player' ? (message.author || 'You') : 'Game Master'}
+                    {message.role === 'gm' ? 'Game Master' : (message.author || 'You')}
                   </div>
                   <div className="clean-message-bubble">
                     {message.content}
@@ -212,11 +459,11 @@ const CleanGameSession = () => {
               ))
             )}
             
-            {isSending && (
+            {isSending && !isStreaming && (
               <div className="clean-message gm">
-                <div className="clean-message-author">Game Master</div>
+                <div className="clean-message-author">{talkTo || 'Game Master'}</div>
                 <div className="clean-typing">
-                  <span>The Game Master is thinking</span>
+                  <span>{talkTo ? `${talkTo} is thinking` : 'The Game Master is thinking'}</span>
                   <div className="clean-typing-dots">
                     <div className="clean-typing-dot"></div>
                     <div className="clean-typing-dot"></div>
@@ -232,13 +479,30 @@ const CleanGameSession = () => {
           {/* Action input */}
           <div className="clean-action-area">
             <form className="clean-action-form" onSubmit={handleSubmitAction}>
+              {npcs.length > 0 && (
+                <select
+                  className="clean-talk-select"
+                  value={talkTo}
+                  onChange={(e) => setTalkTo(e.target.value)}
+                  title="Who you are addressing"
+                >
+                  <option value="">🎲 Game Master</option>
+                  {npcs.filter(npc => npc.status === 'alive').map(npc => (
+                    <option key={npc.id} value={npc.name}>💬 {npc.name}</option>
+                  ))}
+                </select>
+              )}
               <textarea
                 className="clean-action-input"
                 value={currentAction}
                 onChange={(e) => setCurrentAction(e.target.value)}
-                placeholder="What does Humbrol do? (Ctrl+Enter to send)"
+                placeholder={talkTo
+                  ? `What do you say to ${talkTo}? (Ctrl+Enter to send)`
+                  : waitingForTurn
+                    ? `Waiting for ${turnOrder.current.name}'s turn...`
+                    : 'What does Humbrol do? (Ctrl+Enter to send)'}
                 rows={1}
-                disabled={isSending}
+                disabled={isSending || (waitingForTurn && !talkTo)}
                 onKeyDown={(e) => {
                   if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
                     e.preventDefault()
@@ -249,7 +513,7 @@ const CleanGameSession = () => {
               <button 
                 type="submit" 
                 className="clean-send-button"
-                disabled={isSending || !currentAction.trim()}
+                disabled={isSending || (waitingForTurn && !talkTo) || !currentAction.trim()}
               >
                 {isSending ? '...' : 'Send'}
               </button>
@@ -267,8 +531,14 @@ const CleanGameSession = () => {
               <div>
                 <h3 className="clean-character-name">{selectedCharacter.name}</h3>
                 <p className="clean-character-class">
-                  {selectedCharacter.class} • Level {selectedCharacter.level}
+                  {selectedCharacter.class} • Level {progression?.level ?? selectedCharacter.level}
                 </p>
+                {progression && (
+                  <p className="clean-character-class">
+                    XP {progression.xp}{progression.nextLevelXp !== null && ` / ${progression.nextLevelXp}`}
+                    {progression.pendingLevelUps > 0 && ' • Level up available!'}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -282,6 +552,32 @@ const CleanGameSession = () => {
               ))}
             </div>
 
+            {/* Funds */}
+            {wallet && (
+              <div className="clean-wallet">
+                <h3>Funds</h3>
+                <div className="clean-wallet-balance">{wallet.formatted}</div>
+                {wallet.transactions.length > 0 && (
+                  <ul className="clean-wallet-ledger">
+                    {wallet.transactions.map((entry) => (
+                      <li key={entry.id}>
+                        <span>{entry.description || entry.reason}</span>
+                        <span className={entry.amount < 0 ? 'spent' : 'earned'}>
+                          {entry.amount > 0 ? '+' : ''}{entry.amount.toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <ShopPanel
+              sessionId={sessionId}
+              character={selectedCharacter}
+              refreshKey={shopRefresh}
+            />
+
             {/* Quick actions */}
             <div className="clean-quick-actions">
               <h3>Quick Actions</h3>
@@ -113,6 +113,7 @@ const EnhancedGameSession = () => {
         timestamp: new Date(result.timestamp).getTime()
       }
       setMessages(prev => [...prev, gmMessage])
+      if (result.clock) setSession(prev => ({ ...prev, clock: result.clock }))
       
       // For basic sessions, we don't have enhanced features yet
       // But we can simulate some values for the UI
@@ -181,6 +182,15 @@ const EnhancedGameSession = () => {
     )
   }
 
+  // Time of day and weather come from the session's clock
+  const scene = session.clock
+    ? {
+        ...(session.currentScene || session.state?.currentScene),
+        timeOfDay: session.clock.timeOfDay,
+        weather: session.clock.weather?.condition
+      }
+    : session.currentScene
+
   return (
     <div className="enhanced-game-session h-screen flex flex-col bg-bg-primary overflow-hidden">
       {/* Session Header */}
@@ -243,7 +253,7 @@ const EnhancedGameSession = () => {
             
             {/* Scene Panel */}
             <ScenePanel
-              scene={session.currentScene}
+              scene={scene}
               onSceneUpdate={(updates) => setSession(prev => ({
                 ...prev,
                 currentScene: { ...prev.currentScene, ...updates }
@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react'
+import {
+  getFactions,
+  getFaction,
+  saveFaction,
+  deleteFaction,
+  setFactionStance
+} from '../api/worlds'
+
+const STANCES = ['allied', 'friendly', 'neutral', 'rival', 'war']
+
+const EMPTY_FORM = { name: '', description: '', goals: '' }
+
+const formatReputation = (value) => `${value > 0 ? '+' : ''}${value}`
+
+const FactionPanel = ({ worldId }) => {
+  const [factions, setFactions] = useState([])
+  const [selected, setSelected] = useState(null) // faction with standings
+  const [form, setForm] = useState(EMPTY_FORM)
+
+  useEffect(() => {
+    loadFactions()
+  }, [worldId])
+
+  const loadFactions = async () => {
+    try {
+      setFactions(await getFactions(worldId))
+    } catch (error) {
+      console.error('Failed to load factions:', error)
+    }
+  }
+
+  const selectFaction = async (factionId) => {
+    try {
+      setSelected(await getFaction(worldId, factionId))
+    } catch (error) {
+      console.error('Failed to load faction:', error)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    try {
+      const faction = await saveFaction(worldId, {
+        name: form.name.trim(),
+        description: form.description.trim(),
+        goals: form.goals.split('\n').map(goal => goal.trim()).filter(Boolean)
+      })
+      setForm(EMPTY_FORM)
+      await loadFactions()
+      await selectFaction(faction.id)
+    } catch (error) {
+      alert(error.message)
+    }
+  }
+
+  const handleStance = async (otherFactionId, stance) => {
+    try {
+      await setFactionStance(worldId, selected.id, otherFactionId, stance)
+      await loadFactions()
+      await selectFaction(selected.id)
+    } catch (error) {
+      alert(error.message)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!confirm(`Disband ${selected.name}? Its members become unaffiliated.`)) return
+    try {
+      await deleteFaction(worldId, selected.id)
+      setSelected(null)
+      await loadFactions()
+    } catch (error) {
+      console.error('Failed to delete faction:', error)
+      alert('Failed to delete faction')
+    }
+  }
+
+  const stanceToward = (otherFactionId) =>
+    selected.stances.find(s => s.factionId === otherFactionId)?.stance || 'neutral'
+
+  return (
+    <div className="factions-section">
+      <h2>Factions</h2>
+      <p className="codex-hint">
+        Guilds, houses and gangs. NPCs in a faction treat characters by their standing, and its shops price accordingly.
+      </p>
+
+      <div className="relationship-layout">
+        <div className="faction-list">
+          {factions.length === 0 ? (
+            <div className="empty-state small">
+              <p>No factions yet.</p>
+            </div>
+          ) : (
+            factions.map(faction => (
+              <button
+                key={faction.id}
+                className={`codex-entry faction-item ${selected?.id === faction.id ? 'selected' : ''}`}
+                onClick={() => selectFaction(faction.id)}
+              >
+                <h4>{faction.name}</h4>
+                {faction.description && <p className="codex-text">{faction.description}</p>}
+                <small>
+                  {faction.members.length} member{faction.members.length === 1 ? '' : 's'}
+                  {faction.stances.map(s => ` · ${s.stance} with ${s.faction}`).join('')}
+                </small>
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="relationship-panel">
+          {selected ? (
+            <div className="codex-entry">
+              <div className="codex-entry-header">
+                <h4>{selected.name}</h4>
+                <button className="btn btn-small btn-secondary" onClick={() => setSelected(null)}>Close</button>
+              </div>
+
+              {selected.goals.length > 0 && (
+                <ul className="faction-goals">
+                  {selected.goals.map(goal => <li key={goal}>{goal}</li>)}
+                </ul>
+              )}
+              {selected.members.length > 0 && (
+                <p className="codex-text">Members: {selected.members.join(', ')}</p>
+              )}
+
+              <h4 className="relationship-history-title">Stances</h4>
+              {factions.filter(f => f.id !== selected.id).map(other => (
+                <label key={other.id} className="relationship-slider">
+                  <span>{other.name}</span>
+                  <select value={stanceToward(other.id)} onChange={e => handleStance(other.id, e.target.value)}>
+                    {STANCES.map(stance => <option key={stance} value={stance}>{stance}</option>)}
+                  </select>
+                </label>
+              ))}
+
+              <h4 className="relationship-history-title">Reputation</h4>
+              {selected.standings.length === 0 ? (
+                <p className="codex-text">No one has earned a name with them yet.</p>
+              ) : (
+                <ul className="relationship-history">
+                  {selected.standings.map(standing => (
+                    <li key={standing.characterId}>
+                      {standing.characterName}: <strong>{standing.tier}</strong> ({formatReputation(standing.reputation)})
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="codex-entry-actions">
+                <button className="btn btn-small btn-danger" onClick={handleDelete}>Delete</button>
+              </div>
+            </div>
+          ) : (
+            <form className="codex-entry relationship-form" onSubmit={handleAdd}>
+              <h4>Add a faction</h4>
+              <input
+                type="text"
+                value={form.name}
+                onChange={e => setForm({ ...form, name: e.target.value })}
+                placeholder="Name"
+              />
+              <input
+                type="text"
+                value={form.description}
+                onChange={e => setForm({ ...form, description: e.target.value })}
+                placeholder="Description"
+              />
+              <textarea
+                value={form.goals}
+                onChange={e => setForm({ ...form, goals: e.target.value })}
+                placeholder="Goals, one per line"
+                rows={3}
+              />
+              <button type="submit" className="btn btn-small btn-primary" disabled={!form.name.trim()}>
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FactionPanel
@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react'
+import {
+  getRelationshipGraph,
+  getRelationship,
+  saveRelationship,
+  updateRelationship,
+  deleteRelationship
+} from '../api/worlds'
+
+const DIMENSIONS = ['trust', 'respect', 'affection', 'fear']
+
+const SIZE = 480
+const RADIUS = 190
+const NODE_RADIUS = 22
+
+// Edge colour follows trust: green for warm, red for hostile
+const TONES = { warm: 'var(--success)', hostile: 'var(--error)', neutral: 'var(--text-secondary)' }
+
+const edgeTone = (edge) => {
+  if (edge.trust >= 0.3) return 'warm'
+  if (edge.trust <= -0.3) return 'hostile'
+  return 'neutral'
+}
+
+const formatValue = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`
+
+// Nodes evenly spaced on a circle
+function layout(nodes) {
+  const center = SIZE / 2
+  return new Map(nodes.map((node, index) => {
+    const angle = (2 * Math.PI * index) / Math.max(nodes.length, 1) - Math.PI / 2
+    return [node.id, { x: center + RADIUS * Math.cos(angle), y: center + RADIUS * Math.sin(angle) }]
+  }))
+}
+
+// A curved path from a to b, bent to the right so A→B and B→A don't overlap
+function edgePath(a, b) {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const length = Math.hypot(dx, dy) || 1
+  const start = { x: a.x + (dx / length) * NODE_RADIUS, y: a.y + (dy / length) * NODE_RADIUS }
+  const end = { x: b.x - (dx / length) * NODE_RADIUS, y: b.y - (dy / length) * NODE_RADIUS }
+  const bend = { x: (a.x + b.x) / 2 - (dy / length) * 30, y: (a.y + b.y) / 2 + (dx / length) * 30 }
+  return `M ${start.x} ${start.y} Q ${bend.x} ${bend.y} ${end.x} ${end.y}`
+}
+
+const EMPTY_FORM = { source: '', target: '', npcName: '' }
+
+const RelationshipGraph = ({ worldId }) => {
+  const [graph, setGraph] = useState({ nodes: [], edges: [] })
+  const [focus, setFocus] = useState(null) // node id
+  const [selected, setSelected] = useState(null) // edge with history
+  const [values, setValues] = useState({})
+  const [cause, setCause] = useState('')
+  const [form, setForm] = useState(EMPTY_FORM)
+
+  useEffect(() => {
+    loadGraph()
+  }, [worldId])
+
+  const loadGraph = async () => {
+    try {
+      setGraph(await getRelationshipGraph(worldId))
+    } catch (error) {
+      console.error('Failed to load relationships:', error)
+    }
+  }
+
+  const selectEdge = async (edgeId) => {
+    try {
+      const edge = await getRelationship(worldId, edgeId)
+      setSelected(edge)
+      setValues(Object.fromEntries(DIMENSIONS.map(dimension => [dimension, edge[dimension]])))
+      setCause('')
+    } catch (error) {
+      console.error('Failed to load relationship:', error)
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      const edge = await updateRelationship(worldId, selected.id, { ...values, ...(cause.trim() && { cause: cause.trim() }) })
+      setSelected(edge)
+      setCause('')
+      await loadGraph()
+    } catch (error) {
+      alert(error.message)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!confirm(`Forget how ${selected.source.name} feels about ${selected.target.name}?`)) return
+    try {
+      await deleteRelationship(worldId, selected.id)
+      setSelected(null)
+      await loadGraph()
+    } catch (error) {
+      console.error('Failed to delete relationship:', error)
+      alert('Failed to delete relationship')
+    }
+  }
+
+  // An existing node, or a new NPC typed into the name field
+  const toNode = (value) => {
+    if (value === 'new') return { type: 'npc', name: form.npcName.trim() }
+    const node = graph.nodes.find(n => n.id === value)
+    return node && { type: node.type, ref: node.ref }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    try {
+      const edge = await saveRelationship(worldId, { source: toNode(form.source), target: toNode(form.target) })
+      setForm(EMPTY_FORM)
+      await loadGraph()
+      await selectEdge(edge.id)
+    } catch (error) {
+      alert(error.message)
+    }
+  }
+
+  const positions = layout(graph.nodes)
+  const visibleEdges = focus
+    ? graph.edges.filter(edge => edge.source.id === focus || edge.target.id === focus)
+    : graph.edges
+
+  const nodeOptions = (
+    <>
+      <option value="">Choose...</option>
+      {graph.nodes.map(node => (
+        <option key={node.id} value={node.id}>{node.type === 'character' ? '🧙' : '👤'} {node.name}</option>
+      ))}
+      <option value="new">New NPC...</option>
+    </>
+  )
+
+  return (
+    <div className="relationships-section">
+      <h2>Relationships</h2>
+      <p className="codex-hint">
+        How characters and NPCs feel about each other. Arrows point from who feels to whom; play updates them as the story unfolds.
+      </p>
+
+      {graph.nodes.length === 0 ? (
+        <div className="empty-state small">
+          <p>No one to relate yet. Create a character or meet some NPCs.</p>
+        </div>
+      ) : (
+        <div className="relationship-layout">
+          <svg className="relationship-graph" viewBox={`0 0 ${SIZE} ${SIZE}`}>
+            <defs>
+              {Object.entries(TONES).map(([tone, color]) => (
+                <marker key={tone} id={`relationship-arrow-${tone}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                  <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+                </marker>
+              ))}
+            </defs>
+
+            {visibleEdges.map(edge => (
+              <path
+                key={edge.id}
+                d={edgePath(positions.get(edge.source.id), positions.get(edge.target.id))}
+                className={`relationship-edge ${selected?.id === edge.id ? 'selected' : ''}`}
+                stroke={TONES[edgeTone(edge)]}
+                strokeWidth={1.5 + Math.abs(edge.trust) * 3}
+                markerEnd={`url(#relationship-arrow-${edgeTone(edge)})`}
+                onClick={() => selectEdge(edge.id)}
+              >
+                <title>{`${edge.source.name} → ${edge.target.name}: trust ${formatValue(edge.trust)}`}</title>
+              </path>
+            ))}
+
+            {graph.nodes.map(node => {
+              const { x, y } = positions.get(node.id)
+              return (
+                <g
+                  key={node.id}
+                  className={`relationship-node ${node.type} ${focus === node.id ? 'focused' : ''}`}
+                  onClick={() => setFocus(focus === node.id ? null : node.id)}
+                >
+                  <circle cx={x} cy={y} r={NODE_RADIUS} />
+                  <text x={x} y={y + 5} textAnchor="middle">{node.name[0].toUpperCase()}</text>
+                  <text x={x} y={y + NODE_RADIUS + 16} textAnchor="middle" className="relationship-label">{node.name}</text>
+                </g>
+              )
+            })}
+          </svg>
+
+          <div className="relationship-panel">
+            {selected ? (
+              <div className="codex-entry">
+                <div className="codex-entry-header">
+                  <h4>{selected.source.name} → {selected.target.name}</h4>
+                  <button className="btn btn-small btn-secondary" onClick={() => setSelected(null)}>Close</button>
+                </div>
+
+                {DIMENSIONS.map(dimension => (
+                  <label key={dimension} className="relationship-slider">
+                    <span>{dimension}</span>
+                    <input
+                      type="range"
+                      min="-1"
+                      max="1"
+                      step="0.1"
+                      value={values[dimension]}
+                      onChange={e => setValues({ ...values, [dimension]: Number(e.target.value) })}
+                    />
+                    <span>{formatValue(values[dimension])}</span>
+                  </label>
+                ))}
+                <input
+                  type="text"
+                  value={cause}
+                  onChange={e => setCause(e.target.value)}
+                  placeholder="Why? (kept in the history)"
+                />
+                <div className="codex-entry-actions">
+                  <button className="btn btn-small btn-primary" onClick={handleSave}>Save</button>
+                  <button className="btn btn-small btn-danger" onClick={handleDelete}>Delete</button>
+                </div>
+
+                <h4 className="relationship-history-title">History</h4>
+                {selected.history.length === 0 ? (
+                  <p className="codex-text">No changes yet.</p>
+                ) : (
+                  <ul className="relationship-history">
+                    {selected.history.map((entry, index) => (
+                      <li key={index}>
+                        <span className="relationship-changes">
+                          {Object.entries(entry.changes).map(([dimension, delta]) => `${dimension} ${formatValue(delta)}`).join(', ')}
+                        </span>
+                        {entry.cause && <span> — {entry.cause}</span>}
+                        <small> · {new Date(entry.at).toLocaleString()}</small>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ) : (
+              <form className="codex-entry relationship-form" onSubmit={handleAdd}>
+                <h4>Add a relationship</h4>
+                <select value={form.source} onChange={e => setForm({ ...form, source: e.target.value })}>{nodeOptions}</select>
+                <span className="relationship-feels">feels about</span>
+                <select value={form.target} onChange={e => setForm({ ...form, target: e.target.value })}>{nodeOptions}</select>
+                {(form.source === 'new' || form.target === 'new') && (
+                  <input
+                    type="text"
+                    value={form.npcName}
+                    onChange={e => setForm({ ...form, npcName: e.target.value })}
+                    placeholder="NPC name"
+                  />
+                )}
+                <button
+                  type="submit"
+                  className="btn btn-small btn-primary"
+                  disabled={!form.source || !form.target || ((form.source === 'new' || form.target === 'new') && !form.npcName.trim())}
+                >
+                  Add
+                </button>
+              </form>
+            )}
+
+            {focus && (
+              <p className="codex-hint">
+                Showing {graph.nodes.find(node => node.id === focus)?.name}'s relationships.{' '}
+                <button className="btn btn-small btn-secondary" onClick={() => setFocus(null)}>Show all</button>
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RelationshipGraph
@@ -33,6 +33,11 @@ const ScenePanel = ({ scene, onSceneUpdate }) => {
       stormy: '⛈️',
       foggy: '🌫️',
       snowy: '❄️',
+      smog: '🏭',
+      'acid rain': '☔',
+      'dust storm': '🌪️',
+      'toxic storm': '☣️',
+      'radiation haze': '☢️',
     }
     return icons[weather] || '🌤️'
   }
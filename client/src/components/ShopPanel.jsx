@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react'
+import { getShops, haggle, tradeWithShop, getSessionInventory } from '../api/shops'
+
+// Mirrors the server: the shop pays sellRate of an item's value
+const getOffer = (item, shop) => {
+  const listed = shop.stock.find(s => s.name.toLowerCase() === item.name.toLowerCase())
+  const value = item.properties?.value ?? item.properties?.price ?? listed?.price
+  return value === undefined || value === null ? null : Math.floor(value * shop.sellRate)
+}
+
+const ShopPanel = ({ sessionId, character, refreshKey }) => {
+  const [shops, setShops] = useState([])
+  const [shopId, setShopId] = useState(null)
+  const [inventory, setInventory] = useState([])
+  const [notice, setNotice] = useState(null)
+  const [isBusy, setIsBusy] = useState(false)
+
+  useEffect(() => {
+    loadShops()
+  }, [sessionId, character.id, refreshKey])
+
+  const loadShops = async () => {
+    try {
+      const [shopList, owned] = await Promise.all([
+        getShops(sessionId, character.id),
+        getSessionInventory(sessionId, character.id)
+      ])
+      setShops(shopList)
+      setInventory(owned.inventory)
+      if (!shopList.some(s => s.id === shopId)) setShopId(shopList[0]?.id ?? null)
+    } catch (error) {
+      console.error('Failed to load shops:', error)
+    }
+  }
+
+  const shop = shops.find(s => s.id === shopId)
+  if (!shop) return null
+
+  const run = async (request, describe) => {
+    setIsBusy(true)
+    try {
+      setNotice(describe(await request()))
+      await loadShops()
+    } catch (error) {
+      setNotice(error.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleHaggle = () => run(
+    () => haggle(sessionId, shop.id, character.id),
+    ({ roll, modifier }) => {
+      const outcome = modifier > 0 ? `${Math.round(modifier * 100)}% better prices`
+        : modifier < 0 ? 'the shopkeeper is offended' : 'no deal'
+      return `${roll.skill} ${roll.total} vs DC ${roll.dc}: ${outcome}`
+    }
+  )
+
+  const handleTrade = (mode, item) => run(
+    () => tradeWithShop(sessionId, shop.id, { characterId: character.id, mode, item }),
+    (result) => `${mode === 'buy' ? 'Bought' : 'Sold'} ${result.item} for ${result.total} ${shop.currency}`
+  )
+
+  const sellable = inventory
+    .map(item => ({ ...item, offer: getOffer(item, shop) }))
+    .filter(item => item.offer !== null)
+
+  return (
+    <div className="clean-shop">
+      <h3>Shops</h3>
+      {shops.length > 1 && (
+        <select
+          className="clean-shop-select"
+          value={shop.id}
+          onChange={(e) => { setShopId(e.target.value); setNotice(null) }}
+        >
+          {shops.map(s => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
+      )}
+      <div className="clean-shop-title">
+        <span>{shop.name}</span>
+        {shop.owner && <span className="clean-shop-owner">{shop.owner}</span>}
+      </div>
+
+      {shop.status !== 'open' ? (
+        <p className="clean-shop-notice">Closed</p>
+      ) : (
+        <>
+          <ul className="clean-shop-list">
+            {shop.stock.filter(item => item.quantity > 0).map(item => (
+              <li key={item.name}>
+                <span>{item.name} ×{item.quantity}</span>
+                <button
+                  className="clean-shop-button"
+                  onClick={() => handleTrade('buy', item.name)}
+                  disabled={isBusy}
+                >
+                  {item.buyPrice} {shop.currency}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {sellable.length > 0 && (
+            <ul className="clean-shop-list">
+              {sellable.map(item => (
+                <li key={item.id}>
+                  <span>Sell {item.name}</span>
+                  <button
+                    className="clean-shop-button"
+                    onClick={() => handleTrade('sell', item.name)}
+                    disabled={isBusy}
+                  >
+                    +{item.offer}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <button
+            className="clean-quick-button clean-shop-haggle"
+            onClick={handleHaggle}
+            disabled={isBusy || !!shop.haggle}
+          >
+            🤝 {shop.haggle ? 'Haggled' : `Haggle (${shop.haggleSkill})`}
+          </button>
+        </>
+      )}
+
+      {notice && <p className="clean-shop-notice">{notice}</p>}
+    </div>
+  )
+}
+
+export default ShopPanel
@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react'
+import { getWorldContent, updateWorldContent, deleteWorldContent } from '../api/worlds'
+import { generateContent } from '../api/llm'
+
+// Codex kinds, with the field shown as the entry's summary and edited inline
+const KINDS = [
+  { kind: 'npcs', label: 'NPCs', nameField: 'name', subtitle: 'role', textField: 'personality' },
+  { kind: 'locations', label: 'Locations', nameField: 'name', subtitle: 'atmosphere', textField: 'description' },
+  { kind: 'lore', label: 'Lore', nameField: 'title', subtitle: 'category', textField: 'content' }
+]
+
+const GENERATE_TYPES = [
+  { type: 'npc', label: 'NPC' },
+  { type: 'location', label: 'Location' },
+  { type: 'lore', label: 'Lore' },
+  { type: 'quest', label: 'Quest hook' }
+]
+
+const WorldCodex = ({ worldId }) => {
+  const [codex, setCodex] = useState({ npcs: [], locations: [], lore: [] })
+  const [generateType, setGenerateType] = useState('npc')
+  const [generatePrompt, setGeneratePrompt] = useState('')
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [editing, setEditing] = useState(null) // { kind, id, text }
+
+  useEffect(() => {
+    loadCodex()
+  }, [worldId])
+
+  const loadCodex = async () => {
+    try {
+      const [npcs, locations, lore] = await Promise.all(
+        KINDS.map(({ kind }) => getWorldContent(worldId, kind))
+      )
+      setCodex({ npcs, locations, lore })
+    } catch (error) {
+      console.error('Failed to load codex:', error)
+    }
+  }
+
+  const handleGenerate = async (e) => {
+    e.preventDefault()
+    if (!generatePrompt.trim() || isGenerating) return
+
+    setIsGenerating(true)
+    try {
+      await generateContent(worldId, generateType, generatePrompt.trim(), { save: true })
+      setGeneratePrompt('')
+      await loadCodex()
+    } catch (error) {
+      console.error('Failed to generate content:', error)
+      alert(`Generation failed: ${error.message}`)
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  const handleSave = async () => {
+    const { kind, id, text } = editing
+    const { textField } = KINDS.find(k => k.kind === kind)
+    try {
+      await updateWorldContent(worldId, kind, id, { [textField]: text })
+      setEditing(null)
+      await loadCodex()
+    } catch (error) {
+      console.error('Failed to save entry:', error)
+      alert('Failed to save entry')
+    }
+  }
+
+  const handleDelete = async (kind, entry, name) => {
+    if (!confirm(`Delete "${name}" from the codex?`)) return
+    try {
+      await deleteWorldContent(worldId, kind, entry.id)
+      await loadCodex()
+    } catch (error) {
+      console.error('Failed to delete entry:', error)
+      alert('Failed to delete entry')
+    }
+  }
+
+  return (
+    <div className="lore-section">
+      <h2>World Codex</h2>
+      <p className="codex-hint">Everything here is shared with every session in this world.</p>
+
+      <form className="codex-generate" onSubmit={handleGenerate}>
+        <select value={generateType} onChange={e => setGenerateType(e.target.value)} disabled={isGenerating}>
+          {GENERATE_TYPES.map(({ type, label }) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={generatePrompt}
+          onChange={e => setGeneratePrompt(e.target.value)}
+          placeholder="e.g. a smuggler who runs the harbor tavern"
+          disabled={isGenerating}
+        />
+        <button type="submit" className="btn btn-primary" disabled={isGenerating || !generatePrompt.trim()}>
+          {isGenerating ? 'Generating...' : 'Generate'}
+        </button>
+      </form>
+
+      {KINDS.map(({ kind, label, nameField, subtitle, textField }) => (
+        <div key={kind} className="codex-group">
+          <h3>{label} ({codex[kind].length})</h3>
+          {codex[kind].length === 0 ? (
+            <div className="empty-state small">
+              <p>No {label.toLowerCase()} yet.</p>
+            </div>
+          ) : (
+            <div className="codex-list">
+              {codex[kind].map(entry => (
+                <div key={entry.id} className="codex-entry">
+                  <div className="codex-entry-header">
+                    <h4>
+                      {entry[nameField]}
+                      {entry[subtitle] && <small> · {entry[subtitle]}</small>}
+                    </h4>
+                    <div className="codex-entry-actions">
+                      <button
+                        className="btn btn-small btn-secondary"
+                        onClick={() => setEditing({ kind, id: entry.id, text: entry[textField] || '' })}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="btn btn-small btn-danger"
+                        onClick={() => handleDelete(kind, entry, entry[nameField])}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+
+                  {editing?.id === entry.id ? (
+                    <div className="codex-edit">
+                      <textarea
+                        rows={5}
+                        value={editing.text}
+                        onChange={e => setEditing({ ...editing, text: e.target.value })}
+                      />
+                      <div className="codex-entry-actions">
+                        <button className="btn btn-small btn-primary" onClick={handleSave}>Save</button>
+                        <button className="btn btn-small btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    entry[textField] && <p className="codex-text">{entry[textField]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default WorldCodex
@@ -0,0 +1,345 @@
+import { useState, useEffect } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { getSettingTemplate, createSettingTemplate, updateSettingTemplate } from '../api/templates'
+
+const STEPS = ['Basics', 'Attributes', 'Classes & Skills', 'Flavor', 'Review']
+
+const FLAVOR_FIELDS = [
+  { key: 'technology', label: 'Technology level', placeholder: 'bronze age, no metalwork beyond copper' },
+  { key: 'transport', label: 'Transport', placeholder: 'rafts, pack lizards, walking' },
+  { key: 'lighting', label: 'Lighting', placeholder: 'lava glow, oil lamps' },
+  { key: 'materials', label: 'Materials', placeholder: 'obsidian, basalt, woven reed' },
+  { key: 'currency', label: 'Currency (as described to the GM)', placeholder: 'cinder tokens stamped with a flame' }
+]
+
+const EMPTY_SETTING = {
+  name: '',
+  description: '',
+  attributes: [
+    { key: 'STR', name: 'Strength' },
+    { key: 'DEX', name: 'Dexterity' },
+    { key: 'INT', name: 'Intelligence' }
+  ],
+  initiativeAttribute: '',
+  hitPointAttribute: '',
+  classes: '',
+  skills: [{ name: '', attribute: 'STR' }],
+  economy: { startingCredits: 100, currencyUnit: 'coins' },
+  flavor: { locations: '', technology: '', transport: '', lighting: '', materials: '', currency: '' },
+  forbidden: '',
+  required: ''
+}
+
+// Stored config -> form state (lists become comma-separated text)
+function toForm(config) {
+  return {
+    ...EMPTY_SETTING,
+    name: config.name,
+    description: config.description || '',
+    attributes: config.attributes.map(key => ({ key, name: config.attributeNames?.[key] || key })),
+    initiativeAttribute: config.initiativeAttribute || '',
+    hitPointAttribute: config.hitPointAttribute || '',
+    classes: config.classes.join(', '),
+    skills: config.skills.map(name => ({ name, attribute: config.skillAttributes?.[name] || config.attributes[0] })),
+    economy: { ...EMPTY_SETTING.economy, ...config.economy },
+    flavor: { ...config.flavor, locations: (config.flavor?.locations || []).join(', ') },
+    forbidden: (config.forbidden || []).join(', '),
+    required: (config.required || []).join(', ')
+  }
+}
+
+function SettingBuilder() {
+  const navigate = useNavigate()
+  const { settingId } = useParams()
+  const [setting, setSetting] = useState(EMPTY_SETTING)
+  const [step, setStep] = useState(0)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (settingId) loadSetting()
+  }, [settingId])
+
+  async function loadSetting() {
+    try {
+      const template = await getSettingTemplate(settingId)
+      setSetting(toForm(template.config))
+    } catch (error) {
+      console.error('Failed to load setting:', error)
+      setError(error.message)
+    }
+  }
+
+  const update = (changes) => setSetting(prev => ({ ...prev, ...changes }))
+
+  const updateAttribute = (index, changes) => update({
+    attributes: setting.attributes.map((attr, i) => i === index ? { ...attr, ...changes } : attr)
+  })
+
+  const updateSkill = (index, changes) => update({
+    skills: setting.skills.map((skill, i) => i === index ? { ...skill, ...changes } : skill)
+  })
+
+  const attributeKeys = setting.attributes.map(attr => attr.key.trim().toUpperCase()).filter(Boolean)
+
+  async function handleSave() {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = {
+        ...setting,
+        skills: setting.skills.filter(skill => skill.name.trim()),
+        economy: { ...setting.economy, startingCredits: Number(setting.economy.startingCredits) }
+      }
+      const saved = settingId
+        ? await updateSettingTemplate(settingId, data)
+        : await createSettingTemplate(data)
+      navigate(`/worlds?setting=${saved.setting}`)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="character-creator setting-builder">
+      <h1>🛠️ {settingId ? 'Edit Setting' : 'Build a Setting'}</h1>
+
+      <ol className="builder-steps">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={index === step ? 'active' : index < step ? 'done' : ''}
+            onClick={() => setStep(index)}
+          >
+            {label}
+          </li>
+        ))}
+      </ol>
+
+      <div className="creator-form">
+        {step === 0 && (
+          <div className="form-section">
+            <h2>Basics</h2>
+            <div className="form-group">
+              <label>Setting Name</label>
+              <input
+                type="text"
+                value={setting.name}
+                onChange={e => update({ name: e.target.value })}
+                placeholder="Emberfall"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Description</label>
+              <textarea
+                value={setting.description}
+                onChange={e => update({ description: e.target.value })}
+                placeholder="Volcanic isles ruled by fire cults..."
+                rows={3}
+              />
+            </div>
+            <div className="builder-row">
+              <div className="form-group">
+                <label>Currency unit</label>
+                <input
+                  type="text"
+                  value={setting.economy.currencyUnit}
+                  onChange={e => update({ economy: { ...setting.economy, currencyUnit: e.target.value } })}
+                />
+              </div>
+              <div className="form-group">
+                <label>Starting funds</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={setting.economy.startingCredits}
+                  onChange={e => update({ economy: { ...setting.economy, startingCredits: e.target.value } })}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === 1 && (
+          <div className="form-section">
+            <h2>Attributes</h2>
+            <p className="setting-hint">3-8 attributes; keys are 2-6 letters, e.g. MIG for Might.</p>
+            {setting.attributes.map((attr, index) => (
+              <div key={index} className="builder-row">
+                <input
+                  type="text"
+                  className="builder-key"
+                  value={attr.key}
+                  onChange={e => updateAttribute(index, { key: e.target.value.toUpperCase() })}
+                  placeholder="KEY"
+                />
+                <input
+                  type="text"
+                  value={attr.name}
+                  onChange={e => updateAttribute(index, { name: e.target.value })}
+                  placeholder="Full name"
+                />
+                <button
+                  type="button"
+                  className="btn btn-small"
+                  onClick={() => update({ attributes: setting.attributes.filter((_, i) => i !== index) })}
+                  disabled={setting.attributes.length <= 3}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={() => update({ attributes: [...setting.attributes, { key: '', name: '' }] })}
+              disabled={setting.attributes.length >= 8}
+            >
+              + Attribute
+            </button>
+
+            <div className="builder-row">
+              {[['initiativeAttribute', 'Initiative'], ['hitPointAttribute', 'Hit points']].map(([field, label]) => (
+                <div key={field} className="form-group">
+                  <label>{label} from</label>
+                  <select value={setting[field]} onChange={e => update({ [field]: e.target.value })}>
+                    <option value="">Automatic</option>
+                    {attributeKeys.map(key => <option key={key} value={key}>{key}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {step === 2 && (
+          <div className="form-section">
+            <h2>Classes & Skills</h2>
+            <div className="form-group">
+              <label>Classes (comma-separated)</label>
+              <input
+                type="text"
+                value={setting.classes}
+                onChange={e => update({ classes: e.target.value })}
+                placeholder="Ashwalker, Flamecaller"
+              />
+            </div>
+            <label>Skills</label>
+            {setting.skills.map((skill, index) => (
+              <div key={index} className="builder-row">
+                <input
+                  type="text"
+                  value={skill.name}
+                  onChange={e => updateSkill(index, { name: e.target.value })}
+                  placeholder="Skill name"
+                />
+                <select value={skill.attribute} onChange={e => updateSkill(index, { attribute: e.target.value })}>
+                  {attributeKeys.map(key => <option key={key} value={key}>{key}</option>)}
+                </select>
+                <button
+                  type="button"
+                  className="btn btn-small"
+                  onClick={() => update({ skills: setting.skills.filter((_, i) => i !== index) })}
+                  disabled={setting.skills.length <= 1}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={() => update({ skills: [...setting.skills, { name: '', attribute: attributeKeys[0] || '' }] })}
+            >
+              + Skill
+            </button>
+          </div>
+        )}
+
+        {step === 3 && (
+          <div className="form-section">
+            <h2>Flavor</h2>
+            <div className="form-group">
+              <label>Typical locations (comma-separated)</label>
+              <input
+                type="text"
+                value={setting.flavor.locations}
+                onChange={e => update({ flavor: { ...setting.flavor, locations: e.target.value } })}
+                placeholder="caldera, obsidian market, ash fields"
+              />
+            </div>
+            {FLAVOR_FIELDS.map(({ key, label, placeholder }) => (
+              <div key={key} className="form-group">
+                <label>{label}</label>
+                <input
+                  type="text"
+                  value={setting.flavor[key] || ''}
+                  onChange={e => update({ flavor: { ...setting.flavor, [key]: e.target.value } })}
+                  placeholder={placeholder}
+                />
+              </div>
+            ))}
+            <div className="form-group">
+              <label>Forbidden elements (comma-separated)</label>
+              <input
+                type="text"
+                value={setting.forbidden}
+                onChange={e => update({ forbidden: e.target.value })}
+                placeholder="gunpowder, steel"
+              />
+            </div>
+            <div className="form-group">
+              <label>Always present (comma-separated)</label>
+              <input
+                type="text"
+                value={setting.required}
+                onChange={e => update({ required: e.target.value })}
+                placeholder="smouldering heat"
+              />
+            </div>
+          </div>
+        )}
+
+        {step === 4 && (
+          <div className="form-section">
+            <h2>Review</h2>
+            <dl className="builder-review">
+              <dt>Name</dt><dd>{setting.name || '—'}</dd>
+              <dt>Attributes</dt><dd>{setting.attributes.map(a => `${a.key} (${a.name || a.key})`).join(', ')}</dd>
+              <dt>Classes</dt><dd>{setting.classes || '—'}</dd>
+              <dt>Skills</dt><dd>{setting.skills.filter(s => s.name).map(s => `${s.name} (${s.attribute})`).join(', ') || '—'}</dd>
+              <dt>Starting funds</dt><dd>{setting.economy.startingCredits} {setting.economy.currencyUnit}</dd>
+              <dt>Forbidden</dt><dd>{setting.forbidden || '—'}</dd>
+            </dl>
+          </div>
+        )}
+
+        {error && <p className="builder-error">{error}</p>}
+
+        <div className="form-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => step === 0 ? navigate('/worlds') : setStep(step - 1)}
+          >
+            {step === 0 ? 'Cancel' : 'Back'}
+          </button>
+          {step < STEPS.length - 1 ? (
+            <button type="button" className="btn btn-primary" onClick={() => setStep(step + 1)}>
+              Next
+            </button>
+          ) : (
+            <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving || !setting.name}>
+              {saving ? 'Saving...' : 'Save Setting'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SettingBuilder
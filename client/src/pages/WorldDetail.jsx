@@ -3,6 +3,9 @@ import { useParams, useNavigate, Link } from 'react-router-dom'
 import { getWorld } from '../api/worlds'
 import { getCharacters, createCharacter } from '../api/characters'
 import { getSessions, createSession } from '../api/sessions'
+import WorldCodex from '../components/WorldCodex'
+import RelationshipGraph from '../components/RelationshipGraph'
+import FactionPanel from '../components/FactionPanel'
 
 function WorldDetail() {
   const { id } = useParams()
@@ -135,6 +138,18 @@ function WorldDetail() {
         >
           Lore
         </button>
+        <button 
+          className={`tab ${activeTab === 'relationships' ? 'active' : ''}`}
+          onClick={() => setActiveTab('relationships')}
+        >
+          Relationships
+        </button>
+        <button 
+          className={`tab ${activeTab === 'factions' ? 'active' : ''}`}
+          onClick={() => setActiveTab('factions')}
+        >
+          Factions
+        </button>
       </nav>
 
       <section className="tab-content">
@@ -207,15 +222,11 @@ function WorldDetail() {
           </div>
         )}
 
-        {activeTab === 'lore' && (
-          <div className="lore-section">
-            <h2>World Lore</h2>
-            <div className="empty-state small">
-              <p>Lore management coming soon...</p>
-              <p>Use the AI to generate locations, NPCs, and quests!</p>
-            </div>
-          </div>
-        )}
+        {activeTab === 'lore' && <WorldCodex worldId={id} />}
+
+        {activeTab === 'relationships' && <RelationshipGraph worldId={id} />}
+
+        {activeTab === 'factions' && <FactionPanel worldId={id} />}
       </section>
 
       {/* Character Selection Modal */}
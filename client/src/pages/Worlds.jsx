@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import { getWorlds, createWorld, deleteWorld } from '../api/worlds'
+import { getSettings, getSettingExportUrl, importSettingBundle } from '../api/templates'
 
 const SETTING_TEMPLATES = [
   { id: 'fantasy', name: 'High Fantasy', description: 'Swords, sorcery, and epic quests', emoji: '⚔️' },
@@ -9,7 +10,10 @@ const SETTING_TEMPLATES = [
   { id: 'modern', name: 'Modern', description: 'Contemporary setting with a twist', emoji: '🏙️' },
   { id: 'steampunk', name: 'Steampunk', description: 'Victorian era meets advanced technology', emoji: '⚙️' },
   { id: 'post-apocalyptic', name: 'Post-Apocalyptic', description: 'Survival in a ruined world', emoji: '☢️' },
-  { id: 'custom', name: 'Custom', description: 'Build your own setting from scratch', emoji: '✨' },
+  { id: 'western', name: 'Western', description: 'Frontier towns and outlaws', emoji: '🤠' },
+  { id: 'cyberpunk', name: 'Cyberpunk', description: 'Neon megacities and chrome', emoji: '🌆' },
+  { id: 'superhero', name: 'Superhero', description: 'Costumed heroes and cities in peril', emoji: '🦸' },
+  { id: 'custom', name: 'Custom', description: 'Generic placeholder attributes', emoji: '✨' },
 ]
 
 function Worlds() {
@@ -18,12 +22,32 @@ function Worlds() {
   const [showCreate, setShowCreate] = useState(false)
   const [newWorld, setNewWorld] = useState({ name: '', setting: '', description: '' })
   const [creating, setCreating] = useState(false)
+  const [customSettings, setCustomSettings] = useState([])
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
 
   useEffect(() => {
     loadWorlds()
+    loadSettings()
   }, [])
 
+  async function loadSettings() {
+    try {
+      const settings = await getSettings()
+      const custom = settings.filter(s => !s.builtin).map(s => ({ ...s, emoji: '🛠️' }))
+      setCustomSettings(custom)
+
+      // Coming back from the setting builder: start a world in the new setting
+      const built = custom.find(s => s.id === searchParams.get('setting'))
+      if (built) {
+        setNewWorld(prev => ({ ...prev, setting: built.id, name: prev.name || `My ${built.name} World` }))
+        setShowCreate(true)
+      }
+    } catch (error) {
+      console.error('Failed to load settings:', error)
+    }
+  }
+
   async function loadWorlds() {
     try {
       const data = await getWorlds()
@@ -75,6 +99,28 @@ function Worlds() {
     }
   }
 
+  async function handleImportSetting(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const bundle = JSON.parse(await file.text())
+      let imported
+      try {
+        imported = await importSettingBundle(bundle)
+      } catch (error) {
+        if (error.status !== 409 || !confirm(`${error.message}\n\nImport it as a copy?`)) throw error
+        imported = await importSettingBundle(bundle, 'rename')
+      }
+      await loadSettings()
+      alert(`Imported "${imported.name}"`)
+    } catch (error) {
+      console.error('Failed to import setting:', error)
+      alert(`Failed to import setting: ${error.message}`)
+    }
+  }
+
   function selectTemplate(template) {
     setNewWorld({
       ...newWorld,
@@ -91,9 +137,15 @@ function Worlds() {
     <div className="worlds-page">
       <header className="page-header">
         <h1>🌍 Worlds</h1>
-        <button className="btn btn-primary" onClick={() => setShowCreate(true)}>
-          + Create World
-        </button>
+        <div className="page-header-actions">
+          <label className="btn btn-secondary">
+            Import Setting
+            <input type="file" accept=".json,application/json" onChange={handleImportSetting} hidden />
+          </label>
+          <button className="btn btn-primary" onClick={() => setShowCreate(true)}>
+            + Create World
+          </button>
+        </div>
       </header>
 
       {showCreate && (
@@ -116,7 +168,7 @@ function Worlds() {
               <div className="form-group">
                 <label>Setting Template</label>
                 <div className="template-grid">
-                  {SETTING_TEMPLATES.map(template => (
+                  {[...SETTING_TEMPLATES, ...customSettings].map(template => (
                     <div
                       key={template.id}
                       className={`template-card ${newWorld.setting === template.id ? 'selected' : ''}`}
@@ -125,8 +177,19 @@ function Worlds() {
                       <span className="template-emoji">{template.emoji}</span>
                       <strong>{template.name}</strong>
                       <small>{template.description}</small>
+                      <span className="template-links" onClick={e => e.stopPropagation()}>
+                        {template.builtin === false && (
+                          <Link to={`/settings/${template.id}/edit`}>Edit</Link>
+                        )}
+                        <a href={getSettingExportUrl(template.id)} download={`${template.id}.setting.json`}>Export</a>
+                      </span>
                     </div>
                   ))}
+                  <Link to="/settings/new" className="template-card template-card-new">
+                    <span className="template-emoji">➕</span>
+                    <strong>Build a Setting</strong>
+                    <small>Your own attributes, classes, skills and rules</small>
+                  </Link>
                 </div>
               </div>
 
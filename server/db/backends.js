@@ -0,0 +1,115 @@
+/**
+ * Database backends
+ *
+ * Both expose the same small interface used by db/init.js:
+ * - all(sql, params): rows as objects
+ * - run(sql, params): { changes }
+ * - exec(sql): run one or more statements without results
+ * - close()
+ * sql.js keeps the database in memory and also has export() for saving to disk;
+ * the native backend (better-sqlite3, WAL journal) writes through to the file.
+ */
+
+import initSqlJs from 'sql.js';
+import { existsSync, readFileSync } from 'fs';
+
+// Neither driver binds booleans or undefined the same way, so normalize them
+function bindable(params) {
+  return params.map(value => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  });
+}
+
+/**
+ * In-memory sql.js database, loaded from `path` when the file exists
+ */
+export async function createSqlJsBackend(path) {
+  const SQL = await initSqlJs();
+  const loaded = existsSync(path);
+  const database = loaded ? new SQL.Database(readFileSync(path)) : new SQL.Database();
+
+  return {
+    name: 'sql.js',
+    loaded,
+    writesThrough: false,
+
+    all(sql, params = []) {
+      const stmt = database.prepare(sql);
+      if (params.length) stmt.bind(bindable(params));
+
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      stmt.free();
+      return rows;
+    },
+
+    run(sql, params = []) {
+      database.run(sql, bindable(params));
+      return { changes: database.getRowsModified() };
+    },
+
+    exec(sql) {
+      database.exec(sql);
+    },
+
+    export() {
+      return database.export();
+    },
+
+    close() {
+      database.close();
+    }
+  };
+}
+
+/**
+ * File-backed SQLite through better-sqlite3 (an optional dependency)
+ */
+export async function createNativeBackend(path) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch {
+    throw new Error('DB_DRIVER=native needs the better-sqlite3 package (npm install better-sqlite3 in server/)');
+  }
+
+  const loaded = existsSync(path);
+  const database = new Database(path);
+  database.pragma('journal_mode = WAL');
+
+  return {
+    name: 'native',
+    loaded,
+    writesThrough: true,
+
+    all(sql, params = []) {
+      const stmt = database.prepare(sql);
+      if (!stmt.reader) {
+        stmt.run(bindable(params));
+        return [];
+      }
+      return stmt.all(bindable(params));
+    },
+
+    run(sql, params = []) {
+      return { changes: database.prepare(sql).run(bindable(params)).changes };
+    },
+
+    exec(sql) {
+      database.exec(sql);
+    },
+
+    close() {
+      database.close();
+    }
+  };
+}
+
+export const BACKENDS = {
+  sqljs: createSqlJsBackend,
+  native: createNativeBackend
+};
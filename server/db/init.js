@@ -1,20 +1,33 @@
 /**
  * Database initialization
- * Uses sql.js (pure JS SQLite) for persistence
+ * Uses sql.js (pure JS SQLite) by default, or native SQLite with DB_DRIVER=native
+ *
+ * sql.js keeps the database in memory. Writes mark it dirty and a save is
+ * debounced (DB_SAVE_DELAY_MS, default 200ms, never more than 2s behind);
+ * saves write a temp file and rename it over rpg.db so a crash cannot leave
+ * a half-written file. closeDatabase() flushes on shutdown.
+ *
+ * The schema lives in db/migrations (see migrate.js).
  */
 
-import initSqlJs from 'sql.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync, writeFileSync, renameSync } from 'fs';
+import { BACKENDS } from './backends.js';
+import { runMigrations, migrationLabel } from './migrate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const DB_PATH = process.env.DB_PATH || join(__dirname, '../../data/rpg.db');
+const SAVE_DELAY_MS = Number(process.env.DB_SAVE_DELAY_MS ?? 200);
+const SAVE_MAX_DELAY_MS = 2000;
 
 let db = null;
-let SQL = null;
+let dirty = false;
+let saveTimer = null;
+let firstUnsavedAt = null;
+let transactionDepth = 0;
 
 export function getDb() {
   if (!db) {
@@ -23,25 +36,89 @@ export function getDb() {
   return db;
 }
 
-// Save database to file
+/**
+ * Write the database to disk now (atomically), cancelling any pending save
+ * A no-op for the native backend, which writes through
+ */
 export function saveDatabase() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  firstUnsavedAt = null;
+
+  if (!db || db.writesThrough) return;
+  if (transactionDepth > 0) {
+    // Saved when the outermost transaction commits
+    dirty = true;
+    return;
+  }
+
+  const tempPath = `${DB_PATH}.tmp`;
+  writeFileSync(tempPath, Buffer.from(db.export()));
+  renameSync(tempPath, DB_PATH);
+  dirty = false;
+}
+
+// Debounce saves so a burst of writes costs one export
+function scheduleSave() {
+  if (db.writesThrough) return;
+  dirty = true;
+  if (transactionDepth > 0) return;
+  if (SAVE_DELAY_MS <= 0) return saveDatabase();
+
+  const now = Date.now();
+  firstUnsavedAt = firstUnsavedAt ?? now;
+  const delay = Math.min(SAVE_DELAY_MS, Math.max(0, firstUnsavedAt + SAVE_MAX_DELAY_MS - now));
+
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveDatabase, delay);
+  // Pending saves do not keep the process alive; beforeExit flushes them
+  saveTimer.unref();
+}
+
+/**
+ * Save anything pending and close the database
+ */
+export function closeDatabase() {
   if (!db) return;
-  const data = db.export();
-  const buffer = Buffer.from(data);
-  writeFileSync(DB_PATH, buffer);
+  if (dirty) saveDatabase();
+  db.close();
+  db = null;
 }
 
-// Auto-save wrapper for write operations
-export function runWithSave(sql, params = []) {
-  const result = db.run(sql, params);
-  saveDatabase();
+/**
+ * Run several writes as one unit: all of them are kept or none are
+ * The callback must be synchronous (other requests would otherwise run
+ * inside the transaction). Nested calls use savepoints.
+ */
+export function transaction(fn) {
+  const nested = transactionDepth > 0;
+  const savepoint = `sp_${transactionDepth}`;
+  db.exec(nested ? `SAVEPOINT ${savepoint}` : 'BEGIN');
+  transactionDepth++;
+
+  let result;
+  try {
+    result = fn();
+    if (typeof result?.then === 'function') {
+      throw new Error('transaction() callbacks must be synchronous');
+    }
+  } catch (error) {
+    transactionDepth--;
+    db.exec(nested ? `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}` : 'ROLLBACK');
+    throw error;
+  }
+
+  transactionDepth--;
+  db.exec(nested ? `RELEASE ${savepoint}` : 'COMMIT');
+  if (!nested && dirty) scheduleSave();
   return result;
 }
 
-export async function initDatabase() {
-  // Initialize SQL.js
-  SQL = await initSqlJs();
-
+/**
+ * Open the database and bring its schema up to date
+ * Pass { migrate: false } to open it as-is (the migrate CLI does this)
+ */
+export async function initDatabase({ migrate = true } = {}) {
   // Ensure data directory exists
   const dataDir = dirname(DB_PATH);
   if (!existsSync(dataDir)) {
@@ -49,124 +126,29 @@ export async function initDatabase() {
   }
 
   // Load existing database or create new one
-  if (existsSync(DB_PATH)) {
-    const fileBuffer = readFileSync(DB_PATH);
-    db = new SQL.Database(fileBuffer);
-    console.log('📚 Database loaded from', DB_PATH);
-  } else {
-    db = new SQL.Database();
-    console.log('📚 Creating new database at', DB_PATH);
+  const driver = process.env.DB_DRIVER || 'sqljs';
+  const createBackend = BACKENDS[driver];
+  if (!createBackend) {
+    throw new Error(`Unknown DB_DRIVER: ${driver} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
   }
 
-  // Create tables
-  db.run(`
-    -- Worlds table
-    CREATE TABLE IF NOT EXISTS worlds (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      setting TEXT NOT NULL,
-      description TEXT,
-      config TEXT DEFAULT '{}',
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    -- Characters table
-    CREATE TABLE IF NOT EXISTS characters (
-      id TEXT PRIMARY KEY,
-      world_id TEXT NOT NULL,
-      player_id TEXT,
-      name TEXT NOT NULL,
-      class TEXT,
-      level INTEGER DEFAULT 1,
-      xp INTEGER DEFAULT 0,
-      attributes TEXT DEFAULT '{}',
-      skills TEXT DEFAULT '{}',
-      inventory TEXT DEFAULT '[]',
-      backstory TEXT,
-      notes TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
-    )
-  `);
-
-  db.run(`
-    -- Sessions table (game sessions)
-    CREATE TABLE IF NOT EXISTS sessions (
-      id TEXT PRIMARY KEY,
-      world_id TEXT NOT NULL,
-      name TEXT,
-      state TEXT DEFAULT '{}',
-      current_scene TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
-    )
-  `);
-
-  db.run(`
-    -- Session history (messages/events)
-    CREATE TABLE IF NOT EXISTS session_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      session_id TEXT NOT NULL,
-      role TEXT NOT NULL,
-      content TEXT NOT NULL,
-      metadata TEXT DEFAULT '{}',
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-    )
-  `);
-
-  db.run(`
-    -- Session participants
-    CREATE TABLE IF NOT EXISTS session_participants (
-      session_id TEXT NOT NULL,
-      character_id TEXT NOT NULL,
-      joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      PRIMARY KEY (session_id, character_id),
-      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
-      FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
-    )
-  `);
-
-  db.run(`
-    -- World templates (pre-built settings)
-    CREATE TABLE IF NOT EXISTS templates (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      setting TEXT NOT NULL,
-      description TEXT,
-      config TEXT NOT NULL,
-      is_builtin INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Create indexes
-  db.run(`CREATE INDEX IF NOT EXISTS idx_characters_world ON characters(world_id)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_world ON sessions(world_id)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_history_session ON session_history(session_id)`);
-
-  // Save initial schema
-  saveDatabase();
+  db = await createBackend(DB_PATH);
+  console.log(db.loaded ? '📚 Database loaded from' : '📚 Creating new database at', DB_PATH, `(${db.name})`);
+
+  if (migrate) {
+    const result = await runMigrations(db);
+    for (const migration of result.applied) {
+      console.log(`🗃️ Applied migration ${migrationLabel(migration)}: ${migration.description}`);
+    }
+    if (result.applied.length) saveDatabase();
+  }
 
   return db;
 }
 
-// Helper to convert sql.js results to array of objects
+// Helper to convert query results to array of objects
 export function queryAll(sql, params = []) {
-  const stmt = db.prepare(sql);
-  if (params.length) stmt.bind(params);
-  
-  const results = [];
-  while (stmt.step()) {
-    results.push(stmt.getAsObject());
-  }
-  stmt.free();
-  return results;
+  return db.all(sql, params);
 }
 
 // Helper for single row queries
@@ -175,11 +157,16 @@ export function queryOne(sql, params = []) {
   return results[0] || null;
 }
 
-// Helper for insert/update/delete with auto-save
+// Helper for insert/update/delete; the save to disk is batched
 export function execute(sql, params = []) {
-  db.run(sql, params);
-  saveDatabase();
-  return { changes: db.getRowsModified() };
+  const result = db.run(sql, params);
+  scheduleSave();
+  return result;
 }
 
-export default { initDatabase, getDb, saveDatabase, queryAll, queryOne, execute };
+// Flush a pending save when the event loop empties (e.g. scripts and tests)
+process.on('beforeExit', () => {
+  if (db && dirty) saveDatabase();
+});
+
+export default { initDatabase, getDb, saveDatabase, closeDatabase, transaction, queryAll, queryOne, execute };
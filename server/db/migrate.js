@@ -0,0 +1,200 @@
+/**
+ * Schema migrations
+ *
+ * Migrations are db/migrations/NNN_name.js files exporting a `description`
+ * and a synchronous `up(db)`, where `db` is a backend from backends.js.
+ * Each one runs in its own savepoint and is recorded in the schema_version
+ * table, so a failing migration leaves the database at the last good version.
+ * initDatabase() applies pending migrations on startup.
+ *
+ * CLI (from server/):
+ *   npm run migrate                 apply pending migrations
+ *   npm run migrate -- status       list applied and pending migrations
+ *   npm run migrate -- --dry-run    run pending migrations, then roll them back
+ */
+
+import { readdirSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load the migration files in version order
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+
+  for (const file of readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const module = await import(pathToFileURL(join(dir, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up() function`);
+    }
+
+    migrations.push({
+      version: Number(match[1]),
+      name: match[2],
+      description: module.description || match[2],
+      up: module.up
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Migrations recorded in schema_version (none for databases that predate it)
+ */
+export function getAppliedMigrations(db) {
+  const table = db.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`);
+  if (!table.length) return [];
+  return db.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+}
+
+/**
+ * Current and latest versions plus the migrations still to run
+ */
+export async function migrationStatus(db, migrations) {
+  migrations = migrations || await loadMigrations();
+  const applied = getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  return {
+    current: applied.at(-1)?.version ?? 0,
+    latest: migrations.at(-1)?.version ?? 0,
+    applied,
+    pending: migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(({ version, name, description }) => ({ version, name, description }))
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * With dryRun every migration runs against the real data and is then rolled
+ * back, so failures show up without changing anything.
+ */
+export async function runMigrations(db, { dryRun = false, migrations } = {}) {
+  migrations = migrations || await loadMigrations();
+  const status = await migrationStatus(db, migrations);
+
+  if (status.current > status.latest) {
+    throw new Error(`Database schema version ${status.current} is newer than this server knows (${status.latest}); update the server`);
+  }
+
+  const pendingVersions = new Set(status.pending.map(migration => migration.version));
+  const pending = migrations.filter(migration => pendingVersions.has(migration.version));
+  const applied = [];
+
+  if (dryRun) db.exec('BEGIN');
+  try {
+    for (const migration of pending) {
+      const label = migrationLabel(migration);
+      db.exec('SAVEPOINT migration');
+      try {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        migration.up(db);
+        db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        db.exec('RELEASE migration');
+      } catch (error) {
+        db.exec('ROLLBACK TO migration; RELEASE migration');
+        throw new Error(`Migration ${label} failed: ${error.message}`, { cause: error });
+      }
+      applied.push({ version: migration.version, name: migration.name, description: migration.description });
+    }
+  } finally {
+    if (dryRun) db.exec('ROLLBACK');
+  }
+
+  return {
+    dryRun,
+    from: status.current,
+    to: applied.at(-1)?.version ?? status.current,
+    applied
+  };
+}
+
+/**
+ * Add a column unless the table already has it
+ * (for databases whose schema was created before migrations existed)
+ */
+export function addColumn(db, table, column, definition) {
+  const columns = db.all(`PRAGMA table_info(${table})`).map(row => row.name);
+  if (!columns.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+export function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+async function main(args) {
+  const command = args.find(arg => !arg.startsWith('--')) || 'up';
+  const dryRun = args.includes('--dry-run');
+  if (!['up', 'status'].includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected up or status)`);
+  }
+
+  // Imported here because init.js itself imports this module
+  const { initDatabase, getDb, saveDatabase, closeDatabase } = await import('./init.js');
+  await initDatabase({ migrate: false });
+
+  try {
+    if (command === 'status') {
+      const status = await migrationStatus(getDb());
+      console.log(`Schema version ${status.current} (latest ${status.latest})`);
+      for (const row of status.applied) {
+        console.log(`  ✓ ${migrationLabel(row)}  applied ${row.applied_at}`);
+      }
+      for (const migration of status.pending) {
+        console.log(`  • ${migrationLabel(migration)}  pending: ${migration.description}`);
+      }
+      return;
+    }
+
+    const result = await runMigrations(getDb(), { dryRun });
+    if (!result.applied.length) {
+      console.log(`Schema is up to date (version ${result.from})`);
+      return;
+    }
+    for (const migration of result.applied) {
+      console.log(`  ${dryRun ? 'would apply' : 'applied'} ${migrationLabel(migration)}: ${migration.description}`);
+    }
+    if (dryRun) {
+      console.log(`Dry run: version ${result.from} → ${result.to} succeeded and was rolled back`);
+    } else {
+      saveDatabase();
+      console.log(`Migrated version ${result.from} → ${result.to}`);
+    }
+  } finally {
+    closeDatabase();
+  }
+}
+
+if (process.argv[1] === __filename) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
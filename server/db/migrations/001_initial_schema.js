@@ -0,0 +1,216 @@
+/**
+ * Baseline schema: worlds, characters, sessions, combat, quests and the world codex
+ * Uses IF NOT EXISTS so databases created before migrations upgrade cleanly
+ */
+
+export const description = 'Baseline schema';
+
+export function up(db) {
+  db.exec(`
+    -- Worlds table
+    CREATE TABLE IF NOT EXISTS worlds (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      setting TEXT NOT NULL,
+      description TEXT,
+      config TEXT DEFAULT '{}',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    -- Characters table
+    CREATE TABLE IF NOT EXISTS characters (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      player_id TEXT,
+      name TEXT NOT NULL,
+      class TEXT,
+      level INTEGER DEFAULT 1,
+      xp INTEGER DEFAULT 0,
+      attributes TEXT DEFAULT '{}',
+      skills TEXT DEFAULT '{}',
+      inventory TEXT DEFAULT '[]',
+      backstory TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- Sessions table (game sessions)
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      name TEXT,
+      state TEXT DEFAULT '{}',
+      current_scene TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- Session history (messages/events)
+    CREATE TABLE IF NOT EXISTS session_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      metadata TEXT DEFAULT '{}',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- Session participants
+    CREATE TABLE IF NOT EXISTS session_participants (
+      session_id TEXT NOT NULL,
+      character_id TEXT NOT NULL,
+      joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (session_id, character_id),
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- World templates (pre-built settings)
+    CREATE TABLE IF NOT EXISTS templates (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      setting TEXT NOT NULL,
+      description TEXT,
+      config TEXT NOT NULL,
+      is_builtin INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    -- Combat encounters
+    CREATE TABLE IF NOT EXISTS encounters (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      name TEXT,
+      status TEXT DEFAULT 'active',
+      round INTEGER DEFAULT 1,
+      turn_index INTEGER DEFAULT 0,
+      outcome TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      ended_at TEXT,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- Combatants in an encounter (player characters, session NPCs, ad-hoc enemies)
+    CREATE TABLE IF NOT EXISTS encounter_combatants (
+      id TEXT PRIMARY KEY,
+      encounter_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      character_id TEXT,
+      npc_id TEXT,
+      name TEXT NOT NULL,
+      max_hp INTEGER NOT NULL,
+      hp INTEGER NOT NULL,
+      armor INTEGER DEFAULT 10,
+      initiative INTEGER DEFAULT 0,
+      conditions TEXT DEFAULT '[]',
+      status TEXT DEFAULT 'active',
+      FOREIGN KEY (encounter_id) REFERENCES encounters(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- Quest log (objectives and rewards are JSON)
+    CREATE TABLE IF NOT EXISTS session_quests (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      giver_npc_id TEXT,
+      giver_name TEXT,
+      objectives TEXT DEFAULT '[]',
+      rewards TEXT DEFAULT '{}',
+      status TEXT DEFAULT 'active',
+      source TEXT DEFAULT 'manual',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      completed_at TEXT,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- World codex: lore entries (history, factions, quest hooks, ...)
+    CREATE TABLE IF NOT EXISTS world_lore (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      category TEXT DEFAULT 'lore',
+      title TEXT NOT NULL,
+      content TEXT DEFAULT '',
+      tags TEXT DEFAULT '[]',
+      details TEXT DEFAULT '{}',
+      source TEXT DEFAULT 'manual',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- World codex: NPCs that exist across every session in the world
+    CREATE TABLE IF NOT EXISTS world_npcs (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      role TEXT DEFAULT '',
+      appearance TEXT DEFAULT '',
+      personality TEXT DEFAULT '',
+      motivations TEXT DEFAULT '',
+      secrets TEXT DEFAULT '',
+      location TEXT DEFAULT '',
+      details TEXT DEFAULT '{}',
+      source TEXT DEFAULT 'manual',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    -- World codex: named places
+    CREATE TABLE IF NOT EXISTS world_locations (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      atmosphere TEXT DEFAULT '',
+      features TEXT DEFAULT '[]',
+      encounters TEXT DEFAULT '[]',
+      details TEXT DEFAULT '{}',
+      source TEXT DEFAULT 'manual',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create indexes
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_characters_world ON characters(world_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_world ON sessions(world_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_history_session ON session_history(session_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_encounters_session ON encounters(session_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_combatants_encounter ON encounter_combatants(encounter_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_quests_session ON session_quests(session_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_lore_world ON world_lore(world_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_world_npcs_world ON world_npcs(world_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_world_locations_world ON world_locations(world_id)`);
+}
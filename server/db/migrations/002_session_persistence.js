@@ -0,0 +1,136 @@
+/**
+ * Session entity tables used by the persistence manager:
+ * inventory, NPCs, buildings, vehicles, staff and discovered locations
+ */
+
+export const description = 'Session persistence tables';
+
+export function up(db) {
+  // Character Inventory Table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS character_inventory (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      character_id TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      item_name TEXT NOT NULL,
+      item_type TEXT DEFAULT 'item',
+      description TEXT,
+      quantity INTEGER DEFAULT 1,
+      properties TEXT DEFAULT '{}',
+      location TEXT DEFAULT 'inventory',
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // NPCs Table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_npcs (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      npc_name TEXT NOT NULL,
+      npc_type TEXT DEFAULT 'humanoid',
+      description TEXT,
+      location TEXT NOT NULL,
+      disposition TEXT DEFAULT 'neutral',
+      stats TEXT DEFAULT '{}',
+      inventory TEXT DEFAULT '[]',
+      dialogue_history TEXT DEFAULT '[]',
+      relationship_data TEXT DEFAULT '{}',
+      status TEXT DEFAULT 'alive',
+      notes TEXT DEFAULT '',
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Buildings/Structures Table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_buildings (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      building_name TEXT NOT NULL,
+      building_type TEXT DEFAULT 'structure',
+      location TEXT NOT NULL,
+      description TEXT,
+      size TEXT DEFAULT 'medium',
+      condition TEXT DEFAULT 'good',
+      owner TEXT,
+      properties TEXT DEFAULT '{}',
+      rooms TEXT DEFAULT '[]',
+      inventory TEXT DEFAULT '[]',
+      staff TEXT DEFAULT '[]',
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Ships/Vehicles Table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_vehicles (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      vehicle_name TEXT NOT NULL,
+      vehicle_type TEXT DEFAULT 'ship',
+      location TEXT NOT NULL,
+      description TEXT,
+      size TEXT DEFAULT 'medium',
+      condition TEXT DEFAULT 'good',
+      crew_capacity INTEGER DEFAULT 10,
+      cargo_capacity INTEGER DEFAULT 100,
+      speed INTEGER DEFAULT 5,
+      properties TEXT DEFAULT '{}',
+      crew TEXT DEFAULT '[]',
+      cargo TEXT DEFAULT '[]',
+      upgrades TEXT DEFAULT '[]',
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Staff/Crew Table (for buildings and vehicles)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_staff (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      staff_name TEXT NOT NULL,
+      staff_type TEXT DEFAULT 'worker',
+      assigned_to TEXT,
+      assigned_type TEXT,
+      role TEXT DEFAULT 'general',
+      skill_level INTEGER DEFAULT 1,
+      wages INTEGER DEFAULT 10,
+      description TEXT,
+      properties TEXT DEFAULT '{}',
+      status TEXT DEFAULT 'active',
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // World Locations/Areas Table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_locations (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      location_name TEXT NOT NULL,
+      location_type TEXT DEFAULT 'area',
+      description TEXT,
+      parent_location TEXT,
+      connections TEXT DEFAULT '[]',
+      npcs TEXT DEFAULT '[]',
+      buildings TEXT DEFAULT '[]',
+      items TEXT DEFAULT '[]',
+      properties TEXT DEFAULT '{}',
+      discovered_at INTEGER DEFAULT 0,
+      last_visited INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+}
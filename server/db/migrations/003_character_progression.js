@@ -0,0 +1,14 @@
+/**
+ * Character columns added after the baseline: unspent level-up points and credits
+ * Older databases may already have them from the pre-migration ensureColumn calls
+ */
+
+import { addColumn } from '../migrate.js';
+
+export const description = 'Character progression points and credits';
+
+export function up(db) {
+  addColumn(db, 'characters', 'unspent_attribute_points', 'INTEGER DEFAULT 0');
+  addColumn(db, 'characters', 'unspent_skill_points', 'INTEGER DEFAULT 0');
+  addColumn(db, 'characters', 'credits', 'INTEGER DEFAULT 0');
+}
@@ -0,0 +1,33 @@
+/**
+ * Wallet ledger: every change to a character's credits, with its reason
+ * characters.credits stays the balance; existing balances get an opening entry
+ */
+
+export const description = 'Character wallet ledger';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS character_transactions (
+      id TEXT PRIMARY KEY,
+      character_id TEXT NOT NULL,
+      session_id TEXT,
+      amount INTEGER NOT NULL,
+      balance_after INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      counterparty TEXT,
+      metadata TEXT DEFAULT '{}',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_transactions_character ON character_transactions(character_id, created_at)`);
+
+  db.exec(`
+    INSERT INTO character_transactions (id, character_id, amount, balance_after, reason, description)
+    SELECT lower(hex(randomblob(16))), id, credits, credits, 'starting', 'Opening balance'
+    FROM characters
+    WHERE credits IS NOT NULL AND credits != 0
+  `);
+}
@@ -0,0 +1,32 @@
+/**
+ * Shops: priced stock lists run by a session NPC, optionally in a building
+ * Stock levels restock towards their base quantity as in-game hours pass
+ */
+
+export const description = 'Session shops';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_shops (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      shop_name TEXT NOT NULL,
+      owner TEXT,
+      building_id TEXT,
+      location TEXT,
+      stock TEXT DEFAULT '[]',
+      buy_rate REAL DEFAULT 0.5,
+      haggle_dc INTEGER DEFAULT 15,
+      haggles TEXT DEFAULT '{}',
+      restock_hours INTEGER DEFAULT 24,
+      hours_since_restock REAL DEFAULT 0,
+      status TEXT DEFAULT 'open',
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (building_id) REFERENCES session_buildings(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_shops_session ON session_shops(session_id, location)`);
+}
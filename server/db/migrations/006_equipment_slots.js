@@ -0,0 +1,13 @@
+/**
+ * Equipment: an equipped inventory row has location 'equipped' and the
+ * setting's slot it occupies
+ */
+
+import { addColumn } from '../migrate.js';
+
+export const description = 'Equipment slots on inventory items';
+
+export function up(db) {
+  addColumn(db, 'character_inventory', 'slot', 'TEXT');
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_inventory_equipped ON character_inventory(character_id, location)`);
+}
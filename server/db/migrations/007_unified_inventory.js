@@ -0,0 +1,117 @@
+/**
+ * One inventory per character
+ *
+ * character_inventory becomes the only item store. session_id turns
+ * nullable: NULL rows belong to the character in every session, rows with a
+ * session_id are explicit session overlays.
+ * - Existing per-session rows were the inventory the GM saw and trades used,
+ *   so they become the character's own items; stacks with the same name merge
+ * - If several sessions equipped something in the same slot, the most
+ *   recently changed item stays equipped and the others go back in the pack
+ * - Items from the old characters.inventory JSON column are merged in and the
+ *   column is emptied
+ */
+
+import { v4 as uuid } from 'uuid';
+
+export const description = 'Unify character and session inventories';
+
+function normalizeLegacyItems(json) {
+  let items;
+  try {
+    items = JSON.parse(json || '[]');
+  } catch {
+    return [];
+  }
+  return (Array.isArray(items) ? items : [])
+    .map(item => typeof item === 'string' ? { name: item } : { ...item, name: item?.name || item?.item_name })
+    .filter(item => item.name);
+}
+
+export function up(db) {
+  const characters = new Set(db.all('SELECT id FROM characters').map(row => row.id));
+  const rows = db.all('SELECT * FROM character_inventory ORDER BY updated_at DESC')
+    .filter(row => characters.has(row.character_id));
+
+  const equipped = new Map();
+  const stacks = new Map();
+
+  const stack = row => {
+    const key = `${row.character_id}|${row.item_name.trim().toLowerCase()}`;
+    const existing = stacks.get(key);
+    if (existing) {
+      existing.quantity += Number(row.quantity) || 1;
+    } else {
+      stacks.set(key, { ...row, location: row.location === 'equipped' ? 'inventory' : row.location, slot: null });
+    }
+  };
+
+  for (const row of rows) {
+    const key = `${row.character_id}|${row.slot}`;
+    if (row.location === 'equipped' && row.slot && !equipped.has(key)) {
+      equipped.set(key, row);
+    } else {
+      stack(row);
+    }
+  }
+
+  const now = Date.now();
+  for (const character of db.all('SELECT id, inventory FROM characters')) {
+    for (const item of normalizeLegacyItems(character.inventory)) {
+      const id = uuid();
+      stack({
+        id,
+        character_id: character.id,
+        item_id: id,
+        item_name: item.name,
+        item_type: item.type || 'item',
+        description: item.description || '',
+        quantity: Math.max(1, Math.round(Number(item.quantity) || 1)),
+        properties: JSON.stringify(item.properties || {}),
+        location: 'inventory',
+        created_at: now,
+        updated_at: now
+      });
+    }
+  }
+
+  db.exec(`
+    CREATE TABLE character_inventory_unified (
+      id TEXT PRIMARY KEY,
+      session_id TEXT,
+      character_id TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      item_name TEXT NOT NULL,
+      item_type TEXT DEFAULT 'item',
+      description TEXT,
+      quantity INTEGER DEFAULT 1,
+      properties TEXT DEFAULT '{}',
+      location TEXT DEFAULT 'inventory',
+      slot TEXT,
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+    )
+  `);
+
+  for (const row of [...equipped.values(), ...stacks.values()]) {
+    db.run(
+      `INSERT INTO character_inventory_unified
+       (id, session_id, character_id, item_id, item_name, item_type, description, quantity, properties, location, slot, created_at, updated_at)
+       VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        row.id, row.character_id, row.item_id || row.id, row.item_name, row.item_type || 'item',
+        row.description || '', row.quantity, row.properties || '{}', row.location || 'inventory',
+        row.slot || null, row.created_at || now, row.updated_at || now
+      ]
+    );
+  }
+
+  db.exec('DROP TABLE character_inventory');
+  db.exec('ALTER TABLE character_inventory_unified RENAME TO character_inventory');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_inventory_equipped ON character_inventory(character_id, location)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_inventory_session ON character_inventory(session_id)');
+
+  db.exec(`UPDATE characters SET inventory = '[]'`);
+}
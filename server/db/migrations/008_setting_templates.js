@@ -0,0 +1,13 @@
+/**
+ * Setting templates: settings built in the setting builder
+ * templates.setting is the id worlds refer to, so it must be unique
+ */
+
+import { addColumn } from '../migrate.js';
+
+export const description = 'Custom setting templates';
+
+export function up(db) {
+  addColumn(db, 'templates', 'updated_at', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_templates_setting ON templates(setting)');
+}
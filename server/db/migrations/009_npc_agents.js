@@ -0,0 +1,15 @@
+/**
+ * NPC agents: the persona an NPC speaks with in dialogue mode
+ * voice is a VOICE_PATTERNS key; goals and secrets are JSON arrays of text
+ */
+
+import { addColumn } from '../migrate.js';
+
+export const description = 'NPC personas for dialogue';
+
+export function up(db) {
+  addColumn(db, 'session_npcs', 'voice', "TEXT DEFAULT ''");
+  addColumn(db, 'session_npcs', 'personality', "TEXT DEFAULT ''");
+  addColumn(db, 'session_npcs', 'goals', "TEXT DEFAULT '[]'");
+  addColumn(db, 'session_npcs', 'secrets', "TEXT DEFAULT '[]'");
+}
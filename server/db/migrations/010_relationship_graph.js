@@ -0,0 +1,97 @@
+/**
+ * Relationship graph: how one character or NPC feels about another
+ *
+ * Edges are directed (source feels this way about target) and belong to a
+ * world, so they outlive sessions. Nodes are { type, ref }: a character by
+ * id or an NPC by name. Every change is kept in relationship_history with
+ * its cause.
+ * - NPC attitudes kept in session_npcs.relationship_data were toward the
+ *   whole party, so they become one edge per session participant
+ */
+
+import { v4 as uuid } from 'uuid';
+
+export const description = 'Relationship graph';
+
+const DIMENSIONS = ['trust', 'respect', 'affection', 'fear'];
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS relationships (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      source_type TEXT NOT NULL,
+      source_ref TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_ref TEXT NOT NULL,
+      trust REAL DEFAULT 0,
+      respect REAL DEFAULT 0,
+      affection REAL DEFAULT 0,
+      fear REAL DEFAULT 0,
+      interaction_count INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_relationships_edge
+    ON relationships(world_id, source_type, source_ref COLLATE NOCASE, target_type, target_ref COLLATE NOCASE)
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS relationship_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      relationship_id TEXT NOT NULL,
+      session_id TEXT,
+      changes TEXT DEFAULT '{}',
+      cause TEXT,
+      created_at INTEGER DEFAULT 0,
+      FOREIGN KEY (relationship_id) REFERENCES relationships(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_relationship_history ON relationship_history(relationship_id, created_at)`);
+
+  const npcs = db.all(`
+    SELECT n.session_id, n.npc_name, n.relationship_data, s.world_id
+    FROM session_npcs n JOIN sessions s ON s.id = n.session_id
+    WHERE n.relationship_data IS NOT NULL AND n.relationship_data != '{}'
+  `);
+
+  const now = Date.now();
+  for (const npc of npcs) {
+    let data;
+    try {
+      data = JSON.parse(npc.relationship_data);
+    } catch {
+      continue;
+    }
+    const values = DIMENSIONS.map(dimension => Math.max(-1, Math.min(1, Number(data?.[dimension]) || 0)));
+    if (values.every(value => value === 0)) continue;
+
+    const participants = db.all('SELECT character_id FROM session_participants WHERE session_id = ?', [npc.session_id]);
+    for (const { character_id } of participants) {
+      const exists = db.all(
+        `SELECT id FROM relationships WHERE world_id = ? AND source_type = 'npc' AND source_ref = ? COLLATE NOCASE
+         AND target_type = 'character' AND target_ref = ?`,
+        [npc.world_id, npc.npc_name, character_id]
+      );
+      if (exists.length > 0) continue;
+
+      const id = uuid();
+      db.run(
+        `INSERT INTO relationships (id, world_id, source_type, source_ref, target_type, target_ref,
+         trust, respect, affection, fear, interaction_count, created_at, updated_at)
+         VALUES (?, ?, 'npc', ?, 'character', ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, npc.world_id, npc.npc_name, character_id, ...values, Number(data.interactionCount) || 1, now, now]
+      );
+      db.run(
+        `INSERT INTO relationship_history (relationship_id, session_id, changes, cause, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, npc.session_id, JSON.stringify(Object.fromEntries(DIMENSIONS.map((d, i) => [d, values[i]]))), 'Carried over from session', now]
+      );
+    }
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Factions: organisations in a world that NPCs belong to
+ * Stances between two factions are stored once, with faction_id < other_faction_id.
+ * Reputation is per character per faction, from -100 to 100, with a history
+ * of every change and its cause.
+ */
+
+import { addColumn } from '../migrate.js';
+
+export const description = 'Factions and reputation';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS factions (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      goals TEXT DEFAULT '[]',
+      created_at INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      FOREIGN KEY (world_id) REFERENCES worlds(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_factions_name ON factions(world_id, name COLLATE NOCASE)`);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS faction_stances (
+      faction_id TEXT NOT NULL,
+      other_faction_id TEXT NOT NULL,
+      stance TEXT DEFAULT 'neutral',
+      updated_at INTEGER DEFAULT 0,
+      PRIMARY KEY (faction_id, other_faction_id),
+      FOREIGN KEY (faction_id) REFERENCES factions(id) ON DELETE CASCADE,
+      FOREIGN KEY (other_faction_id) REFERENCES factions(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS faction_reputation (
+      faction_id TEXT NOT NULL,
+      character_id TEXT NOT NULL,
+      reputation INTEGER DEFAULT 0,
+      updated_at INTEGER DEFAULT 0,
+      PRIMARY KEY (faction_id, character_id),
+      FOREIGN KEY (faction_id) REFERENCES factions(id) ON DELETE CASCADE,
+      FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reputation_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      faction_id TEXT NOT NULL,
+      character_id TEXT NOT NULL,
+      session_id TEXT,
+      change INTEGER NOT NULL,
+      cause TEXT,
+      created_at INTEGER DEFAULT 0
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_reputation_history ON reputation_history(faction_id, character_id, created_at)`);
+
+  addColumn(db, 'session_npcs', 'faction_id', 'TEXT');
+}
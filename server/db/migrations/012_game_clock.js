@@ -0,0 +1,35 @@
+/**
+ * Game clock: in-game time per session
+ * sessions.game_time counts minutes from the start of the setting's calendar
+ * (NULL until time first passes). Timed events fire once the clock reaches
+ * them, repeating ones are rescheduled. Staff with an employer are paid
+ * from that character's wallet whenever wages_due_at comes around.
+ */
+
+import { addColumn } from '../migrate.js';
+
+export const description = 'Game clock and timed events';
+
+export function up(db) {
+  addColumn(db, 'sessions', 'game_time', 'INTEGER');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_events (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      due_at INTEGER NOT NULL,
+      repeat_minutes INTEGER,
+      status TEXT DEFAULT 'pending',
+      fired_at INTEGER,
+      created_at INTEGER DEFAULT 0,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_session_events_due ON session_events(session_id, status, due_at)`);
+
+  addColumn(db, 'session_staff', 'employer_id', 'TEXT');
+  addColumn(db, 'session_staff', 'wages_due_at', 'INTEGER');
+}
@@ -12,65 +12,103 @@ import sessionRoutes from './routes/sessions.js';
 import enhancedSessionRoutes from './routes/enhanced-sessions.js';
 import persistenceRoutes from './routes/persistence.js';
 import llmRoutes from './routes/llm.js';
-import { initDatabase } from './db/init.js';
+import combatRoutes from './routes/combat.js';
+import questRoutes from './routes/quests.js';
+import economyRoutes from './routes/economy.js';
+import templateRoutes from './routes/templates.js';
+import factionRoutes from './routes/factions.js';
+import clockRoutes from './routes/clock.js';
+import { initDatabase, closeDatabase } from './db/init.js';
+import { loadSettingTemplates } from './services/setting-templates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const fastify = Fastify({
-  logger: true
-});
-
 // Config - loaded from environment or config file
 const config = {
   port: process.env.PORT || 3001,
   host: process.env.HOST || '0.0.0.0',
-  llmBaseUrl: process.env.LLM_BASE_URL || 'http://127.0.0.1:8080/v1',
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173'
 };
 
-async function start() {
-  try {
-    // Initialize database
-    await initDatabase();
+/**
+ * Build the Fastify app with every route registered, without listening
+ * Tests drive it with fastify.inject()
+ */
+export async function buildServer({ logger = true } = {}) {
+  const fastify = Fastify({ logger });
 
-    // Register plugins
-    await fastify.register(cors, {
-      origin: config.corsOrigin
-    });
+  // Initialize database; closing the server flushes it to disk
+  await initDatabase();
+  fastify.addHook('onClose', async () => closeDatabase());
 
-    await fastify.register(websocket);
+  // Custom settings join the built-ins before any route needs them
+  loadSettingTemplates();
 
-    // Serve static files (for production)
-    const staticPath = join(__dirname, '../client/dist');
-    if (existsSync(staticPath)) {
-      await fastify.register(fastifyStatic, {
-        root: staticPath,
-        prefix: '/'
-      });
-    }
+  // Register plugins
+  await fastify.register(cors, {
+    origin: config.corsOrigin
+  });
+
+  await fastify.register(websocket);
 
-    // Register routes
-    await fastify.register(worldRoutes, { prefix: '/api/worlds' });
-    await fastify.register(characterRoutes, { prefix: '/api/characters' });
-    await fastify.register(sessionRoutes, { prefix: '/api/sessions' });
-    await fastify.register(enhancedSessionRoutes, { prefix: '/api/enhanced-sessions' });
-    await fastify.register(persistenceRoutes, { prefix: '/api/persistence' });
-    await fastify.register(llmRoutes, { prefix: '/api/llm' });
-
-    // Health check
-    fastify.get('/api/health', async () => {
-      return { status: 'ok', timestamp: new Date().toISOString() };
+  // Serve static files (for production)
+  const staticPath = join(__dirname, '../client/dist');
+  if (existsSync(staticPath)) {
+    await fastify.register(fastifyStatic, {
+      root: staticPath,
+      prefix: '/'
     });
+  }
+
+  // Register routes
+  await fastify.register(worldRoutes, { prefix: '/api/worlds' });
+  await fastify.register(characterRoutes, { prefix: '/api/characters' });
+  await fastify.register(sessionRoutes, { prefix: '/api/sessions' });
+  await fastify.register(enhancedSessionRoutes, { prefix: '/api/enhanced-sessions' });
+  await fastify.register(persistenceRoutes, { prefix: '/api/persistence' });
+  await fastify.register(llmRoutes, { prefix: '/api/llm' });
+  await fastify.register(combatRoutes, { prefix: '/api/combat' });
+  await fastify.register(questRoutes, { prefix: '/api/quests' });
+  await fastify.register(economyRoutes, { prefix: '/api/economy' });
+  await fastify.register(templateRoutes, { prefix: '/api/templates' });
+  await fastify.register(factionRoutes, { prefix: '/api/factions' });
+  await fastify.register(clockRoutes, { prefix: '/api/clock' });
+
+  // Health check
+  fastify.get('/api/health', async () => {
+    return { status: 'ok', timestamp: new Date().toISOString() };
+  });
+
+  return fastify;
+}
+
+async function start() {
+  let fastify;
+  try {
+    fastify = await buildServer();
 
     // Start server
     await fastify.listen({ port: config.port, host: config.host });
     console.log(`🎲 HumbBot RPG server running on http://${config.host}:${config.port}`);
 
+    // Finish in-flight requests and save the database before exiting
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, async () => {
+        console.log(`🛑 ${signal} received, shutting down`);
+        await fastify.close();
+        process.exit(0);
+      });
+    }
+
   } catch (err) {
-    fastify.log.error(err);
+    if (fastify) fastify.log.error(err);
+    else console.error(err);
     process.exit(1);
   }
 }
 
-start();
+// Only listen when run directly (not when imported by tests)
+if (process.argv[1] === __filename) {
+  start();
+}
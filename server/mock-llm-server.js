@@ -0,0 +1,178 @@
+/**
+ * Mock LLM Server
+ *
+ * A stand-in for llama.cpp (chat, port 8080) and the embedding server
+ * (port 8082) so the API can be exercised without a model:
+ * - OpenAI-compatible /v1/models, /v1/chat/completions (plain and streamed)
+ *   and /v1/embeddings
+ * - Replies come from a script (consumed in order), then fixtures matched
+ *   against the last user message or the JSON schema name, then defaults:
+ *   minimal schema-valid JSON for structured requests, fixed narration otherwise
+ * - Embeddings are hash-based, so the same text always gets the same vector
+ *
+ * Usage: node mock-llm-server.js [--port 8080] [--fixtures fixtures.json]
+ * A fixtures file is a JSON array of { "match" | "schema", "reply" }.
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { sampleFromSchema, hashEmbedding } from './services/llm-providers.js';
+
+const DEFAULT_REPLY = 'The Game Master nods. The world waits for your next move.';
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function matches(fixture, lastUser, schemaName) {
+  if (fixture.schema) return fixture.schema === schemaName;
+  if (fixture.match instanceof RegExp) return fixture.match.test(lastUser);
+  if (typeof fixture.match === 'string') return new RegExp(fixture.match, 'i').test(lastUser);
+  return false;
+}
+
+/**
+ * Create a mock server; call listen() to start it
+ * `script` replies are used first, one per chat request;
+ * `fixtures` are checked in order after that.
+ * Replies may be strings, objects (sent as JSON) or functions of the request body;
+ * a function may return a promise, which holds the reply until it settles.
+ */
+export function createMockLlmServer({ script = [], fixtures = [], model = 'mock-model' } = {}) {
+  const queue = [...script];
+  const requests = [];
+
+  const replyFor = async body => {
+    const lastUser = [...(body.messages || [])].reverse().find(m => m.role === 'user')?.content || '';
+    const jsonSchema = body.response_format?.json_schema;
+
+    let reply = queue.length > 0
+      ? queue.shift()
+      : fixtures.find(fixture => matches(fixture, lastUser, jsonSchema?.name))?.reply;
+
+    if (typeof reply === 'function') reply = await reply(body);
+    if (reply === undefined) {
+      reply = jsonSchema?.schema ? sampleFromSchema(jsonSchema.schema) : DEFAULT_REPLY;
+    }
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  };
+
+  const handleChat = async (body, res) => {
+    const content = await replyFor(body);
+
+    if (!body.stream) {
+      return sendJson(res, 200, {
+        id: `chatcmpl-${requests.length}`,
+        object: 'chat.completion',
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    for (const token of content.split(/(?<= )/)) {
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: token } }] })}\n\n`);
+    }
+    res.end('data: [DONE]\n\n');
+  };
+
+  const handleEmbeddings = (body, res) => {
+    const inputs = Array.isArray(body.input) ? body.input : [body.input ?? ''];
+    sendJson(res, 200, {
+      object: 'list',
+      model: body.model || model,
+      data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: hashEmbedding(input) }))
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    // Accept both /v1/... and bare paths, like llama.cpp
+    const path = req.url.split('?')[0].replace(/^\/v1/, '');
+
+    try {
+      if (req.method === 'GET' && path === '/models') {
+        return sendJson(res, 200, { object: 'list', data: [{ id: model, object: 'model' }] });
+      }
+      if (req.method === 'GET' && path === '/health') {
+        return sendJson(res, 200, { status: 'ok' });
+      }
+
+      if (req.method === 'POST' && (path === '/chat/completions' || path === '/embeddings')) {
+        const body = await readBody(req);
+        requests.push({ path, body });
+        return path === '/embeddings' ? handleEmbeddings(body, res) : await handleChat(body, res);
+      }
+
+      sendJson(res, 404, { error: `No mock for ${req.method} ${path}` });
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+
+  return {
+    server,
+    requests,
+    url: null,
+
+    // Chat requests seen so far, optionally only those for one schema
+    chatRequests(schemaName = null) {
+      return requests
+        .filter(r => r.path === '/chat/completions')
+        .map(r => r.body)
+        .filter(body => !schemaName || body.response_format?.json_schema?.name === schemaName);
+    },
+
+    // Queue replies for the next chat requests
+    enqueue(...replies) {
+      queue.push(...replies);
+    },
+
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+    },
+
+    async listen(port = 0, host = '127.0.0.1') {
+      await new Promise(resolve => server.listen(port, host, resolve));
+      this.url = `http://${host}:${server.address().port}/v1`;
+      return this.url;
+    },
+
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Run standalone: node mock-llm-server.js --port 8080 --fixtures fixtures.json
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  const fixtures = option('fixtures') ? JSON.parse(readFileSync(option('fixtures'), 'utf8')) : [];
+  const mock = createMockLlmServer({ fixtures });
+  const url = await mock.listen(Number(option('port') || 8080), option('host') || '127.0.0.1');
+  console.log(`🤖 Mock LLM server running on ${url} (${fixtures.length} fixtures)`);
+}
+
+export default createMockLlmServer;
@@ -3,9 +3,23 @@
  */
 
 import { v4 as uuid } from 'uuid';
-import { queryAll, queryOne, execute } from '../db/init.js';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
 import { generateBackstory } from '../services/llm.js';
-import { getSettingConfig, getDefaultAttributes } from '../../shared/settings.js';
+import { getSettingConfig, getDefaultAttributes, getEconomy, getEquipmentSlots } from '../../shared/settings.js';
+import { getProgressionStatus, awardXp, levelUp } from '../services/progression.js';
+import { adjustBalance } from '../services/economy.js';
+import { withEquipment, equipItem, unequipSlot } from '../services/equipment.js';
+import { listItems, formatItem, addItem, normalizeItems, replaceCharacterItems } from '../services/inventory.js';
+import { getDerivedStats } from '../services/combat.js';
+import { removeNodeRelationships } from '../services/relationships.js';
+import { removeCharacterReputation } from '../services/factions.js';
+import { broadcast } from '../services/session-hub.js';
+
+const EQUIPMENT_ERROR_STATUS = {
+  'Character not found': 404,
+  'Item not found': 404,
+  'Nothing equipped': 404
+};
 
 export default async function characterRoutes(fastify) {
 
@@ -34,7 +48,7 @@ export default async function characterRoutes(fastify) {
       ...c,
       attributes: JSON.parse(c.attributes || '{}'),
       skills: JSON.parse(c.skills || '{}'),
-      inventory: JSON.parse(c.inventory || '[]')
+      inventory: listItems(c.id).map(formatItem)
     }));
   });
 
@@ -50,7 +64,7 @@ export default async function characterRoutes(fastify) {
       ...character,
       attributes: JSON.parse(character.attributes || '{}'),
       skills: JSON.parse(character.skills || '{}'),
-      inventory: JSON.parse(character.inventory || '[]')
+      inventory: listItems(character.id).map(formatItem)
     };
   });
 
@@ -82,48 +96,39 @@ export default async function characterRoutes(fastify) {
     // Use setting-specific default attributes if none provided
     const finalAttributes = attributes || getDefaultAttributes(world.setting);
     
-    // Set starting credits based on setting
-    const getStartingCredits = (setting) => {
-      const creditMap = {
-        'fantasy': 100,      // gold coins
-        'scifi': 1000,       // credits
-        'horror': 50,        // dollars/pounds
-        'steampunk': 200,    // pounds sterling
-        'western': 100,      // dollars
-        'cyberpunk': 2000,   // credits
-        'post-apocalyptic': 20, // bottle caps/scrip
-        'superhero': 500     // dollars
-      };
-      return creditMap[setting] || 1000;
-    };
-    
-    const startingCredits = getStartingCredits(world.setting);
+    // Starting funds depend on the setting and open the character's ledger
+    const { startingCredits } = getEconomy(world.setting);
 
     const id = uuid();
     const now = new Date().toISOString();
 
-    execute(
-      `INSERT INTO characters (id, world_id, player_id, name, class, level, attributes, skills, inventory, backstory, notes, credits, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id,
-        world_id,
-        player_id || null,
-        name,
-        charClass || null,
-        level,
-        JSON.stringify(finalAttributes),
-        JSON.stringify(skills),
-        JSON.stringify(inventory),
-        backstory || null,
-        notes || null,
-        startingCredits,
-        now,
-        now
-      ]
-    );
-
-    return { id, world_id, name, class: charClass, level, attributes: finalAttributes, skills };
+    transaction(() => {
+      execute(
+        `INSERT INTO characters (id, world_id, player_id, name, class, level, attributes, skills, inventory, backstory, notes, credits, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+        [
+          id,
+          world_id,
+          player_id || null,
+          name,
+          charClass || null,
+          level,
+          JSON.stringify(finalAttributes),
+          JSON.stringify(skills),
+          '[]',
+          backstory || null,
+          notes || null,
+          now,
+          now
+        ]
+      );
+      adjustBalance(id, startingCredits, 'starting', { description: 'Starting funds' });
+      for (const item of normalizeItems(inventory)) {
+        addItem(id, item);
+      }
+    });
+
+    return { id, world_id, name, class: charClass, level, attributes: finalAttributes, skills, credits: startingCredits };
   });
 
   // Update character
@@ -143,7 +148,7 @@ export default async function characterRoutes(fastify) {
     const values = [];
 
     for (const [key, value] of Object.entries(updates)) {
-      if (['attributes', 'skills', 'inventory'].includes(key)) {
+      if (['attributes', 'skills'].includes(key)) {
         fields.push(`${key} = ?`);
         values.push(JSON.stringify(value));
       } else if (['name', 'class', 'level', 'xp', 'backstory', 'notes', 'player_id'].includes(key)) {
@@ -152,7 +157,7 @@ export default async function characterRoutes(fastify) {
       }
     }
 
-    if (fields.length === 0) {
+    if (fields.length === 0 && !Array.isArray(updates.inventory)) {
       return reply.status(400).send({ error: 'No valid fields to update' });
     }
 
@@ -160,7 +165,14 @@ export default async function characterRoutes(fastify) {
     values.push(now);
     values.push(id);
 
-    execute(`UPDATE characters SET ${fields.join(', ')} WHERE id = ?`, values);
+    transaction(() => {
+      execute(`UPDATE characters SET ${fields.join(', ')} WHERE id = ?`, values);
+
+      // The sheet edits the character's own items; equipped gear and session overlays stay
+      if (Array.isArray(updates.inventory)) {
+        replaceCharacterItems(id, updates.inventory);
+      }
+    });
 
     return { success: true };
   });
@@ -173,9 +185,123 @@ export default async function characterRoutes(fastify) {
       return reply.status(404).send({ error: 'Character not found' });
     }
 
+    removeNodeRelationships({ type: 'character', ref: request.params.id });
+    removeCharacterReputation(request.params.id);
     return { success: true };
   });
 
+  // XP, next threshold and points waiting to be spent
+  fastify.get('/:id/progression', async (request, reply) => {
+    const character = queryOne('SELECT * FROM characters WHERE id = ?', [request.params.id]);
+
+    if (!character) {
+      return reply.status(404).send({ error: 'Character not found' });
+    }
+
+    const world = queryOne('SELECT setting FROM worlds WHERE id = ?', [character.world_id]);
+    return getProgressionStatus(character, world?.setting);
+  });
+
+  // Award XP
+  fastify.post('/:id/xp', async (request, reply) => {
+    const { amount, reason = null } = request.body || {};
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return reply.status(400).send({ error: 'amount must be a positive whole number' });
+    }
+
+    const result = awardXp(request.params.id, amount, reason);
+    if (!result) {
+      return reply.status(404).send({ error: 'Character not found' });
+    }
+
+    return result;
+  });
+
+  // Level up (one level per call) and/or spend banked attribute and skill points
+  fastify.post('/:id/level-up', async (request, reply) => {
+    const { attributes = {}, skills = {}, session_id = null } = request.body || {};
+
+    try {
+      const result = await levelUp(request.params.id, { attributes, skills }, session_id);
+
+      if (!result) {
+        return reply.status(404).send({ error: 'Character not found' });
+      }
+      if (result.error) {
+        return reply.status(result.error === 'No level-up available' ? 409 : 400).send(result);
+      }
+
+      return {
+        ...result,
+        character: {
+          ...result.character,
+          inventory: listItems(result.character.id).map(formatItem)
+        }
+      };
+    } catch (error) {
+      return reply.status(500).send({ error: 'Failed to level up', details: error.message });
+    }
+  });
+
+  // Slots, what is equipped in a session and the resulting stats
+  function equipmentStatus(character, sessionId) {
+    const world = queryOne('SELECT setting FROM worlds WHERE id = ?', [character.world_id]);
+    const equipped = withEquipment(character, sessionId);
+
+    return {
+      characterId: character.id,
+      sessionId,
+      slots: getEquipmentSlots(world?.setting),
+      equipment: equipped.equipment,
+      bonuses: equipped.equipmentBonuses,
+      derivedStats: getDerivedStats(equipped, world?.setting)
+    };
+  }
+
+  // Equipment (?session_id=... to include that session's overlay items)
+  fastify.get('/:id/equipment', async (request, reply) => {
+    const { session_id = null } = request.query;
+
+    const character = queryOne('SELECT * FROM characters WHERE id = ?', [request.params.id]);
+    if (!character) {
+      return reply.status(404).send({ error: 'Character not found' });
+    }
+
+    return equipmentStatus(character, session_id);
+  });
+
+  // Equip an item from the inventory: { item, slot?, session_id? }
+  fastify.post('/:id/equipment', async (request, reply) => {
+    const { item, slot = null, session_id = null } = request.body || {};
+    if (!item) {
+      return reply.status(400).send({ error: 'item is required' });
+    }
+
+    const result = await equipItem(session_id, request.params.id, { itemName: item, slot });
+    if (result.error) {
+      return reply.status(EQUIPMENT_ERROR_STATUS[result.error] || 400).send(result);
+    }
+
+    const status = equipmentStatus(queryOne('SELECT * FROM characters WHERE id = ?', [request.params.id]), session_id);
+    if (session_id) broadcast(session_id, 'equipment_update', status);
+    return { ...result, ...status };
+  });
+
+  // Unequip a slot (?session_id=...)
+  fastify.delete('/:id/equipment/:slot', async (request, reply) => {
+    const { session_id = null } = request.query;
+
+    const result = await unequipSlot(session_id, request.params.id, request.params.slot);
+    if (result.error) {
+      return reply.status(EQUIPMENT_ERROR_STATUS[result.error] || 400).send(result);
+    }
+
+    const status = equipmentStatus(queryOne('SELECT * FROM characters WHERE id = ?', [request.params.id]), session_id);
+    if (session_id) broadcast(session_id, 'equipment_update', status);
+    return { ...result, ...status };
+  });
+
   // Generate backstory suggestions
   fastify.post('/:id/backstory/generate', async (request, reply) => {
     const character = queryOne('SELECT * FROM characters WHERE id = ?', [request.params.id]);
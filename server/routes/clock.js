@@ -0,0 +1,81 @@
+/**
+ * Game clock routes
+ * The clock and timed events live under a session:
+ * /api/clock/sessions/:sessionId
+ * /api/clock/sessions/:sessionId/events
+ */
+
+import {
+  getClock,
+  advanceClock,
+  announcePassage,
+  toMinutes,
+  listEvents,
+  scheduleEvent,
+  cancelEvent
+} from '../services/clock.js';
+
+const CLOCK_ERROR_STATUS = {
+  'Session not found': 404,
+  'Event not found': 404
+};
+
+const EVENT_STATUSES = ['pending', 'fired', 'cancelled'];
+
+export default async function clockRoutes(fastify) {
+
+  // The session's date and time, with upcoming events
+  fastify.get('/sessions/:sessionId', async (request, reply) => {
+    const clock = getClock(request.params.sessionId);
+    if (!clock) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+    return clock;
+  });
+
+  // Let time pass: { days, hours, minutes }
+  fastify.post('/sessions/:sessionId/advance', async (request, reply) => {
+    const { sessionId } = request.params;
+
+    const passage = await advanceClock(sessionId, toMinutes(request.body || {}));
+    if (passage.error) {
+      return reply.status(CLOCK_ERROR_STATUS[passage.error] || 400).send(passage);
+    }
+
+    announcePassage(sessionId, passage);
+    return passage;
+  });
+
+  // Timed events (?status=pending|fired|cancelled)
+  fastify.get('/sessions/:sessionId/events', async (request, reply) => {
+    const { status = 'pending' } = request.query;
+    if (!EVENT_STATUSES.includes(status)) {
+      return reply.status(400).send({ error: `status must be one of: ${EVENT_STATUSES.join(', ')}` });
+    }
+
+    const events = listEvents(request.params.sessionId, { status });
+    if (!events) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+    return events;
+  });
+
+  // Schedule an event: { name, description, in: { days, hours, minutes } | at, repeat: { days, hours, minutes } }
+  fastify.post('/sessions/:sessionId/events', async (request, reply) => {
+    const event = scheduleEvent(request.params.sessionId, request.body || {});
+    if (event.error) {
+      return reply.status(CLOCK_ERROR_STATUS[event.error] || 400).send(event);
+    }
+    return event;
+  });
+
+  // Cancel a pending event
+  fastify.delete('/sessions/:sessionId/events/:eventId', async (request, reply) => {
+    const { sessionId, eventId } = request.params;
+
+    if (!cancelEvent(sessionId, eventId)) {
+      return reply.status(404).send({ error: 'Event not found' });
+    }
+    return { success: true };
+  });
+}
@@ -0,0 +1,184 @@
+/**
+ * Combat tracker routes
+ * Encounters live under a session: /api/combat/sessions/:sessionId/encounters
+ */
+
+import { queryOne } from '../db/init.js';
+import {
+  getEncounter,
+  getActiveEncounter,
+  listEncounters,
+  startEncounter,
+  advanceEncounter,
+  applyDamage,
+  addCondition,
+  removeCondition,
+  endEncounter
+} from '../services/combat.js';
+import { awardEncounterXp } from '../services/progression.js';
+import { broadcast } from '../services/session-hub.js';
+
+export default async function combatRoutes(fastify) {
+
+  // Load an encounter that belongs to the session in the URL
+  function loadEncounter(request, reply) {
+    const { sessionId, encounterId } = request.params;
+    const encounter = getEncounter(encounterId);
+
+    if (!encounter || encounter.session_id !== sessionId) {
+      reply.status(404).send({ error: 'Encounter not found' });
+      return null;
+    }
+    return encounter;
+  }
+
+  // Load an encounter that is still being fought
+  function loadActiveEncounter(request, reply) {
+    const encounter = loadEncounter(request, reply);
+    if (!encounter) return null;
+
+    if (encounter.status !== 'active') {
+      reply.status(409).send({ error: 'Encounter has ended' });
+      return null;
+    }
+    return encounter;
+  }
+
+  // List encounters in a session
+  fastify.get('/sessions/:sessionId/encounters', async (request, reply) => {
+    return listEncounters(request.params.sessionId);
+  });
+
+  // Get the running encounter, if any
+  fastify.get('/sessions/:sessionId/encounters/active', async (request, reply) => {
+    const encounter = getActiveEncounter(request.params.sessionId);
+
+    if (!encounter) {
+      return reply.status(404).send({ error: 'No active encounter' });
+    }
+
+    return encounter;
+  });
+
+  // Start an encounter
+  fastify.post('/sessions/:sessionId/encounters', async (request, reply) => {
+    const { sessionId } = request.params;
+    const { name, character_ids = null, npc_ids = [], enemies = [] } = request.body || {};
+
+    const session = queryOne('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+
+    if (getActiveEncounter(sessionId)) {
+      return reply.status(409).send({ error: 'Session already has an active encounter' });
+    }
+
+    try {
+      const world = queryOne('SELECT * FROM worlds WHERE id = ?', [session.world_id]);
+      const encounter = startEncounter(session, world, {
+        name,
+        characterIds: character_ids,
+        npcIds: npc_ids,
+        enemies
+      });
+
+      if (!encounter) {
+        return reply.status(400).send({ error: 'Encounter needs at least one combatant' });
+      }
+
+      broadcast(sessionId, 'combat_update', { event: 'started', encounter });
+      return encounter;
+    } catch (error) {
+      return reply.status(500).send({
+        error: 'Failed to start encounter',
+        details: error.message
+      });
+    }
+  });
+
+  // Get an encounter
+  fastify.get('/sessions/:sessionId/encounters/:encounterId', async (request, reply) => {
+    return loadEncounter(request, reply) ?? reply;
+  });
+
+  // Advance to the next combatant's turn
+  fastify.post('/sessions/:sessionId/encounters/:encounterId/advance', async (request, reply) => {
+    if (!loadActiveEncounter(request, reply)) return reply;
+
+    const result = advanceEncounter(request.params.encounterId);
+    broadcast(request.params.sessionId, 'combat_update', { event: 'advanced', ...result });
+    return result;
+  });
+
+  // Deal damage or heal a combatant
+  fastify.post('/sessions/:sessionId/encounters/:encounterId/combatants/:combatantId/damage', async (request, reply) => {
+    const { amount, type = 'damage' } = request.body || {};
+
+    if (!Number.isFinite(Number(amount))) {
+      return reply.status(400).send({ error: 'amount must be a number' });
+    }
+    if (!['damage', 'healing'].includes(type)) {
+      return reply.status(400).send({ error: "type must be 'damage' or 'healing'" });
+    }
+    if (!loadActiveEncounter(request, reply)) return reply;
+
+    const { sessionId, encounterId, combatantId } = request.params;
+    const combatant = applyDamage(encounterId, combatantId, Number(amount), type);
+    if (!combatant) {
+      return reply.status(404).send({ error: 'Combatant not found' });
+    }
+
+    const encounter = getEncounter(encounterId);
+    broadcast(sessionId, 'combat_update', { event: type, combatant, encounter });
+    return { combatant, encounter };
+  });
+
+  // Add a condition (duration in rounds; omit for "until removed")
+  fastify.post('/sessions/:sessionId/encounters/:encounterId/combatants/:combatantId/conditions', async (request, reply) => {
+    const { name, duration = null } = request.body || {};
+
+    if (!name?.trim()) {
+      return reply.status(400).send({ error: 'name is required' });
+    }
+    if (duration !== null && !(Number(duration) > 0)) {
+      return reply.status(400).send({ error: 'duration must be a positive number of rounds' });
+    }
+    if (!loadActiveEncounter(request, reply)) return reply;
+
+    const { sessionId, encounterId, combatantId } = request.params;
+    const combatant = addCondition(encounterId, combatantId, name.trim(), duration);
+    if (!combatant) {
+      return reply.status(404).send({ error: 'Combatant not found' });
+    }
+
+    broadcast(sessionId, 'combat_update', { event: 'condition_added', combatant });
+    return combatant;
+  });
+
+  // Remove a condition
+  fastify.delete('/sessions/:sessionId/encounters/:encounterId/combatants/:combatantId/conditions/:name', async (request, reply) => {
+    if (!loadActiveEncounter(request, reply)) return reply;
+
+    const { sessionId, encounterId, combatantId, name } = request.params;
+    const combatant = removeCondition(encounterId, combatantId, name);
+    if (!combatant) {
+      return reply.status(404).send({ error: 'Combatant not found' });
+    }
+
+    broadcast(sessionId, 'combat_update', { event: 'condition_removed', combatant });
+    return combatant;
+  });
+
+  // End an encounter; the party shares XP for every foe defeated
+  fastify.post('/sessions/:sessionId/encounters/:encounterId/end', async (request, reply) => {
+    const { outcome = 'resolved', award_xp = true } = request.body || {};
+    if (!loadActiveEncounter(request, reply)) return reply;
+
+    const encounter = endEncounter(request.params.encounterId, outcome);
+    const xpAwards = award_xp ? awardEncounterXp(encounter) : [];
+
+    broadcast(request.params.sessionId, 'combat_update', { event: 'ended', encounter, xpAwards });
+    return { ...encounter, xpAwards };
+  });
+}
@@ -0,0 +1,245 @@
+/**
+ * Economy routes
+ * Wallets live under a character, trades under a session:
+ * /api/economy/characters/:characterId/wallet
+ * /api/economy/sessions/:sessionId/trade
+ * /api/economy/sessions/:sessionId/shops
+ */
+
+import { queryOne } from '../db/init.js';
+import { TRANSACTION_REASONS, getWallet, adjustBalance, tradeWithNpc } from '../services/economy.js';
+import {
+  getShop,
+  listShops,
+  createShop,
+  updateShop,
+  quoteShop,
+  haggle,
+  tradeWithShop
+} from '../services/shops.js';
+import { broadcast } from '../services/session-hub.js';
+
+const TRADE_ERROR_STATUS = {
+  'Character not found': 404,
+  'NPC not found': 404,
+  'Shop not found': 404,
+  'Building not found': 404,
+  'Item not found': 404,
+  'Insufficient funds': 409,
+  'Not enough stock': 409,
+  'Not enough items': 409,
+  'Shop is closed': 409,
+  'Already haggled': 409,
+  'No offer': 409,
+  'Refused': 403
+};
+
+const SHOP_STATUSES = ['open', 'closed'];
+
+export default async function economyRoutes(fastify) {
+
+  // Balance and recent transactions (?limit=20&session_id=...)
+  fastify.get('/characters/:characterId/wallet', async (request, reply) => {
+    const { limit = 20, session_id = null } = request.query;
+
+    const wallet = getWallet(request.params.characterId, {
+      limit: Math.min(200, Math.max(1, parseInt(limit) || 20)),
+      sessionId: session_id
+    });
+    if (!wallet) {
+      return reply.status(404).send({ error: 'Character not found' });
+    }
+
+    return wallet;
+  });
+
+  // Record a payment or expense, e.g. { amount: 25, reason: 'wages', description: 'Dock work' }
+  fastify.post('/characters/:characterId/transactions', async (request, reply) => {
+    const { amount, reason = 'adjustment', description = '', counterparty = null, session_id = null } = request.body || {};
+
+    if (!Number.isInteger(amount) || amount === 0) {
+      return reply.status(400).send({ error: 'amount must be a non-zero whole number' });
+    }
+    if (!TRANSACTION_REASONS.includes(reason)) {
+      return reply.status(400).send({ error: `reason must be one of: ${TRANSACTION_REASONS.join(', ')}` });
+    }
+
+    const result = adjustBalance(request.params.characterId, amount, reason, {
+      sessionId: session_id,
+      description,
+      counterparty
+    });
+    if (!result) {
+      return reply.status(404).send({ error: 'Character not found' });
+    }
+    if (result.error) {
+      return reply.status(409).send(result);
+    }
+
+    if (session_id) {
+      broadcast(session_id, 'wallet_update', { characterId: request.params.characterId, ...result });
+    }
+    return result;
+  });
+
+  // Buy from or sell to an NPC in the session
+  // { characterId, npc, mode: 'buy' | 'sell', item, quantity = 1 } at the listed price
+  fastify.post('/sessions/:sessionId/trade', async (request, reply) => {
+    const { sessionId } = request.params;
+    const { characterId, npc, mode, item, quantity = 1 } = request.body || {};
+
+    if (!characterId || !npc || !item) {
+      return reply.status(400).send({ error: 'characterId, npc and item are required' });
+    }
+
+    const session = queryOne('SELECT id FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+
+    try {
+      const result = await tradeWithNpc(sessionId, { characterId, npcName: npc, mode, itemName: item, quantity });
+      if (result.error) {
+        return reply.status(TRADE_ERROR_STATUS[result.error] || 400).send(result);
+      }
+
+      broadcast(sessionId, 'wallet_update', { characterId, balance: result.balance, transaction: result.transaction });
+      return result;
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({ error: 'Failed to trade', details: error.message });
+    }
+  });
+
+  // Load a session, replying 404 when it does not exist
+  function loadSession(request, reply) {
+    const session = queryOne('SELECT id FROM sessions WHERE id = ?', [request.params.sessionId]);
+
+    if (!session) {
+      reply.status(404).send({ error: 'Session not found' });
+      return null;
+    }
+    return session;
+  }
+
+  // Load a shop that belongs to the session in the URL
+  function loadShop(request, reply) {
+    const shop = getShop(request.params.sessionId, request.params.shopId);
+
+    if (!shop) {
+      reply.status(404).send({ error: 'Shop not found' });
+      return null;
+    }
+    return shop;
+  }
+
+  // Validate shop terms shared by create and edit
+  function validateShopTerms({ buyRate, haggleDc, restockHours, status, stock }) {
+    if (buyRate !== undefined && !(typeof buyRate === 'number' && buyRate >= 0 && buyRate <= 1)) {
+      return 'buyRate must be between 0 and 1';
+    }
+    if (haggleDc !== undefined && !(Number.isInteger(haggleDc) && haggleDc > 0)) {
+      return 'haggleDc must be a positive whole number';
+    }
+    if (restockHours !== undefined && !(Number.isInteger(restockHours) && restockHours > 0)) {
+      return 'restockHours must be a positive whole number';
+    }
+    if (status !== undefined && !SHOP_STATUSES.includes(status)) {
+      return `status must be one of: ${SHOP_STATUSES.join(', ')}`;
+    }
+    if (stock !== undefined && !Array.isArray(stock)) {
+      return 'stock must be a list of items';
+    }
+    return null;
+  }
+
+  // Shops in a session (?location=...&character_id=... for that character's prices)
+  fastify.get('/sessions/:sessionId/shops', async (request) => {
+    const { location = null, character_id = null } = request.query;
+    return listShops(request.params.sessionId, { location }).map(shop => quoteShop(shop, character_id));
+  });
+
+  // Open a shop
+  // { name, owner, buildingId, location, stock: [{ name, price, quantity }], buyRate, haggleDc, restockHours }
+  fastify.post('/sessions/:sessionId/shops', async (request, reply) => {
+    if (!loadSession(request, reply)) return reply;
+
+    const body = request.body || {};
+    const invalid = validateShopTerms(body);
+    if (invalid) {
+      return reply.status(400).send({ error: invalid });
+    }
+
+    const shop = createShop(request.params.sessionId, body);
+    if (shop.error) {
+      return reply.status(TRADE_ERROR_STATUS[shop.error] || 400).send(shop);
+    }
+
+    const quote = quoteShop(shop);
+    broadcast(request.params.sessionId, 'shop_update', { event: 'opened', shop: quote });
+    return quote;
+  });
+
+  // A shop's stock and terms (?character_id=... for that character's prices)
+  fastify.get('/sessions/:sessionId/shops/:shopId', async (request, reply) => {
+    const shop = loadShop(request, reply);
+    return shop ? quoteShop(shop, request.query.character_id) : reply;
+  });
+
+  // Edit a shop's stock or terms, or open and close it
+  fastify.put('/sessions/:sessionId/shops/:shopId', async (request, reply) => {
+    if (!loadShop(request, reply)) return reply;
+
+    const invalid = validateShopTerms(request.body || {});
+    if (invalid) {
+      return reply.status(400).send({ error: invalid });
+    }
+
+    const shop = quoteShop(updateShop(request.params.sessionId, request.params.shopId, request.body || {}));
+    broadcast(request.params.sessionId, 'shop_update', { event: 'updated', shop });
+    return shop;
+  });
+
+  // Haggle with the shopkeeper: { characterId }
+  fastify.post('/sessions/:sessionId/shops/:shopId/haggle', async (request, reply) => {
+    const { characterId } = request.body || {};
+    if (!characterId) {
+      return reply.status(400).send({ error: 'characterId is required' });
+    }
+
+    try {
+      const result = await haggle(request.params.sessionId, request.params.shopId, characterId);
+      if (result.error) {
+        return reply.status(TRADE_ERROR_STATUS[result.error] || 400).send(result);
+      }
+      return result;
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({ error: 'Failed to haggle', details: error.message });
+    }
+  });
+
+  // Buy from or sell to a shop at its prices: { characterId, mode: 'buy' | 'sell', item, quantity = 1 }
+  fastify.post('/sessions/:sessionId/shops/:shopId/trade', async (request, reply) => {
+    const { sessionId, shopId } = request.params;
+    const { characterId, mode, item, quantity = 1 } = request.body || {};
+
+    if (!characterId || !item) {
+      return reply.status(400).send({ error: 'characterId and item are required' });
+    }
+
+    try {
+      const result = await tradeWithShop(sessionId, shopId, { characterId, mode, itemName: item, quantity });
+      if (result.error) {
+        return reply.status(TRADE_ERROR_STATUS[result.error] || 400).send(result);
+      }
+
+      broadcast(sessionId, 'wallet_update', { characterId, balance: result.balance, transaction: result.transaction });
+      broadcast(sessionId, 'shop_update', { event: 'traded', shop: quoteShop(getShop(sessionId, shopId)) });
+      return result;
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({ error: 'Failed to trade', details: error.message });
+    }
+  });
+}
@@ -3,11 +3,21 @@
  */
 
 import { v4 as uuid } from 'uuid'
-import { queryAll, queryOne, execute } from '../db/init.js'
-import { generateGMResponse } from '../services/llm.js'
-import { EnhancedSessionManager } from '../services/session-manager.js'
-
-const activeSessions = new Map() // Store active enhanced session managers
+import { queryAll, queryOne, execute, transaction } from '../db/init.js'
+import { generateGMResponse, generateRollOutcome, generateRoundSummary } from '../services/llm.js'
+import { resolveRollTags, annotateRollTags } from '../services/dice.js'
+import { withEquipment } from '../services/equipment.js'
+import { getCharacterRelationships, getPartyRelationships } from '../services/relationships.js'
+import { getFactionStandings } from '../services/factions.js'
+import { getClock, planActionTime, passTimeForAction, announcePassage, syncSceneTime, syncScene } from '../services/clock.js'
+import { listItems, formatItem } from '../services/inventory.js'
+import { getSessionManager, getActiveSessionManager, releaseSessionManager } from '../services/session-registry.js'
+import { broadcast } from '../services/session-hub.js'
+import { openEventStream } from '../services/event-stream.js'
+import { claimSessionTurn, releaseSessionTurn, notYourTurn, describeTurnOrder, advanceSessionTurn } from '../services/turn-order.js'
+import { getActiveEncounter } from '../services/combat.js'
+import { getActiveQuests } from '../services/quests.js'
+import { getWorldCodex } from '../services/world-content.js'
 
 export default async function enhancedSessionRoutes(fastify) {
 
@@ -30,65 +40,69 @@ export default async function enhancedSessionRoutes(fastify) {
       const sessionId = uuid()
       const now = Date.now()
       
-      execute(
-        `INSERT INTO sessions (id, world_id, name, state, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          sessionId,
-          worldId,
-          `Enhanced Session ${new Date().toLocaleDateString()}`,
-          JSON.stringify({
-            sessionType,
-            memoryEnabled,
-            created: now,
-            characters: [],
-            currentScene: {
-              name: 'The Beginning',
-              location: 'starting area',
-              description: 'The adventure is about to begin...',
-              npcs: [],
-              threats: [],
-              opportunities: []
-            },
-            messageHistory: [],
-            recentHistory: [],
-            relationships: {},
-            questLog: [],
-            gameState: {
-              timeOfDay: 'morning',
-              weather: 'clear',
-              season: 'spring'
-            },
-            sessionStats: {
-              startTime: now,
-              actions: 0,
-              scenes: 1,
-              memoryEvents: 0
-            }
-          }),
-          now,
-          now
-        ]
-      )
+      transaction(() => {
+        execute(
+          `INSERT INTO sessions (id, world_id, name, state, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            sessionId,
+            worldId,
+            `Enhanced Session ${new Date().toLocaleDateString()}`,
+            JSON.stringify({
+              sessionType,
+              memoryEnabled,
+              created: now,
+              characters: [],
+              currentScene: {
+                name: 'The Beginning',
+                location: 'starting area',
+                description: 'The adventure is about to begin...',
+                npcs: [],
+                threats: [],
+                opportunities: []
+              },
+              messageHistory: [],
+              recentHistory: [],
+              relationships: {},
+              questLog: [],
+              gameState: {
+                timeOfDay: 'morning',
+                weather: 'clear',
+                season: 'spring'
+              },
+              sessionStats: {
+                startTime: now,
+                actions: 0,
+                scenes: 1,
+                memoryEvents: 0
+              }
+            }),
+            now,
+            now
+          ]
+        )
 
-      // Add characters to session
-      for (const characterId of characterIds) {
-        // Verify character exists
-        const character = queryOne('SELECT * FROM characters WHERE id = ?', [characterId])
-        if (character) {
-          execute(
-            `INSERT INTO session_participants (session_id, character_id, joined_at)
-             VALUES (?, ?, ?)`,
-            [sessionId, characterId, now]
-          )
+        // Add characters to session
+        for (const characterId of characterIds) {
+          // Verify character exists
+          const character = queryOne('SELECT * FROM characters WHERE id = ?', [characterId])
+          if (character) {
+            execute(
+              `INSERT INTO session_participants (session_id, character_id, joined_at)
+               VALUES (?, ?, ?)`,
+              [sessionId, characterId, now]
+            )
+          }
         }
-      }
+
+        // The adventure starts under the first spell of weather
+        const state = JSON.parse(queryOne('SELECT state FROM sessions WHERE id = ?', [sessionId]).state)
+        execute('UPDATE sessions SET state = ? WHERE id = ?', [JSON.stringify(syncScene(sessionId, state)), sessionId])
+      })
 
       // Initialize enhanced session manager
       if (memoryEnabled) {
-        const sessionManager = new EnhancedSessionManager(worldId, sessionId)
-        await sessionManager.initialize(world)
-        activeSessions.set(sessionId, sessionManager)
+        await getSessionManager(sessionId, worldId, world)
       }
 
       return {
@@ -130,12 +144,7 @@ export default async function enhancedSessionRoutes(fastify) {
       const sessionState = JSON.parse(session.state || '{}')
 
       // Get or create enhanced session manager
-      let sessionManager = activeSessions.get(id)
-      if (!sessionManager) {
-        sessionManager = new EnhancedSessionManager(session.world_id, id)
-        await sessionManager.initialize()
-        activeSessions.set(id, sessionManager)
-      }
+      const sessionManager = await getSessionManager(id, session.world_id)
 
       return {
         ...session,
@@ -166,7 +175,7 @@ export default async function enhancedSessionRoutes(fastify) {
         `SELECT role, content, metadata, created_at as timestamp
          FROM session_history 
          WHERE session_id = ? 
-         ORDER BY created_at DESC
+         ORDER BY created_at DESC, id DESC
          LIMIT ?`,
         [id, parseInt(limit)]
       ).reverse() // Reverse to get chronological order
@@ -187,7 +196,7 @@ export default async function enhancedSessionRoutes(fastify) {
     const { id } = request.params
 
     try {
-      let sessionManager = activeSessions.get(id)
+      let sessionManager = getActiveSessionManager(id)
       if (!sessionManager) {
         // Get session data to initialize manager
         const session = queryOne('SELECT * FROM sessions WHERE id = ?', [id])
@@ -195,18 +204,15 @@ export default async function enhancedSessionRoutes(fastify) {
           return reply.status(404).send({ error: 'Session not found' })
         }
 
-        sessionManager = new EnhancedSessionManager(session.world_id, id)
-        await sessionManager.initialize()
-        activeSessions.set(id, sessionManager)
+        sessionManager = await getSessionManager(id, session.world_id)
       }
 
       // Get all memory events
       const allEvents = await sessionManager.memory.getAllEvents()
       
-      // Get relationship data from session state
-      const session = queryOne('SELECT state FROM sessions WHERE id = ?', [id])
-      const sessionState = JSON.parse(session?.state || '{}')
-      const relationships = sessionState.relationships || {}
+      // How each NPC regards the party, from the relationship graph
+      const participants = queryAll('SELECT character_id FROM session_participants WHERE session_id = ?', [id])
+      const relationships = getPartyRelationships(sessionManager.worldId, participants.map(p => p.character_id))
 
       return {
         events: allEvents,
@@ -227,12 +233,13 @@ export default async function enhancedSessionRoutes(fastify) {
   // Process player action with enhanced memory
   fastify.post('/:id/action', async (request, reply) => {
     const { id } = request.params
-    const { action, characterId, sceneType = 'story', importance = 0.5 } = request.body
+    const { action } = request.body
 
     if (!action?.trim()) {
       return reply.status(400).send({ error: 'Action is required' })
     }
 
+    let claimed = false
     try {
       // Get session and world data
       const session = queryOne('SELECT * FROM sessions WHERE id = ?', [id])
@@ -245,101 +252,63 @@ export default async function enhancedSessionRoutes(fastify) {
         return reply.status(404).send({ error: 'World not found' })
       }
 
-      // Get or create enhanced session manager
-      let sessionManager = activeSessions.get(id)
-      if (!sessionManager) {
-        sessionManager = new EnhancedSessionManager(session.world_id, id)
-        await sessionManager.initialize()
-        activeSessions.set(id, sessionManager)
+      const turn = claimSessionTurn(id, request.body.characterId)
+      if (!turn.allowed) {
+        return reply.status(409).send(notYourTurn(turn))
       }
+      claimed = true
 
-      // Build enhanced context with persistent entities
-      const sessionState = JSON.parse(session.state || '{}');
-      const currentLocation = sessionState.currentScene?.location || 'unknown location';
-      const characters = queryAll(`
-        SELECT * FROM characters WHERE id IN (
-          SELECT character_id FROM session_participants WHERE session_id = ?
-        )
-      `, [id]);
-
-      // Get enhanced context including inventory, NPCs, buildings, etc.
-      const enhancedContext = await sessionManager.memory.buildEnhancedMemoryContext(
-        { location: currentLocation },
-        characters
-      );
-
-      // Process the action with enhanced memory integration
-      const result = await sessionManager.processPlayerAction(world, action, {
-        sceneType,
-        importance,
-        style: 'balanced',
-        enhancedContext
+      return await runEnhancedAction(session, world, request.body)
+
+    } catch (error) {
+      if (claimed) releaseSessionTurn(id)
+      fastify.log.error(error)
+      return reply.status(500).send({ 
+        error: 'Failed to process action',
+        details: error.message 
       })
+    }
+  })
 
-      // Record action in database
-      execute(
-        `INSERT INTO session_history (id, session_id, role, content, metadata, created_at)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          uuid(),
-          id,
-          'player',
-          action,
-          JSON.stringify({ characterId, sceneType, importance }),
-          Date.now()
-        ]
-      )
+  // Process player action and stream the GM response as Server-Sent Events
+  fastify.post('/:id/action/stream', async (request, reply) => {
+    const { id } = request.params
+    const { action } = request.body
 
-      // Record GM response in database
-      execute(
-        `INSERT INTO session_history (id, session_id, role, content, metadata, created_at)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          uuid(),
-          id,
-          'gm',
-          result.response,
-          JSON.stringify({ 
-            sceneType: result.sceneType,
-            importance: result.importance,
-            memoryEvents: result.memoryEvents,
-            contextUsage: result.contextUsage
-          }),
-          Date.now()
-        ]
-      )
+    if (!action?.trim()) {
+      return reply.status(400).send({ error: 'Action is required' })
+    }
 
-      // Update session state
-      const currentState = JSON.parse(session.state || '{}')
-      const updatedState = {
-        ...currentState,
-        ...sessionManager.session,
-        lastAction: Date.now()
-      }
+    const session = queryOne('SELECT * FROM sessions WHERE id = ?', [id])
+    if (!session) {
+      return reply.status(404).send({ error: 'Session not found' })
+    }
 
-      execute(
-        'UPDATE sessions SET state = ?, updated_at = ? WHERE id = ?',
-        [JSON.stringify(updatedState), Date.now(), id]
-      )
+    const world = queryOne('SELECT * FROM worlds WHERE id = ?', [session.world_id])
+    if (!world) {
+      return reply.status(404).send({ error: 'World not found' })
+    }
 
-      return {
-        response: result.response,
-        sceneType: result.sceneType,
-        importance: result.importance,
-        memoryEvents: result.memoryEvents,
-        contextUsage: result.contextUsage,
-        sessionUpdate: {
-          currentScene: sessionManager.session.currentScene,
-          relationships: sessionManager.session.relationships
-        }
-      }
+    const turn = claimSessionTurn(id, request.body.characterId)
+    if (!turn.allowed) {
+      return reply.status(409).send(notYourTurn(turn))
+    }
 
+    const stream = openEventStream(reply)
+    stream.send('action', { action })
+
+    try {
+      const result = await runEnhancedAction(session, world, request.body, {
+        onToken: (part, token) => stream.send('token', { part, token }),
+        onRolls: (rolls, response) => stream.send('rolls', { rolls, response })
+      })
+      stream.send('done', result)
     } catch (error) {
       fastify.log.error(error)
-      return reply.status(500).send({ 
-        error: 'Failed to process action',
-        details: error.message 
-      })
+      releaseSessionTurn(id)
+      stream.send('error', { error: 'Failed to process action', details: error.message })
+    } finally {
+      stream.close()
     }
   })
 
@@ -368,6 +337,8 @@ export default async function enhancedSessionRoutes(fastify) {
         [JSON.stringify(updatedState), Date.now(), id]
       )
 
+      broadcast(id, 'scene_update', { scene: updatedState.currentScene })
+
       return { success: true, scene: updatedState.currentScene }
     } catch (error) {
       fastify.log.error(error)
@@ -381,11 +352,7 @@ export default async function enhancedSessionRoutes(fastify) {
 
     try {
       // Remove from active sessions
-      if (activeSessions.has(id)) {
-        const sessionManager = activeSessions.get(id)
-        await sessionManager.saveSession()
-        activeSessions.delete(id)
-      }
+      await releaseSessionManager(id)
 
       return { success: true }
     } catch (error) {
@@ -399,7 +366,7 @@ export default async function enhancedSessionRoutes(fastify) {
     const { id } = request.params
 
     try {
-      let sessionManager = activeSessions.get(id)
+      const sessionManager = getActiveSessionManager(id)
       if (!sessionManager) {
         return { active: false }
       }
@@ -422,12 +389,7 @@ export default async function enhancedSessionRoutes(fastify) {
         return reply.status(404).send({ error: 'Session not found' })
       }
 
-      let sessionManager = activeSessions.get(id)
-      if (!sessionManager) {
-        sessionManager = new EnhancedSessionManager(session.world_id, id)
-        await sessionManager.initialize()
-        activeSessions.set(id, sessionManager)
-      }
+      const sessionManager = await getSessionManager(id, session.world_id)
 
       const memoryStats = await sessionManager.memory.getStats()
       const sessionStatus = sessionManager.getSessionStatus()
@@ -462,12 +424,7 @@ export default async function enhancedSessionRoutes(fastify) {
         return reply.status(404).send({ error: 'Session not found' })
       }
 
-      let sessionManager = activeSessions.get(id)
-      if (!sessionManager) {
-        sessionManager = new EnhancedSessionManager(session.world_id, id)
-        await sessionManager.initialize()
-        activeSessions.set(id, sessionManager)
-      }
+      const sessionManager = await getSessionManager(id, session.world_id)
 
       // Use the enhanced memory search
       const results = await sessionManager.memory.searchMemories(query, limit);
@@ -499,12 +456,7 @@ export default async function enhancedSessionRoutes(fastify) {
         return reply.status(404).send({ error: 'Session not found' })
       }
 
-      let sessionManager = activeSessions.get(id)
-      if (!sessionManager) {
-        sessionManager = new EnhancedSessionManager(session.world_id, id)
-        await sessionManager.initialize()
-        activeSessions.set(id, sessionManager)
-      }
+      const sessionManager = await getSessionManager(id, session.world_id)
 
       const debugResults = await sessionManager.memory.debugMemorySearch(query);
 
@@ -519,4 +471,213 @@ export default async function enhancedSessionRoutes(fastify) {
       return reply.status(500).send({ error: 'Debug search failed', details: error.message })
     }
   })
-}
\ No newline at end of file
+}
+
+/**
+ * Run a player action through the enhanced session manager, resolve rolls,
+ * record history and broadcast the result. Passing hooks streams the generation.
+ */
+async function runEnhancedAction(session, world, body, hooks = {}) {
+  const { id } = session
+  const { action, characterId, clientId, sceneType = 'story', importance = 0.5 } = body
+  const { onToken = null, onRolls = null } = hooks
+
+  // Get or create enhanced session manager
+  const sessionManager = await getSessionManager(id, session.world_id, world)
+
+  // Build enhanced context with persistent entities
+  const sessionState = JSON.parse(session.state || '{}');
+  const currentLocation = sessionState.currentScene?.location || 'unknown location';
+  const characters = queryAll(`
+    SELECT * FROM characters WHERE id IN (
+      SELECT character_id FROM session_participants WHERE session_id = ?
+    )
+  `, [id]).map(c => withEquipment({
+    ...c,
+    attributes: JSON.parse(c.attributes || '{}'),
+    skills: JSON.parse(c.skills || '{}'),
+    inventory: listItems(c.id, { sessionId: id, includeEquipped: false }).map(formatItem),
+    relationships: getCharacterRelationships(session.world_id, c.id)
+  }, id))
+
+  broadcast(id, 'player_action', {
+    clientId: clientId || null,
+    characterId: characterId || null,
+    characterName: characters.find(c => c.id === characterId)?.name || 'Player',
+    action
+  })
+
+  // The action takes time; the GM describes the moment it ends in
+  const encounter = getActiveEncounter(id)
+  const plan = planActionTime(id, action, { encounter })
+  if (!plan.error) {
+    // Weather for every place visited lives in the stored state
+    Object.assign(sessionManager.session, syncSceneTime({ ...sessionManager.session, weather: sessionState.weather }, plan.clock))
+  }
+
+  // Get enhanced context including inventory, NPCs, buildings, etc.
+  const enhancedContext = await sessionManager.memory.buildEnhancedMemoryContext(
+    { location: currentLocation },
+    characters
+  );
+
+  // Process the action with enhanced memory integration
+  const result = await sessionManager.processPlayerAction({ ...world, codex: getWorldCodex(world.id) }, action, {
+    sceneType,
+    importance,
+    style: 'balanced',
+    enhancedContext,
+    encounter,
+    quests: getActiveQuests(id),
+    factions: getFactionStandings(world.id, characters, { sessionId: id }),
+    clock: plan.error ? getClock(id) : plan.clock,
+    timePassed: plan.error ? null : plan,
+    characters,
+    onToken: onToken && (token => onToken('response', token))
+  })
+
+  // Resolve any [ROLL:skill:difficulty] tags against the acting character
+  const actingCharacter = characters.find(c => c.id === characterId)
+  const rolls = resolveRollTags(result.response, actingCharacter, world.setting)
+  const rawResponse = result.response
+  result.response = annotateRollTags(rawResponse, rolls)
+
+  let followUp = null
+  if (rolls.length > 0) {
+    if (onRolls) onRolls(rolls, result.response)
+    followUp = await generateRollOutcome(world, action, rawResponse, rolls, {
+      onToken: onToken && (token => onToken('followUp', token))
+    })
+  }
+
+  // The response is in, so the time it describes passes
+  const passage = plan.error ? plan : await passTimeForAction(id, plan)
+
+  // Arriving somewhere new brings that place's weather
+  if (result.stateChanges?.location) {
+    Object.assign(sessionManager.session, syncScene(id, sessionManager.session))
+  }
+
+  // History and state are written together
+  transaction(() => {
+    // Record action in database
+    execute(
+      `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        id,
+        'player',
+        action,
+        JSON.stringify({ characterId, sceneType, importance }),
+        Date.now()
+      ]
+    )
+
+    // Record GM response in database
+    execute(
+      `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        id,
+        'gm',
+        result.response,
+        JSON.stringify({ 
+          sceneType: result.sceneType,
+          importance: result.importance,
+          memoryEvents: result.memoryEvents,
+          contextUsage: result.contextUsage,
+          rolls
+        }),
+        Date.now()
+      ]
+    )
+
+    if (followUp) {
+      execute(
+        `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, 'gm', followUp, JSON.stringify({ type: 'roll_outcome' }), Date.now()]
+      )
+    }
+
+    // Read the state again: the turn order may have changed while the GM was
+    // generating (turns set or cleared, a late joiner added); only the fields
+    // the session manager owns are written over it
+    const latest = JSON.parse(queryOne('SELECT state FROM sessions WHERE id = ?', [id])?.state || '{}')
+    const updatedState = {
+      ...latest,
+      ...sessionManager.session,
+      turnOrder: latest.turnOrder,
+      lastAction: Date.now()
+    }
+    execute(
+      'UPDATE sessions SET state = ?, updated_at = ? WHERE id = ?',
+      [JSON.stringify(updatedState), Date.now(), id]
+    )
+  })
+
+  // Pass the turn on; once everyone has acted the GM may sum up the round
+  const turnResult = advanceSessionTurn(id, {
+    characterId: characterId || null,
+    characterName: actingCharacter?.name || 'Player',
+    action,
+    response: followUp ? `${result.response}\n${followUp}` : result.response
+  })
+
+  let roundSummary = null
+  if (turnResult?.roundComplete && turnResult.turnOrder.roundSummary) {
+    const round = turnResult.turnOrder.round - 1
+    roundSummary = await generateRoundSummary(world, round, turnResult.roundLog, {
+      onToken: onToken && (token => onToken('roundSummary', token))
+    })
+    execute(
+      `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, 'gm', roundSummary, JSON.stringify({ type: 'round_summary', round }), Date.now()]
+    )
+  }
+  const turn = turnResult ? describeTurnOrder(turnResult.turnOrder) : null
+
+  broadcast(id, 'gm_response', {
+    clientId: clientId || null,
+    characterId: characterId || null,
+    action,
+    response: result.response,
+    rolls,
+    followUp,
+    roundSummary,
+    turn,
+    sceneType: result.sceneType,
+    stateChanges: result.stateChanges
+  })
+  if (turn) {
+    broadcast(id, 'turn_update', turn)
+  }
+  for (const change of result.stateChanges?.currency || []) {
+    broadcast(id, 'wallet_update', { characterId: change.characterId, balance: change.balance })
+  }
+  if (result.stateChanges?.reputation.length > 0) {
+    broadcast(id, 'reputation_update', { changes: result.stateChanges.reputation })
+  }
+  if (!passage.error) {
+    announcePassage(id, passage)
+  }
+
+  return {
+    response: result.response,
+    rolls,
+    followUp,
+    roundSummary,
+    turn,
+    sceneType: result.sceneType,
+    importance: result.importance,
+    memoryEvents: result.memoryEvents,
+    contextUsage: result.contextUsage,
+    stateChanges: result.stateChanges,
+    sessionUpdate: {
+      currentScene: sessionManager.session.currentScene,
+      relationships: getPartyRelationships(world.id, characters.map(c => c.id)),
+      clock: getClock(id)
+    }
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Faction membership and reputation routes:
+ * /api/factions/sessions/:sessionId/npcs/:npcName/faction
+ * /api/factions/characters/:characterId/reputation
+ * A world's factions themselves are world routes: /api/worlds/:id/factions
+ */
+
+import { queryOne } from '../db/init.js';
+import { setNpcFaction, adjustReputation, getCharacterReputation } from '../services/factions.js';
+import { broadcast } from '../services/session-hub.js';
+
+const FACTION_ERROR_STATUS = {
+  'Session not found': 404,
+  'NPC not found': 404,
+  'Faction not found': 404,
+  'Character not found': 404
+};
+
+export default async function factionRoutes(fastify) {
+
+  // Put a session NPC in a faction: { faction } (id or name, null to leave)
+  fastify.put('/sessions/:sessionId/npcs/:npcName/faction', async (request, reply) => {
+    const { faction = null } = request.body || {};
+
+    const result = setNpcFaction(request.params.sessionId, request.params.npcName, faction);
+    if (result.error) {
+      return reply.status(FACTION_ERROR_STATUS[result.error] || 400).send(result);
+    }
+    return result;
+  });
+
+  // A character's standing with every faction in their world
+  fastify.get('/characters/:characterId/reputation', async (request, reply) => {
+    const reputation = getCharacterReputation(request.params.characterId);
+    if (!reputation) {
+      return reply.status(404).send({ error: 'Character not found' });
+    }
+    return reputation;
+  });
+
+  // Change a character's reputation: { faction, change, reason, ripple = true, session_id }
+  fastify.post('/characters/:characterId/reputation', async (request, reply) => {
+    const { faction, change, reason = '', ripple = true, session_id = null } = request.body || {};
+
+    const character = queryOne('SELECT id, world_id FROM characters WHERE id = ?', [request.params.characterId]);
+    if (!character) {
+      return reply.status(404).send({ error: 'Character not found' });
+    }
+    if (!Number.isInteger(change) || change === 0) {
+      return reply.status(400).send({ error: 'change must be a non-zero whole number' });
+    }
+
+    const changes = adjustReputation(character.world_id, faction, character.id, change, {
+      cause: reason,
+      sessionId: session_id,
+      ripple: ripple !== false
+    });
+    if (changes.error) {
+      return reply.status(FACTION_ERROR_STATUS[changes.error] || 400).send(changes);
+    }
+
+    if (session_id) {
+      broadcast(session_id, 'reputation_update', { characterId: character.id, changes });
+    }
+    return { characterId: character.id, changes };
+  });
+}
@@ -2,23 +2,36 @@
  * LLM utility routes
  */
 
-import { checkHealth, generateWorldContent } from '../services/llm.js';
+import { checkHealth, generateWorldContent, StructuredOutputError } from '../services/llm.js';
 import { queryOne } from '../db/init.js';
+import { createContent, entryFromGenerated } from '../services/world-content.js';
+import { describeLlmConfig } from '../services/llm-providers.js';
 
 export default async function llmRoutes(fastify) {
 
-  // Check LLM health
+  // Check LLM health, optionally with a world's provider settings
   fastify.get('/health', async (request, reply) => {
-    const health = await checkHealth();
+    const { world_id } = request.query;
+    let world = null;
+
+    if (world_id) {
+      world = queryOne('SELECT * FROM worlds WHERE id = ?', [world_id]);
+      if (!world) {
+        return reply.status(404).send({ error: 'World not found' });
+      }
+    }
+
+    const health = { ...await checkHealth(world), routes: describeLlmConfig(world) };
     if (!health.available) {
       return reply.status(503).send(health);
     }
     return health;
   });
 
-  // Generate world content
+  // Generate world content (a parsed object) as a preview
+  // Pass save: true to also add it to the world's codex
   fastify.post('/generate/:type', async (request, reply) => {
-    const { world_id, prompt } = request.body;
+    const { world_id, prompt, save = false } = request.body;
     const { type } = request.params;
 
     if (!['location', 'npc', 'lore', 'quest'].includes(type)) {
@@ -42,8 +55,30 @@ export default async function llmRoutes(fastify) {
       };
 
       const content = await generateWorldContent(worldContext, type, prompt);
-      return { type, content };
+      if (!save) {
+        return { type, content, saved: null };
+      }
+
+      const parsed = entryFromGenerated(type, content);
+      const entry = parsed && createContent(world_id, parsed.kind, parsed.data, 'generated');
+      if (!entry || entry.error) {
+        return reply.status(422).send({
+          error: 'Generated content could not be saved',
+          details: entry?.details || `No ${type} could be read from the response`,
+          type,
+          content
+        });
+      }
+
+      return { type, content, kind: parsed.kind, saved: entry };
     } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        return reply.status(502).send({
+          error: 'Generated content did not match the schema',
+          details: error.problems.join('; '),
+          content: error.raw
+        });
+      }
       return reply.status(500).send({ 
         error: 'Generation failed', 
         details: error.message 
@@ -3,13 +3,14 @@
  * Manages inventory, NPCs, buildings, vehicles, staff for RPG sessions
  */
 
-import { queryOne } from '../db/init.js';
+import { queryOne, queryAll } from '../db/init.js';
+import { INVENTORY_SCOPES, formatItem } from '../services/inventory.js';
 
 export default async function persistenceRoutes(fastify) {
 
   // ==================== INVENTORY ENDPOINTS ====================
 
-  // Get character inventory
+  // Get character inventory: their own items plus the session's overlay
   fastify.get('/sessions/:sessionId/characters/:characterId/inventory', async (request, reply) => {
     const { sessionId, characterId } = request.params;
 
@@ -28,16 +29,7 @@ export default async function persistenceRoutes(fastify) {
       
       return {
         characterId,
-        inventory: inventory.map(item => ({
-          id: item.id,
-          name: item.item_name,
-          type: item.item_type,
-          description: item.description,
-          quantity: item.quantity,
-          properties: JSON.parse(item.properties),
-          location: item.location,
-          created_at: item.created_at
-        })),
+        inventory: inventory.map(formatItem),
         total_items: inventory.length
       };
     } catch (error) {
@@ -47,13 +39,17 @@ export default async function persistenceRoutes(fastify) {
   });
 
   // Add item to inventory
+  // scope 'character' (default) keeps it in every session, 'session' only in this one
   fastify.post('/sessions/:sessionId/characters/:characterId/inventory', async (request, reply) => {
     const { sessionId, characterId } = request.params;
-    const { name, type, description, quantity = 1, properties = {} } = request.body;
+    const { name, type, description, quantity = 1, properties = {}, scope = 'character' } = request.body;
 
     if (!name) {
       return reply.status(400).send({ error: 'Item name is required' });
     }
+    if (!INVENTORY_SCOPES.includes(scope)) {
+      return reply.status(400).send({ error: `scope must be one of: ${INVENTORY_SCOPES.join(', ')}` });
+    }
 
     try {
       const session = queryOne('SELECT * FROM sessions WHERE id = ?', [sessionId]);
@@ -70,19 +66,13 @@ export default async function persistenceRoutes(fastify) {
         type,
         description,
         quantity,
-        properties
+        properties,
+        scope
       });
 
       return {
         success: true,
-        item: {
-          id: item.id,
-          name: item.item_name,
-          type: item.item_type,
-          description: item.description,
-          quantity: item.quantity,
-          properties: JSON.parse(item.properties)
-        }
+        item: formatItem(item)
       };
     } catch (error) {
       fastify.log.error(error);
@@ -154,7 +144,10 @@ export default async function persistenceRoutes(fastify) {
   // Create new NPC
   fastify.post('/sessions/:sessionId/npcs', async (request, reply) => {
     const { sessionId } = request.params;
-    const { name, type, description, location, disposition = 'neutral', stats = {}, inventory = [] } = request.body;
+    const {
+      name, type, description, location, disposition = 'neutral', stats = {}, inventory = [],
+      voice = '', personality = '', goals = [], secrets = []
+    } = request.body;
 
     if (!name || !location) {
       return reply.status(400).send({ error: 'NPC name and location are required' });
@@ -177,7 +170,11 @@ export default async function persistenceRoutes(fastify) {
         location,
         disposition,
         stats,
-        inventory
+        inventory,
+        voice,
+        personality,
+        goals,
+        secrets
       });
 
       return {
@@ -188,7 +185,8 @@ export default async function persistenceRoutes(fastify) {
           type: npc.npc_type,
           description: npc.description,
           location: npc.location,
-          disposition: npc.disposition
+          disposition: npc.disposition,
+          voice: npc.voice
         }
       };
     } catch (error) {
@@ -261,7 +259,7 @@ export default async function persistenceRoutes(fastify) {
   // Create building
   fastify.post('/sessions/:sessionId/buildings', async (request, reply) => {
     const { sessionId } = request.params;
-    const { name, type, description, location, size, owner, properties = {} } = request.body;
+    const { name, type, description, location, size, owner, properties = {}, inventory = [] } = request.body;
 
     if (!name || !location) {
       return reply.status(400).send({ error: 'Building name and location are required' });
@@ -284,7 +282,8 @@ export default async function persistenceRoutes(fastify) {
         location,
         size,
         owner,
-        properties
+        properties,
+        inventory
       });
 
       return {
@@ -305,6 +304,71 @@ export default async function persistenceRoutes(fastify) {
     }
   });
 
+  // ==================== STAFF ENDPOINTS ====================
+
+  // List a session's staff, with when wages are next due on the game clock
+  fastify.get('/sessions/:sessionId/staff', async (request, reply) => {
+    const { sessionId } = request.params;
+
+    const session = queryOne('SELECT id FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+
+    return queryAll(
+      'SELECT * FROM session_staff WHERE session_id = ? ORDER BY staff_name COLLATE NOCASE',
+      [sessionId]
+    ).map(formatStaff);
+  });
+
+  // Hire staff: { name, role, wages, assignedTo, assignedType, employerId }
+  // Staff with an employer are paid from that character's wallet as wages come due
+  fastify.post('/sessions/:sessionId/staff', async (request, reply) => {
+    const { sessionId } = request.params;
+    const {
+      name, type, role, wages, skillLevel, description, assignedTo, assignedType, employerId = null, properties = {}
+    } = request.body || {};
+
+    if (!name) {
+      return reply.status(400).send({ error: 'Staff name is required' });
+    }
+    if (wages !== undefined && !(Number.isInteger(wages) && wages >= 0)) {
+      return reply.status(400).send({ error: 'wages must be a whole number of 0 or more' });
+    }
+
+    try {
+      const session = queryOne('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+      if (!session) {
+        return reply.status(404).send({ error: 'Session not found' });
+      }
+      if (employerId && !queryOne('SELECT id FROM characters WHERE id = ? AND world_id = ?', [employerId, session.world_id])) {
+        return reply.status(404).send({ error: 'Character not found', details: 'employerId must be a character in this world' });
+      }
+
+      const { default: EnhancedRPGMemoryManager } = await import('../services/enhanced-memory.js');
+      const memoryManager = new EnhancedRPGMemoryManager(session.world_id, sessionId);
+      await memoryManager.initialize();
+
+      const staff = await memoryManager.hireStaff({
+        name,
+        type,
+        role,
+        wages,
+        skillLevel,
+        description,
+        assignedTo,
+        assignedType,
+        employerId,
+        properties
+      });
+
+      return { success: true, staff: formatStaff(staff) };
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({ error: 'Failed to hire staff', details: error.message });
+    }
+  });
+
   // ==================== SEARCH/FIND ENDPOINTS ====================
 
   // Find any entity by name
@@ -389,4 +453,18 @@ export default async function persistenceRoutes(fastify) {
       return reply.status(500).send({ error: 'Failed to get location context', details: error.message });
     }
   });
-}
\ No newline at end of file
+}
+
+function formatStaff(staff) {
+  return {
+    id: staff.id,
+    name: staff.staff_name,
+    type: staff.staff_type,
+    role: staff.role,
+    wages: staff.wages,
+    assignedTo: staff.assigned_to,
+    employerId: staff.employer_id,
+    wagesDueAt: staff.wages_due_at,
+    status: staff.status
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Quest log routes
+ * Quests live under a session: /api/quests/sessions/:sessionId/quests
+ */
+
+import { queryOne } from '../db/init.js';
+import {
+  QUEST_STATUSES,
+  getQuest,
+  listQuests,
+  createQuest,
+  updateQuest,
+  setObjectiveCompleted,
+  setQuestStatus,
+  deleteQuest,
+  questFromGenerated
+} from '../services/quests.js';
+import { generateWorldContent } from '../services/llm.js';
+import { broadcast } from '../services/session-hub.js';
+
+export default async function questRoutes(fastify) {
+
+  // Load a session, replying 404 when it does not exist
+  function loadSession(request, reply) {
+    const session = queryOne('SELECT * FROM sessions WHERE id = ?', [request.params.sessionId]);
+
+    if (!session) {
+      reply.status(404).send({ error: 'Session not found' });
+      return null;
+    }
+    return session;
+  }
+
+  // Load a quest that belongs to the session in the URL
+  function loadQuest(request, reply) {
+    const { sessionId, questId } = request.params;
+    const quest = getQuest(questId);
+
+    if (!quest || quest.session_id !== sessionId) {
+      reply.status(404).send({ error: 'Quest not found' });
+      return null;
+    }
+    return quest;
+  }
+
+  // List quests in a session (?status=active|completed|failed|abandoned)
+  fastify.get('/sessions/:sessionId/quests', async (request, reply) => {
+    const { status = null } = request.query;
+
+    if (status && !QUEST_STATUSES.includes(status)) {
+      return reply.status(400).send({ error: `status must be one of: ${QUEST_STATUSES.join(', ')}` });
+    }
+
+    return listQuests(request.params.sessionId, status);
+  });
+
+  // Add a quest
+  fastify.post('/sessions/:sessionId/quests', async (request, reply) => {
+    if (!loadSession(request, reply)) return reply;
+
+    const quest = createQuest(request.params.sessionId, request.body || {});
+    if (!quest) {
+      return reply.status(400).send({ error: 'title is required' });
+    }
+
+    broadcast(request.params.sessionId, 'quest_update', { event: 'added', quest });
+    return quest;
+  });
+
+  // Promote generated quest content into the log
+  // Pass the content object from /api/llm/generate/quest, or a prompt to generate it here
+  fastify.post('/sessions/:sessionId/quests/promote', async (request, reply) => {
+    const { content = null, prompt = null } = request.body || {};
+
+    if (!content && !prompt) {
+      return reply.status(400).send({ error: 'content or prompt is required' });
+    }
+
+    const session = loadSession(request, reply);
+    if (!session) return reply;
+
+    let generated = content;
+    if (!generated) {
+      try {
+        const world = queryOne('SELECT * FROM worlds WHERE id = ?', [session.world_id]);
+        generated = await generateWorldContent(
+          { ...world, config: JSON.parse(world.config || '{}') },
+          'quest',
+          prompt
+        );
+      } catch (error) {
+        return reply.status(500).send({
+          error: 'Generation failed',
+          details: error.message
+        });
+      }
+    }
+
+    const data = questFromGenerated(generated);
+    if (!data) {
+      return reply.status(400).send({
+        error: 'Could not read a quest from the generated content',
+        details: 'content must be a quest object with a title'
+      });
+    }
+
+    const quest = createQuest(session.id, data, 'generated');
+    broadcast(session.id, 'quest_update', { event: 'added', quest });
+    return quest;
+  });
+
+  // Get a quest
+  fastify.get('/sessions/:sessionId/quests/:questId', async (request, reply) => {
+    return loadQuest(request, reply) ?? reply;
+  });
+
+  // Edit a quest
+  fastify.put('/sessions/:sessionId/quests/:questId', async (request, reply) => {
+    if (!loadQuest(request, reply)) return reply;
+
+    const quest = updateQuest(request.params.questId, request.body || {});
+    broadcast(request.params.sessionId, 'quest_update', { event: 'updated', quest });
+    return quest;
+  });
+
+  // Tick an objective on or off
+  fastify.put('/sessions/:sessionId/quests/:questId/objectives/:objectiveId', async (request, reply) => {
+    const { completed = true } = request.body || {};
+    if (!loadQuest(request, reply)) return reply;
+
+    const { sessionId, questId, objectiveId } = request.params;
+    const quest = await setObjectiveCompleted(questId, objectiveId, completed);
+    if (!quest) {
+      return reply.status(404).send({ error: 'Objective not found' });
+    }
+
+    broadcast(sessionId, 'quest_update', { event: 'objective', quest });
+    return quest;
+  });
+
+  // Complete, fail, abandon or resume a quest; completion awards reward XP and currency
+  fastify.post('/sessions/:sessionId/quests/:questId/status', async (request, reply) => {
+    const { status } = request.body || {};
+
+    if (!QUEST_STATUSES.includes(status)) {
+      return reply.status(400).send({ error: `status must be one of: ${QUEST_STATUSES.join(', ')}` });
+    }
+    if (!loadQuest(request, reply)) return reply;
+
+    const result = await setQuestStatus(request.params.questId, status);
+    broadcast(request.params.sessionId, 'quest_update', { event: status, ...result });
+    for (const payment of result.payments) {
+      broadcast(request.params.sessionId, 'wallet_update', payment);
+    }
+    return result;
+  });
+
+  // Delete a quest
+  fastify.delete('/sessions/:sessionId/quests/:questId', async (request, reply) => {
+    if (!loadQuest(request, reply)) return reply;
+
+    deleteQuest(request.params.questId);
+    broadcast(request.params.sessionId, 'quest_update', { event: 'deleted', questId: request.params.questId });
+    return { success: true };
+  });
+}
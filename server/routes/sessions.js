@@ -3,8 +3,43 @@
  */
 
 import { v4 as uuid } from 'uuid';
-import { queryAll, queryOne, execute } from '../db/init.js';
-import { generateGMResponse } from '../services/llm.js';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { generateGMResponse, generateRollOutcome, generateRoundSummary } from '../services/llm.js';
+import { resolveRollTags, annotateRollTags } from '../services/dice.js';
+import { withEquipment } from '../services/equipment.js';
+import { listItems, formatItem } from '../services/inventory.js';
+import {
+  joinSession,
+  leaveSession,
+  identifyClient,
+  getConnectedClients,
+  sendToClient,
+  broadcast
+} from '../services/session-hub.js';
+import { openEventStream } from '../services/event-stream.js';
+import {
+  createTurnOrder,
+  addToTurnOrder,
+  claimSessionTurn,
+  releaseSessionTurn,
+  notYourTurn,
+  describeTurnOrder,
+  advanceSessionTurn
+} from '../services/turn-order.js';
+import { getActiveEncounter, getCharacterConditions } from '../services/combat.js';
+import { getActiveQuests } from '../services/quests.js';
+import { getWorldCodex } from '../services/world-content.js';
+import { findSessionNpc, getDialogue, listSessionNpcs, talkToNpc } from '../services/npc-agents.js';
+import { getCharacterRelationships } from '../services/relationships.js';
+import { getFactionStandings } from '../services/factions.js';
+import { getClock, planActionTime, passTimeForAction, announcePassage } from '../services/clock.js';
+
+const DIALOGUE_ERROR_STATUS = {
+  'Session not found': 404,
+  'NPC not found': 404,
+  'Character not found': 404,
+  'NPC cannot talk': 409
+};
 
 export default async function sessionRoutes(fastify) {
 
@@ -42,7 +77,7 @@ export default async function sessionRoutes(fastify) {
       `SELECT role, content, metadata, created_at 
        FROM session_history 
        WHERE session_id = ? 
-       ORDER BY created_at ASC`,
+       ORDER BY created_at ASC, id ASC`,
       [request.params.id]
     );
 
@@ -64,8 +99,11 @@ export default async function sessionRoutes(fastify) {
       characters: participants.map(c => ({
         ...c,
         attributes: JSON.parse(c.attributes || '{}'),
-        skills: JSON.parse(c.skills || '{}')
-      }))
+        skills: JSON.parse(c.skills || '{}'),
+        inventory: listItems(c.id, { sessionId: request.params.id }).map(formatItem),
+        relationships: getCharacterRelationships(session.world_id, c.id)
+      })),
+      clock: getClock(request.params.id)
     };
   });
 
@@ -87,24 +125,76 @@ export default async function sessionRoutes(fastify) {
     const sessionName = name || `Session ${new Date().toLocaleDateString()}`;
     const now = new Date().toISOString();
 
-    execute(
-      `INSERT INTO sessions (id, world_id, name, current_scene, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [id, world_id, sessionName, 'The adventure begins...', now, now]
-    );
-
-    // Add participants
-    for (const charId of character_ids) {
+    transaction(() => {
       execute(
-        `INSERT INTO session_participants (session_id, character_id, joined_at)
-         VALUES (?, ?, ?)`,
-        [id, charId, now]
+        `INSERT INTO sessions (id, world_id, name, current_scene, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, world_id, sessionName, 'The adventure begins...', now, now]
       );
-    }
+
+      // Add participants
+      for (const charId of character_ids) {
+        execute(
+          `INSERT INTO session_participants (session_id, character_id, joined_at)
+           VALUES (?, ?, ?)`,
+          [id, charId, now]
+        );
+      }
+    });
 
     return { id, world_id, name: sessionName };
   });
 
+  // Real-time channel: every client in the session receives actions,
+  // GM responses, scene updates and participant joins
+  fastify.get('/:id/ws', { websocket: true }, (connection, request) => {
+    const sessionId = request.params.id;
+    const { socket } = connection;
+
+    const session = queryOne('SELECT id FROM sessions WHERE id = ?', [sessionId]);
+    if (!session) {
+      socket.close(4404, 'Session not found');
+      return;
+    }
+
+    const client = joinSession(sessionId, socket, {
+      clientId: request.query.client_id,
+      characterId: request.query.character_id,
+      playerName: request.query.player_name
+    });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        sendToClient(client, sessionId, 'error', { error: 'Invalid message' });
+        return;
+      }
+
+      if (message.type === 'identify') {
+        identifyClient(client, {
+          characterId: message.character_id,
+          playerName: message.player_name
+        });
+        broadcast(sessionId, 'presence', { clients: getConnectedClients(sessionId) });
+      } else if (message.type === 'ping') {
+        sendToClient(client, sessionId, 'pong', {});
+      }
+    });
+
+    socket.on('close', () => {
+      leaveSession(sessionId, client);
+      broadcast(sessionId, 'presence', { clients: getConnectedClients(sessionId) });
+    });
+
+    sendToClient(client, sessionId, 'connected', {
+      clientId: client.clientId,
+      clients: getConnectedClients(sessionId)
+    });
+    broadcast(sessionId, 'presence', { clients: getConnectedClients(sessionId) }, { exclude: client });
+  });
+
   // Add character to session
   fastify.post('/:id/characters', async (request, reply) => {
     const { character_id } = request.body;
@@ -121,101 +211,121 @@ export default async function sessionRoutes(fastify) {
         [request.params.id, character_id, now]
       );
 
+      const character = queryOne('SELECT * FROM characters WHERE id = ?', [character_id]);
+
+      // Late joiners take the last slot of the current initiative order
+      const session = queryOne('SELECT * FROM sessions WHERE id = ?', [request.params.id]);
+      const state = JSON.parse(session?.state || '{}');
+      if (character && state.turnOrder?.enabled) {
+        const world = queryOne('SELECT setting FROM worlds WHERE id = ?', [session.world_id]);
+        state.turnOrder = addToTurnOrder(state.turnOrder, character, world?.setting);
+        execute('UPDATE sessions SET state = ? WHERE id = ?', [JSON.stringify(state), request.params.id]);
+        broadcast(request.params.id, 'turn_update', describeTurnOrder(state.turnOrder));
+      }
+
+      broadcast(request.params.id, 'participant_joined', {
+        character: character && {
+          ...character,
+          attributes: JSON.parse(character.attributes || '{}'),
+          skills: JSON.parse(character.skills || '{}')
+        },
+        joined_at: now
+      });
+
       return { success: true };
     } catch (error) {
       return reply.status(400).send({ error: 'Failed to add character' });
     }
   });
 
-  // Send action (play the game!)
-  fastify.post('/:id/action', async (request, reply) => {
-    const { character_id, action } = request.body;
+  // Get the initiative order and whose turn it is
+  fastify.get('/:id/turns', async (request, reply) => {
+    const session = queryOne('SELECT * FROM sessions WHERE id = ?', [request.params.id]);
 
-    if (!action) {
-      return reply.status(400).send({ error: 'action is required' });
+    if (!session) {
+      return reply.status(404).send({ error: 'Session not found' });
     }
 
-    // Get session with world
+    const state = JSON.parse(session.state || '{}');
+    return describeTurnOrder(state.turnOrder);
+  });
+
+  // Start turn-based mode (or re-roll initiative)
+  fastify.post('/:id/turns', async (request, reply) => {
+    const { round_summary = false } = request.body || {};
+
     const session = queryOne('SELECT * FROM sessions WHERE id = ?', [request.params.id]);
     if (!session) {
       return reply.status(404).send({ error: 'Session not found' });
     }
 
-    const world = queryOne('SELECT * FROM worlds WHERE id = ?', [session.world_id]);
-
-    // Get recent history
-    const recentHistory = queryAll(
-      `SELECT role, content FROM session_history 
-       WHERE session_id = ? 
-       ORDER BY created_at DESC 
-       LIMIT 10`,
-      [request.params.id]
-    ).reverse();
-
-    // Get characters
     const characters = queryAll(
       `SELECT c.* FROM characters c
        JOIN session_participants sp ON c.id = sp.character_id
        WHERE sp.session_id = ?`,
       [request.params.id]
     );
+    if (characters.length === 0) {
+      return reply.status(400).send({ error: 'Session has no characters to order' });
+    }
 
-    // Build session context
-    const sessionContext = {
-      ...session,
-      state: JSON.parse(session.state || '{}'),
-      characters: characters.map(c => ({
-        ...c,
-        attributes: JSON.parse(c.attributes || '{}')
-      })),
-      messageHistory: recentHistory,
-      recentHistory: recentHistory.map(h => `${h.role}: ${h.content}`)
-    };
+    const world = queryOne('SELECT setting FROM worlds WHERE id = ?', [session.world_id]);
+    const state = JSON.parse(session.state || '{}');
+    state.turnOrder = createTurnOrder(characters, world?.setting, { roundSummary: round_summary });
 
-    // Get character name for action attribution
-    let characterName = 'Player';
-    if (character_id) {
-      const char = characters.find(c => c.id === character_id);
-      if (char) characterName = char.name;
+    execute(
+      'UPDATE sessions SET state = ?, updated_at = ? WHERE id = ?',
+      [JSON.stringify(state), new Date().toISOString(), request.params.id]
+    );
+
+    const turns = describeTurnOrder(state.turnOrder);
+    broadcast(request.params.id, 'turn_update', turns);
+    return turns;
+  });
+
+  // Leave turn-based mode
+  fastify.delete('/:id/turns', async (request, reply) => {
+    const session = queryOne('SELECT * FROM sessions WHERE id = ?', [request.params.id]);
+
+    if (!session) {
+      return reply.status(404).send({ error: 'Session not found' });
     }
 
-    const playerAction = `${characterName}: ${action}`;
+    const state = JSON.parse(session.state || '{}');
+    delete state.turnOrder;
 
-    // Generate GM response
-    try {
-      const worldContext = {
-        ...world,
-        config: JSON.parse(world.config || '{}')
-      };
+    execute(
+      'UPDATE sessions SET state = ?, updated_at = ? WHERE id = ?',
+      [JSON.stringify(state), new Date().toISOString(), request.params.id]
+    );
 
-      const gmResponse = await generateGMResponse(worldContext, sessionContext, playerAction);
+    const turns = describeTurnOrder(null);
+    broadcast(request.params.id, 'turn_update', turns);
+    return turns;
+  });
 
-      // Save to history
-      const now = new Date().toISOString();
-      execute(
-        `INSERT INTO session_history (session_id, role, content, created_at)
-         VALUES (?, ?, ?, ?)`,
-        [request.params.id, 'user', playerAction, now]
-      );
-      execute(
-        `INSERT INTO session_history (session_id, role, content, created_at)
-         VALUES (?, ?, ?, ?)`,
-        [request.params.id, 'assistant', gmResponse, now]
-      );
+  // Send action (play the game!)
+  fastify.post('/:id/action', async (request, reply) => {
+    const { character_id, action, client_id } = request.body;
 
-      // Update session timestamp
-      execute(
-        'UPDATE sessions SET updated_at = ? WHERE id = ?',
-        [now, request.params.id]
-      );
+    if (!action) {
+      return reply.status(400).send({ error: 'action is required' });
+    }
 
-      return {
-        action: playerAction,
-        response: gmResponse,
-        timestamp: now
-      };
+    const context = loadActionContext(request.params.id, character_id);
+    if (!context) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+
+    const turn = claimSessionTurn(context.sessionId, context.characterId);
+    if (!turn.allowed) {
+      return reply.status(409).send(notYourTurn(turn));
+    }
 
+    try {
+      return await playTurn(context, action, client_id);
     } catch (error) {
+      releaseSessionTurn(context.sessionId);
       return reply.status(500).send({ 
         error: 'Failed to generate response', 
         details: error.message 
@@ -223,6 +333,91 @@ export default async function sessionRoutes(fastify) {
     }
   });
 
+  // Send action and stream the GM response back as Server-Sent Events
+  fastify.post('/:id/action/stream', async (request, reply) => {
+    const { character_id, action, client_id } = request.body;
+
+    if (!action) {
+      return reply.status(400).send({ error: 'action is required' });
+    }
+
+    const context = loadActionContext(request.params.id, character_id);
+    if (!context) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+
+    const turn = claimSessionTurn(context.sessionId, context.characterId);
+    if (!turn.allowed) {
+      return reply.status(409).send(notYourTurn(turn));
+    }
+
+    const stream = openEventStream(reply);
+    stream.send('action', { action: `${context.characterName}: ${action}` });
+
+    try {
+      const result = await playTurn(context, action, client_id, {
+        onToken: (part, token) => stream.send('token', { part, token }),
+        onRolls: (rolls, response) => stream.send('rolls', { rolls, response })
+      });
+      stream.send('done', result);
+    } catch (error) {
+      releaseSessionTurn(context.sessionId);
+      stream.send('error', { error: 'Failed to generate response', details: error.message });
+    } finally {
+      stream.close();
+    }
+  });
+
+  // NPCs in the session, for dialogue mode (secrets are left out)
+  fastify.get('/:id/npcs', async (request, reply) => {
+    const session = queryOne('SELECT * FROM sessions WHERE id = ?', [request.params.id]);
+    if (!session) {
+      return reply.status(404).send({ error: 'Session not found' });
+    }
+    return listSessionNpcs(session.id, session.world_id);
+  });
+
+  // What has been said to an NPC (?character_id= narrows it to one character)
+  fastify.get('/:id/npcs/:npcName/dialogue', async (request, reply) => {
+    const npc = findSessionNpc(request.params.id, request.params.npcName);
+    if (!npc) {
+      return reply.status(404).send({ error: 'NPC not found' });
+    }
+    return { npc: npc.npc_name, exchanges: getDialogue(npc, request.query.character_id || null) };
+  });
+
+  // Dialogue mode: speak to an NPC, who answers in character
+  // Conversation does not use up a turn in turn-based play
+  fastify.post('/:id/npcs/:npcName/talk', async (request, reply) => {
+    const { character_id, message, client_id } = request.body || {};
+
+    if (!message?.trim()) {
+      return reply.status(400).send({ error: 'message is required' });
+    }
+
+    try {
+      const result = await talkToNpc(request.params.id, request.params.npcName, {
+        characterId: character_id,
+        message: message.trim()
+      });
+      if (result.error) {
+        return reply.status(DIALOGUE_ERROR_STATUS[result.error] || 400).send(result);
+      }
+
+      broadcast(request.params.id, 'npc_dialogue', {
+        clientId: client_id || null,
+        characterId: character_id,
+        ...result
+      });
+      return result;
+    } catch (error) {
+      return reply.status(500).send({
+        error: 'Failed to generate response',
+        details: error.message
+      });
+    }
+  });
+
   // Delete session
   fastify.delete('/:id', async (request, reply) => {
     const result = execute('DELETE FROM sessions WHERE id = ?', [request.params.id]);
@@ -234,3 +429,190 @@ export default async function sessionRoutes(fastify) {
     return { success: true };
   });
 }
+
+/**
+ * Load everything the GM needs to answer an action in a session
+ */
+function loadActionContext(sessionId, characterId) {
+  // Get session with world
+  const session = queryOne('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) return null;
+
+  const world = queryOne('SELECT * FROM worlds WHERE id = ?', [session.world_id]);
+
+  // Get recent history
+  const recentHistory = queryAll(
+    `SELECT role, content FROM session_history 
+     WHERE session_id = ? 
+     ORDER BY created_at DESC, id DESC
+     LIMIT 10`,
+    [sessionId]
+  ).reverse();
+
+  // Get characters
+  const characters = queryAll(
+    `SELECT c.* FROM characters c
+     JOIN session_participants sp ON c.id = sp.character_id
+     WHERE sp.session_id = ?`,
+    [sessionId]
+  );
+
+  // Combat state shows up in the prompt and as per-character conditions
+  const encounter = getActiveEncounter(sessionId);
+  const conditions = getCharacterConditions(encounter);
+
+  // Build session context
+  const sessionContext = {
+    ...session,
+    state: JSON.parse(session.state || '{}'),
+    characters: characters.map(c => withEquipment({
+      ...c,
+      attributes: JSON.parse(c.attributes || '{}'),
+      skills: JSON.parse(c.skills || '{}'),
+      inventory: listItems(c.id, { sessionId, includeEquipped: false }).map(formatItem),
+      relationships: getCharacterRelationships(session.world_id, c.id),
+      conditions: conditions[c.id] || []
+    }, sessionId)),
+    encounter,
+    quests: getActiveQuests(sessionId),
+    factions: getFactionStandings(session.world_id, characters, { sessionId }),
+    clock: getClock(sessionId),
+    messageHistory: recentHistory,
+    recentHistory: recentHistory.map(h => `${h.role}: ${h.content}`)
+  };
+
+  // Get character name for action attribution
+  const actingCharacter = sessionContext.characters.find(c => c.id === characterId) || null;
+
+  return {
+    sessionId,
+    characterId: characterId || null,
+    world,
+    worldContext: {
+      ...world,
+      config: JSON.parse(world.config || '{}'),
+      codex: getWorldCodex(world.id)
+    },
+    sessionContext,
+    actingCharacter,
+    characterName: actingCharacter ? actingCharacter.name : 'Player'
+  };
+}
+
+/**
+ * Play one turn: generate the GM response, resolve rolls, record history
+ * and broadcast to the session. Passing hooks streams the generation.
+ */
+async function playTurn(context, action, clientId = null, hooks = {}) {
+  const { sessionId, characterId, characterName, world, worldContext, sessionContext, actingCharacter } = context;
+  const { onToken = null, onRolls = null } = hooks;
+
+  const playerAction = `${characterName}: ${action}`;
+
+  broadcast(sessionId, 'player_action', {
+    clientId: clientId || null,
+    characterId,
+    characterName,
+    action
+  });
+
+  // The action takes time; the GM describes the moment it ends in
+  const plan = planActionTime(sessionId, action, { encounter: sessionContext.encounter });
+  const turnContext = plan.error
+    ? sessionContext
+    : { ...sessionContext, clock: plan.clock, timePassed: plan };
+
+  // Generate GM response
+  const rawResponse = await generateGMResponse(worldContext, turnContext, playerAction, null, {
+    onToken: onToken && (token => onToken('response', token))
+  });
+
+  // Resolve any [ROLL:skill:difficulty] tags against the acting character
+  const rolls = resolveRollTags(rawResponse, actingCharacter, world.setting);
+  const gmResponse = annotateRollTags(rawResponse, rolls);
+
+  let followUp = null;
+  if (rolls.length > 0) {
+    if (onRolls) onRolls(rolls, gmResponse);
+    followUp = await generateRollOutcome(worldContext, playerAction, rawResponse, rolls, {
+      onToken: onToken && (token => onToken('followUp', token))
+    });
+  }
+
+  // The response is in, so the time it describes passes
+  const passage = plan.error ? plan : await passTimeForAction(sessionId, plan);
+
+  // Save to history
+  const now = new Date().toISOString();
+  transaction(() => {
+    execute(
+      `INSERT INTO session_history (session_id, role, content, created_at)
+       VALUES (?, ?, ?, ?)`,
+      [sessionId, 'user', playerAction, now]
+    );
+    execute(
+      `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, 'assistant', gmResponse, JSON.stringify(rolls.length ? { rolls } : {}), now]
+    );
+    if (followUp) {
+      execute(
+        `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [sessionId, 'assistant', followUp, JSON.stringify({ type: 'roll_outcome' }), now]
+      );
+    }
+
+    // Update session timestamp
+    execute(
+      'UPDATE sessions SET updated_at = ? WHERE id = ?',
+      [now, sessionId]
+    );
+  });
+
+  // Pass the turn on; once everyone has acted the GM may sum up the round
+  const turnResult = advanceSessionTurn(sessionId, {
+    characterId,
+    characterName,
+    action,
+    response: followUp ? `${gmResponse}\n${followUp}` : gmResponse
+  });
+
+  let roundSummary = null;
+  if (turnResult?.roundComplete && turnResult.turnOrder.roundSummary) {
+    const round = turnResult.turnOrder.round - 1;
+    roundSummary = await generateRoundSummary(worldContext, round, turnResult.roundLog, {
+      onToken: onToken && (token => onToken('roundSummary', token))
+    });
+    execute(
+      `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, 'assistant', roundSummary, JSON.stringify({ type: 'round_summary', round }), new Date().toISOString()]
+    );
+  }
+
+  const result = {
+    action: playerAction,
+    response: gmResponse,
+    rolls,
+    followUp,
+    roundSummary,
+    turn: turnResult ? describeTurnOrder(turnResult.turnOrder) : null,
+    clock: passage.error ? sessionContext.clock : passage.clock,
+    timestamp: now
+  };
+
+  broadcast(sessionId, 'gm_response', {
+    clientId: clientId || null,
+    characterId,
+    ...result
+  });
+  if (result.turn) {
+    broadcast(sessionId, 'turn_update', result.turn);
+  }
+  if (!passage.error) {
+    announcePassage(sessionId, passage);
+  }
+
+  return result;
+}
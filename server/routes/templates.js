@@ -0,0 +1,97 @@
+/**
+ * Setting template routes
+ * GET / lists every selectable setting (built-in and custom);
+ * custom settings are edited by their setting id.
+ * Export/import move settings between servers as JSON bundles.
+ */
+
+import { listSettings, getSettingConfig, hasSetting } from '../../shared/settings.js';
+import {
+  listSettingTemplates,
+  getSettingTemplate,
+  createSettingTemplate,
+  updateSettingTemplate,
+  deleteSettingTemplate,
+  exportSetting,
+  importSetting
+} from '../services/setting-templates.js';
+
+const TEMPLATE_ERROR_STATUS = {
+  'Setting not found': 404,
+  'Built-in setting': 403,
+  'Setting in use': 409,
+  'Setting exists': 409
+};
+
+export default async function templateRoutes(fastify) {
+
+  // Every setting a world can use
+  fastify.get('/', async () => {
+    return listSettings();
+  });
+
+  // Custom settings with their full config
+  fastify.get('/custom', async () => {
+    return listSettingTemplates();
+  });
+
+  // One setting: the stored template for custom ones, the config for built-ins
+  fastify.get('/:settingId', async (request, reply) => {
+    const { settingId } = request.params;
+    const template = getSettingTemplate(settingId);
+    if (template) return template;
+
+    if (!hasSetting(settingId)) {
+      return reply.status(404).send({ error: 'Setting not found' });
+    }
+    const config = getSettingConfig(settingId);
+    return { setting: settingId, name: config.name, description: config.description, builtin: true, config };
+  });
+
+  // Build a new setting
+  fastify.post('/', async (request, reply) => {
+    const template = createSettingTemplate(request.body || {});
+    if (template.error) {
+      return reply.status(400).send(template);
+    }
+    return template;
+  });
+
+  // Download any setting as a JSON bundle
+  fastify.get('/:settingId/export', async (request, reply) => {
+    const bundle = exportSetting(request.params.settingId);
+    if (!bundle) {
+      return reply.status(404).send({ error: 'Setting not found' });
+    }
+    reply.header('Content-Disposition', `attachment; filename="${request.params.settingId}.setting.json"`);
+    return bundle;
+  });
+
+  // Import a bundle (?on_conflict=error|rename|replace)
+  fastify.post('/import', async (request, reply) => {
+    const { on_conflict: onConflict = 'error' } = request.query;
+    const template = importSetting(request.body, { onConflict });
+    if (template.error) {
+      return reply.status(TEMPLATE_ERROR_STATUS[template.error] || 400).send(template);
+    }
+    return template;
+  });
+
+  // Edit a custom setting
+  fastify.put('/:settingId', async (request, reply) => {
+    const template = updateSettingTemplate(request.params.settingId, request.body || {});
+    if (template.error) {
+      return reply.status(TEMPLATE_ERROR_STATUS[template.error] || 400).send(template);
+    }
+    return template;
+  });
+
+  // Delete a custom setting no world uses
+  fastify.delete('/:settingId', async (request, reply) => {
+    const result = deleteSettingTemplate(request.params.settingId);
+    if (result.error) {
+      return reply.status(TEMPLATE_ERROR_STATUS[result.error] || 400).send(result);
+    }
+    return result;
+  });
+}
@@ -4,6 +4,34 @@
 
 import { v4 as uuid } from 'uuid';
 import { queryAll, queryOne, execute } from '../db/init.js';
+import { hasSetting } from '../../shared/settings.js';
+import {
+  CONTENT_KINDS,
+  listContent,
+  getContent,
+  createContent,
+  updateContent,
+  deleteContent
+} from '../services/world-content.js';
+import {
+  getRelationshipGraph,
+  getRelationship,
+  setRelationship,
+  deleteRelationship
+} from '../services/relationships.js';
+import {
+  listFactions,
+  getFaction,
+  createFaction,
+  updateFaction,
+  deleteFaction,
+  setStance
+} from '../services/factions.js';
+
+const FACTION_ERROR_STATUS = {
+  'Faction not found': 404,
+  'Faction exists': 409
+};
 
 export default async function worldRoutes(fastify) {
   
@@ -35,6 +63,9 @@ export default async function worldRoutes(fastify) {
     if (!name || !setting) {
       return reply.status(400).send({ error: 'Name and setting are required' });
     }
+    if (!hasSetting(setting)) {
+      return reply.status(400).send({ error: 'Unknown setting', details: `No built-in or custom setting ${setting}` });
+    }
 
     const id = uuid();
     const now = new Date().toISOString();
@@ -58,6 +89,9 @@ export default async function worldRoutes(fastify) {
     if (!existing) {
       return reply.status(404).send({ error: 'World not found' });
     }
+    if (setting !== undefined && !hasSetting(setting)) {
+      return reply.status(400).send({ error: 'Unknown setting', details: `No built-in or custom setting ${setting}` });
+    }
 
     // Build update dynamically
     const updates = [];
@@ -87,4 +121,209 @@ export default async function worldRoutes(fastify) {
 
     return { success: true };
   });
+
+  // World codex: /:id/content/lore|npcs|locations
+  // Check the kind and world, replying 400/404 when either is wrong
+  function loadContentWorld(request, reply) {
+    if (!CONTENT_KINDS[request.params.kind]) {
+      reply.status(400).send({ error: `kind must be one of: ${Object.keys(CONTENT_KINDS).join(', ')}` });
+      return null;
+    }
+
+    const world = queryOne('SELECT id FROM worlds WHERE id = ?', [request.params.id]);
+    if (!world) {
+      reply.status(404).send({ error: 'World not found' });
+      return null;
+    }
+    return world;
+  }
+
+  // Load a codex entry that belongs to the world in the URL
+  function loadContentEntry(request, reply) {
+    if (!loadContentWorld(request, reply)) return null;
+
+    const entry = getContent(request.params.kind, request.params.entryId);
+    if (!entry || entry.world_id !== request.params.id) {
+      reply.status(404).send({ error: 'Entry not found' });
+      return null;
+    }
+    return entry;
+  }
+
+  // List codex entries (?category= filters lore)
+  fastify.get('/:id/content/:kind', async (request, reply) => {
+    if (!loadContentWorld(request, reply)) return reply;
+    return listContent(request.params.id, request.params.kind, { category: request.query.category });
+  });
+
+  // Add a codex entry
+  fastify.post('/:id/content/:kind', async (request, reply) => {
+    if (!loadContentWorld(request, reply)) return reply;
+
+    const entry = createContent(request.params.id, request.params.kind, request.body || {});
+    if (entry.error) {
+      return reply.status(400).send(entry);
+    }
+    return entry;
+  });
+
+  // Get a codex entry
+  fastify.get('/:id/content/:kind/:entryId', async (request, reply) => {
+    return loadContentEntry(request, reply) ?? reply;
+  });
+
+  // Edit a codex entry
+  fastify.put('/:id/content/:kind/:entryId', async (request, reply) => {
+    if (!loadContentEntry(request, reply)) return reply;
+
+    const entry = updateContent(request.params.kind, request.params.entryId, request.body || {});
+    if (entry.error) {
+      return reply.status(400).send(entry);
+    }
+    return entry;
+  });
+
+  // Delete a codex entry
+  fastify.delete('/:id/content/:kind/:entryId', async (request, reply) => {
+    if (!loadContentEntry(request, reply)) return reply;
+
+    deleteContent(request.params.kind, request.params.entryId);
+    return { success: true };
+  });
+
+  // Relationship graph: /:id/relationships
+  function loadWorld(request, reply) {
+    const world = queryOne('SELECT id FROM worlds WHERE id = ?', [request.params.id]);
+    if (!world) {
+      reply.status(404).send({ error: 'World not found' });
+      return null;
+    }
+    return world;
+  }
+
+  function loadRelationship(request, reply) {
+    if (!loadWorld(request, reply)) return null;
+
+    const relationship = getRelationship(request.params.id, request.params.relationshipId);
+    if (!relationship) {
+      reply.status(404).send({ error: 'Relationship not found' });
+      return null;
+    }
+    return relationship;
+  }
+
+  // Every character and NPC with the edges between them
+  // ?node_type=npc&node_ref=Mira keeps only edges touching one node
+  fastify.get('/:id/relationships', async (request, reply) => {
+    if (!loadWorld(request, reply)) return reply;
+
+    const { node_type, node_ref } = request.query;
+    return getRelationshipGraph(request.params.id, {
+      node: node_type ? { type: node_type, ref: node_ref } : null
+    });
+  });
+
+  // Set how source feels about target: { source, target, trust, respect, affection, fear, cause }
+  fastify.post('/:id/relationships', async (request, reply) => {
+    if (!loadWorld(request, reply)) return reply;
+
+    const { source, target, cause, ...values } = request.body || {};
+    const relationship = setRelationship(request.params.id, source, target, values, cause ? { cause } : {});
+    if (relationship.error) {
+      return reply.status(400).send(relationship);
+    }
+    return relationship;
+  });
+
+  // An edge with its history of changes
+  fastify.get('/:id/relationships/:relationshipId', async (request, reply) => {
+    return loadRelationship(request, reply) ?? reply;
+  });
+
+  // Edit an edge's values
+  fastify.put('/:id/relationships/:relationshipId', async (request, reply) => {
+    const current = loadRelationship(request, reply);
+    if (!current) return reply;
+
+    const { cause, ...values } = request.body || {};
+    const relationship = setRelationship(request.params.id, current.source, current.target, values, cause ? { cause } : {});
+    if (relationship.error) {
+      return reply.status(400).send(relationship);
+    }
+    return relationship;
+  });
+
+  // Forget an edge and its history
+  fastify.delete('/:id/relationships/:relationshipId', async (request, reply) => {
+    if (!loadRelationship(request, reply)) return reply;
+
+    deleteRelationship(request.params.id, request.params.relationshipId);
+    return { success: true };
+  });
+
+  // Factions: /:id/factions
+  // Load a faction that belongs to the world in the URL
+  function loadFaction(request, reply) {
+    if (!loadWorld(request, reply)) return null;
+
+    const faction = getFaction(request.params.id, request.params.factionId);
+    if (!faction) {
+      reply.status(404).send({ error: 'Faction not found' });
+      return null;
+    }
+    return faction;
+  }
+
+  // List a world's factions with stances and members
+  fastify.get('/:id/factions', async (request, reply) => {
+    if (!loadWorld(request, reply)) return reply;
+    return listFactions(request.params.id);
+  });
+
+  // Add a faction: { name, description, goals }
+  fastify.post('/:id/factions', async (request, reply) => {
+    if (!loadWorld(request, reply)) return reply;
+
+    const faction = createFaction(request.params.id, request.body || {});
+    if (faction.error) {
+      return reply.status(FACTION_ERROR_STATUS[faction.error] || 400).send(faction);
+    }
+    return faction;
+  });
+
+  // A faction with every character's standing
+  fastify.get('/:id/factions/:factionId', async (request, reply) => {
+    return loadFaction(request, reply) ?? reply;
+  });
+
+  // Edit a faction
+  fastify.put('/:id/factions/:factionId', async (request, reply) => {
+    if (!loadFaction(request, reply)) return reply;
+
+    const faction = updateFaction(request.params.id, request.params.factionId, request.body || {});
+    if (faction.error) {
+      return reply.status(FACTION_ERROR_STATUS[faction.error] || 400).send(faction);
+    }
+    return faction;
+  });
+
+  // Delete a faction; its members become unaffiliated
+  fastify.delete('/:id/factions/:factionId', async (request, reply) => {
+    if (!loadFaction(request, reply)) return reply;
+
+    deleteFaction(request.params.id, request.params.factionId);
+    return { success: true };
+  });
+
+  // Set the stance between two factions: { stance: allied | friendly | neutral | rival | war }
+  fastify.put('/:id/factions/:factionId/stances/:otherFactionId', async (request, reply) => {
+    if (!loadFaction(request, reply)) return reply;
+
+    const { stance } = request.body || {};
+    const faction = setStance(request.params.id, request.params.factionId, request.params.otherFactionId, stance);
+    if (faction.error) {
+      return reply.status(FACTION_ERROR_STATUS[faction.error] || 400).send(faction);
+    }
+    return faction;
+  });
 }
@@ -0,0 +1,632 @@
+/**
+ * Game Clock
+ *
+ * Every session keeps its own in-game time (sessions.game_time), counted in
+ * minutes from the first day of its setting's calendar. Actions move it on by
+ * what they take: a combat round, a conversation, a day's travel, a night's
+ * rest, or a duration the player names ("wait two hours"). As time passes:
+ * - the scene's time of day and season follow the clock
+ * - the weather where the party is turns (weather.js)
+ * - timed events that come due fire, once or on repeat (session_events)
+ * - staff wages come due and are paid from their employer's wallet
+ * - shops restock (shops.js)
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { getCalendar, formatMoney } from '../../shared/settings.js';
+import { adjustBalance, getBalance } from './economy.js';
+import { advanceShopTime, quoteShop } from './shops.js';
+import { recordSessionEvent } from './session-registry.js';
+import { currentWeather, weatherAt, recordWeather } from './weather.js';
+import { broadcast } from './session-hub.js';
+
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+const MAX_ADVANCE = 366 * MINUTES_PER_DAY;
+const MAX_ACTION_DURATION = 30 * MINUTES_PER_DAY;
+
+/**
+ * How long an action of each kind takes, in minutes
+ * During an encounter every action is one combat round.
+ */
+export const ACTIVITY_MINUTES = {
+  combat: 1,
+  dialogue: 10,
+  action: 15,
+  exploration: 30,
+  travel: 4 * MINUTES_PER_HOUR,
+  rest: 8 * MINUTES_PER_HOUR
+};
+
+// First match wins; anything else is a plain action
+const ACTIVITY_PATTERNS = [
+  ['rest', /\b(sleep|nap|make camp|bed down|turn in|long rest|rest (?:for|until|here|a while|the night|up))\b|\brest[.!]?$/],
+  ['travel', /\b(travel|journey|ride|sail|march|trek|set out|head (?:to|for|toward|towards))\b/],
+  ['combat', /\b(attack|fight|shoot|strike|stab|charge|parry)\b/],
+  ['dialogue', /\b(say|tell|ask|speak|talk|chat|greet|haggle|persuade)\b|"/],
+  ['exploration', /\b(explore|search|examine|investigate|look around|scout)\b/]
+];
+
+/**
+ * Hours at which each time of day begins
+ */
+export const TIMES_OF_DAY = [
+  [0, 'midnight'],
+  [1, 'night'],
+  [5, 'dawn'],
+  [7, 'morning'],
+  [12, 'noon'],
+  [13, 'afternoon'],
+  [17, 'evening'],
+  [19, 'dusk'],
+  [21, 'night']
+];
+
+const UNIT_MINUTES = { minute: 1, hour: MINUTES_PER_HOUR, day: MINUTES_PER_DAY, week: 7 * MINUTES_PER_DAY };
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, 'a few': 3, 'a couple of': 2, several: 3
+};
+// "for two hours", "wait an hour", "spend a few days"; not "in two days"
+const DURATION = /\b(?:for|wait|spend)\s+(?:about\s+|around\s+)?(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|twelve|a few|a couple of|several)\s+(minute|hour|day|week)s?\b/;
+const UNTIL = /\buntil (midnight|dawn|morning|noon|afternoon|evening|dusk|nightfall|night)\b/;
+
+export function timeOfDay(hour) {
+  return TIMES_OF_DAY.filter(([start]) => hour >= start).at(-1)[1];
+}
+
+function yearLength(calendar) {
+  return calendar.months.reduce((total, month) => total + month.days, 0);
+}
+
+/**
+ * Where a clock reading falls in a calendar
+ */
+export function calendarDate(minutes, calendar) {
+  const dayNumber = Math.floor(minutes / MINUTES_PER_DAY);
+  const minuteOfDay = minutes - dayNumber * MINUTES_PER_DAY;
+  const years = Math.floor(dayNumber / yearLength(calendar));
+
+  let day = dayNumber - years * yearLength(calendar);
+  let month = 0;
+  while (day >= calendar.months[month].days) {
+    day -= calendar.months[month].days;
+    month++;
+  }
+
+  const hour = Math.floor(minuteOfDay / MINUTES_PER_HOUR);
+  return {
+    year: calendar.startYear + years,
+    month,
+    monthName: calendar.months[month].name,
+    day: day + 1,
+    dayNumber,
+    hour,
+    minute: minuteOfDay % MINUTES_PER_HOUR,
+    season: calendar.months[month].season,
+    timeOfDay: timeOfDay(hour)
+  };
+}
+
+/**
+ * "14 Greenleaf 1012 AR, 18:30"
+ */
+export function formatDate(date, calendar) {
+  const time = `${String(date.hour).padStart(2, '0')}:${String(date.minute).padStart(2, '0')}`;
+  return `${date.day} ${date.monthName} ${date.year}${calendar.era ? ` ${calendar.era}` : ''}, ${time}`;
+}
+
+/**
+ * "2 days 4 hours", "30 minutes"
+ */
+export function formatDuration(minutes) {
+  const parts = [
+    [Math.floor(minutes / MINUTES_PER_DAY), 'day'],
+    [Math.floor((minutes % MINUTES_PER_DAY) / MINUTES_PER_HOUR), 'hour'],
+    [minutes % MINUTES_PER_HOUR, 'minute']
+  ].filter(([count]) => count > 0);
+
+  if (parts.length === 0) return '0 minutes';
+  return parts.map(([count, unit]) => `${count} ${unit}${count === 1 ? '' : 's'}`).join(' ');
+}
+
+/**
+ * { days, hours, minutes } -> minutes
+ */
+export function toMinutes({ days = 0, hours = 0, minutes = 0 } = {}) {
+  return Math.round(Number(days) * MINUTES_PER_DAY + Number(hours) * MINUTES_PER_HOUR + Number(minutes));
+}
+
+// Minutes from the calendar's first day to where new sessions begin
+function startTime(calendar) {
+  const { month, day, hour } = calendar.start;
+  const daysBefore = calendar.months.slice(0, month).reduce((total, m) => total + m.days, 0);
+  return (daysBefore + day - 1) * MINUTES_PER_DAY + hour * MINUTES_PER_HOUR;
+}
+
+function loadSession(sessionId) {
+  const session = queryOne(
+    `SELECT s.id, s.world_id, s.game_time, s.state, w.setting FROM sessions s
+     JOIN worlds w ON w.id = s.world_id WHERE s.id = ?`,
+    [sessionId]
+  );
+  if (!session) return null;
+
+  const calendar = getCalendar(session.setting);
+  return {
+    ...session,
+    calendar,
+    time: session.game_time ?? startTime(calendar),
+    weather: currentWeather(JSON.parse(session.state || '{}'))
+  };
+}
+
+// The weather where the scene is now, rolled again when its spell is over;
+// weather already rolled for a preview of the same moment holds
+function rollWeather(session, state, planned = null) {
+  const location = state.currentScene?.location;
+  const known = location && queryOne(
+    'SELECT location_type FROM session_locations WHERE session_id = ? AND location_name = ? COLLATE NOCASE',
+    [session.id, location]
+  );
+  return weatherAt(state, {
+    locationType: known?.location_type,
+    season: calendarDate(session.time, session.calendar).season,
+    setting: session.setting,
+    now: session.time,
+    planned
+  });
+}
+
+function formatEvent(row, session) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    dueAt: row.due_at,
+    when: formatDate(calendarDate(row.due_at, session.calendar), session.calendar),
+    in: row.due_at > session.time ? formatDuration(row.due_at - session.time) : null,
+    repeatEvery: row.repeat_minutes ? formatDuration(row.repeat_minutes) : null,
+    status: row.status
+  };
+}
+
+/**
+ * A session's timed events, soonest first
+ */
+export function listEvents(sessionId, { status = 'pending', limit = 50 } = {}) {
+  const session = loadSession(sessionId);
+  if (!session) return null;
+
+  return queryAll(
+    `SELECT * FROM session_events WHERE session_id = ? AND status = ?
+     ORDER BY due_at LIMIT ?`,
+    [sessionId, status, limit]
+  ).map(row => formatEvent(row, session));
+}
+
+// `rescheduled` holds repeating events a preview has moved on, not yet saved
+function describeClock(session, rescheduled = []) {
+  const date = calendarDate(session.time, session.calendar);
+  const pending = queryAll(
+    `SELECT * FROM session_events WHERE session_id = ? AND status = 'pending' AND due_at > ?
+     ORDER BY due_at LIMIT 5`,
+    [session.id, session.time]
+  );
+  return {
+    minutes: session.time,
+    ...date,
+    label: formatDate(date, session.calendar),
+    weather: session.weather,
+    upcoming: [...pending, ...rescheduled]
+      .sort((a, b) => a.due_at - b.due_at)
+      .slice(0, 5)
+      .map(row => formatEvent(row, session))
+  };
+}
+
+/**
+ * The current date and time in a session, or null when it does not exist
+ */
+export function getClock(sessionId) {
+  const session = loadSession(sessionId);
+  return session ? describeClock(session) : null;
+}
+
+/**
+ * Session state with the scene's time of day, season and weather set from the clock
+ */
+export function syncSceneTime(state, clock) {
+  const time = {
+    timeOfDay: clock.timeOfDay,
+    season: clock.season,
+    ...(clock.weather && { weather: clock.weather.condition })
+  };
+  return {
+    ...state,
+    gameState: { ...state.gameState, ...time, date: clock.label },
+    ...(clock.weather && { weather: recordWeather(state.weather, clock.weather) }),
+    ...(state.currentScene && { currentScene: { ...state.currentScene, ...time } })
+  };
+}
+
+/**
+ * Session state brought up to date after the scene moves somewhere new,
+ * with the weather there
+ */
+export function syncScene(sessionId, state) {
+  const session = loadSession(sessionId);
+  if (!session) return state;
+
+  session.weather = rollWeather(session, state).weather;
+  return syncSceneTime(state, describeClock(session));
+}
+
+/**
+ * Schedule an event: { name, description, at } with at in clock minutes,
+ * or { in: { days, hours, minutes } } from now; repeat: { days, hours, minutes }
+ */
+export function scheduleEvent(sessionId, data = {}) {
+  const session = loadSession(sessionId);
+  if (!session) return { error: 'Session not found' };
+
+  const name = data.name?.trim();
+  if (!name) return { error: 'Invalid event', details: 'name is required' };
+
+  const dueAt = data.at !== undefined && data.at !== null ? Math.round(Number(data.at)) : session.time + toMinutes(data.in);
+  if (!Number.isFinite(dueAt) || dueAt <= session.time) {
+    return { error: 'Invalid event', details: 'an event must be due after the current time' };
+  }
+
+  const repeatMinutes = data.repeat ? toMinutes(data.repeat) : null;
+  if (repeatMinutes !== null && !(repeatMinutes > 0)) {
+    return { error: 'Invalid event', details: 'repeat must be a positive duration' };
+  }
+
+  const row = {
+    id: uuid(),
+    session_id: sessionId,
+    name,
+    description: data.description?.trim() || '',
+    due_at: dueAt,
+    repeat_minutes: repeatMinutes,
+    status: 'pending',
+    fired_at: null,
+    created_at: Date.now()
+  };
+  execute(
+    `INSERT INTO session_events (id, session_id, name, description, due_at, repeat_minutes, status, fired_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    Object.values(row)
+  );
+
+  console.log(`📅 Scheduled ${name} for ${formatDate(calendarDate(dueAt, session.calendar), session.calendar)}`);
+  return formatEvent(row, session);
+}
+
+/**
+ * Cancel a pending event; returns false when there was none
+ */
+export function cancelEvent(sessionId, eventId) {
+  const { changes } = execute(
+    `UPDATE session_events SET status = 'cancelled' WHERE id = ? AND session_id = ? AND status = 'pending'`,
+    [eventId, sessionId]
+  );
+  return changes > 0;
+}
+
+// Events due by `now`; a repeating event's next_due_at is its next time
+function dueEvents(session, now) {
+  return queryAll(
+    `SELECT * FROM session_events WHERE session_id = ? AND status = 'pending' AND due_at <= ?
+     ORDER BY due_at`,
+    [session.id, now]
+  ).map(row => ({
+    ...row,
+    next_due_at: row.repeat_minutes
+      ? row.due_at + (Math.floor((now - row.due_at) / row.repeat_minutes) + 1) * row.repeat_minutes
+      : null
+  }));
+}
+
+function firedEvent(row, session) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    at: formatDate(calendarDate(row.due_at, session.calendar), session.calendar)
+  };
+}
+
+// Fire due events; repeating events move to their next time
+function fireEvents(session, due) {
+  return due.map(row => {
+    if (row.next_due_at) {
+      execute('UPDATE session_events SET due_at = ?, fired_at = ? WHERE id = ?', [row.next_due_at, row.due_at, row.id]);
+    } else {
+      execute(`UPDATE session_events SET status = 'fired', fired_at = ? WHERE id = ?`, [row.due_at, row.id]);
+    }
+    return firedEvent(row, session);
+  });
+}
+
+// What adjustBalance() would make of a wage, against balances kept as it goes
+function previewPayment(balances, member, setting) {
+  if (!balances.has(member.employer_id)) {
+    balances.set(member.employer_id, getBalance(member.employer_id));
+  }
+  const balance = balances.get(member.employer_id);
+  if (balance === null) return null;
+  if (balance < member.wages) {
+    return {
+      error: 'Insufficient funds',
+      details: `Needs ${formatMoney(member.wages, setting)}, has ${formatMoney(balance, setting)}`,
+      balance
+    };
+  }
+
+  balances.set(member.employer_id, balance - member.wages);
+  return { balance: balance - member.wages };
+}
+
+// Pay every wage that has come due; staff whose employer cannot pay stop work.
+// A preview works out the same payments without making them.
+function payWages(session, now, { preview = false } = {}) {
+  const period = session.calendar.wageDays * MINUTES_PER_DAY;
+  const staff = queryAll(
+    `SELECT * FROM session_staff
+     WHERE session_id = ? AND status = 'active' AND employer_id IS NOT NULL AND wages_due_at <= ?`,
+    [session.id, now]
+  );
+  const payments = [];
+  const balances = new Map();
+
+  for (const member of staff) {
+    let dueAt = member.wages_due_at;
+    let status = 'active';
+
+    while (dueAt <= now) {
+      const result = preview
+        ? previewPayment(balances, member, session.setting)
+        : adjustBalance(member.employer_id, -member.wages, 'wages', {
+          sessionId: session.id,
+          description: `Wages for ${member.staff_name}`,
+          counterparty: member.staff_name
+        });
+      if (!result || result.error) {
+        status = 'unpaid';
+        payments.push({
+          staff: member.staff_name,
+          characterId: member.employer_id,
+          amount: member.wages,
+          label: formatMoney(member.wages, session.setting),
+          paid: false,
+          details: result?.details || 'Employer not found'
+        });
+        break;
+      }
+
+      payments.push({
+        staff: member.staff_name,
+        characterId: member.employer_id,
+        amount: member.wages,
+        label: formatMoney(member.wages, session.setting),
+        paid: true,
+        balance: result.balance
+      });
+      dueAt += period;
+    }
+
+    if (preview) continue;
+    execute(
+      'UPDATE session_staff SET wages_due_at = ?, status = ?, updated_at = ? WHERE id = ?',
+      [dueAt, status, Date.now(), member.id]
+    );
+  }
+  return payments;
+}
+
+/**
+ * When a newly hired member of staff is first paid
+ */
+export function firstPayday(sessionId) {
+  const session = loadSession(sessionId);
+  return session ? session.time + session.calendar.wageDays * MINUTES_PER_DAY : null;
+}
+
+// "2 days pass", "summer begins", "it is now dusk", "the weather turns rainy"
+function describeChanges(before, after, weatherChanged) {
+  const changes = [];
+  const days = after.dayNumber - before.dayNumber;
+  if (days > 0) changes.push(`${days} day${days === 1 ? '' : 's'} pass${days === 1 ? 'es' : ''}`);
+  if (after.season !== before.season) changes.push(`${after.season} begins`);
+  if (after.timeOfDay !== before.timeOfDay || days > 0) changes.push(`it is now ${after.timeOfDay}`);
+  if (weatherChanged) changes.push(`the weather turns ${after.weather.condition}`);
+  return changes;
+}
+
+// Whole minutes to move on by, or { error } when out of range
+function checkDuration(minutes) {
+  const elapsed = Math.round(Number(minutes));
+  if (!Number.isFinite(elapsed) || elapsed <= 0 || elapsed > MAX_ADVANCE) {
+    return { error: 'Invalid duration', details: `time can move forward by 1 minute to ${formatDuration(MAX_ADVANCE)}` };
+  }
+  return { elapsed };
+}
+
+/**
+ * What letting time pass would bring, without changing anything yet:
+ * advanceClock()'s result less the shops restocked
+ */
+export function previewClock(sessionId, minutes) {
+  const session = loadSession(sessionId);
+  if (!session) return { error: 'Session not found' };
+
+  const duration = checkDuration(minutes);
+  if (duration.error) return duration;
+  const { elapsed } = duration;
+
+  const before = calendarDate(session.time, session.calendar);
+  const now = session.time + elapsed;
+  const due = dueEvents(session, now);
+  const wages = payWages(session, now, { preview: true });
+  session.time = now;
+
+  const { weather, changed } = rollWeather(session, JSON.parse(session.state || '{}'));
+  session.weather = weather;
+
+  const rescheduled = due.filter(row => row.next_due_at).map(row => ({ ...row, due_at: row.next_due_at }));
+  const clock = describeClock(session, rescheduled);
+  return {
+    elapsed,
+    elapsedLabel: formatDuration(elapsed),
+    clock,
+    changes: describeChanges(before, clock, changed),
+    events: due.map(row => firedEvent(row, session)),
+    wages
+  };
+}
+
+/**
+ * Let time pass in a session
+ * `weather` is the weather a preview of this passage rolled; it holds.
+ * Returns { elapsed, elapsedLabel, clock, changes, events, wages, restocked }
+ * or { error } for a missing session or a bad duration.
+ */
+export async function advanceClock(sessionId, minutes, { weather: planned = null } = {}) {
+  const session = loadSession(sessionId);
+  if (!session) return { error: 'Session not found' };
+
+  const duration = checkDuration(minutes);
+  if (duration.error) return duration;
+  const { elapsed } = duration;
+
+  const before = calendarDate(session.time, session.calendar);
+  const now = session.time + elapsed;
+
+  const { events, wages, weatherChanged } = transaction(() => {
+    const events = fireEvents(session, dueEvents(session, now));
+    const wages = payWages(session, now);
+    session.time = now;
+
+    const state = JSON.parse(session.state || '{}');
+    const { weather, changed } = rollWeather(session, state, planned);
+    session.weather = weather;
+
+    const clock = describeClock(session);
+    execute(
+      'UPDATE sessions SET game_time = ?, state = ? WHERE id = ?',
+      [now, JSON.stringify(syncSceneTime(state, clock)), sessionId]
+    );
+    return { events, wages, weatherChanged: changed };
+  });
+
+  const restocked = advanceShopTime(sessionId, elapsed / MINUTES_PER_HOUR).map(shop => quoteShop(shop));
+  const clock = describeClock(session);
+
+  for (const event of events) {
+    await recordSessionEvent(sessionId, session.world_id, memory =>
+      memory.recordEvent('timed_event', { name: event.name, description: event.description, at: event.at }, 0.6)
+    );
+  }
+
+  return {
+    elapsed,
+    elapsedLabel: formatDuration(elapsed),
+    clock,
+    changes: describeChanges(before, clock, weatherChanged),
+    events,
+    wages,
+    restocked
+  };
+}
+
+/**
+ * How long an action takes: a named duration ("wait two hours", "rest until
+ * dawn") wins, then a running encounter (one round), then the kind of action
+ */
+export function actionDuration(action, { encounter = null, time = null } = {}) {
+  const text = action.toLowerCase();
+  const activity = encounter ? 'combat' : ACTIVITY_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || 'action';
+
+  const duration = text.match(DURATION);
+  if (duration) {
+    const count = NUMBER_WORDS[duration[1]] ?? Number(duration[1]);
+    return { activity, minutes: Math.min(MAX_ACTION_DURATION, Math.max(1, count * UNIT_MINUTES[duration[2]])) };
+  }
+
+  const until = text.match(UNTIL);
+  if (until && time !== null) {
+    const name = until[1] === 'nightfall' ? 'night' : until[1];
+    const hour = TIMES_OF_DAY.findLast(([, part]) => part === name)[0];
+    const minuteOfDay = time % MINUTES_PER_DAY;
+    const wait = (hour * MINUTES_PER_HOUR - minuteOfDay + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return { activity, minutes: wait || MINUTES_PER_DAY };
+  }
+
+  return { activity, minutes: ACTIVITY_MINUTES[activity] };
+}
+
+/**
+ * How long an action takes and what that time brings, for the GM to describe
+ * Nothing changes until passTimeForAction(), once the response is in, so an
+ * action that fails and is tried again does not pass the time twice.
+ */
+export function planActionTime(sessionId, action, { encounter = null } = {}) {
+  const session = loadSession(sessionId);
+  if (!session) return { error: 'Session not found' };
+
+  const { activity, minutes } = actionDuration(action, { encounter, time: session.time });
+  const preview = previewClock(sessionId, minutes);
+  return preview.error ? preview : { activity, ...preview };
+}
+
+/**
+ * Move a session's clock on as planActionTime() planned
+ */
+export async function passTimeForAction(sessionId, plan) {
+  const passage = await advanceClock(sessionId, plan.elapsed, { weather: plan.clock.weather });
+  return passage.error ? passage : { activity: plan.activity, ...passage };
+}
+
+/**
+ * Tell a session's clients that time passed, and about wages paid and
+ * shops restocked along the way
+ */
+export function announcePassage(sessionId, passage) {
+  broadcast(sessionId, 'time_update', {
+    clock: passage.clock,
+    elapsed: passage.elapsedLabel,
+    changes: passage.changes,
+    events: passage.events,
+    wages: passage.wages
+  });
+  for (const payment of passage.wages.filter(payment => payment.paid)) {
+    broadcast(sessionId, 'wallet_update', { characterId: payment.characterId, balance: payment.balance });
+  }
+  for (const shop of passage.restocked) {
+    broadcast(sessionId, 'shop_update', { event: 'restocked', shop });
+  }
+}
+
+export default {
+  ACTIVITY_MINUTES,
+  TIMES_OF_DAY,
+  calendarDate,
+  formatDate,
+  formatDuration,
+  getClock,
+  listEvents,
+  scheduleEvent,
+  cancelEvent,
+  previewClock,
+  advanceClock,
+  actionDuration,
+  planActionTime,
+  passTimeForAction,
+  announcePassage,
+  syncSceneTime,
+  syncScene,
+  firstPayday
+};
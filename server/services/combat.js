@@ -0,0 +1,417 @@
+/**
+ * Combat Tracker
+ *
+ * Structured encounters so the GM's narration matches the numbers:
+ * - Combatants: player characters, session NPCs and ad-hoc enemies
+ * - Hit points derived from each setting's toughness attribute (CON/END/PHY)
+ * - Armor, initiative order, rounds and turns
+ * - Damage, healing and conditions with durations in rounds
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+import { getHitPointAttribute, getInitiativeAttribute } from '../../shared/settings.js';
+import { rollDie, attributeModifier, getEffectiveAttributes } from './dice.js';
+import { withEquipment } from './equipment.js';
+
+const BASE_HIT_POINTS = 10;
+const HIT_POINTS_PER_LEVEL = 5;
+const BASE_ARMOR = 10;
+
+// Rough stat lines for enemies the GM introduces without stats
+const ENEMY_TIERS = {
+  minion: { hp: 6, armor: 10, initiativeBonus: 0 },
+  standard: { hp: 15, armor: 12, initiativeBonus: 1 },
+  elite: { hp: 30, armor: 14, initiativeBonus: 2 },
+  boss: { hp: 60, armor: 16, initiativeBonus: 3 }
+};
+
+/**
+ * Combat numbers derived from a character's attributes and level,
+ * plus any equipment bonuses attached by withEquipment()
+ */
+export function getDerivedStats(character, settingId) {
+  const bonuses = character.equipmentBonuses || {};
+  const attributes = getEffectiveAttributes({ ...character, attributes: parseJson(character.attributes, {}) });
+  const level = Number(character.level) || 1;
+
+  const hpAttribute = getHitPointAttribute(settingId);
+  const hpScore = Number(attributes[hpAttribute]) || 10;
+  const hpModifier = attributeModifier(hpScore);
+
+  const initiativeAttribute = getInitiativeAttribute(settingId);
+  const initiativeBonus = initiativeAttribute ? attributeModifier(attributes[initiativeAttribute]) : 0;
+
+  return {
+    maxHp: Math.max(1, BASE_HIT_POINTS + hpScore + (level - 1) * Math.max(1, HIT_POINTS_PER_LEVEL + hpModifier) + (bonuses.maxHp || 0)),
+    armor: BASE_ARMOR + initiativeBonus + (bonuses.armor || 0),
+    initiativeBonus: initiativeBonus + (bonuses.initiativeBonus || 0)
+  };
+}
+
+/**
+ * Load NPCs from the persistence layer's session_npcs table (if it exists yet)
+ */
+function getSessionNPCs(sessionId, npcIds) {
+  if (npcIds.length === 0) return [];
+
+  const table = queryOne(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'session_npcs'"
+  );
+  if (!table) return [];
+
+  return queryAll(
+    `SELECT * FROM session_npcs
+     WHERE session_id = ? AND id IN (${npcIds.map(() => '?').join(', ')})`,
+    [sessionId, ...npcIds]
+  );
+}
+
+/**
+ * Combatant stat line for a session NPC
+ * Uses hp/armor from the NPC's stats when present, otherwise its attributes
+ */
+function npcCombatStats(npc, settingId) {
+  const stats = parseJson(npc.stats, {});
+  const derived = getDerivedStats({ attributes: stats.attributes || stats, level: stats.level }, settingId);
+  const tier = ENEMY_TIERS[stats.tier] || null;
+
+  return {
+    maxHp: Number(stats.maxHp || stats.hp) || tier?.hp || derived.maxHp,
+    armor: Number(stats.armor) || tier?.armor || derived.armor,
+    initiativeBonus: Number(stats.initiativeBonus) || tier?.initiativeBonus || derived.initiativeBonus
+  };
+}
+
+/**
+ * Combatant stat line for an ad-hoc enemy ({ name, tier, hp, armor, initiative_bonus })
+ */
+function enemyCombatStats(enemy) {
+  const tier = ENEMY_TIERS[enemy.tier] || ENEMY_TIERS.standard;
+
+  return {
+    maxHp: Number(enemy.hp) || tier.hp,
+    armor: Number(enemy.armor) || tier.armor,
+    initiativeBonus: Number(enemy.initiative_bonus) || tier.initiativeBonus
+  };
+}
+
+function formatCombatant(row) {
+  return {
+    ...row,
+    conditions: parseJson(row.conditions, [])
+  };
+}
+
+/**
+ * Get an encounter with its combatants in initiative order
+ */
+export function getEncounter(encounterId) {
+  const encounter = queryOne('SELECT * FROM encounters WHERE id = ?', [encounterId]);
+  if (!encounter) return null;
+
+  const combatants = queryAll(
+    `SELECT * FROM encounter_combatants
+     WHERE encounter_id = ?
+     ORDER BY initiative DESC, name ASC`,
+    [encounterId]
+  ).map(formatCombatant);
+
+  return {
+    ...encounter,
+    combatants,
+    current: encounter.status === 'active' ? combatants[encounter.turn_index] || null : null
+  };
+}
+
+/**
+ * The session's running encounter, if any
+ */
+export function getActiveEncounter(sessionId) {
+  const encounter = queryOne(
+    `SELECT id FROM encounters
+     WHERE session_id = ? AND status = 'active'
+     ORDER BY created_at DESC LIMIT 1`,
+    [sessionId]
+  );
+  return encounter ? getEncounter(encounter.id) : null;
+}
+
+/**
+ * List a session's encounters, newest first
+ */
+export function listEncounters(sessionId) {
+  return queryAll(
+    'SELECT * FROM encounters WHERE session_id = ? ORDER BY created_at DESC',
+    [sessionId]
+  );
+}
+
+/**
+ * Start an encounter
+ * Player characters default to every session participant
+ * Returns null when nobody would take part
+ */
+export function startEncounter(session, world, options = {}, rng = Math.random) {
+  const { name = 'Encounter', characterIds = null, npcIds = [], enemies = [] } = options;
+  const now = new Date().toISOString();
+  const encounterId = uuid();
+
+  const characters = queryAll(
+    `SELECT c.* FROM characters c
+     JOIN session_participants sp ON c.id = sp.character_id
+     WHERE sp.session_id = ?`,
+    [session.id]
+  )
+    .filter(c => !characterIds || characterIds.includes(c.id))
+    .map(c => withEquipment(c, session.id));
+
+  const combatants = [
+    ...characters.map(c => ({
+      kind: 'pc', characterId: c.id, npcId: null, name: c.name,
+      ...getDerivedStats(c, world.setting)
+    })),
+    ...getSessionNPCs(session.id, npcIds).map(npc => ({
+      kind: 'npc', characterId: null, npcId: npc.id, name: npc.npc_name,
+      ...npcCombatStats(npc, world.setting)
+    })),
+    ...enemies.filter(e => e?.name).map(enemy => ({
+      kind: 'enemy', characterId: null, npcId: null, name: enemy.name,
+      ...enemyCombatStats(enemy)
+    }))
+  ];
+  if (combatants.length === 0) return null;
+
+  execute(
+    `INSERT INTO encounters (id, session_id, name, status, round, turn_index, created_at, updated_at)
+     VALUES (?, ?, ?, 'active', 1, 0, ?, ?)`,
+    [encounterId, session.id, name, now, now]
+  );
+
+  for (const combatant of combatants) {
+    execute(
+      `INSERT INTO encounter_combatants
+       (id, encounter_id, kind, character_id, npc_id, name, max_hp, hp, armor, initiative)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuid(),
+        encounterId,
+        combatant.kind,
+        combatant.characterId,
+        combatant.npcId,
+        combatant.name,
+        combatant.maxHp,
+        combatant.maxHp,
+        combatant.armor,
+        rollDie(20, rng) + combatant.initiativeBonus
+      ]
+    );
+  }
+
+  return getEncounter(encounterId);
+}
+
+/**
+ * Tick condition durations down by one round, dropping expired ones
+ */
+function tickConditions(encounterId) {
+  const expired = [];
+  const combatants = queryAll(
+    'SELECT id, name, conditions FROM encounter_combatants WHERE encounter_id = ?',
+    [encounterId]
+  );
+
+  for (const combatant of combatants) {
+    const conditions = parseJson(combatant.conditions, []);
+    if (conditions.length === 0) continue;
+
+    const remaining = [];
+    for (const condition of conditions) {
+      if (condition.duration === null || condition.duration === undefined) {
+        remaining.push(condition);
+      } else if (condition.duration > 1) {
+        remaining.push({ ...condition, duration: condition.duration - 1 });
+      } else {
+        expired.push({ combatant: combatant.name, condition: condition.name });
+      }
+    }
+
+    execute(
+      'UPDATE encounter_combatants SET conditions = ? WHERE id = ?',
+      [JSON.stringify(remaining), combatant.id]
+    );
+  }
+
+  return expired;
+}
+
+/**
+ * Move to the next combatant still in the fight
+ * Wrapping past the last one starts a new round and ticks conditions
+ */
+export function advanceEncounter(encounterId) {
+  const encounter = getEncounter(encounterId);
+  const { combatants } = encounter;
+  let turnIndex = encounter.turn_index;
+  let round = encounter.round;
+  let expiredConditions = [];
+
+  for (let step = 0; step < combatants.length; step++) {
+    turnIndex++;
+    if (turnIndex >= combatants.length) {
+      turnIndex = 0;
+      round++;
+      expiredConditions = expiredConditions.concat(tickConditions(encounterId));
+    }
+    if (combatants[turnIndex].status === 'active') break;
+  }
+
+  execute(
+    'UPDATE encounters SET round = ?, turn_index = ?, updated_at = ? WHERE id = ?',
+    [round, turnIndex, new Date().toISOString(), encounterId]
+  );
+
+  return { encounter: getEncounter(encounterId), expiredConditions };
+}
+
+/**
+ * Apply damage (or healing) to a combatant
+ * Player characters at 0 HP are down; everyone else is defeated
+ */
+export function applyDamage(encounterId, combatantId, amount, type = 'damage') {
+  const combatant = queryOne(
+    'SELECT * FROM encounter_combatants WHERE id = ? AND encounter_id = ?',
+    [combatantId, encounterId]
+  );
+  if (!combatant) return null;
+
+  const delta = type === 'healing' ? Math.abs(amount) : -Math.abs(amount);
+  const hp = Math.min(combatant.max_hp, Math.max(0, combatant.hp + delta));
+
+  let status = combatant.status;
+  if (hp === 0) {
+    status = combatant.kind === 'pc' ? 'down' : 'defeated';
+  } else if (status === 'down' || status === 'defeated') {
+    status = 'active';
+  }
+
+  execute(
+    'UPDATE encounter_combatants SET hp = ?, status = ? WHERE id = ?',
+    [hp, status, combatantId]
+  );
+  execute('UPDATE encounters SET updated_at = ? WHERE id = ?', [new Date().toISOString(), encounterId]);
+
+  return formatCombatant({ ...combatant, hp, status });
+}
+
+/**
+ * Add a condition to a combatant; re-applying refreshes its duration
+ * A null duration lasts until removed
+ */
+export function addCondition(encounterId, combatantId, name, duration = null) {
+  const combatant = queryOne(
+    'SELECT * FROM encounter_combatants WHERE id = ? AND encounter_id = ?',
+    [combatantId, encounterId]
+  );
+  if (!combatant) return null;
+
+  const conditions = parseJson(combatant.conditions, [])
+    .filter(c => c.name.toLowerCase() !== name.toLowerCase());
+  conditions.push({ name, duration: duration === null ? null : Math.max(1, Number(duration)) });
+
+  execute(
+    'UPDATE encounter_combatants SET conditions = ? WHERE id = ?',
+    [JSON.stringify(conditions), combatantId]
+  );
+
+  return formatCombatant({ ...combatant, conditions: JSON.stringify(conditions) });
+}
+
+/**
+ * Remove a condition from a combatant
+ */
+export function removeCondition(encounterId, combatantId, name) {
+  const combatant = queryOne(
+    'SELECT * FROM encounter_combatants WHERE id = ? AND encounter_id = ?',
+    [combatantId, encounterId]
+  );
+  if (!combatant) return null;
+
+  const conditions = parseJson(combatant.conditions, [])
+    .filter(c => c.name.toLowerCase() !== name.toLowerCase());
+
+  execute(
+    'UPDATE encounter_combatants SET conditions = ? WHERE id = ?',
+    [JSON.stringify(conditions), combatantId]
+  );
+
+  return formatCombatant({ ...combatant, conditions: JSON.stringify(conditions) });
+}
+
+/**
+ * End an encounter, marking defeated session NPCs in the persistence layer
+ */
+export function endEncounter(encounterId, outcome = 'resolved') {
+  const now = new Date().toISOString();
+  execute(
+    `UPDATE encounters SET status = 'ended', outcome = ?, ended_at = ?, updated_at = ? WHERE id = ?`,
+    [outcome, now, now, encounterId]
+  );
+
+  const encounter = getEncounter(encounterId);
+  for (const combatant of encounter.combatants) {
+    if (combatant.kind === 'npc' && combatant.status === 'defeated') {
+      execute(
+        'UPDATE session_npcs SET status = ?, updated_at = ? WHERE id = ?',
+        ['defeated', Date.now(), combatant.npc_id]
+      );
+    }
+  }
+
+  return encounter;
+}
+
+/**
+ * Short condition labels, e.g. "poisoned (2 rounds)"
+ */
+export function describeConditions(conditions) {
+  return conditions.map(c =>
+    c.duration ? `${c.name} (${c.duration} round${c.duration === 1 ? '' : 's'})` : c.name
+  );
+}
+
+/**
+ * Conditions for each player character in the encounter, keyed by character id
+ * Includes HP so `c.conditions` in the prompt reflects the fight
+ */
+export function getCharacterConditions(encounter) {
+  const byCharacter = {};
+  if (!encounter) return byCharacter;
+
+  for (const combatant of encounter.combatants) {
+    if (combatant.kind !== 'pc') continue;
+    byCharacter[combatant.character_id] = [
+      `HP ${combatant.hp}/${combatant.max_hp}`,
+      ...(combatant.status === 'down' ? ['down'] : []),
+      ...describeConditions(combatant.conditions)
+    ];
+  }
+
+  return byCharacter;
+}
+
+export default {
+  getDerivedStats,
+  getEncounter,
+  getActiveEncounter,
+  listEncounters,
+  startEncounter,
+  advanceEncounter,
+  applyDamage,
+  addCondition,
+  removeCondition,
+  endEncounter,
+  describeConditions,
+  getCharacterConditions
+};
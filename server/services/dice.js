@@ -0,0 +1,192 @@
+/**
+ * Dice Engine
+ *
+ * Resolves the [ROLL:skill:difficulty] tags the GM emits:
+ * - Tag detection and difficulty parsing
+ * - d20 + attribute modifier + skill rank checks
+ * - Natural 1 / natural 20 criticals
+ * - Result formatting for history and follow-up narration
+ */
+
+import { getSkillAttribute } from '../../shared/settings.js';
+
+const ROLL_TAG_PATTERN = /\[ROLL:\s*([^:\]]+?)\s*:\s*([^\]]+?)\s*\]/gi;
+
+/**
+ * Named difficulties the GM tends to use instead of numbers
+ */
+const DIFFICULTY_CLASSES = {
+  trivial: 5,
+  easy: 10,
+  simple: 10,
+  routine: 10,
+  medium: 15,
+  moderate: 15,
+  normal: 15,
+  average: 15,
+  challenging: 18,
+  hard: 20,
+  difficult: 20,
+  'very hard': 25,
+  'very difficult': 25,
+  extreme: 25,
+  heroic: 30,
+  legendary: 30,
+  impossible: 35
+};
+
+const DEFAULT_DC = 15;
+
+/**
+ * Roll a single die
+ */
+export function rollDie(sides = 20, rng = Math.random) {
+  return Math.floor(rng() * sides) + 1;
+}
+
+/**
+ * D&D-style modifier for an attribute score
+ */
+export function attributeModifier(value) {
+  const score = Number(value);
+  if (!Number.isFinite(score)) return 0;
+  return Math.floor((score - 10) / 2);
+}
+
+/**
+ * Convert a difficulty (number or word) to a DC
+ */
+export function parseDifficulty(difficulty) {
+  if (difficulty === undefined || difficulty === null) return DEFAULT_DC;
+
+  const raw = String(difficulty).trim().toLowerCase();
+  const numeric = parseInt(raw.replace(/^dc\s*/, ''), 10);
+  if (Number.isFinite(numeric)) return numeric;
+
+  return DIFFICULTY_CLASSES[raw] || DEFAULT_DC;
+}
+
+/**
+ * Find every roll tag in a GM response
+ */
+export function parseRollTags(text) {
+  if (!text) return [];
+
+  const tags = [];
+  for (const match of text.matchAll(ROLL_TAG_PATTERN)) {
+    tags.push({
+      tag: match[0],
+      skill: match[1].trim(),
+      difficulty: match[2].trim(),
+      dc: parseDifficulty(match[2])
+    });
+  }
+  return tags;
+}
+
+/**
+ * Look up a character's rank in a skill (case-insensitive)
+ */
+function getSkillRank(skills, skill) {
+  const entry = Object.entries(skills || {})
+    .find(([name]) => name.toLowerCase() === skill.toLowerCase());
+  if (!entry) return 0;
+
+  const rank = Number(entry[1]);
+  return Number.isFinite(rank) ? rank : 0;
+}
+
+/**
+ * Attribute scores with equipment bonuses (character.equipmentBonuses) added
+ */
+export function getEffectiveAttributes(character) {
+  const attributes = { ...(character?.attributes || {}) };
+  for (const [name, bonus] of Object.entries(character?.equipmentBonuses?.attributes || {})) {
+    attributes[name] = (Number(attributes[name]) || 10) + bonus;
+  }
+  return attributes;
+}
+
+/**
+ * Roll a skill check for a character against a DC
+ * Equipped gear adds to the attribute and as a separate gear bonus
+ */
+export function resolveRoll(character, skill, dc, settingId, rng = Math.random) {
+  const attributes = getEffectiveAttributes(character);
+  const attribute = getSkillAttribute(settingId, skill);
+  const modifier = attribute ? attributeModifier(attributes[attribute]) : 0;
+  const skillBonus = getSkillRank(character?.skills, skill);
+  const gearBonus = getSkillRank(character?.equipmentBonuses?.skills, skill);
+
+  const roll = rollDie(20, rng);
+  const total = roll + modifier + skillBonus + gearBonus;
+
+  let critical = null;
+  if (roll === 20) critical = 'success';
+  if (roll === 1) critical = 'failure';
+
+  const success = critical ? critical === 'success' : total >= dc;
+
+  return {
+    character: character?.name || 'Player',
+    characterId: character?.id || null,
+    skill,
+    attribute,
+    dc,
+    roll,
+    modifier,
+    skillBonus,
+    gearBonus,
+    total,
+    success,
+    critical,
+    margin: total - dc
+  };
+}
+
+/**
+ * Resolve every roll tag in a GM response for the acting character
+ */
+export function resolveRollTags(text, character, settingId, rng = Math.random) {
+  return parseRollTags(text).map(tag => ({
+    tag: tag.tag,
+    difficulty: tag.difficulty,
+    ...resolveRoll(character, tag.skill, tag.dc, settingId, rng)
+  }));
+}
+
+/**
+ * Human-readable summary of a resolved roll
+ */
+export function formatRollResult(result) {
+  const bonus = result.modifier + result.skillBonus + (result.gearBonus || 0);
+  const sign = bonus >= 0 ? '+' : '-';
+  const outcome = result.critical
+    ? `critical ${result.critical}`
+    : result.success ? 'success' : 'failure';
+
+  return `${result.character} ${result.skill} check (DC ${result.dc}): ` +
+    `rolled ${result.roll} ${sign} ${Math.abs(bonus)} = ${result.total} — ${outcome}`;
+}
+
+/**
+ * Replace raw roll tags with their resolved results
+ */
+export function annotateRollTags(text, results) {
+  let annotated = text;
+  for (const result of results) {
+    annotated = annotated.replace(result.tag, `🎲 ${formatRollResult(result)}`);
+  }
+  return annotated;
+}
+
+export default {
+  rollDie,
+  attributeModifier,
+  parseDifficulty,
+  parseRollTags,
+  resolveRoll,
+  resolveRollTags,
+  formatRollResult,
+  annotateRollTags
+};
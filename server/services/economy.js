@@ -0,0 +1,284 @@
+/**
+ * Economy
+ *
+ * Character wallets on top of characters.credits:
+ * - A ledger (character_transactions) recording every change with its reason
+ * - Balance checks, so characters cannot spend money they do not have
+ * - Buying from and selling to session NPCs, which moves items between
+ *   session_npcs.inventory and the character's inventory (inventory.js)
+ * Shops with fixed prices and haggling build on this in shops.js
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+import { getEconomy, formatMoney } from '../../shared/settings.js';
+import { findItem, addItem, takeItem } from './inventory.js';
+import { recordSessionEvent } from './session-registry.js';
+
+export const TRANSACTION_REASONS = ['starting', 'buy', 'sell', 'wages', 'loot', 'reward', 'fee', 'gift', 'adjustment'];
+
+const sameName = (a, b) => a?.trim().toLowerCase() === b?.trim().toLowerCase();
+
+function formatTransaction(row) {
+  return { ...row, metadata: parseJson(row.metadata, {}) };
+}
+
+function getCharacterSetting(characterId) {
+  return queryOne(
+    `SELECT w.setting FROM characters c JOIN worlds w ON w.id = c.world_id WHERE c.id = ?`,
+    [characterId]
+  )?.setting;
+}
+
+/**
+ * A character's balance, or null when the character does not exist
+ */
+export function getBalance(characterId) {
+  const character = queryOne('SELECT credits FROM characters WHERE id = ?', [characterId]);
+  return character ? Number(character.credits) || 0 : null;
+}
+
+/**
+ * Most recent ledger entries first
+ */
+export function listTransactions(characterId, { limit = 20, sessionId = null } = {}) {
+  const rows = sessionId
+    ? queryAll(
+      `SELECT * FROM character_transactions WHERE character_id = ? AND session_id = ?
+       ORDER BY created_at DESC, rowid DESC LIMIT ?`,
+      [characterId, sessionId, limit]
+    )
+    : queryAll(
+      `SELECT * FROM character_transactions WHERE character_id = ?
+       ORDER BY created_at DESC, rowid DESC LIMIT ?`,
+      [characterId, limit]
+    );
+  return rows.map(formatTransaction);
+}
+
+/**
+ * Balance, currency unit and recent transactions
+ * Returns null when the character does not exist
+ */
+export function getWallet(characterId, options = {}) {
+  const balance = getBalance(characterId);
+  if (balance === null) return null;
+
+  const setting = getCharacterSetting(characterId);
+  return {
+    characterId,
+    balance,
+    currency: getEconomy(setting).currencyUnit,
+    formatted: formatMoney(balance, setting),
+    transactions: listTransactions(characterId, options)
+  };
+}
+
+/**
+ * Add (positive) or take (negative) money and record why
+ * Returns null when the character does not exist, { error } when the
+ * character cannot pay, otherwise { balance, transaction }.
+ */
+export function adjustBalance(characterId, amount, reason, options = {}) {
+  const { sessionId = null, description = '', counterparty = null, metadata = {}, allowDebt = false } = options;
+
+  const balance = getBalance(characterId);
+  if (balance === null) return null;
+
+  const change = Math.round(Number(amount) || 0);
+  if (balance + change < 0 && !allowDebt) {
+    const setting = getCharacterSetting(characterId);
+    return {
+      error: 'Insufficient funds',
+      details: `Needs ${formatMoney(-change, setting)}, has ${formatMoney(balance, setting)}`,
+      balance
+    };
+  }
+
+  const entry = {
+    id: uuid(),
+    character_id: characterId,
+    session_id: sessionId,
+    amount: change,
+    balance_after: balance + change,
+    reason: TRANSACTION_REASONS.includes(reason) ? reason : 'adjustment',
+    description,
+    counterparty,
+    metadata: JSON.stringify(metadata),
+    created_at: new Date().toISOString()
+  };
+
+  transaction(() => {
+    execute(
+      'UPDATE characters SET credits = ?, updated_at = ? WHERE id = ?',
+      [entry.balance_after, entry.created_at, characterId]
+    );
+    execute(
+      `INSERT INTO character_transactions
+       (id, character_id, session_id, amount, balance_after, reason, description, counterparty, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      Object.values(entry)
+    );
+  });
+
+  return { balance: entry.balance_after, transaction: formatTransaction(entry) };
+}
+
+// NPC inventories are free-form JSON; strings become { name, quantity: 1 }
+function normalizeNpcInventory(inventory) {
+  const list = Array.isArray(inventory) ? inventory : [];
+  return list
+    .map(item => typeof item === 'string' ? { name: item } : { ...item, name: item?.name || item?.item_name })
+    .filter(item => item.name)
+    .map(item => ({
+      ...item,
+      quantity: Math.max(1, Math.round(Number(item.quantity) || 1)),
+      price: item.price ?? item.value ?? null
+    }));
+}
+
+/**
+ * A session NPC by name, with its inventory parsed
+ */
+export function getTradingNpc(sessionId, npcName) {
+  const npc = queryOne(
+    `SELECT * FROM session_npcs WHERE session_id = ? AND npc_name = ? COLLATE NOCASE AND status != 'dead'`,
+    [sessionId, npcName]
+  );
+  return npc ? { ...npc, inventory: normalizeNpcInventory(parseJson(npc.inventory, [])) } : null;
+}
+
+function saveNpcInventory(npc, inventory) {
+  execute(
+    'UPDATE session_npcs SET inventory = ?, updated_at = ? WHERE id = ?',
+    [JSON.stringify(inventory.filter(item => item.quantity > 0)), Date.now(), npc.id]
+  );
+}
+
+/**
+ * Hand bought items to a character, remembering what they were worth
+ */
+export function giveCharacterItem(characterId, item, quantity) {
+  return addItem(characterId, {
+    name: item.name,
+    type: item.type,
+    description: item.description,
+    quantity,
+    properties: item.price !== null && item.price !== undefined ? { value: item.price } : {}
+  });
+}
+
+/**
+ * Buy from or sell to a session NPC
+ * mode is 'buy' (NPC -> character) or 'sell' (character -> NPC). Items go
+ * for the NPC's listed price or the character's item value; only shops
+ * haggle (shops.js).
+ * Returns { error, details } when the trade cannot happen.
+ */
+export async function tradeWithNpc(sessionId, { characterId, npcName, mode, itemName, quantity = 1 }) {
+  const session = queryOne('SELECT id, world_id FROM sessions WHERE id = ?', [sessionId]);
+  const character = queryOne('SELECT id, name FROM characters WHERE id = ?', [characterId]);
+  if (!session || !character) return { error: 'Character not found' };
+
+  const npc = getTradingNpc(sessionId, npcName);
+  if (!npc) return { error: 'NPC not found', details: npcName };
+
+  const count = Math.round(Number(quantity));
+  if (!Number.isInteger(count) || count < 1) {
+    return { error: 'quantity must be a positive whole number' };
+  }
+
+  let item;
+  let unitPrice;
+  if (mode === 'buy') {
+    item = npc.inventory.find(stock => sameName(stock.name, itemName));
+    if (!item) return { error: 'Item not found', details: `${npc.npc_name} has no ${itemName}` };
+    if (item.quantity < count) {
+      return { error: 'Not enough stock', details: `${npc.npc_name} has ${item.quantity} ${item.name}` };
+    }
+    unitPrice = item.price;
+  } else if (mode === 'sell') {
+    const owned = findItem(characterId, itemName, { sessionId });
+    if (!owned) return { error: 'Item not found', details: `${character.name} has no ${itemName}` };
+    if (owned.quantity < count) {
+      return { error: 'Not enough items', details: `${character.name} has ${owned.quantity} ${owned.item_name}` };
+    }
+    const properties = parseJson(owned.properties, {});
+    item = { ...owned, name: owned.item_name, type: owned.item_type, properties };
+    unitPrice = properties.value ?? properties.price;
+  } else {
+    return { error: "mode must be 'buy' or 'sell'" };
+  }
+
+  unitPrice = unitPrice === null || unitPrice === undefined ? NaN : Math.round(Number(unitPrice));
+  if (!Number.isInteger(unitPrice) || unitPrice < 0) {
+    return { error: 'price is required', details: `${item.name} has no listed price` };
+  }
+
+  const total = unitPrice * count;
+  const details = { item: item.name, quantity: count, unitPrice };
+
+  const result = transaction(() => {
+    const payment = adjustBalance(characterId, mode === 'buy' ? -total : total, mode, {
+      sessionId,
+      description: `${mode === 'buy' ? 'Bought' : 'Sold'} ${count} ${item.name}`,
+      counterparty: npc.npc_name,
+      metadata: details
+    });
+    if (payment.error) return payment;
+
+    if (mode === 'buy') {
+      saveNpcInventory(npc, npc.inventory.map(stock =>
+        stock === item ? { ...stock, quantity: stock.quantity - count } : stock
+      ));
+      giveCharacterItem(characterId, item, count);
+    } else {
+      takeItem(item, count);
+
+      const stock = npc.inventory.find(s => sameName(s.name, item.name));
+      saveNpcInventory(npc, stock
+        ? npc.inventory.map(s => s === stock ? { ...s, quantity: s.quantity + count } : s)
+        : [...npc.inventory, { name: item.name, type: item.type, description: item.description, quantity: count, price: unitPrice }]);
+    }
+    return payment;
+  });
+
+  if (result.error) return result;
+
+  try {
+    await recordSessionEvent(session.id, session.world_id, memory =>
+      memory.recordEvent('trade', {
+        characterId,
+        characterName: character.name,
+        npc: npc.npc_name,
+        mode,
+        ...details,
+        total
+      }, 0.4)
+    );
+  } catch (e) {
+    console.warn('Failed to record trade in memory:', e.message);
+  }
+
+  return {
+    mode,
+    npc: npc.npc_name,
+    ...details,
+    total,
+    balance: result.balance,
+    transaction: result.transaction,
+    npcInventory: getTradingNpc(sessionId, npc.npc_name).inventory
+  };
+}
+
+export default {
+  TRANSACTION_REASONS,
+  getBalance,
+  listTransactions,
+  getWallet,
+  adjustBalance,
+  getTradingNpc,
+  giveCharacterItem,
+  tradeWithNpc
+};
@@ -7,6 +7,8 @@
 import RPGMemoryManager from './memory.js';
 import VectorMemoryEnhancer from './vector-memory.js';
 import RPGPersistenceManager from './persistence-manager.js';
+import { getProvider } from './llm-providers.js';
+import { queryOne } from '../db/init.js';
 
 class EnhancedRPGMemoryManager extends RPGMemoryManager {
   constructor(worldId, sessionId, options = {}) {
@@ -14,7 +16,11 @@ class EnhancedRPGMemoryManager extends RPGMemoryManager {
     
     this.vectorMemory = new VectorMemoryEnhancer({
       vectorStorePath: `data/vector-memory/${worldId}/${sessionId}`,
-      embeddingServiceUrl: options.embeddingServiceUrl || 'http://127.0.0.1:8082/v1/embeddings'
+      // The world's config.llm can point embeddings at its own provider
+      embed: options.embed || (text => {
+        const world = queryOne('SELECT config FROM worlds WHERE id = ?', [worldId]);
+        return getProvider(world, 'embedding').embed(text);
+      })
     });
     
     this.persistenceManager = new RPGPersistenceManager(sessionId, this);
@@ -24,13 +30,13 @@ class EnhancedRPGMemoryManager extends RPGMemoryManager {
   }
 
   /**
-   * Initialize both memory systems and persistence
+   * Initialize both memory systems
+   * (persistence tables are created by the database migrations)
    */
   async initialize() {
     await Promise.all([
       super.initialize(),
-      this.vectorMemory.initialize(),
-      RPGPersistenceManager.initializeTables()
+      this.vectorMemory.initialize()
     ]);
     console.log('🧠 Enhanced RPG memory system with persistence ready');
   }
@@ -402,6 +408,13 @@ class EnhancedRPGMemoryManager extends RPGMemoryManager {
     return vehicle;
   }
 
+  /**
+   * Hire staff; the persistence manager records the hiring
+   */
+  async hireStaff(staffData) {
+    return this.persistenceManager.hireStaff(staffData);
+  }
+
   /**
    * Build enhanced memory context including all persistent entities
    */
@@ -415,20 +428,6 @@ class EnhancedRPGMemoryManager extends RPGMemoryManager {
     // Build comprehensive context string
     let enhancedContext = memoryContext + "\\n\\n";
     
-    // Add current inventory for each character
-    enhancedContext += "## Current Inventory\\n";
-    for (const character of characters) {
-      const inventory = this.getCharacterInventory(character.id || character.name);
-      if (inventory.length > 0) {
-        enhancedContext += `**${character.name}:**\\n`;
-        inventory.forEach(item => {
-          const qty = item.quantity > 1 ? ` (${item.quantity}x)` : '';
-          enhancedContext += `- ${item.item_name}${qty}: ${item.description}\\n`;
-        });
-        enhancedContext += "\\n";
-      }
-    }
-
     // Add NPCs in current location
     if (locationContext.npcs.length > 0) {
       enhancedContext += "## NPCs Present\\n";
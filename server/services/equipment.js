@@ -0,0 +1,234 @@
+/**
+ * Equipment
+ *
+ * Inventory items worn or wielded in the setting's equipment slots:
+ * - An equipped row has location 'equipped' and its slot; one item per slot
+ * - sessionId includes that session's overlay items; without one, only the
+ *   character's own items count
+ * - properties.slot is an item's usual slot, properties.modifiers its effects:
+ *   { armor, maxHp, initiativeBonus, attributes: { STR: 1 }, skills: { Melee: 2 } }
+ * - Bonuses from everything equipped feed derived stats and skill checks
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+import { getEquipmentSlots } from '../../shared/settings.js';
+import { visibleTo, findItem } from './inventory.js';
+import { recordSessionEvent } from './session-registry.js';
+
+export const EQUIPPED = 'equipped';
+
+const STAT_MODIFIERS = ['armor', 'maxHp', 'initiativeBonus'];
+
+function getCharacterWorld(characterId) {
+  return queryOne(
+    `SELECT c.id, c.name, c.world_id, w.setting FROM characters c JOIN worlds w ON w.id = c.world_id WHERE c.id = ?`,
+    [characterId]
+  );
+}
+
+function wholeNumbers(values) {
+  return Object.fromEntries(
+    Object.entries(values && typeof values === 'object' ? values : {})
+      .map(([key, value]) => [key, Math.round(Number(value))])
+      .filter(([, value]) => Number.isFinite(value) && value !== 0)
+  );
+}
+
+/**
+ * An item's modifiers from its properties, with anything unusable dropped
+ */
+export function getItemModifiers(properties = {}) {
+  const modifiers = properties.modifiers || {};
+  return {
+    ...wholeNumbers(Object.fromEntries(STAT_MODIFIERS.map(key => [key, modifiers[key]]))),
+    attributes: wholeNumbers(modifiers.attributes),
+    skills: wholeNumbers(modifiers.skills)
+  };
+}
+
+/**
+ * Short description of modifiers, e.g. "+1 Melee, +3 armor"
+ */
+export function describeModifiers(modifiers) {
+  const signed = value => `${value > 0 ? '+' : ''}${value}`;
+  return [
+    ...Object.entries(modifiers.attributes || {}).map(([name, value]) => `${signed(value)} ${name}`),
+    ...Object.entries(modifiers.skills || {}).map(([name, value]) => `${signed(value)} ${name}`),
+    ...STAT_MODIFIERS.filter(key => modifiers[key]).map(key => `${signed(modifiers[key])} ${key}`)
+  ].join(', ');
+}
+
+/**
+ * What a character has equipped, in the setting's slot order
+ */
+export function getEquipment(sessionId, characterId) {
+  const character = getCharacterWorld(characterId);
+  if (!character) return [];
+
+  const slots = getEquipmentSlots(character.setting);
+  const order = Object.keys(slots);
+
+  const where = visibleTo(characterId, sessionId);
+  return queryAll(
+    `SELECT * FROM character_inventory WHERE ${where.sql} AND location = ?`,
+    [...where.params, EQUIPPED]
+  )
+    .map(row => {
+      const modifiers = getItemModifiers(parseJson(row.properties, {}));
+      return {
+        id: row.id,
+        name: row.item_name,
+        type: row.item_type,
+        description: row.description,
+        slot: row.slot,
+        slotName: slots[row.slot] || row.slot,
+        modifiers,
+        summary: describeModifiers(modifiers)
+      };
+    })
+    .sort((a, b) => order.indexOf(a.slot) - order.indexOf(b.slot));
+}
+
+/**
+ * Sum the modifiers of everything equipped
+ */
+export function sumEquipmentBonuses(equipment) {
+  const bonuses = { armor: 0, maxHp: 0, initiativeBonus: 0, attributes: {}, skills: {} };
+
+  for (const { modifiers } of equipment) {
+    for (const key of STAT_MODIFIERS) bonuses[key] += modifiers[key] || 0;
+    for (const group of ['attributes', 'skills']) {
+      for (const [name, value] of Object.entries(modifiers[group])) {
+        bonuses[group][name] = (bonuses[group][name] || 0) + value;
+      }
+    }
+  }
+  return bonuses;
+}
+
+/**
+ * A character with its equipment and their summed bonuses attached,
+ * ready for getDerivedStats, resolveRoll and the GM prompt
+ */
+export function withEquipment(character, sessionId = null) {
+  const equipment = getEquipment(sessionId, character.id);
+  return { ...character, equipment, equipmentBonuses: sumEquipmentBonuses(equipment) };
+}
+
+// Put an equipped row back in the pack, stacking onto a row with the same name and scope
+function returnToInventory(row) {
+  const stack = queryOne(
+    `SELECT id FROM character_inventory
+     WHERE character_id = ? AND session_id IS ? AND item_name = ? COLLATE NOCASE AND id != ?
+       AND (location IS NULL OR location != ?)`,
+    [row.character_id, row.session_id, row.item_name, row.id, EQUIPPED]
+  );
+  const now = Date.now();
+
+  if (stack) {
+    execute('UPDATE character_inventory SET quantity = quantity + ?, updated_at = ? WHERE id = ?', [row.quantity, now, stack.id]);
+    execute('DELETE FROM character_inventory WHERE id = ?', [row.id]);
+  } else {
+    execute(
+      `UPDATE character_inventory SET location = 'inventory', slot = NULL, updated_at = ? WHERE id = ?`,
+      [now, row.id]
+    );
+  }
+}
+
+function getEquippedRow(sessionId, characterId, slot) {
+  const where = visibleTo(characterId, sessionId);
+  return queryOne(
+    `SELECT * FROM character_inventory WHERE ${where.sql} AND location = ? AND slot = ?`,
+    [...where.params, EQUIPPED, slot]
+  );
+}
+
+async function recordEquipmentEvent(sessionId, character, data) {
+  if (!sessionId) return;
+  try {
+    await recordSessionEvent(sessionId, character.world_id, memory =>
+      memory.recordEvent('equipment_change', { characterId: character.id, characterName: character.name, ...data }, 0.3)
+    );
+  } catch (e) {
+    console.warn('Failed to record equipment change in memory:', e.message);
+  }
+}
+
+/**
+ * Equip one of an item from a character's inventory
+ * slot defaults to the item's properties.slot; whatever was in the slot
+ * goes back to the inventory. Returns { error, details } on failure.
+ */
+export async function equipItem(sessionId, characterId, { itemName, slot = null }) {
+  const character = getCharacterWorld(characterId);
+  if (!character) return { error: 'Character not found' };
+
+  const row = findItem(characterId, itemName, { sessionId });
+  if (!row) return { error: 'Item not found', details: `${character.name} has no unequipped ${itemName}` };
+
+  const slots = getEquipmentSlots(character.setting);
+  const target = slot || parseJson(row.properties, {}).slot;
+  if (!target) return { error: 'slot is required', details: `${row.item_name} has no default slot` };
+  if (!slots[target]) {
+    return { error: 'Unknown slot', details: `Slots are: ${Object.keys(slots).join(', ')}` };
+  }
+
+  const previous = getEquippedRow(sessionId, characterId, target);
+
+  transaction(() => {
+    if (previous) returnToInventory(previous);
+
+    const now = Date.now();
+    if (row.quantity > 1) {
+      execute('UPDATE character_inventory SET quantity = quantity - 1, updated_at = ? WHERE id = ?', [now, row.id]);
+      execute(
+        `INSERT INTO character_inventory
+         (id, session_id, character_id, item_id, item_name, item_type, description, quantity, properties, location, slot, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?)`,
+        [uuid(), row.session_id, characterId, row.item_id, row.item_name, row.item_type, row.description, row.properties, EQUIPPED, target, now, now]
+      );
+    } else {
+      execute('UPDATE character_inventory SET location = ?, slot = ?, updated_at = ? WHERE id = ?', [EQUIPPED, target, now, row.id]);
+    }
+  });
+
+  await recordEquipmentEvent(sessionId, character, {
+    action: 'equip',
+    item: row.item_name,
+    slot: target,
+    replaced: previous?.item_name || null
+  });
+
+  return { slot: target, item: row.item_name, unequipped: previous?.item_name || null, equipment: getEquipment(sessionId, characterId) };
+}
+
+/**
+ * Take off whatever is in a slot
+ */
+export async function unequipSlot(sessionId, characterId, slot) {
+  const character = getCharacterWorld(characterId);
+  if (!character) return { error: 'Character not found' };
+
+  const row = getEquippedRow(sessionId, characterId, slot);
+  if (!row) return { error: 'Nothing equipped', details: `${character.name} has nothing in ${slot}` };
+
+  transaction(() => returnToInventory(row));
+
+  await recordEquipmentEvent(sessionId, character, { action: 'unequip', item: row.item_name, slot });
+
+  return { slot, item: null, unequipped: row.item_name, equipment: getEquipment(sessionId, characterId) };
+}
+
+export default {
+  EQUIPPED,
+  getItemModifiers,
+  describeModifiers,
+  getEquipment,
+  sumEquipmentBonuses,
+  withEquipment,
+  equipItem,
+  unequipSlot
+};
@@ -0,0 +1,49 @@
+/**
+ * Server-Sent Events helper
+ *
+ * Takes over a Fastify reply and turns it into an SSE stream:
+ *   event: <name>
+ *   data: <json>
+ */
+
+/**
+ * Open an SSE stream on a Fastify reply
+ * Headers already set on the reply (e.g. CORS) are carried over.
+ */
+export function openEventStream(reply) {
+  reply.hijack();
+
+  const res = reply.raw;
+  res.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+
+    send(event, data = {}) {
+      if (closed) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
+
+export default { openEventStream };
@@ -0,0 +1,429 @@
+/**
+ * Factions and Reputation
+ *
+ * Organisations in a world and how they regard each player character:
+ * - Session NPCs belong to at most one faction (session_npcs.faction_id)
+ * - Two factions hold a stance toward each other (allied ... war)
+ * - Each character has a reputation with each faction from -100 to 100;
+ *   a change spreads to the faction's allies and, reversed, to its enemies
+ * - Reputation tiers shift how members are disposed toward a character and
+ *   the prices their shops charge; at Hated they refuse to trade
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+
+// How much of a reputation change spreads to a faction in each stance
+export const FACTION_STANCES = {
+  allied: 0.5,
+  friendly: 0.25,
+  neutral: 0,
+  rival: -0.25,
+  war: -0.5
+};
+
+// Highest first: the first tier whose min a reputation reaches applies.
+// shift moves NPC disposition along DISPOSITION_SCALE; price is the
+// discount (or, negative, the markup) members' shops give
+export const REPUTATION_TIERS = [
+  { name: 'Exalted', min: 60, shift: 2, price: 0.2 },
+  { name: 'Honored', min: 30, shift: 1, price: 0.1 },
+  { name: 'Friendly', min: 10, shift: 0, price: 0.05 },
+  { name: 'Neutral', min: -9, shift: 0, price: 0 },
+  { name: 'Unfriendly', min: -29, shift: -1, price: -0.1 },
+  { name: 'Hostile', min: -59, shift: -2, price: -0.25 },
+  { name: 'Hated', min: -100, shift: -2, price: -0.5, refusesTrade: true }
+];
+
+export const DISPOSITION_SCALE = ['hostile', 'suspicious', 'neutral', 'friendly', 'devoted'];
+
+const REPUTATION_MIN = -100;
+const REPUTATION_MAX = 100;
+const HISTORY_LIMIT = 20;
+
+const clampReputation = value => Math.max(REPUTATION_MIN, Math.min(REPUTATION_MAX, Math.round(value)));
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value || '').split(/[;\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Stances are stored once per pair, lowest id first
+const stancePair = (a, b) => (a < b ? [a, b] : [b, a]);
+
+/**
+ * The tier a reputation falls in
+ */
+export function reputationTier(reputation) {
+  return REPUTATION_TIERS.find(tier => reputation >= tier.min) || REPUTATION_TIERS.at(-1);
+}
+
+/**
+ * A disposition moved along DISPOSITION_SCALE by a tier's shift
+ */
+export function shiftDisposition(disposition, tier) {
+  const index = DISPOSITION_SCALE.indexOf(disposition);
+  const start = index === -1 ? DISPOSITION_SCALE.indexOf('neutral') : index;
+  const shifted = Math.max(0, Math.min(DISPOSITION_SCALE.length - 1, start + (tier?.shift || 0)));
+  return DISPOSITION_SCALE[shifted];
+}
+
+function getStances(factionId) {
+  return queryAll(
+    `SELECT fs.stance, f.id, f.name FROM faction_stances fs
+     JOIN factions f ON f.id = CASE WHEN fs.faction_id = ? THEN fs.other_faction_id ELSE fs.faction_id END
+     WHERE (fs.faction_id = ? OR fs.other_faction_id = ?) AND fs.stance != 'neutral'
+     ORDER BY f.name`,
+    [factionId, factionId, factionId]
+  ).map(row => ({ factionId: row.id, faction: row.name, stance: row.stance }));
+}
+
+function formatFaction(row) {
+  return {
+    id: row.id,
+    worldId: row.world_id,
+    name: row.name,
+    description: row.description,
+    goals: parseJson(row.goals, []),
+    stances: getStances(row.id),
+    // Session NPCs across the world, once per name
+    members: queryAll(
+      `SELECT DISTINCT npc_name FROM session_npcs WHERE faction_id = ? ORDER BY npc_name COLLATE NOCASE`,
+      [row.id]
+    ).map(npc => npc.npc_name)
+  };
+}
+
+/**
+ * A faction in a world, by id or name
+ */
+export function findFaction(worldId, idOrName) {
+  if (!idOrName) return null;
+  return queryOne(
+    'SELECT * FROM factions WHERE world_id = ? AND (id = ? OR name = ? COLLATE NOCASE)',
+    [worldId, idOrName, String(idOrName).trim()]
+  );
+}
+
+/**
+ * Every faction in a world with stances and members
+ */
+export function listFactions(worldId) {
+  return queryAll('SELECT * FROM factions WHERE world_id = ? ORDER BY name COLLATE NOCASE', [worldId]).map(formatFaction);
+}
+
+/**
+ * One faction with its members and every character's standing
+ */
+export function getFaction(worldId, factionId) {
+  const row = queryOne('SELECT * FROM factions WHERE id = ? AND world_id = ?', [factionId, worldId]);
+  if (!row) return null;
+
+  const standings = queryAll(
+    `SELECT c.id, c.name, fr.reputation FROM faction_reputation fr
+     JOIN characters c ON c.id = fr.character_id
+     WHERE fr.faction_id = ? ORDER BY fr.reputation DESC`,
+    [factionId]
+  ).map(row => ({
+    characterId: row.id,
+    characterName: row.name,
+    reputation: row.reputation,
+    tier: reputationTier(row.reputation).name
+  }));
+
+  return { ...formatFaction(row), standings };
+}
+
+function validateFaction(data, { partial = false } = {}) {
+  const value = {};
+  if (!partial || data.name !== undefined) {
+    const name = String(data.name || '').trim();
+    if (!name) return { error: 'Invalid faction', details: 'name is required' };
+    if (name.length > 100) return { error: 'Invalid faction', details: 'name must be at most 100 characters' };
+    value.name = name;
+  }
+  if (!partial || data.description !== undefined) value.description = String(data.description || '').trim();
+  if (!partial || data.goals !== undefined) value.goals = toList(data.goals);
+  return { value };
+}
+
+/**
+ * Add a faction to a world: { name, description, goals }
+ */
+export function createFaction(worldId, data) {
+  const { value, error, details } = validateFaction(data);
+  if (error) return { error, details };
+  if (findFaction(worldId, value.name)) {
+    return { error: 'Faction exists', details: `${value.name} is already a faction in this world` };
+  }
+
+  const id = uuid();
+  const now = Date.now();
+  execute(
+    `INSERT INTO factions (id, world_id, name, description, goals, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [id, worldId, value.name, value.description, JSON.stringify(value.goals), now, now]
+  );
+  return getFaction(worldId, id);
+}
+
+/**
+ * Edit a faction's name, description or goals
+ */
+export function updateFaction(worldId, factionId, data) {
+  const { value, error, details } = validateFaction(data, { partial: true });
+  if (error) return { error, details };
+
+  const existing = value.name && findFaction(worldId, value.name);
+  if (existing && existing.id !== factionId) {
+    return { error: 'Faction exists', details: `${value.name} is already a faction in this world` };
+  }
+
+  const fields = Object.keys(value);
+  if (fields.length > 0) {
+    execute(
+      `UPDATE factions SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ? AND world_id = ?`,
+      [...fields.map(field => field === 'goals' ? JSON.stringify(value.goals) : value[field]), Date.now(), factionId, worldId]
+    );
+  }
+  return getFaction(worldId, factionId);
+}
+
+/**
+ * Delete a faction; its NPCs become unaffiliated
+ */
+export function deleteFaction(worldId, factionId) {
+  return transaction(() => {
+    const result = execute('DELETE FROM factions WHERE id = ? AND world_id = ?', [factionId, worldId]);
+    if (result.changes === 0) return false;
+
+    execute('DELETE FROM faction_stances WHERE faction_id = ? OR other_faction_id = ?', [factionId, factionId]);
+    execute('DELETE FROM faction_reputation WHERE faction_id = ?', [factionId]);
+    execute('DELETE FROM reputation_history WHERE faction_id = ?', [factionId]);
+    execute('UPDATE session_npcs SET faction_id = NULL WHERE faction_id = ?', [factionId]);
+    return true;
+  });
+}
+
+/**
+ * Set how two factions stand toward each other (the same both ways)
+ */
+export function setStance(worldId, factionId, otherFactionId, stance) {
+  if (!(stance in FACTION_STANCES)) {
+    return { error: 'Invalid stance', details: `stance must be one of: ${Object.keys(FACTION_STANCES).join(', ')}` };
+  }
+  if (factionId === otherFactionId) {
+    return { error: 'Invalid stance', details: 'A faction has no stance toward itself' };
+  }
+  if (!findFaction(worldId, factionId) || !findFaction(worldId, otherFactionId)) {
+    return { error: 'Faction not found' };
+  }
+
+  const [a, b] = stancePair(factionId, otherFactionId);
+  execute(
+    `INSERT INTO faction_stances (faction_id, other_faction_id, stance, updated_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT(faction_id, other_faction_id) DO UPDATE SET stance = excluded.stance, updated_at = excluded.updated_at`,
+    [a, b, stance, Date.now()]
+  );
+  return getFaction(worldId, factionId);
+}
+
+/**
+ * Put a session NPC in a faction (by id or name), or take them out with null
+ */
+export function setNpcFaction(sessionId, npcName, faction) {
+  const session = queryOne('SELECT world_id FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) return { error: 'Session not found' };
+
+  const npc = queryOne('SELECT id, npc_name FROM session_npcs WHERE session_id = ? AND npc_name = ? COLLATE NOCASE', [sessionId, npcName]);
+  if (!npc) return { error: 'NPC not found', details: `No NPC named ${npcName} in this session` };
+
+  const row = faction ? findFaction(session.world_id, faction) : null;
+  if (faction && !row) return { error: 'Faction not found', details: `No faction ${faction} in this world` };
+
+  execute('UPDATE session_npcs SET faction_id = ?, updated_at = ? WHERE id = ?', [row?.id || null, Date.now(), npc.id]);
+  return { npc: npc.npc_name, faction: row ? { id: row.id, name: row.name } : null };
+}
+
+/**
+ * The faction a session NPC belongs to, or null
+ */
+export function getNpcFaction(sessionId, npcName) {
+  if (!npcName) return null;
+  return queryOne(
+    `SELECT f.* FROM session_npcs n JOIN factions f ON f.id = n.faction_id
+     WHERE n.session_id = ? AND n.npc_name = ? COLLATE NOCASE`,
+    [sessionId, npcName]
+  );
+}
+
+/**
+ * A character's reputation with a faction and the tier it falls in
+ */
+export function getStanding(factionId, characterId) {
+  const row = queryOne(
+    'SELECT reputation FROM faction_reputation WHERE faction_id = ? AND character_id = ?',
+    [factionId, characterId]
+  );
+  const reputation = row?.reputation || 0;
+  return { reputation, tier: reputationTier(reputation) };
+}
+
+/**
+ * How an NPC is disposed toward a character once their faction's view of
+ * the character is taken into account
+ */
+export function getNpcDisposition(sessionId, npc, characterId) {
+  const faction = getNpcFaction(sessionId, npc.npc_name || npc.name);
+  if (!faction || !characterId) return npc.disposition;
+  return shiftDisposition(npc.disposition, getStanding(faction.id, characterId).tier);
+}
+
+/**
+ * Change a character's reputation with a faction
+ * With ripple, allied and friendly factions follow a share of the change
+ * and rivals and enemies move the other way.
+ * Returns every change made: [{ factionId, faction, change, reputation, tier }]
+ */
+export function adjustReputation(worldId, factionId, characterId, change, { cause = '', sessionId = null, ripple = true } = {}) {
+  const faction = findFaction(worldId, factionId);
+  if (!faction) return { error: 'Faction not found' };
+
+  const character = queryOne('SELECT id FROM characters WHERE id = ? AND world_id = ?', [characterId, worldId]);
+  if (!character) return { error: 'Character not found', details: 'character must belong to this world' };
+
+  const amount = Math.round(Number(change));
+  if (!Number.isFinite(amount) || amount === 0) {
+    return { error: 'Invalid change', details: 'change must be a whole number other than 0' };
+  }
+
+  const targets = [{ faction, amount }];
+  if (ripple) {
+    for (const { factionId: otherId, stance } of getStances(faction.id)) {
+      const share = Math.round(amount * FACTION_STANCES[stance]);
+      if (share !== 0) targets.push({ faction: findFaction(worldId, otherId), amount: share });
+    }
+  }
+
+  const now = Date.now();
+  return transaction(() => targets.map(({ faction: target, amount: delta }) => {
+    const before = getStanding(target.id, characterId).reputation;
+    const reputation = clampReputation(before + delta);
+
+    execute(
+      `INSERT INTO faction_reputation (faction_id, character_id, reputation, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(faction_id, character_id) DO UPDATE SET reputation = excluded.reputation, updated_at = excluded.updated_at`,
+      [target.id, characterId, reputation, now]
+    );
+    execute(
+      `INSERT INTO reputation_history (faction_id, character_id, session_id, change, cause, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [target.id, characterId, sessionId, reputation - before, target.id === faction.id ? cause : `${cause} (via ${faction.name})`, now]
+    );
+
+    return {
+      factionId: target.id,
+      faction: target.name,
+      change: reputation - before,
+      reputation,
+      tier: reputationTier(reputation).name
+    };
+  }));
+}
+
+/**
+ * A character's standing with every faction in their world, with recent changes
+ */
+export function getCharacterReputation(characterId) {
+  const character = queryOne('SELECT id, world_id FROM characters WHERE id = ?', [characterId]);
+  if (!character) return null;
+
+  return queryAll('SELECT id, name FROM factions WHERE world_id = ? ORDER BY name COLLATE NOCASE', [character.world_id])
+    .map(faction => {
+      const { reputation, tier } = getStanding(faction.id, characterId);
+      const history = queryAll(
+        `SELECT session_id, change, cause, created_at FROM reputation_history
+         WHERE faction_id = ? AND character_id = ? ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [faction.id, characterId, HISTORY_LIMIT]
+      ).map(entry => ({ sessionId: entry.session_id, change: entry.change, cause: entry.cause, at: entry.created_at }));
+
+      return { factionId: faction.id, faction: faction.name, reputation, tier: tier.name, history };
+    });
+}
+
+/**
+ * Price adjustment a shop owner's faction gives a character
+ * { faction, reputation, tier, price, refusesTrade }, or null when the owner
+ * belongs to no faction
+ */
+export function getShopStanding(sessionId, ownerName, characterId) {
+  const faction = getNpcFaction(sessionId, ownerName);
+  if (!faction || !characterId) return null;
+
+  const { reputation, tier } = getStanding(faction.id, characterId);
+  return {
+    faction: faction.name,
+    reputation,
+    tier: tier.name,
+    price: tier.price,
+    refusesTrade: Boolean(tier.refusesTrade)
+  };
+}
+
+/**
+ * Factions as the GM prompt shows them: stances, the party's standing and
+ * which members are in the session
+ */
+export function getFactionStandings(worldId, characters = [], { sessionId = null } = {}) {
+  return queryAll('SELECT * FROM factions WHERE world_id = ? ORDER BY name COLLATE NOCASE', [worldId]).map(faction => ({
+    name: faction.name,
+    description: faction.description,
+    goals: parseJson(faction.goals, []),
+    stances: getStances(faction.id),
+    standings: characters.map(character => {
+      const { reputation, tier } = getStanding(faction.id, character.id);
+      return { character: character.name, reputation, tier: tier.name };
+    }),
+    members: sessionId
+      ? queryAll(
+        'SELECT npc_name FROM session_npcs WHERE session_id = ? AND faction_id = ? ORDER BY npc_name',
+        [sessionId, faction.id]
+      ).map(npc => npc.npc_name)
+      : []
+  }));
+}
+
+/**
+ * Forget a deleted character's standings
+ */
+export function removeCharacterReputation(characterId) {
+  transaction(() => {
+    execute('DELETE FROM faction_reputation WHERE character_id = ?', [characterId]);
+    execute('DELETE FROM reputation_history WHERE character_id = ?', [characterId]);
+  });
+}
+
+export default {
+  FACTION_STANCES,
+  REPUTATION_TIERS,
+  DISPOSITION_SCALE,
+  reputationTier,
+  shiftDisposition,
+  findFaction,
+  listFactions,
+  getFaction,
+  createFaction,
+  updateFaction,
+  deleteFaction,
+  setStance,
+  setNpcFaction,
+  getNpcFaction,
+  getStanding,
+  getNpcDisposition,
+  adjustReputation,
+  getCharacterReputation,
+  getShopStanding,
+  getFactionStandings,
+  removeCharacterReputation
+};
@@ -0,0 +1,189 @@
+/**
+ * Inventory
+ *
+ * The one place character items live (character_inventory):
+ * - Rows without a session_id belong to the character and go with them
+ *   into every session; this is the default
+ * - Rows with a session_id are session overlays: items that only exist in
+ *   that session's story, added explicitly with scope 'session'
+ * - Equipped rows (location 'equipped') are managed by equipment.js
+ *
+ * characters.inventory is no longer read or written; migration 007 moved
+ * its contents here.
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+
+export const INVENTORY_SCOPES = ['character', 'session'];
+
+const NOT_EQUIPPED = `(location IS NULL OR location != 'equipped')`;
+
+/**
+ * WHERE clause for the rows a character can see: their own items, plus a
+ * session's overlay when sessionId is given
+ */
+export function visibleTo(characterId, sessionId = null) {
+  return sessionId
+    ? { sql: 'character_id = ? AND (session_id IS NULL OR session_id = ?)', params: [characterId, sessionId] }
+    : { sql: 'character_id = ? AND session_id IS NULL', params: [characterId] };
+}
+
+/**
+ * API shape of an inventory row
+ */
+export function formatItem(row) {
+  return {
+    id: row.id,
+    name: row.item_name,
+    type: row.item_type,
+    description: row.description,
+    quantity: row.quantity,
+    properties: parseJson(row.properties, {}),
+    location: row.location,
+    slot: row.slot || null,
+    scope: row.session_id ? 'session' : 'character',
+    sessionId: row.session_id || null,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Every row a character can see, optionally leaving out equipped items
+ */
+export function listItems(characterId, { sessionId = null, includeEquipped = true } = {}) {
+  const where = visibleTo(characterId, sessionId);
+  return queryAll(
+    `SELECT * FROM character_inventory
+     WHERE ${where.sql}${includeEquipped ? '' : ` AND ${NOT_EQUIPPED}`}
+     ORDER BY item_type, item_name`,
+    where.params
+  );
+}
+
+/**
+ * An unequipped row by item name (case-insensitive)
+ * Session overlays win over the character's own items of the same name.
+ */
+export function findItem(characterId, itemName, { sessionId = null } = {}) {
+  const where = visibleTo(characterId, sessionId);
+  return queryOne(
+    `SELECT * FROM character_inventory
+     WHERE ${where.sql} AND item_name = ? COLLATE NOCASE AND ${NOT_EQUIPPED}
+     ORDER BY session_id IS NULL, created_at
+     LIMIT 1`,
+    [...where.params, itemName]
+  );
+}
+
+/**
+ * Add items, stacking onto an unequipped row with the same name and scope
+ * item: { name, type, description, quantity, properties }
+ * Only scope 'session' (with a sessionId) creates a session overlay.
+ */
+export function addItem(characterId, item, { sessionId = null, scope = 'character' } = {}) {
+  const overlay = scope === 'session' && sessionId ? sessionId : null;
+  const quantity = Math.max(1, Math.round(Number(item.quantity) || 1));
+  const now = Date.now();
+
+  const existing = queryOne(
+    `SELECT * FROM character_inventory
+     WHERE character_id = ? AND session_id IS ? AND item_name = ? COLLATE NOCASE AND ${NOT_EQUIPPED}`,
+    [characterId, overlay, item.name]
+  );
+  if (existing) {
+    execute(
+      'UPDATE character_inventory SET quantity = quantity + ?, updated_at = ? WHERE id = ?',
+      [quantity, now, existing.id]
+    );
+    return { ...existing, quantity: existing.quantity + quantity, updated_at: now };
+  }
+
+  const id = uuid();
+  const row = {
+    id,
+    session_id: overlay,
+    character_id: characterId,
+    item_id: item.item_id || id,
+    item_name: item.name,
+    item_type: item.type || 'item',
+    description: item.description || '',
+    quantity,
+    properties: JSON.stringify(item.properties || {}),
+    location: item.location || 'inventory',
+    created_at: now,
+    updated_at: now
+  };
+
+  execute(
+    `INSERT INTO character_inventory
+     (id, session_id, character_id, item_id, item_name, item_type, description, quantity, properties, location, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    Object.values(row)
+  );
+  return row;
+}
+
+/**
+ * Remove items from a row, deleting it when none are left
+ */
+export function takeItem(row, quantity) {
+  if (row.quantity > quantity) {
+    execute(
+      'UPDATE character_inventory SET quantity = quantity - ?, updated_at = ? WHERE id = ?',
+      [quantity, Date.now(), row.id]
+    );
+  } else {
+    execute('DELETE FROM character_inventory WHERE id = ?', [row.id]);
+  }
+}
+
+/**
+ * Remove items by name; returns the row they came from, or null
+ */
+export function removeItem(characterId, itemName, quantity = 1, { sessionId = null } = {}) {
+  const row = findItem(characterId, itemName, { sessionId });
+  if (!row) return null;
+
+  takeItem(row, quantity);
+  return row;
+}
+
+/**
+ * Replace a character's own unequipped items, e.g. from the character sheet
+ * Equipped items and session overlays are kept.
+ */
+export function replaceCharacterItems(characterId, items) {
+  transaction(() => {
+    execute(
+      `DELETE FROM character_inventory WHERE character_id = ? AND session_id IS NULL AND ${NOT_EQUIPPED}`,
+      [characterId]
+    );
+    for (const item of normalizeItems(items)) {
+      addItem(characterId, item);
+    }
+  });
+}
+
+/**
+ * Free-form item lists (strings or objects) as { name, quantity, ... }
+ */
+export function normalizeItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .map(item => typeof item === 'string' ? { name: item } : { ...item, name: item?.name || item?.item_name })
+    .filter(item => item.name);
+}
+
+export default {
+  INVENTORY_SCOPES,
+  visibleTo,
+  formatItem,
+  listItems,
+  findItem,
+  addItem,
+  takeItem,
+  removeItem,
+  replaceCharacterItems,
+  normalizeItems
+};
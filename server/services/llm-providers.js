@@ -0,0 +1,471 @@
+/**
+ * LLM Providers
+ *
+ * One interface over the backends the GM can run on:
+ * - openai: any OpenAI-compatible server (llama.cpp, LM Studio, vLLM, ...)
+ * - ollama: Ollama's native /api endpoints
+ * - koboldcpp: KoboldCpp's native /api/v1 endpoints
+ * - mock: deterministic, offline replies for tests
+ *
+ * Configuration is layered: defaults < config.json "llm" < environment
+ * < a world's config.llm. Requests are routed to the "story" model or,
+ * for brief lookups, the smaller "brief" model; embeddings have their own.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = join(__dirname, '../../config.json');
+
+const DEFAULT_CONFIG = {
+  provider: 'openai',
+  baseUrl: 'http://127.0.0.1:8080/v1',
+  model: 'local-main',
+  apiKey: null,
+  brief: {},
+  embedding: {
+    provider: 'openai',
+    baseUrl: 'http://127.0.0.1:8082/v1',
+    model: 'nomic-embed-text'
+  }
+};
+
+const DEFAULT_BASE_URLS = {
+  openai: 'http://127.0.0.1:8080/v1',
+  ollama: 'http://127.0.0.1:11434',
+  koboldcpp: 'http://127.0.0.1:5001',
+  mock: null
+};
+
+// ==================== CONFIGURATION ====================
+
+function readFileConfig() {
+  const configPath = process.env.RPG_CONFIG || DEFAULT_CONFIG_PATH;
+  if (!existsSync(configPath)) return {};
+  try {
+    return JSON.parse(readFileSync(configPath, 'utf8')).llm || {};
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${configPath}:`, error.message);
+    return {};
+  }
+}
+
+function readEnvConfig() {
+  const env = process.env;
+  const config = {
+    provider: env.LLM_PROVIDER,
+    baseUrl: env.LLM_BASE_URL,
+    model: env.LLM_MODEL,
+    apiKey: env.LLM_API_KEY,
+    brief: {
+      provider: env.LLM_BRIEF_PROVIDER,
+      baseUrl: env.LLM_BRIEF_BASE_URL,
+      model: env.LLM_BRIEF_MODEL
+    },
+    embedding: {
+      provider: env.EMBEDDING_PROVIDER,
+      baseUrl: env.EMBEDDING_BASE_URL,
+      model: env.EMBEDDING_MODEL
+    }
+  };
+  return stripUnset(config);
+}
+
+// Drop undefined/null/'' so they don't override lower layers
+function stripUnset(config) {
+  const result = {};
+  for (const [key, value] of Object.entries(config || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      result[key] = stripUnset(value);
+    } else if (value !== undefined && value !== null && value !== '') {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+// A layer that switches provider without a baseUrl gets that provider's default
+function merge(...layers) {
+  return layers.reduce((merged, layer) => {
+    const switched = layer.provider && layer.provider !== merged.provider && !layer.baseUrl;
+    return {
+      ...merged,
+      ...layer,
+      ...(switched ? { baseUrl: DEFAULT_BASE_URLS[layer.provider] } : {}),
+      brief: { ...merged.brief, ...layer.brief },
+      embedding: { ...merged.embedding, ...layer.embedding }
+    };
+  }, {});
+}
+
+let globalConfig = null;
+
+/**
+ * Global LLM configuration (config.json and environment)
+ */
+export function getGlobalLlmConfig() {
+  if (!globalConfig) {
+    globalConfig = merge(DEFAULT_CONFIG, stripUnset(readFileConfig()), readEnvConfig());
+  }
+  return globalConfig;
+}
+
+/**
+ * Forget the cached global configuration (after the environment changes)
+ */
+export function resetLlmConfig() {
+  globalConfig = null;
+  providerCache.clear();
+}
+
+/**
+ * Effective configuration for a world: the global one with config.llm on top
+ */
+export function getLlmConfig(world = null) {
+  const worldConfig = typeof world?.config === 'string'
+    ? JSON.parse(world.config || '{}')
+    : world?.config;
+  return merge(getGlobalLlmConfig(), stripUnset(worldConfig?.llm));
+}
+
+/**
+ * Provider settings for one route: 'story', 'brief' or 'embedding'
+ * Brief requests fall back to the story model when no brief model is set.
+ * A route that switches provider does not inherit the story server's URL.
+ */
+export function resolveRoute(config, route = 'story') {
+  const story = {
+    provider: config.provider,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    apiKey: config.apiKey
+  };
+  if (route === 'story') return story;
+
+  const overrides = config[route] || {};
+  const provider = overrides.provider || story.provider;
+  const sameProvider = provider === story.provider;
+
+  return {
+    provider,
+    baseUrl: overrides.baseUrl || (sameProvider ? story.baseUrl : DEFAULT_BASE_URLS[provider]),
+    model: overrides.model || (route === 'brief' && sameProvider ? story.model : undefined),
+    apiKey: overrides.apiKey || (sameProvider ? story.apiKey : null)
+  };
+}
+
+/**
+ * Configuration safe to show to clients (no API keys)
+ */
+export function describeLlmConfig(world = null) {
+  const config = getLlmConfig(world);
+  const describe = ({ apiKey, ...route }) => ({ ...route, apiKey: apiKey ? 'set' : null });
+  return {
+    story: describe(resolveRoute(config, 'story')),
+    brief: describe(resolveRoute(config, 'brief')),
+    embedding: describe(resolveRoute(config, 'embedding'))
+  };
+}
+
+// ==================== SHARED HELPERS ====================
+
+async function postJson(url, body, apiKey = null) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`LLM request failed: ${response.status}`);
+  }
+  return response;
+}
+
+// Yield complete lines from a streamed response body
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// KoboldCpp takes a single prompt rather than chat messages
+function flattenMessages(messages) {
+  const labels = { system: '### System', user: '### User', assistant: '### Assistant' };
+  return messages
+    .map(m => `${labels[m.role] || `### ${m.role}`}:\n${m.content}`)
+    .join('\n\n') + '\n\n### Assistant:\n';
+}
+
+// ==================== PROVIDERS ====================
+
+function createOpenAIProvider({ baseUrl, model, apiKey }) {
+  const body = (messages, options, stream) => ({
+    model,
+    messages,
+    temperature: options.temperature,
+    max_tokens: options.maxTokens,
+    stop: options.stopSequences?.length ? options.stopSequences : undefined,
+    // llama.cpp turns a JSON schema (or a raw GBNF grammar) into a sampling grammar
+    response_format: options.responseFormat || undefined,
+    grammar: options.grammar || undefined,
+    stream: stream || undefined
+  });
+
+  return {
+    name: 'openai',
+    model,
+
+    async chat(messages, options) {
+      const response = await postJson(`${baseUrl}/chat/completions`, body(messages, options, false), apiKey);
+      const data = await response.json();
+      return data.choices[0]?.message?.content || '';
+    },
+
+    async* chatStream(messages, options) {
+      const response = await postJson(`${baseUrl}/chat/completions`, body(messages, options, true), apiKey);
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (token) yield token;
+      }
+    },
+
+    async embed(text) {
+      const response = await postJson(`${baseUrl}/embeddings`, { model, input: text }, apiKey);
+      const data = await response.json();
+      return data.data[0].embedding;
+    },
+
+    async listModels() {
+      const response = await fetch(`${baseUrl}/models`, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      });
+      if (!response.ok) throw new Error('LLM server not responding');
+      const data = await response.json();
+      return data.data || [];
+    }
+  };
+}
+
+function createOllamaProvider({ baseUrl, model }) {
+  const body = (messages, options, stream) => ({
+    model,
+    messages,
+    stream,
+    // Ollama accepts a JSON schema directly as the output format
+    format: options.responseFormat?.json_schema?.schema || undefined,
+    options: {
+      temperature: options.temperature,
+      num_predict: options.maxTokens,
+      stop: options.stopSequences?.length ? options.stopSequences : undefined
+    }
+  });
+
+  return {
+    name: 'ollama',
+    model,
+
+    async chat(messages, options) {
+      const response = await postJson(`${baseUrl}/api/chat`, body(messages, options, false));
+      const data = await response.json();
+      return data.message?.content || '';
+    },
+
+    async* chatStream(messages, options) {
+      const response = await postJson(`${baseUrl}/api/chat`, body(messages, options, true));
+      for await (const line of readLines(response.body)) {
+        const data = JSON.parse(line);
+        if (data.message?.content) yield data.message.content;
+        if (data.done) return;
+      }
+    },
+
+    async embed(text) {
+      const response = await postJson(`${baseUrl}/api/embed`, { model, input: text });
+      const data = await response.json();
+      return data.embeddings[0];
+    },
+
+    async listModels() {
+      const response = await fetch(`${baseUrl}/api/tags`);
+      if (!response.ok) throw new Error('Ollama server not responding');
+      const data = await response.json();
+      return (data.models || []).map(m => ({ id: m.name }));
+    }
+  };
+}
+
+function createKoboldProvider({ baseUrl, model }) {
+  const body = (messages, options) => ({
+    prompt: flattenMessages(messages),
+    temperature: options.temperature,
+    max_length: options.maxTokens,
+    stop_sequence: ['### User:', ...(options.stopSequences || [])],
+    grammar: options.grammar || undefined
+  });
+
+  return {
+    name: 'koboldcpp',
+    model,
+
+    async chat(messages, options) {
+      const response = await postJson(`${baseUrl}/api/v1/generate`, body(messages, options));
+      const data = await response.json();
+      return data.results?.[0]?.text?.trim() || '';
+    },
+
+    async* chatStream(messages, options) {
+      const response = await postJson(`${baseUrl}/api/extra/generate/stream`, body(messages, options));
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        const token = JSON.parse(line.slice(5).trim()).token;
+        if (token) yield token;
+      }
+    },
+
+    async embed(text) {
+      // KoboldCpp serves embeddings on its OpenAI-compatible endpoint
+      const response = await postJson(`${baseUrl}/v1/embeddings`, { model, input: text });
+      const data = await response.json();
+      return data.data[0].embedding;
+    },
+
+    async listModels() {
+      const response = await fetch(`${baseUrl}/api/v1/model`);
+      if (!response.ok) throw new Error('KoboldCpp server not responding');
+      const data = await response.json();
+      return [{ id: data.result }];
+    }
+  };
+}
+
+/**
+ * Smallest value that satisfies a schema, so mock JSON always validates
+ */
+export function sampleFromSchema(schema) {
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        (schema.required || []).map(key => [key, sampleFromSchema(schema.properties[key])])
+      );
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items));
+    case 'integer':
+    case 'number':
+      return Math.max(schema.minimum ?? 0, 0);
+    case 'boolean':
+      return false;
+    default:
+      return schema.enum?.[0] ?? 'mock';
+  }
+}
+
+/**
+ * Deterministic embedding: each word is hashed (FNV-1a) into a signed
+ * bucket and the result normalized, so texts sharing words score as similar
+ */
+export function hashEmbedding(text, dimensions = 64) {
+  const vector = new Array(dimensions).fill(0);
+
+  for (const word of String(text).toLowerCase().match(/[a-z0-9']+/g) || []) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+      hash = Math.imul(hash ^ word.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function createMockProvider({ model = 'mock' }) {
+  const reply = (messages, options) => {
+    const schema = options.responseFormat?.json_schema?.schema;
+    if (schema) return JSON.stringify(sampleFromSchema(schema));
+
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    return `The Game Master considers: ${lastUser.slice(0, 80)}`;
+  };
+
+  return {
+    name: 'mock',
+    model,
+
+    async chat(messages, options) {
+      return reply(messages, options);
+    },
+
+    async* chatStream(messages, options) {
+      for (const token of reply(messages, options).split(/(?<= )/)) {
+        yield token;
+      }
+    },
+
+    async embed(text) {
+      return hashEmbedding(text);
+    },
+
+    async listModels() {
+      return [{ id: model }];
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  koboldcpp: createKoboldProvider,
+  mock: createMockProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const providerCache = new Map();
+
+/**
+ * Provider for a world (or the global config) and route
+ */
+export function getProvider(world = null, route = 'story') {
+  const settings = resolveRoute(getLlmConfig(world), route);
+  const create = PROVIDERS[settings.provider];
+  if (!create) {
+    throw new Error(`Unknown LLM provider: ${settings.provider} (expected one of ${PROVIDER_NAMES.join(', ')})`);
+  }
+
+  const key = JSON.stringify(settings);
+  if (!providerCache.has(key)) {
+    providerCache.set(key, create({ ...settings, baseUrl: settings.baseUrl?.replace(/\/$/, '') }));
+  }
+  return providerCache.get(key);
+}
+
+export default {
+  PROVIDER_NAMES,
+  sampleFromSchema,
+  hashEmbedding,
+  getGlobalLlmConfig,
+  resetLlmConfig,
+  getLlmConfig,
+  resolveRoute,
+  describeLlmConfig,
+  getProvider
+};
@@ -1,6 +1,6 @@
 /**
- * LLM Service - Connects to llama.cpp server
- * 
+ * LLM Service - Connects to the configured LLM provider (see llm-providers.js)
+ *
  * Provides AI Game Master capabilities:
  * - Scene narration
  * - NPC dialogue
@@ -8,23 +8,25 @@
  * - World generation
  */
 
-import { SETTINGS, getSettingConfig } from '../../shared/settings.js';
-import { AdvancedPromptBuilder } from './prompt-engineering.js';
+import { SETTINGS, getSettingConfig, getEconomy, formatMoney } from '../../shared/settings.js';
+import { AdvancedPromptBuilder, formatCarriedItems, buildNpcDialoguePrompt } from './prompt-engineering.js';
 import RPGMemoryManager from './memory.js';
-
-const LLM_BASE_URL = process.env.LLM_BASE_URL || 'http://127.0.0.1:8080/v1';
+import { formatRollResult } from './dice.js';
+import { CONTENT_SCHEMAS, STATE_CHANGES_SCHEMA, validateSchema } from './schemas.js';
+import { getProvider } from './llm-providers.js';
 
 /**
  * Check if the LLM server is available
+ * Uses the world's provider configuration when a world is given
  */
-export async function checkHealth() {
+export async function checkHealth(world = null) {
   try {
-    const response = await fetch(`${LLM_BASE_URL}/models`);
-    if (!response.ok) throw new Error('LLM server not responding');
-    const data = await response.json();
+    const provider = getProvider(world);
     return {
       available: true,
-      models: data.data || []
+      provider: provider.name,
+      model: provider.model,
+      models: await provider.listModels()
     };
   } catch (error) {
     return {
@@ -36,32 +38,127 @@ export async function checkHealth() {
 
 /**
  * Generate a chat completion from the LLM
+ * `world` selects per-world provider settings; `route` is 'story' or 'brief'
  */
 export async function chat(messages, options = {}) {
   const {
     temperature = 0.7,
     maxTokens = 1024,
-    stopSequences = []
+    stopSequences = [],
+    responseFormat = null,
+    grammar = null,
+    world = null,
+    route = 'story'
   } = options;
 
-  const response = await fetch(`${LLM_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: 'local-main',
-      messages,
-      temperature,
-      max_tokens: maxTokens,
-      stop: stopSequences.length ? stopSequences : undefined
-    })
+  return await getProvider(world, route).chat(messages, {
+    temperature,
+    maxTokens,
+    stopSequences,
+    responseFormat,
+    grammar
   });
+}
+
+/**
+ * Raised when the model keeps returning JSON that does not match the schema
+ */
+export class StructuredOutputError extends Error {
+  constructor(problems, raw) {
+    super(`LLM output did not match the schema: ${problems.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.problems = problems;
+    this.raw = raw;
+  }
+}
 
-  if (!response.ok) {
-    throw new Error(`LLM request failed: ${response.status}`);
+/**
+ * Parse a JSON reply, tolerating a code fence or prose around the object
+ */
+function parseJsonReply(text) {
+  const candidates = [
+    text,
+    text.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1],
+    text.match(/\{[\s\S]*\}/)?.[0]
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch {
+      // try the next candidate
+    }
   }
+  return { error: 'Response is not valid JSON' };
+}
+
+/**
+ * Generate a JSON object constrained by a schema
+ * The schema goes to the provider as response_format; the reply is still validated
+ * here and, when it fails, the model is shown the problems and asked again.
+ */
+export async function chatJson(messages, schema, options = {}) {
+  const { retries = 2, name = 'response', ...chatOptions } = options;
+  const responseFormat = {
+    type: 'json_schema',
+    json_schema: { name, schema, strict: true }
+  };
+
+  let conversation = messages;
+  let problems = [];
+  let raw = '';
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    raw = await chat(conversation, { ...chatOptions, responseFormat });
+
+    const parsed = parseJsonReply(raw);
+    problems = parsed.error ? [parsed.error] : validateSchema(schema, parsed.value);
+    if (problems.length === 0) return parsed.value;
+
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: raw },
+      {
+        role: 'user',
+        content: `That reply was not valid: ${problems.join('; ')}. Reply with only the corrected JSON object.`
+      }
+    ];
+  }
+
+  throw new StructuredOutputError(problems, raw);
+}
+
+/**
+ * Stream a chat completion from the LLM token by token
+ * Yields content deltas from whichever provider serves the route
+ */
+export async function* chatStream(messages, options = {}) {
+  const {
+    temperature = 0.7,
+    maxTokens = 1024,
+    stopSequences = [],
+    world = null,
+    route = 'story'
+  } = options;
 
-  const data = await response.json();
-  return data.choices[0]?.message?.content || '';
+  yield* getProvider(world, route).chatStream(messages, { temperature, maxTokens, stopSequences });
+}
+
+/**
+ * Run a completion, streaming tokens to onToken when given
+ * Always resolves to the full response text
+ */
+async function complete(messages, options = {}, onToken = null) {
+  if (!onToken) {
+    return await chat(messages, options);
+  }
+
+  let content = '';
+  for await (const token of chatStream(messages, options)) {
+    content += token;
+    onToken(token);
+  }
+  return content;
 }
 
 /**
@@ -70,7 +167,9 @@ export async function chat(messages, options = {}) {
 function buildSettingFlavor(setting) {
   const config = getSettingConfig(setting);
   const flavor = config.flavor;
-  
+  const forbidden = config.forbidden || [];
+  const required = config.required || [];
+
   return `
 ## CRITICAL SETTING RULES - ${config.name.toUpperCase()}
 You MUST strictly adhere to the ${config.name} setting. This is NOT negotiable.
@@ -92,11 +191,8 @@ You MUST strictly adhere to the ${config.name} setting. This is NOT negotiable.
 **Relevant Skills:** ${config.skills.join(', ')}
 
 FORBIDDEN:
-${setting === 'scifi' ? '- NO medieval elements (swords, taverns, cobblestone, horses, torches, castles, magic)' : ''}
-${setting === 'fantasy' ? '- NO modern/futuristic elements (guns, computers, electricity, vehicles)' : ''}
-${setting === 'horror' ? '- NO high fantasy magic or sci-fi tech unless specifically part of the horror' : ''}
-${setting === 'post-apocalyptic' ? '- NO pristine modern conveniences, everything should be scavenged/ruined' : ''}
-`;
+${forbidden.map(element => `- NO ${element}`).join('\n') || '- Nothing beyond the technology level above'}
+${required.length > 0 ? `\n**Always Present:** ${required.join(', ')}\n` : ''}`;
 }
 
 /**
@@ -311,6 +407,24 @@ function analyzeRequestType(playerAction) {
   return { type: 'story', brief: false, maxTokens: 800 };
 }
 
+/**
+ * What each character carries and wears, for inventory checks
+ */
+function describeInventories(characters = []) {
+  const lines = characters
+    .filter(c => (Array.isArray(c.inventory) && c.inventory.length > 0) || c.equipment?.length > 0)
+    .map(c => {
+      const parts = [];
+      if (c.equipment?.length > 0) parts.push(`equipped ${c.equipment.map(item => item.name).join(', ')}`);
+      if (Array.isArray(c.inventory) && c.inventory.length > 0) parts.push(`carrying ${formatCarriedItems(c.inventory)}`);
+      return `- ${c.name}: ${parts.join('; ')}`;
+    });
+
+  return lines.length > 0
+    ? `Inventories (authoritative, list only these items):\n${lines.join('\n')}\n`
+    : '';
+}
+
 /**
  * Build response style instructions based on request type
  */
@@ -380,7 +494,8 @@ export async function generateGMResponse(world, session, playerAction, memory =
     recordAction = true,
     sceneType = 'story',
     importance = 0.5,
-    style = 'balanced'
+    style = 'balanced',
+    onToken = null
   } = options;
   
   // Analyze the request type to determine appropriate response style
@@ -396,7 +511,8 @@ export async function generateGMResponse(world, session, playerAction, memory =
 
 ${buildResponseStyleInstructions(requestType)}
 
-Current Characters: ${session.characters?.map(c => `${c.name} (${c.class}, Level ${c.level})`).join(', ') || 'None'}
+Current Characters: ${session.characters?.map(c => `${c.name} (${c.class}, Level ${c.level}${c.credits !== undefined ? `, ${formatMoney(c.credits, world.setting)}` : ''})`).join(', ') || 'None'}
+${describeInventories(session.characters)}
 
 Be direct and concise. No excessive narrative for simple information requests.`;
     
@@ -426,16 +542,20 @@ Be direct and concise. No excessive narrative for simple information requests.`;
     { role: 'user', content: playerAction }
   ];
 
-  // Record the player action in memory if memory manager available
+  // Quick lookups go to the brief model when one is configured
+  const response = await complete(messages, {
+    temperature: requestType.brief ? 0.3 : temperature, // Lower temperature for factual requests
+    maxTokens,
+    world,
+    route: requestType.brief ? 'brief' : 'story'
+  }, onToken);
+
+  // Memory is only touched once the full response exists,
+  // so a failed or aborted (streamed) generation leaves no half-recorded turn
   if (memory && recordAction) {
     await recordPlayerAction(memory, playerAction, session);
   }
 
-  const response = await chat(messages, {
-    temperature: requestType.brief ? 0.3 : temperature, // Lower temperature for factual requests
-    maxTokens
-  });
-
   // Record GM response and any significant events it contains
   if (memory && !requestType.brief) {
     await recordGMResponse(memory, response, session);
@@ -444,6 +564,80 @@ Be direct and concise. No excessive narrative for simple information requests.`;
   return response;
 }
 
+/**
+ * Narrate the consequences of resolved dice rolls
+ * Feeds the roll outcomes back to the model after the GM asked for them
+ */
+export async function generateRollOutcome(world, playerAction, gmResponse, rolls, options = {}) {
+  const { temperature = 0.8, maxTokens = 400, onToken = null } = options;
+  const config = getSettingConfig(world.setting);
+
+  const systemPrompt = `You are the Game Master for "${world.name}" (${config.name}).
+
+The dice have already been rolled for the checks you requested. Narrate what happens as a result.
+- Honor every result exactly: successes succeed, failures fail, criticals are dramatic
+- 1-2 paragraphs, continuing directly from your previous narration
+- Do NOT request new rolls and do NOT repeat the numbers verbatim
+- NEVER control player characters - only NPCs and environment
+- End with a clear situation for the players`;
+
+  const rollSummary = rolls.map(roll => `- ${formatRollResult(roll)}`).join('\n');
+
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: playerAction },
+    { role: 'assistant', content: gmResponse },
+    { role: 'user', content: `[DICE RESULTS]\n${rollSummary}` }
+  ];
+
+  const outcome = await complete(messages, { temperature, maxTokens, world }, onToken);
+
+  // The follow-up must not open another round of checks
+  return outcome.replace(/\[ROLL:[^\]]*\]/gi, '').trim();
+}
+
+/**
+ * An NPC's in-character reply to a player character (dialogue mode)
+ */
+export async function generateNpcDialogue(world, npc, character, exchanges, message, options = {}) {
+  const { temperature = 0.8, maxTokens = 400, onToken = null } = options;
+
+  const messages = buildNpcDialoguePrompt(world, npc, character, exchanges, message);
+  const reply = await complete(messages, { temperature, maxTokens, world }, onToken);
+
+  // The NPC speaks; checks are the GM's call
+  return reply.replace(/\[ROLL:[^\]]*\]/gi, '').trim();
+}
+
+/**
+ * Summarize a completed round of turn-based play
+ * Called once every participant has acted
+ */
+export async function generateRoundSummary(world, round, roundLog, options = {}) {
+  const { temperature = 0.7, maxTokens = 300, onToken = null } = options;
+  const config = getSettingConfig(world.setting);
+
+  const systemPrompt = `You are the Game Master for "${world.name}" (${config.name}).
+
+Round ${round} is over: every character has taken their turn. Summarize the round.
+- 1 short paragraph tying the characters' actions together
+- Describe how the situation has shifted and what pressure is building
+- Do NOT request rolls and do NOT decide anything for the player characters
+- End by setting up the next round`;
+
+  const turns = roundLog
+    .map(turn => `- ${turn.characterName}: ${turn.action}\n  GM: ${turn.response}`)
+    .join('\n');
+
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: `[ROUND ${round}]\n${turns}` }
+  ];
+
+  const summary = await complete(messages, { temperature, maxTokens, world }, onToken);
+  return summary.replace(/\[ROLL:[^\]]*\]/gi, '').trim();
+}
+
 /**
  * Manage message history to fit within token budget
  * Uses memory system patterns for intelligent truncation
@@ -520,36 +714,16 @@ async function recordPlayerAction(memory, action, session) {
 }
 
 /**
- * Record GM response and extract significant events
+ * Record GM response in memory
  */
 async function recordGMResponse(memory, response, session) {
   try {
-    // Extract events from GM response
-    const events = extractEventsFromResponse(response);
-    
-    for (const event of events) {
-      switch (event.type) {
-        case 'npc_dialogue':
-          await memory.recordDialogue(event.speaker, event.content, event.reactions);
-          break;
-        case 'combat_result':
-          await memory.recordCombat(event.participants, event.outcome, event.casualties);
-          break;
-        case 'location_change':
-          await memory.recordLocationChange(event.from, event.to, event.method);
-          break;
-        case 'character_development':
-          await memory.recordCharacterDevelopment(event.character, event.developmentType, event.details);
-          break;
-      }
-    }
-
-    // Record the response itself as a GM action
+    // Location changes, new NPCs and items are recorded when the session
+    // manager applies extractStateChanges, so only the response is kept here
     await memory.recordEvent('gm_response', {
       response: response.substring(0, 500) + (response.length > 500 ? '...' : ''),
-      extractedEvents: events.length,
       location: session.currentScene?.location || 'unknown'
-    }, events.length > 0 ? 0.6 : 0.3);
+    }, 0.3);
 
   } catch (error) {
     console.warn('Failed to record GM response in memory:', error);
@@ -625,53 +799,8 @@ function extractMentionedCharacters(text) {
 }
 
 /**
- * Extract events from GM response text
- */
-function extractEventsFromResponse(response) {
-  const events = [];
-  
-  // Look for dialogue patterns
-  const dialogueMatches = response.match(/"([^"]+)"/g);
-  if (dialogueMatches) {
-    dialogueMatches.forEach(match => {
-      const beforeQuote = response.substring(0, response.indexOf(match));
-      const speakerMatch = beforeQuote.match(/(\w+)\s+(?:says?|tells?|asks?|shouts?)/i);
-      if (speakerMatch) {
-        events.push({
-          type: 'npc_dialogue',
-          speaker: speakerMatch[1],
-          content: match.replace(/"/g, ''),
-          reactions: {}
-        });
-      }
-    });
-  }
-  
-  // Look for combat results
-  if (response.match(/\b(dies?|killed|defeated|wounded|injured)\b/i)) {
-    events.push({
-      type: 'combat_result',
-      participants: extractMentionedCharacters(response),
-      outcome: 'combat resolved',
-      casualties: []
-    });
-  }
-  
-  // Look for location changes
-  const locationMatch = response.match(/(?:arrive|enter|reach|travel to)\s+(?:the\s+)?([^.]+)/i);
-  if (locationMatch) {
-    events.push({
-      type: 'location_change',
-      to: locationMatch[1].trim(),
-      method: 'travel'
-    });
-  }
-  
-  return events;
-}
-
-/**
- * Generate world content (locations, NPCs, lore)
+ * Generate world content (locations, NPCs, lore, quests)
+ * Returns an object matching the type's schema in CONTENT_SCHEMAS
  */
 export async function generateWorldContent(world, contentType, prompt) {
   const config = getSettingConfig(world.setting);
@@ -685,8 +814,7 @@ Materials: ${flavor.materials}
 Lighting: ${flavor.lighting}
 
 Include: name, physical description, atmosphere, notable features, potential encounters.
-The location MUST be appropriate for ${config.name} - no anachronisms!
-Format as JSON.`,
+The location MUST be appropriate for ${config.name} - no anachronisms!`,
     
     npc: `You are a world-builder for "${world.name}" (${config.name} setting).
 Generate an NPC appropriate for the ${config.name} genre.
@@ -694,16 +822,15 @@ Available classes: ${config.classes.join(', ')}
 Skills they might have: ${config.skills.join(', ')}
 
 Include: name, role, appearance, personality, motivations, secrets.
-The NPC MUST fit the ${config.name} setting!
-Format as JSON.`,
+The NPC MUST fit the ${config.name} setting!`,
     
     lore: `You are a world-builder for "${world.name}" (${config.name} setting).
 Generate lore appropriate for the ${config.name} genre.
 Technology level: ${flavor.technology}
 Setting flavor: ${config.description}
 
-Be creative but stay within setting bounds. No anachronisms!
-Format as markdown.`,
+Include: title, category, and the lore itself as markdown in content.
+Be creative but stay within setting bounds. No anachronisms!`,
     
     quest: `You are a world-builder for "${world.name}" (${config.name} setting).
 Generate a quest appropriate for the ${config.name} genre.
@@ -711,17 +838,65 @@ Available locations: ${flavor.locations.join(', ')}
 Currency: ${flavor.currency}
 Technology: ${flavor.technology}
 
-Include: hook, objective, complications, rewards.
-Everything MUST fit the ${config.name} setting!
-Format as JSON.`
+Include: title, who gives it, hook, objectives, complications, rewards (XP between 50 and 500).
+Everything MUST fit the ${config.name} setting!`
   };
 
+  const type = systemPrompts[contentType] ? contentType : 'lore';
   const messages = [
-    { role: 'system', content: systemPrompts[contentType] || systemPrompts.lore },
+    { role: 'system', content: `${systemPrompts[type]}\nReply with a single JSON object.` },
     { role: 'user', content: prompt }
   ];
 
-  return await chat(messages, { temperature: 0.9, maxTokens: 1024 });
+  return await chatJson(messages, CONTENT_SCHEMAS[type], {
+    name: type,
+    temperature: 0.9,
+    maxTokens: 1024,
+    world
+  });
+}
+
+/**
+ * Structured pass over a GM response: where the party is now, who was
+ * introduced, what items and money changed hands and how NPC attitudes shifted.
+ * Returns an object matching STATE_CHANGES_SCHEMA.
+ */
+export async function extractStateChanges(world, context, playerAction, gmResponse) {
+  const { characters = [], currentScene = {}, factions = [] } = context;
+  const playerNames = characters.map(c => c.name).join(', ') || 'none';
+  const factionNames = factions.map(faction => faction.name).join(', ') || 'none';
+  const knownNpcs = (currentScene.npcs || []).map(npc => npc.name).join(', ') || 'none';
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You track game state for "${world.name}". Read the player's action and the Game Master's response, then report only changes the response states explicitly.
+- location: changed is true only if the characters actually arrived somewhere new, not when a place is looked at, mentioned or planned; type is the kind of place it is
+- npcs: named non-player characters appearing in person for the first time; never the player characters (${playerNames}) or NPCs already present (${knownNpcs})
+- items: items a player character actually gained or lost; character is that player character's name
+- relationships: how an NPC's attitude shifted, as deltas from -1 to 1 (0.1 slight, 0.5 major); toward names the one player character or NPC it changed toward, leave it out when it is the whole party
+- reputation: how a player character's deeds changed their standing with a faction (${factionNames}), from -25 to 25 (5 minor, 15 major); leave character out when the whole party is responsible
+- currency: money a player character actually received (positive amount) or paid (negative amount), in whole ${getEconomy(world.setting).currencyUnit}; never prices that were only quoted or offered
+Use empty lists when nothing changed. Reply with a single JSON object.`
+    },
+    {
+      role: 'user',
+      content: `Current location: ${currentScene.location || 'unknown'}
+
+Player action: ${playerAction}
+
+GM response: ${gmResponse}`
+    }
+  ];
+
+  return await chatJson(messages, STATE_CHANGES_SCHEMA, {
+    name: 'state_changes',
+    temperature: 0.1,
+    maxTokens: 512,
+    retries: 1,
+    world,
+    route: 'brief'
+  });
 }
 
 /**
@@ -746,14 +921,20 @@ Make them distinct and interesting.`
     { role: 'user', content: characterConcept }
   ];
 
-  return await chat(messages, { temperature: 0.9 });
+  return await chat(messages, { temperature: 0.9, world });
 }
 
 export default {
   checkHealth,
   chat,
+  chatStream,
+  chatJson,
   buildGMPrompt,
   generateGMResponse,
+  generateRollOutcome,
+  generateRoundSummary,
+  generateNpcDialogue,
   generateWorldContent,
+  extractStateChanges,
   generateBackstory
 };
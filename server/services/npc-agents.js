@@ -0,0 +1,198 @@
+/**
+ * NPC Agents
+ *
+ * Dialogue mode: a player character talks to a named session NPC, which
+ * answers in its own voice instead of through the GM:
+ * - The persona comes from session_npcs (voice, personality, goals, secrets,
+ *   disposition), filled in from the world codex NPC of the same name where
+ *   the session NPC has nothing, and the relationship graph's edge from the
+ *   NPC to the character speaking
+ * - An NPC in a faction is disposed toward the speaker as the faction's
+ *   view of them shifts it
+ * - voice is a VOICE_PATTERNS key; without one it is guessed from the NPC's
+ *   role and description
+ * - Every exchange is appended to dialogue_history, and earlier exchanges
+ *   with the same character are replayed so the NPC remembers them
+ */
+
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+import { VOICE_PATTERNS } from './prompt-engineering.js';
+import { generateNpcDialogue } from './llm.js';
+import { recordSessionEvent } from './session-registry.js';
+import { getRelationshipBetween } from './relationships.js';
+import { getNpcFaction, getStanding, shiftDisposition } from './factions.js';
+
+export const NPC_VOICES = Object.keys(VOICE_PATTERNS);
+
+// Exchanges kept per NPC, and how many with the speaking character go in the prompt
+const HISTORY_LIMIT = 100;
+const PROMPT_EXCHANGES = 10;
+
+// First match wins; anyone else talks like a commoner
+const VOICE_HINTS = [
+  ['noble', /\b(lord|lady|king|queen|prince|princess|duke|duchess|baron|count|noble|aristocrat|emperor|empress)\b/i],
+  ['scholar', /\b(scholar|sage|librarian|scribe|wizard|mage|professor|scientist|doctor|alchemist|archivist)\b/i],
+  ['warrior', /\b(guard|soldier|knight|captain|sergeant|mercenary|warrior|veteran|marshal|sheriff|champion)\b/i],
+  ['merchant', /\b(merchant|shopkeeper|trader|vendor|innkeeper|barkeep|peddler|fixer|dealer|broker)\b/i]
+];
+
+// Codex text fields may hold several items separated by semicolons
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return String(value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Guess a voice pattern from what an NPC is
+ */
+export function inferVoice(...descriptions) {
+  const text = descriptions.filter(Boolean).join(' ');
+  return VOICE_HINTS.find(([, pattern]) => pattern.test(text))?.[0] || 'commoner';
+}
+
+/**
+ * A session NPC by name (case-insensitive)
+ */
+export function findSessionNpc(sessionId, npcName) {
+  return queryOne(
+    'SELECT * FROM session_npcs WHERE session_id = ? AND npc_name = ? COLLATE NOCASE',
+    [sessionId, npcName]
+  );
+}
+
+/**
+ * The persona an NPC speaks with, feeling toward characterId if given
+ */
+export function getNpcPersona(row, worldId, characterId = null) {
+  const codex = queryOne(
+    'SELECT * FROM world_npcs WHERE world_id = ? AND name = ? COLLATE NOCASE',
+    [worldId, row.npc_name]
+  ) || {};
+
+  const goals = parseJson(row.goals, []);
+  const secrets = parseJson(row.secrets, []);
+  const role = codex.role || '';
+  const faction = getNpcFaction(row.session_id, row.npc_name);
+  const standing = faction && characterId ? getStanding(faction.id, characterId) : null;
+
+  return {
+    id: row.id,
+    name: row.npc_name,
+    type: row.npc_type,
+    role,
+    description: row.description || codex.appearance || '',
+    location: row.location,
+    disposition: standing ? shiftDisposition(row.disposition, standing.tier) : row.disposition,
+    faction: faction?.name || null,
+    standing: standing && { reputation: standing.reputation, tier: standing.tier.name },
+    status: row.status,
+    voice: NPC_VOICES.includes(row.voice) ? row.voice : inferVoice(role, row.npc_type, row.description),
+    personality: row.personality || codex.personality || '',
+    goals: goals.length > 0 ? goals : toList(codex.motivations),
+    secrets: secrets.length > 0 ? secrets : toList(codex.secrets),
+    relationship: (characterId &&
+      getRelationshipBetween(worldId, { type: 'npc', ref: row.npc_name }, { type: 'character', ref: characterId })) || {}
+  };
+}
+
+/**
+ * An NPC's dialogue history, optionally only with one character
+ */
+export function getDialogue(row, characterId = null) {
+  const history = parseJson(row.dialogue_history, []);
+  return characterId ? history.filter(exchange => exchange.characterId === characterId) : history;
+}
+
+/**
+ * Every NPC in a session with the voice they would speak in
+ */
+export function listSessionNpcs(sessionId, worldId) {
+  return queryAll('SELECT * FROM session_npcs WHERE session_id = ? ORDER BY npc_name', [sessionId])
+    .map(row => {
+      const { secrets, ...persona } = getNpcPersona(row, worldId);
+      return { ...persona, exchanges: getDialogue(row).length };
+    });
+}
+
+/**
+ * A character says something to an NPC and the NPC answers in character
+ * The exchange is saved to the NPC's dialogue_history and to the session
+ * log. Returns { npc, character, message, reply, exchange } or { error, details }.
+ */
+export async function talkToNpc(sessionId, npcName, { characterId, message }, hooks = {}) {
+  const session = queryOne('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) return { error: 'Session not found' };
+
+  const row = findSessionNpc(sessionId, npcName);
+  if (!row) return { error: 'NPC not found', details: `No NPC named ${npcName} in this session` };
+
+  const character = queryOne(
+    `SELECT c.* FROM characters c
+     JOIN session_participants sp ON c.id = sp.character_id
+     WHERE sp.session_id = ? AND c.id = ?`,
+    [sessionId, characterId]
+  );
+  if (!character) return { error: 'Character not found', details: 'character_id must be a character in this session' };
+
+  const npc = getNpcPersona(row, session.world_id, character.id);
+  if (npc.status !== 'alive') {
+    return { error: 'NPC cannot talk', details: `${npc.name} is ${npc.status}` };
+  }
+
+  const world = queryOne('SELECT * FROM worlds WHERE id = ?', [session.world_id]);
+  const exchanges = getDialogue(row, character.id).slice(-PROMPT_EXCHANGES);
+
+  const reply = await generateNpcDialogue(world, npc, character, exchanges, message, { onToken: hooks.onToken });
+
+  const now = new Date().toISOString();
+  const exchange = { characterId: character.id, characterName: character.name, message, reply, at: now };
+
+  // Re-read the history so exchanges saved while the NPC was answering are kept
+  transaction(() => {
+    const history = [...getDialogue(findSessionNpc(sessionId, npc.name)), exchange].slice(-HISTORY_LIMIT);
+    execute(
+      'UPDATE session_npcs SET dialogue_history = ?, updated_at = ? WHERE id = ?',
+      [JSON.stringify(history), Date.now(), npc.id]
+    );
+
+    const metadata = JSON.stringify({ type: 'npc_dialogue', npc: npc.name, characterId: character.id });
+    execute(
+      `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, 'user', `${character.name} (to ${npc.name}): ${message}`, metadata, now]
+    );
+    execute(
+      `INSERT INTO session_history (session_id, role, content, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, 'assistant', `${npc.name}: ${reply}`, metadata, now]
+    );
+    execute('UPDATE sessions SET updated_at = ? WHERE id = ?', [now, sessionId]);
+  });
+
+  try {
+    await recordSessionEvent(sessionId, session.world_id, memory =>
+      memory.recordEvent('npc_dialogue', {
+        npcName: npc.name,
+        characterId: character.id,
+        characterName: character.name,
+        message,
+        reply
+      }, 0.4)
+    );
+  } catch (e) {
+    console.warn('Failed to record NPC dialogue in memory:', e.message);
+  }
+
+  return { npc: npc.name, character: character.name, message, reply, exchange };
+}
+
+export default {
+  NPC_VOICES,
+  inferVoice,
+  findSessionNpc,
+  getNpcPersona,
+  getDialogue,
+  listSessionNpcs,
+  talkToNpc
+};
@@ -6,6 +6,8 @@
 
 import { execute, queryOne, queryAll } from '../db/init.js';
 import { v4 as uuid } from 'uuid';
+import { addItem, removeItem, listItems, visibleTo } from './inventory.js';
+import { firstPayday } from './clock.js';
 
 class RPGPersistenceManager {
   constructor(sessionId, memoryManager = null) {
@@ -13,171 +15,14 @@ class RPGPersistenceManager {
     this.memoryManager = memoryManager;
   }
 
-  /**
-   * Initialize persistence tables for all RPG entities
-   */
-  static async initializeTables() {
-    // Character Inventory Table
-    execute(`
-      CREATE TABLE IF NOT EXISTS character_inventory (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        character_id TEXT NOT NULL,
-        item_id TEXT NOT NULL,
-        item_name TEXT NOT NULL,
-        item_type TEXT DEFAULT 'item',
-        description TEXT,
-        quantity INTEGER DEFAULT 1,
-        properties TEXT DEFAULT '{}',
-        location TEXT DEFAULT 'inventory',
-        created_at INTEGER DEFAULT 0,
-        updated_at INTEGER DEFAULT 0,
-        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-      )
-    `);
-
-    // NPCs Table  
-    execute(`
-      CREATE TABLE IF NOT EXISTS session_npcs (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        npc_name TEXT NOT NULL,
-        npc_type TEXT DEFAULT 'humanoid',
-        description TEXT,
-        location TEXT NOT NULL,
-        disposition TEXT DEFAULT 'neutral',
-        stats TEXT DEFAULT '{}',
-        inventory TEXT DEFAULT '[]',
-        dialogue_history TEXT DEFAULT '[]',
-        relationship_data TEXT DEFAULT '{}',
-        status TEXT DEFAULT 'alive',
-        notes TEXT DEFAULT '',
-        created_at INTEGER DEFAULT 0,
-        updated_at INTEGER DEFAULT 0,
-        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Buildings/Structures Table
-    execute(`
-      CREATE TABLE IF NOT EXISTS session_buildings (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        building_name TEXT NOT NULL,
-        building_type TEXT DEFAULT 'structure',
-        location TEXT NOT NULL,
-        description TEXT,
-        size TEXT DEFAULT 'medium',
-        condition TEXT DEFAULT 'good',
-        owner TEXT,
-        properties TEXT DEFAULT '{}',
-        rooms TEXT DEFAULT '[]',
-        inventory TEXT DEFAULT '[]',
-        staff TEXT DEFAULT '[]',
-        created_at INTEGER DEFAULT 0,
-        updated_at INTEGER DEFAULT 0,
-        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Ships/Vehicles Table
-    execute(`
-      CREATE TABLE IF NOT EXISTS session_vehicles (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        vehicle_name TEXT NOT NULL,
-        vehicle_type TEXT DEFAULT 'ship',
-        location TEXT NOT NULL,
-        description TEXT,
-        size TEXT DEFAULT 'medium',
-        condition TEXT DEFAULT 'good',
-        crew_capacity INTEGER DEFAULT 10,
-        cargo_capacity INTEGER DEFAULT 100,
-        speed INTEGER DEFAULT 5,
-        properties TEXT DEFAULT '{}',
-        crew TEXT DEFAULT '[]',
-        cargo TEXT DEFAULT '[]',
-        upgrades TEXT DEFAULT '[]',
-        created_at INTEGER DEFAULT 0,
-        updated_at INTEGER DEFAULT 0,
-        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Staff/Crew Table (for buildings and vehicles)
-    execute(`
-      CREATE TABLE IF NOT EXISTS session_staff (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        staff_name TEXT NOT NULL,
-        staff_type TEXT DEFAULT 'worker',
-        assigned_to TEXT,
-        assigned_type TEXT,
-        role TEXT DEFAULT 'general',
-        skill_level INTEGER DEFAULT 1,
-        wages INTEGER DEFAULT 10,
-        description TEXT,
-        properties TEXT DEFAULT '{}',
-        status TEXT DEFAULT 'active',
-        created_at INTEGER DEFAULT 0,
-        updated_at INTEGER DEFAULT 0,
-        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-      )
-    `);
-
-    // World Locations/Areas Table
-    execute(`
-      CREATE TABLE IF NOT EXISTS session_locations (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        location_name TEXT NOT NULL,
-        location_type TEXT DEFAULT 'area',
-        description TEXT,
-        parent_location TEXT,
-        connections TEXT DEFAULT '[]',
-        npcs TEXT DEFAULT '[]',
-        buildings TEXT DEFAULT '[]',
-        items TEXT DEFAULT '[]',
-        properties TEXT DEFAULT '{}',
-        discovered_at INTEGER DEFAULT 0,
-        last_visited INTEGER DEFAULT 0,
-        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
-      )
-    `);
-
-    console.log('🏗️ RPG persistence tables initialized');
-  }
-
   // ==================== INVENTORY MANAGEMENT ====================
 
   /**
    * Add item to character inventory
+   * Items belong to the character unless itemData.scope is 'session'
    */
   async addInventoryItem(characterId, itemData) {
-    const itemId = uuid();
-    const now = Date.now();
-    
-    const item = {
-      id: itemId,
-      session_id: this.sessionId,
-      character_id: characterId,
-      item_id: itemData.item_id || itemId,
-      item_name: itemData.name,
-      item_type: itemData.type || 'item',
-      description: itemData.description || '',
-      quantity: itemData.quantity || 1,
-      properties: JSON.stringify(itemData.properties || {}),
-      location: itemData.location || 'inventory',
-      created_at: now,
-      updated_at: now
-    };
-
-    execute(`
-      INSERT INTO character_inventory 
-      (id, session_id, character_id, item_id, item_name, item_type, description, 
-       quantity, properties, location, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, Object.values(item));
+    const item = addItem(characterId, itemData, { sessionId: this.sessionId, scope: itemData.scope });
 
     // Record in memory system
     if (this.memoryManager) {
@@ -185,7 +30,7 @@ class RPGPersistenceManager {
         characterId,
         itemName: item.item_name,
         itemType: item.item_type,
-        quantity: item.quantity,
+        quantity: itemData.quantity || 1,
         location: 'inventory'
       }, 0.4);
     }
@@ -198,31 +43,12 @@ class RPGPersistenceManager {
    * Remove item from inventory
    */
   async removeInventoryItem(characterId, itemName, quantity = 1) {
-    const item = queryOne(`
-      SELECT * FROM character_inventory 
-      WHERE session_id = ? AND character_id = ? AND item_name = ?
-      ORDER BY created_at DESC LIMIT 1
-    `, [this.sessionId, characterId, itemName]);
+    const item = removeItem(characterId, itemName, quantity, { sessionId: this.sessionId });
 
     if (!item) {
       throw new Error(`Item ${itemName} not found in inventory`);
     }
 
-    if (item.quantity <= quantity) {
-      // Remove completely
-      execute(`
-        DELETE FROM character_inventory 
-        WHERE id = ?
-      `, [item.id]);
-    } else {
-      // Reduce quantity
-      execute(`
-        UPDATE character_inventory 
-        SET quantity = quantity - ?, updated_at = ?
-        WHERE id = ?
-      `, [quantity, Date.now(), item.id]);
-    }
-
     // Record in memory system
     if (this.memoryManager) {
       await this.memoryManager.recordEvent('inventory_remove', {
@@ -238,14 +64,10 @@ class RPGPersistenceManager {
   }
 
   /**
-   * Get character's complete inventory
+   * Get character's complete inventory: their own items plus this session's overlay
    */
   getCharacterInventory(characterId) {
-    return queryAll(`
-      SELECT * FROM character_inventory 
-      WHERE session_id = ? AND character_id = ?
-      ORDER BY item_type, item_name
-    `, [this.sessionId, characterId]);
+    return listItems(characterId, { sessionId: this.sessionId });
   }
 
   /**
@@ -256,12 +78,13 @@ class RPGPersistenceManager {
       .map(key => `${key} = ?`)
       .join(', ');
     
-    const values = [...Object.values(updates), Date.now(), this.sessionId, characterId, itemName];
+    const where = visibleTo(characterId, this.sessionId);
+    const values = [...Object.values(updates), Date.now(), ...where.params, itemName];
     
     execute(`
       UPDATE character_inventory 
       SET ${setClause}, updated_at = ?
-      WHERE session_id = ? AND character_id = ? AND item_name = ?
+      WHERE ${where.sql} AND item_name = ?
     `, values);
 
     // Record in memory
@@ -299,6 +122,10 @@ class RPGPersistenceManager {
       relationship_data: JSON.stringify({}),
       status: npcData.status || 'alive',
       notes: npcData.notes || '',
+      voice: npcData.voice || '',
+      personality: npcData.personality || '',
+      goals: JSON.stringify(npcData.goals || []),
+      secrets: JSON.stringify(npcData.secrets || []),
       created_at: now,
       updated_at: now
     };
@@ -307,8 +134,8 @@ class RPGPersistenceManager {
       INSERT INTO session_npcs 
       (id, session_id, npc_name, npc_type, description, location, disposition, 
        stats, inventory, dialogue_history, relationship_data, status, notes, 
-       created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       voice, personality, goals, secrets, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, Object.values(npc));
 
     // Record in memory
@@ -333,7 +160,13 @@ class RPGPersistenceManager {
       .map(key => `${key} = ?`)
       .join(', ');
     
-    const values = [...Object.values(updates), Date.now(), this.sessionId, npcName];
+    // Lists and objects (goals, secrets, stats...) are stored as JSON
+    const values = [
+      ...Object.values(updates).map(value => value !== null && typeof value === 'object' ? JSON.stringify(value) : value),
+      Date.now(),
+      this.sessionId,
+      npcName
+    ];
     
     execute(`
       UPDATE session_npcs 
@@ -487,10 +320,13 @@ class RPGPersistenceManager {
 
   /**
    * Hire staff for buildings/vehicles
+   * Staff with an employer (a character id) are paid from that character's
+   * wallet each time wages come due on the game clock.
    */
   async hireStaff(staffData) {
     const staffId = uuid();
     const now = Date.now();
+    const employerId = staffData.employerId || null;
 
     const staff = {
       id: staffId,
@@ -501,10 +337,12 @@ class RPGPersistenceManager {
       assigned_type: staffData.assignedType || null,
       role: staffData.role || 'general',
       skill_level: staffData.skillLevel || 1,
-      wages: staffData.wages || 10,
+      wages: staffData.wages ?? 10,
       description: staffData.description || '',
       properties: JSON.stringify(staffData.properties || {}),
       status: staffData.status || 'active',
+      employer_id: employerId,
+      wages_due_at: employerId ? firstPayday(this.sessionId) : null,
       created_at: now,
       updated_at: now
     };
@@ -513,8 +351,8 @@ class RPGPersistenceManager {
       INSERT INTO session_staff 
       (id, session_id, staff_name, staff_type, assigned_to, assigned_type, 
        role, skill_level, wages, description, properties, status, 
-       created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       employer_id, wages_due_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, Object.values(staff));
 
     // Record in memory
@@ -576,6 +414,27 @@ class RPGPersistenceManager {
     return location;
   }
 
+  /**
+   * Get a discovered location by name
+   */
+  getLocation(locationName) {
+    return queryOne(`
+      SELECT * FROM session_locations 
+      WHERE session_id = ? AND location_name = ? COLLATE NOCASE
+    `, [this.sessionId, locationName]);
+  }
+
+  /**
+   * Mark a known location as visited now
+   */
+  visitLocation(locationName) {
+    execute(`
+      UPDATE session_locations 
+      SET last_visited = ?
+      WHERE session_id = ? AND location_name = ? COLLATE NOCASE
+    `, [Date.now(), this.sessionId, locationName]);
+  }
+
   // ==================== CONTEXT BUILDING FOR GM ====================
 
   /**
@@ -0,0 +1,290 @@
+/**
+ * Character Progression
+ *
+ * XP and levels on top of the characters table:
+ * - Setting-aware XP thresholds (see shared/settings.js progression)
+ * - XP grants (manual, combat, quests)
+ * - Level-ups that spend attribute and skill points
+ * - level_up memory events for the session the character plays in
+ */
+
+import { queryOne, execute } from '../db/init.js';
+import { getSettingConfig, getProgression, getXpThreshold } from '../../shared/settings.js';
+import { recordSessionEvent } from './session-registry.js';
+
+// XP per hit point of a defeated foe, shared between the party
+const XP_PER_FOE_HIT_POINT = 5;
+
+/**
+ * Highest level a character's XP has earned
+ */
+export function getLevelForXp(settingId, xp) {
+  const { maxLevel } = getProgression(settingId);
+  let level = 1;
+  while (level < maxLevel && xp >= getXpThreshold(settingId, level + 1)) {
+    level++;
+  }
+  return level;
+}
+
+/**
+ * Where a character stands: XP, next threshold, pending level-ups, banked points
+ */
+export function getProgressionStatus(character, settingId) {
+  const progression = getProgression(settingId);
+  const level = Number(character.level) || 1;
+  const xp = Number(character.xp) || 0;
+  const earnedLevel = getLevelForXp(settingId, xp);
+  const atMax = level >= progression.maxLevel;
+  const nextLevelXp = atMax ? null : getXpThreshold(settingId, level + 1);
+
+  return {
+    characterId: character.id,
+    level,
+    xp,
+    maxLevel: progression.maxLevel,
+    currentLevelXp: getXpThreshold(settingId, level),
+    nextLevelXp,
+    xpToNextLevel: atMax ? null : Math.max(0, nextLevelXp - xp),
+    pendingLevelUps: Math.max(0, earnedLevel - level),
+    unspentAttributePoints: Number(character.unspent_attribute_points) || 0,
+    unspentSkillPoints: Number(character.unspent_skill_points) || 0,
+    pointsPerLevel: {
+      attributes: progression.attributePoints,
+      skills: progression.skillPoints
+    },
+    caps: {
+      attribute: progression.attributeCap,
+      skill: progression.skillCap
+    }
+  };
+}
+
+function loadCharacterWithSetting(characterId) {
+  const character = queryOne('SELECT * FROM characters WHERE id = ?', [characterId]);
+  if (!character) return null;
+
+  const world = queryOne('SELECT setting FROM worlds WHERE id = ?', [character.world_id]);
+  return { character, settingId: world?.setting };
+}
+
+/**
+ * Grant XP to a character
+ * Returns null when the character does not exist
+ */
+export function awardXp(characterId, amount, reason = null) {
+  const loaded = loadCharacterWithSetting(characterId);
+  if (!loaded) return null;
+
+  const { character, settingId } = loaded;
+  const xp = Math.max(0, (Number(character.xp) || 0) + Math.round(amount));
+
+  execute(
+    'UPDATE characters SET xp = ?, updated_at = ? WHERE id = ?',
+    [xp, new Date().toISOString(), characterId]
+  );
+
+  const progression = getProgressionStatus({ ...character, xp }, settingId);
+  return {
+    characterId,
+    name: character.name,
+    awarded: Math.round(amount),
+    reason,
+    progression,
+    levelUpAvailable: progression.pendingLevelUps > 0
+  };
+}
+
+/**
+ * Split XP for the foes defeated in an encounter between its player characters
+ */
+export function awardEncounterXp(encounter) {
+  const party = encounter.combatants.filter(c => c.kind === 'pc' && c.character_id);
+  const foes = encounter.combatants.filter(c => c.kind !== 'pc' && c.status === 'defeated');
+  if (party.length === 0 || foes.length === 0) return [];
+
+  const total = foes.reduce((sum, foe) => sum + foe.max_hp * XP_PER_FOE_HIT_POINT, 0);
+  const share = Math.floor(total / party.length);
+  if (share <= 0) return [];
+
+  const reason = `Defeated ${foes.map(f => f.name).join(', ')} (${encounter.name || 'encounter'})`;
+  return party
+    .map(pc => awardXp(pc.character_id, share, reason))
+    .filter(Boolean);
+}
+
+/**
+ * Check a point allocation ({ attributes: { STR: 1 }, skills: { Stealth: 2 } })
+ * Returns a list of problems; empty when the allocation is valid
+ */
+export function validateAllocation(character, settingId, allocation, available) {
+  const config = getSettingConfig(settingId);
+  const progression = getProgression(settingId);
+  const attributes = JSON.parse(character.attributes || '{}');
+  const skills = JSON.parse(character.skills || '{}');
+  const problems = [];
+
+  const spend = (points, kind) => Object.entries(points || {}).reduce((sum, [name, value]) => {
+    if (!Number.isInteger(value) || value < 1) {
+      problems.push(`${kind} ${name}: points must be a positive whole number`);
+      return sum;
+    }
+    return sum + value;
+  }, 0);
+
+  const attributeSpend = spend(allocation.attributes, 'Attribute');
+  const skillSpend = spend(allocation.skills, 'Skill');
+
+  for (const [name, value] of Object.entries(allocation.attributes || {})) {
+    if (!config.attributes.includes(name)) {
+      problems.push(`Unknown attribute for ${config.name}: ${name}`);
+    } else if ((Number(attributes[name]) || 10) + value > progression.attributeCap) {
+      problems.push(`${name} cannot go above ${progression.attributeCap}`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(allocation.skills || {})) {
+    if (!config.skills.includes(name) && !(name in skills)) {
+      problems.push(`Unknown skill for ${config.name}: ${name}`);
+    } else if ((Number(skills[name]) || 0) + value > progression.skillCap) {
+      problems.push(`${name} cannot go above ${progression.skillCap}`);
+    }
+  }
+
+  if (attributeSpend > available.attributes) {
+    problems.push(`Only ${available.attributes} attribute point(s) available`);
+  }
+  if (skillSpend > available.skills) {
+    problems.push(`Only ${available.skills} skill point(s) available`);
+  }
+
+  return problems;
+}
+
+/**
+ * Most recent session a character has joined, for memory events
+ */
+function findLatestSession(characterId) {
+  return queryOne(
+    `SELECT s.id, s.world_id FROM sessions s
+     JOIN session_participants sp ON s.id = sp.session_id
+     WHERE sp.character_id = ?
+     ORDER BY s.updated_at DESC LIMIT 1`,
+    [characterId]
+  );
+}
+
+/**
+ * Take one pending level (if any) and spend points
+ * Points not spent are banked for later.
+ * Returns { error } when nothing can be done or the allocation is invalid.
+ */
+export async function levelUp(characterId, allocation = {}, sessionId = null) {
+  const loaded = loadCharacterWithSetting(characterId);
+  if (!loaded) return null;
+
+  const { character, settingId } = loaded;
+  const status = getProgressionStatus(character, settingId);
+  const leveling = status.pendingLevelUps > 0;
+  const spending = Object.keys(allocation.attributes || {}).length > 0 ||
+    Object.keys(allocation.skills || {}).length > 0;
+
+  if (!leveling && !spending) {
+    return {
+      error: 'No level-up available',
+      details: status.xpToNextLevel === null
+        ? `${character.name} is at the maximum level`
+        : `${character.name} needs ${status.xpToNextLevel} more XP`
+    };
+  }
+
+  const available = {
+    attributes: status.unspentAttributePoints + (leveling ? status.pointsPerLevel.attributes : 0),
+    skills: status.unspentSkillPoints + (leveling ? status.pointsPerLevel.skills : 0)
+  };
+
+  const problems = validateAllocation(character, settingId, allocation, available);
+  if (problems.length > 0) {
+    return { error: 'Invalid point allocation', details: problems.join('; ') };
+  }
+
+  const attributes = JSON.parse(character.attributes || '{}');
+  const skills = JSON.parse(character.skills || '{}');
+  let attributeSpend = 0;
+  let skillSpend = 0;
+
+  for (const [name, value] of Object.entries(allocation.attributes || {})) {
+    attributes[name] = (Number(attributes[name]) || 10) + value;
+    attributeSpend += value;
+  }
+  for (const [name, value] of Object.entries(allocation.skills || {})) {
+    skills[name] = (Number(skills[name]) || 0) + value;
+    skillSpend += value;
+  }
+
+  const level = status.level + (leveling ? 1 : 0);
+  const updated = {
+    ...character,
+    level,
+    attributes: JSON.stringify(attributes),
+    skills: JSON.stringify(skills),
+    unspent_attribute_points: available.attributes - attributeSpend,
+    unspent_skill_points: available.skills - skillSpend
+  };
+
+  execute(
+    `UPDATE characters
+     SET level = ?, attributes = ?, skills = ?, unspent_attribute_points = ?, unspent_skill_points = ?, updated_at = ?
+     WHERE id = ?`,
+    [
+      level,
+      updated.attributes,
+      updated.skills,
+      updated.unspent_attribute_points,
+      updated.unspent_skill_points,
+      new Date().toISOString(),
+      characterId
+    ]
+  );
+
+  if (leveling) {
+    const session = sessionId
+      ? queryOne('SELECT id, world_id FROM sessions WHERE id = ?', [sessionId])
+      : findLatestSession(characterId);
+
+    if (session) {
+      try {
+        await recordSessionEvent(session.id, session.world_id, memory =>
+          memory.recordCharacterDevelopment(characterId, 'level_up', {
+            name: character.name,
+            from: status.level,
+            to: level,
+            attributes: allocation.attributes || {},
+            skills: allocation.skills || {}
+          })
+        );
+      } catch (e) {
+        console.warn('Failed to record level-up in memory:', e.message);
+      }
+    }
+  }
+
+  return {
+    leveledUp: leveling,
+    character: {
+      ...updated,
+      attributes,
+      skills
+    },
+    progression: getProgressionStatus(updated, settingId)
+  };
+}
+
+export default {
+  getLevelForXp,
+  getProgressionStatus,
+  awardXp,
+  awardEncounterXp,
+  validateAllocation,
+  levelUp
+};
@@ -9,7 +9,8 @@
  * - Memory-guided narrative continuity
  */
 
-import { getSettingConfig } from '../../shared/settings.js';
+import { getSettingConfig, formatMoney } from '../../shared/settings.js';
+import { describeWeather } from './weather.js';
 
 /**
  * Adaptive prompt templates based on scene types and importance
@@ -47,10 +48,17 @@ const SCENE_TEMPLATES = {
   }
 };
 
+/**
+ * Inventory items as "Rope (2), Torch"
+ */
+export function formatCarriedItems(items) {
+  return items.map(item => item.quantity > 1 ? `${item.name} (${item.quantity})` : item.name).join(', ');
+}
+
 /**
  * Character voice patterns for consistent NPC dialogue
  */
-const VOICE_PATTERNS = {
+export const VOICE_PATTERNS = {
   noble: {
     vocabulary: 'formal, elevated',
     syntax: 'complete sentences, proper grammar',
@@ -78,6 +86,54 @@ const VOICE_PATTERNS = {
   }
 };
 
+/**
+ * Messages for one NPC answering a player character in dialogue mode
+ * npc is a persona from services/npc-agents.js; exchanges are earlier
+ * { message, reply } pairs between this NPC and this character, oldest first
+ */
+export function buildNpcDialoguePrompt(world, npc, character, exchanges, message) {
+  const config = getSettingConfig(world.setting);
+  const voice = VOICE_PATTERNS[npc.voice] || VOICE_PATTERNS.commoner;
+  const feelings = Object.entries(npc.relationship || {})
+    .filter(([dimension, value]) => ['trust', 'respect', 'affection', 'fear'].includes(dimension) && value)
+    .map(([dimension, value]) => `${dimension} ${value > 0 ? '+' : ''}${value.toFixed(1)}`);
+
+  const sections = [
+    `You are ${npc.name}${npc.role ? `, ${npc.role}` : ''}, an NPC in "${world.name}" (${config.name}). Speak only as ${npc.name}.`,
+    `## Who You Are
+${npc.description || 'No description recorded.'}${npc.personality ? `\nPersonality: ${npc.personality}` : ''}
+Currently at: ${npc.location}${npc.faction ? `\nMember of: ${npc.faction}${npc.standing ? `, where ${character.name} is ${npc.standing.tier}` : ''}` : ''}
+Attitude toward the party: ${npc.disposition}${feelings.length > 0 ? ` (${feelings.join(', ')})` : ''}`,
+    `## How You Speak (${npc.voice})
+- Vocabulary: ${voice.vocabulary}
+- Sentences: ${voice.syntax}
+- Mannerisms: ${voice.mannerisms}`
+  ];
+
+  if (npc.goals.length > 0) {
+    sections.push(`## What You Want\n${npc.goals.map(goal => `- ${goal}`).join('\n')}\nSteer the conversation toward these when it suits you.`);
+  }
+  if (npc.secrets.length > 0) {
+    sections.push(`## What You Hide\n${npc.secrets.map(secret => `- ${secret}`).join('\n')}\nNever state these outright. Deflect, hint or lie; give one up only if ${character.name} earns real trust or leaves you no choice.`);
+  }
+
+  sections.push(`## Rules
+- Reply with ${npc.name}'s spoken words, with brief actions in *asterisks*; 1-3 short paragraphs
+- NEVER narrate or decide what ${character.name} does, says or feels
+- Stay consistent with everything you have already told ${character.name}
+- Only refer to things that exist in this setting: ${config.flavor.technology}
+- Do not ask for dice rolls`);
+
+  return [
+    { role: 'system', content: sections.join('\n\n') },
+    ...exchanges.flatMap(exchange => [
+      { role: 'user', content: `${character.name}: ${exchange.message}` },
+      { role: 'assistant', content: exchange.reply }
+    ]),
+    { role: 'user', content: `${character.name}: ${message}` }
+  ];
+}
+
 /**
  * Dynamic constraint system based on setting and situation
  */
@@ -116,45 +172,11 @@ class PromptConstraintEngine {
   }
 
   buildForbiddenElements() {
-    const forbidden = [];
-    
-    switch (this.setting.name) {
-      case 'High Fantasy':
-        forbidden.push('modern technology', 'firearms', 'vehicles', 'electricity');
-        break;
-      case 'Science Fiction':
-        forbidden.push('magic spells', 'medieval weapons', 'horses', 'torches', 'castles');
-        break;
-      case 'Horror':
-        forbidden.push('comedic relief', 'easy solutions', 'perfect outcomes');
-        break;
-      case 'Post-Apocalyptic':
-        forbidden.push('pristine environments', 'abundant resources', 'functioning governments');
-        break;
-    }
-    
-    return forbidden;
+    return [...(this.setting.forbidden || [])];
   }
 
   buildRequiredElements() {
-    const required = [];
-    
-    switch (this.setting.name) {
-      case 'High Fantasy':
-        required.push('magical atmosphere', 'heroic potential', 'mythic resonance');
-        break;
-      case 'Science Fiction':
-        required.push('technological wonder', 'scientific plausibility', 'future possibilities');
-        break;
-      case 'Horror':
-        required.push('unsettling atmosphere', 'mounting tension', 'lurking threats');
-        break;
-      case 'Steampunk':
-        required.push('mechanical ingenuity', 'Victorian propriety', 'industrial aesthetic');
-        break;
-    }
-    
-    return required;
+    return [...(this.setting.required || [])];
   }
 
   buildToneConstraints() {
@@ -344,11 +366,30 @@ export class AdvancedPromptBuilder {
 
     // World and scene context
     sections.push(this.buildWorldSection());
+    const codexSection = this.buildCodexSection(this.world.codex, session);
+    if (codexSection) {
+      sections.push(codexSection);
+    }
     sections.push(await this.buildSceneSection(session, sceneType));
 
     // Character context
     sections.push(this.buildCharacterSection(session.characters));
 
+    // Combat state, so narration matches the tracked numbers
+    if (session.encounter) {
+      sections.push(this.buildEncounterSection(session.encounter));
+    }
+
+    // Quest log, so the story keeps pointing at open objectives
+    if (session.quests?.length > 0) {
+      sections.push(this.buildQuestSection(session.quests));
+    }
+
+    // Faction standings, so members treat the party as their reputation says
+    if (session.factions?.length > 0) {
+      sections.push(this.buildFactionSection(session.factions));
+    }
+
     // Memory context (if available and requested)
     if (memory && includeMemory) {
       sections.push(await memory.buildMemoryContext(session.currentScene, session.characters));
@@ -390,6 +431,68 @@ Your core responsibilities:
 **Core Atmosphere:** ${this.constraintEngine.setting.description}`;
   }
 
+  /**
+   * Established world facts from the codex (world NPCs, locations, lore)
+   * Entries named in the current scene or recent history come first.
+   */
+  buildCodexSection(codex, session) {
+    if (!codex) return null;
+
+    const context = [
+      session.currentScene?.name,
+      session.currentScene?.location,
+      ...(session.recentHistory || [])
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    const pick = (entries, nameOf, limit) => [...entries]
+      .sort((a, b) => Number(context.includes(nameOf(b).toLowerCase())) - Number(context.includes(nameOf(a).toLowerCase())))
+      .slice(0, limit);
+    const brief = (text, length = 160) => {
+      const flat = (text || '').replace(/\s+/g, ' ').trim();
+      return flat.length > length ? `${flat.slice(0, length - 3)}...` : flat;
+    };
+    const entryLine = (label, parts) => {
+      const text = parts.filter(Boolean).join('; ');
+      return text ? `- ${label}: ${text}` : `- ${label}`;
+    };
+
+    const lines = [];
+
+    const npcs = pick(codex.npcs || [], npc => npc.name, 8);
+    if (npcs.length > 0) {
+      lines.push('**Known NPCs:**');
+      npcs.forEach(npc => {
+        const where = npc.location ? ` [${npc.location}]` : '';
+        const summary = [brief(npc.personality || npc.appearance), npc.secrets && `secret: ${brief(npc.secrets, 100)}`];
+        lines.push(entryLine(`${npc.name}${npc.role ? ` (${npc.role})` : ''}${where}`, summary));
+      });
+    }
+
+    const locations = pick(codex.locations || [], location => location.name, 6);
+    if (locations.length > 0) {
+      lines.push('**Known Locations:**');
+      locations.forEach(location => {
+        lines.push(entryLine(location.name, [brief(location.description || location.atmosphere)]));
+      });
+    }
+
+    const lore = pick(codex.lore || [], entry => entry.title, 6);
+    if (lore.length > 0) {
+      lines.push('**Lore:**');
+      lore.forEach(entry => {
+        lines.push(entryLine(`${entry.title} (${entry.category})`, [brief(entry.content)]));
+      });
+    }
+
+    if (lines.length === 0) return null;
+
+    return `## World Codex
+${lines.join('\n')}
+
+Codex entries are established canon: keep names, places and facts consistent with them.
+NPC secrets stay hidden until players uncover them.`;
+  }
+
   async buildSceneSection(session, sceneType) {
     const scene = session.currentScene || {};
     const template = SCENE_TEMPLATES[sceneType] || SCENE_TEMPLATES.story;
@@ -398,6 +501,13 @@ Your core responsibilities:
 **Type:** ${sceneType} (Focus: ${template.priority})
 **Location:** ${scene.location || 'Unknown location'}`;
 
+    if (session.clock) {
+      section += `\n**Time:** ${session.clock.label} (${session.clock.timeOfDay}, ${session.clock.season})`;
+      if (session.clock.weather) {
+        section += `\n**Weather:** ${describeWeather(session.clock.weather)}`;
+      }
+    }
+
     if (scene.description) {
       section += `\n**Description:** ${scene.description}`;
     }
@@ -421,9 +531,42 @@ Your core responsibilities:
       section += `\n**Available Opportunities:** ${scene.opportunities.join(', ')}`;
     }
 
+    if (session.clock) {
+      section += this.buildTimeLines(session.clock, session.timePassed);
+    }
+
     return section;
   }
 
+  /**
+   * What the action's time brought with it, and what is coming up
+   */
+  buildTimeLines(clock, timePassed) {
+    let lines = '';
+
+    if (timePassed) {
+      const changes = timePassed.changes.length > 0 ? ` (${timePassed.changes.join('; ')})` : '';
+      lines += `\n**Time Passed:** ${timePassed.elapsedLabel}${changes}`;
+
+      if (timePassed.events.length > 0) {
+        lines += `\n**Just Happened:** ${timePassed.events
+          .map(event => event.description ? `${event.name} - ${event.description}` : event.name).join('; ')}`;
+      }
+      if (timePassed.wages.length > 0) {
+        lines += `\n**Wages:** ${timePassed.wages
+          .map(wage => wage.paid ? `${wage.staff} was paid ${wage.label}` : `${wage.staff} went unpaid (${wage.label}) and stopped working`)
+          .join('; ')}`;
+      }
+    }
+
+    if (clock.upcoming.length > 0) {
+      lines += `\n**Coming Up:** ${clock.upcoming.map(event => `${event.name} in ${event.in}`).join('; ')}`;
+    }
+
+    lines += '\nMatch light, activity and weather to the time of day and season; anything that just happened is part of the scene.';
+    return lines;
+  }
+
   buildCharacterSection(characters) {
     if (!characters || characters.length === 0) {
       return '## Active Characters\nNo characters currently active.';
@@ -438,6 +581,21 @@ Your core responsibilities:
       
       section += `\n**${char.name}** (${char.class || 'Adventurer'}, Level ${char.level})`;
       section += `\n  - Attributes: [${attrs}]`;
+
+      if (char.credits !== undefined && char.credits !== null) {
+        section += `\n  - Funds: ${formatMoney(char.credits, this.world.setting)}`;
+      }
+
+      if (char.equipment?.length > 0) {
+        const gear = char.equipment
+          .map(item => `${item.name} (${item.slotName}${item.summary ? `: ${item.summary}` : ''})`)
+          .join(', ');
+        section += `\n  - Equipped: ${gear}`;
+      }
+
+      if (Array.isArray(char.inventory) && char.inventory.length > 0) {
+        section += `\n  - Carrying: ${formatCarriedItems(char.inventory)}`;
+      }
       
       if (char.personality) {
         section += `\n  - Personality: ${char.personality}`;
@@ -459,6 +617,106 @@ Your core responsibilities:
       }
     });
 
+    if (characters.some(char => char.credits !== undefined && char.credits !== null)) {
+      section += '\n\nFunds are authoritative: never invent money, and characters cannot pay more than they have.';
+    }
+
+    if (characters.some(char => char.equipment?.length > 0)) {
+      section += '\nDescribe characters with the gear they have equipped; its bonuses are already included in roll results.';
+    }
+
+    return section;
+  }
+
+  buildEncounterSection(encounter) {
+    let section = `## Active Encounter: ${encounter.name || 'Combat'} (Round ${encounter.round})`;
+
+    encounter.combatants.forEach(combatant => {
+      const kind = combatant.kind === 'pc' ? 'PC' : combatant.kind === 'npc' ? 'NPC' : 'Enemy';
+      section += `\n- ${combatant.name} [${kind}] HP ${combatant.hp}/${combatant.max_hp}, Armor ${combatant.armor}`;
+
+      if (combatant.status !== 'active') {
+        section += ` - ${combatant.status.toUpperCase()}`;
+      }
+
+      if (combatant.conditions.length > 0) {
+        const conditions = combatant.conditions.map(c =>
+          c.duration ? `${c.name} (${c.duration} rounds)` : c.name
+        );
+        section += ` <${conditions.join(', ')}>`;
+      }
+
+      if (encounter.current?.id === combatant.id) {
+        section += ' <- acting now';
+      }
+    });
+
+    const target = encounter.combatants.find(c => c.kind !== 'pc' && c.status === 'active');
+    const example = target ? `, e.g. an attack on ${target.name} is [ROLL:skill:${target.armor}]` : ': [ROLL:skill:Armor]';
+
+    section += `
+**Combat Rules:**
+- These numbers are authoritative: describe wounds and exhaustion to match remaining HP
+- Combatants at 0 HP are down or defeated and cannot act
+- Respect active conditions in every description
+- Attacks use the target's Armor as the difficulty${example}`;
+
+    return section;
+  }
+
+  buildQuestSection(quests) {
+    let section = '## Active Quests';
+
+    quests.forEach(quest => {
+      section += `\n- **${quest.title}**`;
+      if (quest.giver_name) {
+        section += ` (given by ${quest.giver_name})`;
+      }
+      if (quest.description) {
+        section += `: ${quest.description.split('\n')[0]}`;
+      }
+
+      quest.objectives.forEach(objective => {
+        section += `\n  - [${objective.completed ? 'x' : ' '}] ${objective.description}`;
+      });
+    });
+
+    section += `
+**Quest Guidelines:**
+- Offer hooks toward open objectives without forcing them
+- Let completed objectives stay completed; don't undo player progress`;
+
+    return section;
+  }
+
+  buildFactionSection(factions) {
+    let section = '## Factions';
+
+    factions.forEach(faction => {
+      section += `\n- **${faction.name}**`;
+      if (faction.description) {
+        section += `: ${faction.description.split('\n')[0]}`;
+      }
+      if (faction.goals.length > 0) {
+        section += `\n  - Goals: ${faction.goals.join('; ')}`;
+      }
+      if (faction.stances.length > 0) {
+        section += `\n  - Stances: ${faction.stances.map(({ faction: other, stance }) => `${stance} with ${other}`).join(', ')}`;
+      }
+      if (faction.standings.length > 0) {
+        section += `\n  - Standing: ${faction.standings.map(({ character, reputation, tier }) =>
+          `${character} ${tier} (${reputation > 0 ? '+' : ''}${reputation})`).join(', ')}`;
+      }
+      if (faction.members.length > 0) {
+        section += `\n  - Members in play: ${faction.members.join(', ')}`;
+      }
+    });
+
+    section += `
+**Faction Guidelines:**
+- Members treat each character according to their standing: favors and trust when Honored or Exalted, suspicion when Unfriendly, refusals, threats or violence when Hostile or Hated
+- Helping or harming a faction or its members should change that standing`;
+
     return section;
   }
 
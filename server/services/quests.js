@@ -0,0 +1,315 @@
+/**
+ * Quest Log
+ *
+ * Quests tracked per session in the session_quests table:
+ * - Objectives that can be ticked off one at a time
+ * - Giver NPC (a session_npcs row, or just a name) and rewards
+ * - Status changes recorded as quest events in session memory
+ * - Completion pays out reward XP and currency to every character in the session
+ * - Promotion of generated quests (/api/llm/generate/quest objects) into the log
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+import { awardXp } from './progression.js';
+import { adjustBalance } from './economy.js';
+import { recordSessionEvent } from './session-registry.js';
+
+export const QUEST_STATUSES = ['active', 'completed', 'failed', 'abandoned'];
+
+function formatQuest(row) {
+  return {
+    ...row,
+    objectives: parseJson(row.objectives, []),
+    rewards: parseJson(row.rewards, {})
+  };
+}
+
+/**
+ * Objectives from strings or { description, completed } objects
+ */
+export function normalizeObjectives(objectives) {
+  const list = Array.isArray(objectives) ? objectives : objectives ? [objectives] : [];
+
+  return list
+    .map(objective => typeof objective === 'string'
+      ? { description: objective }
+      : { ...objective, description: objective?.description || objective?.text || objective?.objective })
+    .filter(objective => objective.description?.trim())
+    .map(objective => ({
+      id: objective.id || uuid(),
+      description: objective.description.trim(),
+      completed: Boolean(objective.completed)
+    }));
+}
+
+/**
+ * Rewards as { xp, currency, items, notes }
+ * Free-text rewards are kept as notes, with any "<n> XP" picked out
+ */
+export function normalizeRewards(rewards) {
+  if (!rewards) return { xp: 0, currency: 0, items: [], notes: '' };
+
+  if (typeof rewards === 'string') {
+    const xp = rewards.match(/(\d+)\s*(?:xp|experience)/i);
+    return { xp: xp ? Number(xp[1]) : 0, currency: 0, items: [], notes: rewards };
+  }
+
+  const items = rewards.items || rewards.item || [];
+  return {
+    xp: Math.max(0, Math.round(Number(rewards.xp ?? rewards.experience) || 0)),
+    currency: Math.max(0, Math.round(Number(rewards.currency ?? rewards.gold ?? rewards.credits ?? rewards.money) || 0)),
+    items: (Array.isArray(items) ? items : [items]).map(String),
+    notes: rewards.notes || rewards.description || ''
+  };
+}
+
+/**
+ * Resolve a giver to a session NPC when one matches by id or name
+ */
+function resolveGiver(sessionId, giverNpcId, giverName) {
+  const table = queryOne(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'session_npcs'"
+  );
+  if (!table || (!giverNpcId && !giverName)) {
+    return { giverNpcId: giverNpcId || null, giverName: giverName || null };
+  }
+
+  const npc = giverNpcId
+    ? queryOne('SELECT id, npc_name FROM session_npcs WHERE id = ? AND session_id = ?', [giverNpcId, sessionId])
+    : queryOne('SELECT id, npc_name FROM session_npcs WHERE npc_name = ? COLLATE NOCASE AND session_id = ?', [giverName, sessionId]);
+
+  return npc
+    ? { giverNpcId: npc.id, giverName: npc.npc_name }
+    : { giverNpcId: giverNpcId || null, giverName: giverName || null };
+}
+
+/**
+ * Get a quest
+ */
+export function getQuest(questId) {
+  const quest = queryOne('SELECT * FROM session_quests WHERE id = ?', [questId]);
+  return quest ? formatQuest(quest) : null;
+}
+
+/**
+ * List a session's quests, active first, optionally filtered by status
+ */
+export function listQuests(sessionId, status = null) {
+  const rows = status
+    ? queryAll(
+      'SELECT * FROM session_quests WHERE session_id = ? AND status = ? ORDER BY created_at DESC',
+      [sessionId, status]
+    )
+    : queryAll(
+      `SELECT * FROM session_quests WHERE session_id = ?
+       ORDER BY CASE status WHEN 'active' THEN 0 ELSE 1 END, created_at DESC`,
+      [sessionId]
+    );
+  return rows.map(formatQuest);
+}
+
+/**
+ * Quests the GM should keep in mind
+ */
+export function getActiveQuests(sessionId) {
+  return listQuests(sessionId, 'active');
+}
+
+/**
+ * Add a quest to a session's log
+ * Returns null without a title
+ */
+export function createQuest(sessionId, data, source = 'manual') {
+  const title = data.title?.trim();
+  if (!title) return null;
+
+  const now = new Date().toISOString();
+  const questId = uuid();
+  const { giverNpcId, giverName } = resolveGiver(sessionId, data.giver_npc_id, data.giver_name);
+
+  execute(
+    `INSERT INTO session_quests
+     (id, session_id, title, description, giver_npc_id, giver_name, objectives, rewards, status, source, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?)`,
+    [
+      questId,
+      sessionId,
+      title,
+      data.description || '',
+      giverNpcId,
+      giverName,
+      JSON.stringify(normalizeObjectives(data.objectives)),
+      JSON.stringify(normalizeRewards(data.rewards)),
+      source,
+      now,
+      now
+    ]
+  );
+
+  return getQuest(questId);
+}
+
+/**
+ * Edit a quest's title, description, giver, objectives or rewards
+ * Status changes go through setQuestStatus
+ */
+export function updateQuest(questId, updates) {
+  const quest = getQuest(questId);
+  if (!quest) return null;
+
+  const fields = {};
+  if (updates.title !== undefined) fields.title = updates.title.trim() || quest.title;
+  if (updates.description !== undefined) fields.description = updates.description;
+  if (updates.giver_npc_id !== undefined || updates.giver_name !== undefined) {
+    const giver = resolveGiver(quest.session_id, updates.giver_npc_id, updates.giver_name);
+    fields.giver_npc_id = giver.giverNpcId;
+    fields.giver_name = giver.giverName;
+  }
+  if (updates.objectives !== undefined) fields.objectives = JSON.stringify(normalizeObjectives(updates.objectives));
+  if (updates.rewards !== undefined) fields.rewards = JSON.stringify(normalizeRewards(updates.rewards));
+
+  if (Object.keys(fields).length === 0) return quest;
+
+  const setClause = Object.keys(fields).map(key => `${key} = ?`).join(', ');
+  execute(
+    `UPDATE session_quests SET ${setClause}, updated_at = ? WHERE id = ?`,
+    [...Object.values(fields), new Date().toISOString(), questId]
+  );
+
+  return getQuest(questId);
+}
+
+/**
+ * Record a quest event in the session's memory; failures only warn
+ * Memory summaries label quest events by questId, so the title is passed there
+ */
+async function recordQuestEvent(quest, action, status) {
+  const session = queryOne('SELECT id, world_id FROM sessions WHERE id = ?', [quest.session_id]);
+  if (!session) return;
+
+  try {
+    await recordSessionEvent(session.id, session.world_id, memory =>
+      memory.recordQuestProgress(quest.title, action, status)
+    );
+  } catch (e) {
+    console.warn('Failed to record quest progress in memory:', e.message);
+  }
+}
+
+/**
+ * Tick an objective on or off
+ * Returns null when the quest or objective does not exist
+ */
+export async function setObjectiveCompleted(questId, objectiveId, completed = true) {
+  const quest = getQuest(questId);
+  const objective = quest?.objectives.find(o => o.id === objectiveId);
+  if (!objective) return null;
+
+  const objectives = quest.objectives.map(o =>
+    o.id === objectiveId ? { ...o, completed: Boolean(completed) } : o
+  );
+
+  execute(
+    'UPDATE session_quests SET objectives = ?, updated_at = ? WHERE id = ?',
+    [JSON.stringify(objectives), new Date().toISOString(), questId]
+  );
+
+  if (completed && !objective.completed) {
+    await recordQuestEvent(quest, `Objective done: ${objective.description}`, quest.status);
+  }
+
+  return getQuest(questId);
+}
+
+/**
+ * Move a quest to a new status
+ * Completing a quest gives every character in the session its reward XP
+ * and pays each of them the reward currency.
+ */
+export async function setQuestStatus(questId, status) {
+  const quest = getQuest(questId);
+  if (!quest) return null;
+
+  const now = new Date().toISOString();
+  const { xpAwards, payments } = transaction(() => {
+    execute(
+      'UPDATE session_quests SET status = ?, completed_at = ?, updated_at = ? WHERE id = ?',
+      [status, status === 'active' ? null : now, now, questId]
+    );
+
+    if (status !== 'completed' || quest.status === 'completed') return { xpAwards: [], payments: [] };
+
+    const party = queryAll(
+      'SELECT character_id FROM session_participants WHERE session_id = ?',
+      [quest.session_id]
+    );
+    const reason = `Quest completed: ${quest.title}`;
+
+    return {
+      xpAwards: quest.rewards.xp > 0
+        ? party.map(p => awardXp(p.character_id, quest.rewards.xp, reason)).filter(Boolean)
+        : [],
+      payments: quest.rewards.currency > 0
+        ? party
+          .map(p => {
+            const paid = adjustBalance(p.character_id, quest.rewards.currency, 'reward', {
+              sessionId: quest.session_id,
+              description: reason,
+              counterparty: quest.giver_name
+            });
+            return paid && { characterId: p.character_id, ...paid };
+          })
+          .filter(Boolean)
+        : []
+    };
+  });
+
+  if (status !== quest.status) {
+    await recordQuestEvent(quest, status === 'active' ? 'Quest resumed' : `Quest ${status}`, status);
+  }
+
+  return { quest: getQuest(questId), xpAwards, payments };
+}
+
+/**
+ * Delete a quest
+ */
+export function deleteQuest(questId) {
+  return execute('DELETE FROM session_quests WHERE id = ?', [questId]).changes > 0;
+}
+
+/**
+ * Turn a generated quest (the object /api/llm/generate/quest returns) into quest data
+ * Returns null when it is not a quest
+ */
+export function questFromGenerated(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !data.title) return null;
+
+  const complications = Array.isArray(data.complications) ? data.complications.join('; ') : data.complications;
+  const description = [data.hook, complications && `Complications: ${complications}`].filter(Boolean).join('\n\n');
+
+  return {
+    title: String(data.title),
+    description,
+    giver_name: data.giver,
+    objectives: data.objectives || [],
+    rewards: data.rewards || null
+  };
+}
+
+export default {
+  QUEST_STATUSES,
+  normalizeObjectives,
+  normalizeRewards,
+  getQuest,
+  listQuests,
+  getActiveQuests,
+  createQuest,
+  updateQuest,
+  setObjectiveCompleted,
+  setQuestStatus,
+  deleteQuest,
+  questFromGenerated
+};
@@ -0,0 +1,299 @@
+/**
+ * Relationship Graph
+ *
+ * Persisted, directed edges between the people of a world:
+ * - Nodes are player characters ({ type: 'character', ref: id }) and NPCs
+ *   ({ type: 'npc', ref: name }, matched case-insensitively)
+ * - Each edge holds how the source feels about the target as trust,
+ *   respect, affection and fear, each from -1 to 1
+ * - Every change is kept in relationship_history with its cause and session
+ * - Edges belong to the world, so attitudes carry across sessions
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+
+export const RELATIONSHIP_DIMENSIONS = ['trust', 'respect', 'affection', 'fear'];
+export const NODE_TYPES = ['character', 'npc'];
+
+const HISTORY_LIMIT = 50;
+
+const clamp = value => Math.max(-1, Math.min(1, value));
+const round = value => Math.round(value * 100) / 100;
+const nodeKey = node => `${node.type}:${node.type === 'npc' ? node.ref.toLowerCase() : node.ref}`;
+
+/**
+ * A { type, ref } node from API input, or null when it isn't one
+ * Characters may be given by id, NPCs by name
+ */
+export function normalizeNode(node) {
+  if (!node || !NODE_TYPES.includes(node.type)) return null;
+  const ref = String(node.ref ?? (node.type === 'character' ? node.id : node.name) ?? '').trim();
+  return ref ? { type: node.type, ref } : null;
+}
+
+function findEdge(worldId, source, target) {
+  return queryOne(
+    `SELECT * FROM relationships
+     WHERE world_id = ? AND source_type = ? AND source_ref = ? COLLATE NOCASE
+     AND target_type = ? AND target_ref = ? COLLATE NOCASE`,
+    [worldId, source.type, source.ref, target.type, target.ref]
+  );
+}
+
+function characterNames(worldId) {
+  return new Map(queryAll('SELECT id, name FROM characters WHERE world_id = ?', [worldId]).map(c => [c.id, c.name]));
+}
+
+function formatNode(type, ref, names) {
+  return { id: nodeKey({ type, ref }), type, ref, name: type === 'character' ? names.get(ref) || ref : ref };
+}
+
+function formatEdge(row, names) {
+  return {
+    id: row.id,
+    source: formatNode(row.source_type, row.source_ref, names),
+    target: formatNode(row.target_type, row.target_ref, names),
+    ...Object.fromEntries(RELATIONSHIP_DIMENSIONS.map(dimension => [dimension, row[dimension]])),
+    interactionCount: row.interaction_count,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Shift how source feels about target by deltas ({ trust, respect, ... })
+ * Creates the edge on first contact. Returns the edge, or { error, details }.
+ * interaction: false for edits that aren't something happening in play
+ */
+export function adjustRelationship(worldId, source, target, deltas = {}, { cause = '', sessionId = null, interaction = true } = {}) {
+  source = normalizeNode(source);
+  target = normalizeNode(target);
+  if (!source || !target) {
+    return { error: 'Invalid node', details: `source and target need a type (${NODE_TYPES.join(', ')}) and a ref` };
+  }
+  if (nodeKey(source) === nodeKey(target)) {
+    return { error: 'Invalid node', details: 'A relationship needs two different people' };
+  }
+  for (const node of [source, target]) {
+    if (node.type === 'character' && !queryOne('SELECT id FROM characters WHERE id = ? AND world_id = ?', [node.ref, worldId])) {
+      return { error: 'Invalid node', details: `No character ${node.ref} in this world` };
+    }
+  }
+
+  const now = Date.now();
+  const id = transaction(() => {
+    const edge = findEdge(worldId, source, target) || {
+      id: uuid(),
+      trust: 0,
+      respect: 0,
+      affection: 0,
+      fear: 0,
+      interaction_count: 0,
+      isNew: true
+    };
+
+    const changes = {};
+    for (const dimension of RELATIONSHIP_DIMENSIONS) {
+      const value = round(clamp(edge[dimension] + (Number(deltas[dimension]) || 0)));
+      if (value !== edge[dimension]) changes[dimension] = round(value - edge[dimension]);
+      edge[dimension] = value;
+    }
+    const count = edge.interaction_count + (interaction ? 1 : 0);
+
+    if (edge.isNew) {
+      execute(
+        `INSERT INTO relationships (id, world_id, source_type, source_ref, target_type, target_ref,
+         trust, respect, affection, fear, interaction_count, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [edge.id, worldId, source.type, source.ref, target.type, target.ref,
+          edge.trust, edge.respect, edge.affection, edge.fear, count, now, now]
+      );
+    } else {
+      execute(
+        `UPDATE relationships SET trust = ?, respect = ?, affection = ?, fear = ?, interaction_count = ?, updated_at = ?
+         WHERE id = ?`,
+        [edge.trust, edge.respect, edge.affection, edge.fear, count, now, edge.id]
+      );
+    }
+
+    if (Object.keys(changes).length > 0) {
+      execute(
+        `INSERT INTO relationship_history (relationship_id, session_id, changes, cause, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [edge.id, sessionId, JSON.stringify(changes), cause, now]
+      );
+    }
+    return edge.id;
+  });
+
+  return getRelationship(worldId, id);
+}
+
+/**
+ * Set an edge to absolute values; the difference is recorded as one change
+ */
+export function setRelationship(worldId, source, target, values = {}, options = {}) {
+  source = normalizeNode(source);
+  target = normalizeNode(target);
+  const current = source && target && findEdge(worldId, source, target);
+  const deltas = {};
+  for (const dimension of RELATIONSHIP_DIMENSIONS) {
+    if (values[dimension] === undefined) continue;
+    const value = Number(values[dimension]);
+    if (!Number.isFinite(value)) {
+      return { error: 'Invalid value', details: `${dimension} must be a number from -1 to 1` };
+    }
+    deltas[dimension] = clamp(value) - (current?.[dimension] || 0);
+  }
+  return adjustRelationship(worldId, source, target, deltas, { cause: 'Edited', ...options, interaction: false });
+}
+
+/**
+ * One edge with its most recent changes, newest first
+ */
+export function getRelationship(worldId, relationshipId) {
+  const row = queryOne('SELECT * FROM relationships WHERE id = ? AND world_id = ?', [relationshipId, worldId]);
+  if (!row) return null;
+
+  const history = queryAll(
+    `SELECT session_id, changes, cause, created_at FROM relationship_history
+     WHERE relationship_id = ? ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [relationshipId, HISTORY_LIMIT]
+  ).map(entry => ({
+    sessionId: entry.session_id,
+    changes: parseJson(entry.changes, {}),
+    cause: entry.cause,
+    at: entry.created_at
+  }));
+
+  return { ...formatEdge(row, characterNames(worldId)), history };
+}
+
+/**
+ * The whole graph for a world: every character, every NPC with an edge,
+ * and the edges. With node, only edges touching that node.
+ */
+export function getRelationshipGraph(worldId, { node = null } = {}) {
+  const names = characterNames(worldId);
+  const focus = normalizeNode(node);
+
+  const edges = queryAll('SELECT * FROM relationships WHERE world_id = ? ORDER BY updated_at DESC', [worldId])
+    .map(row => formatEdge(row, names))
+    .filter(edge => !focus || edge.source.id === nodeKey(focus) || edge.target.id === nodeKey(focus));
+
+  const nodes = new Map();
+  if (!focus) {
+    for (const id of names.keys()) {
+      const character = formatNode('character', id, names);
+      nodes.set(character.id, character);
+    }
+  }
+  for (const edge of edges) {
+    for (const end of [edge.source, edge.target]) {
+      if (!nodes.has(end.id)) nodes.set(end.id, end);
+    }
+  }
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Delete an edge and its history
+ */
+export function deleteRelationship(worldId, relationshipId) {
+  return transaction(() => {
+    const result = execute('DELETE FROM relationships WHERE id = ? AND world_id = ?', [relationshipId, worldId]);
+    if (result.changes > 0) {
+      execute('DELETE FROM relationship_history WHERE relationship_id = ?', [relationshipId]);
+    }
+    return result.changes > 0;
+  });
+}
+
+/**
+ * Drop every edge touching a node (a deleted character)
+ */
+export function removeNodeRelationships(node) {
+  const ids = queryAll(
+    `SELECT id FROM relationships
+     WHERE (source_type = ? AND source_ref = ? COLLATE NOCASE) OR (target_type = ? AND target_ref = ? COLLATE NOCASE)`,
+    [node.type, node.ref, node.type, node.ref]
+  ).map(row => row.id);
+
+  transaction(() => {
+    for (const id of ids) {
+      execute('DELETE FROM relationship_history WHERE relationship_id = ?', [id]);
+      execute('DELETE FROM relationships WHERE id = ?', [id]);
+    }
+  });
+  return ids.length;
+}
+
+/**
+ * How source feels about target, or null if they have never met
+ */
+export function getRelationshipBetween(worldId, source, target) {
+  const row = findEdge(worldId, source, target);
+  return row && Object.fromEntries(RELATIONSHIP_DIMENSIONS.map(dimension => [dimension, row[dimension]]));
+}
+
+/**
+ * How each NPC regards one character, as { npcName: trust }
+ * The shape character.relationships has in prompts and the character panel
+ */
+export function getCharacterRelationships(worldId, characterId) {
+  return Object.fromEntries(
+    queryAll(
+      `SELECT source_ref, trust FROM relationships
+       WHERE world_id = ? AND source_type = 'npc' AND target_type = 'character' AND target_ref = ?
+       ORDER BY ABS(trust) DESC`,
+      [worldId, characterId]
+    ).map(row => [row.source_ref, row.trust])
+  );
+}
+
+/**
+ * How each NPC regards a party, averaged over its members:
+ * { npcName: { trust, respect, affection, fear } }
+ */
+export function getPartyRelationships(worldId, characterIds) {
+  if (characterIds.length === 0) return {};
+
+  const rows = queryAll(
+    `SELECT * FROM relationships
+     WHERE world_id = ? AND source_type = 'npc' AND target_type = 'character'
+     AND target_ref IN (${characterIds.map(() => '?').join(', ')})`,
+    [worldId, ...characterIds]
+  );
+
+  const byNpc = new Map();
+  for (const row of rows) {
+    const key = row.source_ref.toLowerCase();
+    if (!byNpc.has(key)) byNpc.set(key, { name: row.source_ref, rows: [] });
+    byNpc.get(key).rows.push(row);
+  }
+
+  return Object.fromEntries([...byNpc.values()].map(({ name, rows }) => [
+    name,
+    Object.fromEntries(RELATIONSHIP_DIMENSIONS.map(dimension => [
+      dimension,
+      round(rows.reduce((sum, row) => sum + row[dimension], 0) / rows.length)
+    ]))
+  ]));
+}
+
+export default {
+  RELATIONSHIP_DIMENSIONS,
+  NODE_TYPES,
+  normalizeNode,
+  adjustRelationship,
+  setRelationship,
+  getRelationship,
+  getRelationshipGraph,
+  deleteRelationship,
+  removeNodeRelationships,
+  getRelationshipBetween,
+  getCharacterRelationships,
+  getPartyRelationships
+};
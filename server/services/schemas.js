@@ -0,0 +1,242 @@
+/**
+ * JSON Schemas for structured generation
+ *
+ * - Schemas for generated world content and per-turn state extraction,
+ *   sent to llama.cpp so its grammar sampler can only produce matching JSON
+ * - A small validator for the subset of JSON Schema used here, since
+ *   not every backend enforces the schema
+ */
+
+const shortText = { type: 'string', minLength: 1, maxLength: 200 };
+const text = { type: 'string' };
+const textList = { type: 'array', items: { type: 'string' }, maxItems: 10 };
+const delta = { type: 'number', minimum: -1, maximum: 1 };
+
+export const CONTENT_SCHEMAS = {
+  npc: {
+    type: 'object',
+    properties: {
+      name: shortText,
+      role: text,
+      appearance: text,
+      personality: text,
+      motivations: text,
+      secrets: text,
+      location: text
+    },
+    required: ['name', 'role', 'appearance', 'personality', 'motivations', 'secrets']
+  },
+
+  location: {
+    type: 'object',
+    properties: {
+      name: shortText,
+      description: text,
+      atmosphere: text,
+      features: textList,
+      encounters: textList
+    },
+    required: ['name', 'description', 'atmosphere', 'features', 'encounters']
+  },
+
+  lore: {
+    type: 'object',
+    properties: {
+      title: shortText,
+      category: { type: 'string', enum: ['history', 'faction', 'religion', 'culture', 'legend', 'geography', 'lore'] },
+      content: { type: 'string', minLength: 1 },
+      tags: textList
+    },
+    required: ['title', 'category', 'content']
+  },
+
+  quest: {
+    type: 'object',
+    properties: {
+      title: shortText,
+      giver: text,
+      hook: text,
+      objectives: { ...textList, minItems: 1 },
+      complications: textList,
+      rewards: {
+        type: 'object',
+        properties: {
+          xp: { type: 'integer', minimum: 0 },
+          currency: { type: 'integer', minimum: 0 },
+          items: textList,
+          notes: text
+        },
+        required: ['xp']
+      }
+    },
+    required: ['title', 'hook', 'objectives', 'rewards']
+  }
+};
+
+// What changed in the world after a GM response (see extractStateChanges)
+export const STATE_CHANGES_SCHEMA = {
+  type: 'object',
+  properties: {
+    location: {
+      type: 'object',
+      properties: {
+        changed: { type: 'boolean' },
+        name: text,
+        type: {
+          type: 'string',
+          enum: ['settlement', 'wilderness', 'forest', 'mountain', 'desert', 'coast', 'swamp', 'underground', 'interior']
+        },
+        description: text
+      },
+      required: ['changed']
+    },
+    npcs: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          name: shortText,
+          role: text,
+          description: text,
+          disposition: { type: 'string', enum: ['friendly', 'neutral', 'hostile'] }
+        },
+        required: ['name']
+      }
+    },
+    items: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          character: shortText,
+          name: shortText,
+          change: { type: 'string', enum: ['gained', 'lost'] },
+          quantity: { type: 'integer', minimum: 1 },
+          description: text
+        },
+        required: ['character', 'name', 'change']
+      }
+    },
+    relationships: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          npc: shortText,
+          toward: shortText,
+          trust: delta,
+          respect: delta,
+          affection: delta,
+          fear: delta,
+          reason: text
+        },
+        required: ['npc']
+      }
+    },
+    reputation: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          faction: shortText,
+          character: shortText,
+          change: { type: 'integer', minimum: -25, maximum: 25 },
+          reason: text
+        },
+        required: ['faction', 'change']
+      }
+    },
+    currency: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          character: shortText,
+          amount: { type: 'integer' },
+          reason: { type: 'string', enum: ['loot', 'wages', 'reward', 'buy', 'sell', 'fee', 'gift'] },
+          description: text
+        },
+        required: ['character', 'amount']
+      }
+    }
+  },
+  required: ['location', 'npcs', 'items', 'relationships']
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * Supports type, properties, required, items, enum, min/maxLength,
+ * min/maxItems and minimum/maximum. Returns a list of problems; empty when valid.
+ */
+export function validateSchema(schema, value, path = '$') {
+  const problems = [];
+  const actual = typeOf(value);
+  const matches = schema.type === 'number' ? ['number', 'integer'].includes(actual) : actual === schema.type;
+
+  if (schema.type && !matches) {
+    return [`${path} should be ${schema.type}, got ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      problems.push(`${path} should not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${path} should be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${path} should be at least ${schema.minimum}`);
+  }
+  if ((actual === 'integer' || actual === 'number') && schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(`${path} should be at most ${schema.maximum}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+export default {
+  CONTENT_SCHEMAS,
+  STATE_CHANGES_SCHEMA,
+  validateSchema
+};
@@ -0,0 +1,135 @@
+/**
+ * Session Hub - Real-time multiplayer fan-out
+ *
+ * Tracks the WebSocket clients connected to each game session and
+ * broadcasts session events to all of them:
+ * - player_action / gm_response
+ * - scene_update
+ * - participant_joined
+ * - presence (clients connecting and leaving)
+ * - turn_update (initiative order and whose turn it is)
+ * - time_update (the game clock moving on)
+ * - wallet_update / shop_update (money and shop stock changing hands)
+ * - reputation_update (faction standing)
+ * - npc_dialogue (a character talking with a session NPC)
+ * - equipment_update (items equipped or taken off)
+ * A single client also gets connected, pong and error replies.
+ */
+
+const sessionClients = new Map(); // sessionId -> Set of clients
+
+const OPEN = 1; // WebSocket.OPEN
+
+/**
+ * Serialize a hub message
+ */
+function buildMessage(sessionId, type, payload) {
+  return JSON.stringify({
+    type,
+    sessionId,
+    payload,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Public view of a connected client
+ */
+function describeClient(client) {
+  return {
+    clientId: client.clientId,
+    characterId: client.characterId,
+    playerName: client.playerName,
+    connectedAt: client.connectedAt
+  };
+}
+
+/**
+ * Register a socket with a session
+ */
+export function joinSession(sessionId, socket, info = {}) {
+  const client = {
+    socket,
+    clientId: info.clientId || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    characterId: info.characterId || null,
+    playerName: info.playerName || null,
+    connectedAt: Date.now()
+  };
+
+  if (!sessionClients.has(sessionId)) {
+    sessionClients.set(sessionId, new Set());
+  }
+  sessionClients.get(sessionId).add(client);
+
+  return client;
+}
+
+/**
+ * Remove a socket from a session
+ */
+export function leaveSession(sessionId, client) {
+  const clients = sessionClients.get(sessionId);
+  if (!clients) return;
+
+  clients.delete(client);
+  if (clients.size === 0) {
+    sessionClients.delete(sessionId);
+  }
+}
+
+/**
+ * Update what a client told us about itself (character, player name)
+ */
+export function identifyClient(client, info = {}) {
+  if (info.clientId) client.clientId = info.clientId;
+  if (info.characterId !== undefined) client.characterId = info.characterId;
+  if (info.playerName !== undefined) client.playerName = info.playerName;
+  return client;
+}
+
+/**
+ * List the clients currently connected to a session
+ */
+export function getConnectedClients(sessionId) {
+  const clients = sessionClients.get(sessionId);
+  return clients ? Array.from(clients).map(describeClient) : [];
+}
+
+/**
+ * Send a message to a single client
+ */
+export function sendToClient(client, sessionId, type, payload) {
+  if (client.socket.readyState !== OPEN) return false;
+  client.socket.send(buildMessage(sessionId, type, payload));
+  return true;
+}
+
+/**
+ * Broadcast an event to every client in a session
+ * Returns the number of clients that received it
+ */
+export function broadcast(sessionId, type, payload = {}, options = {}) {
+  const { exclude = null } = options;
+  const clients = sessionClients.get(sessionId);
+  if (!clients) return 0;
+
+  const message = buildMessage(sessionId, type, payload);
+  let delivered = 0;
+
+  for (const client of clients) {
+    if (client === exclude || client.socket.readyState !== OPEN) continue;
+    client.socket.send(message);
+    delivered++;
+  }
+
+  return delivered;
+}
+
+export default {
+  joinSession,
+  leaveSession,
+  identifyClient,
+  getConnectedClients,
+  sendToClient,
+  broadcast
+};
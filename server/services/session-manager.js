@@ -4,13 +4,17 @@
  * Manages game sessions with advanced memory and context tracking:
  * - Automatic memory management
  * - Scene transition tracking
- * - Character relationship evolution
+ * - Character relationship evolution (through the relationship graph)
+ * - Structured state extraction (location, NPCs, items, relationships)
  * - Context window awareness
  * - Proactive memory compression
  */
 
 import EnhancedRPGMemoryManager from './enhanced-memory.js';
-import { generateGMResponse } from './llm.js';
+import { generateGMResponse, extractStateChanges } from './llm.js';
+import { adjustBalance } from './economy.js';
+import { adjustRelationship, getRelationshipGraph, RELATIONSHIP_DIMENSIONS } from './relationships.js';
+import { adjustReputation, findFaction } from './factions.js';
 
 export class EnhancedSessionManager {
   constructor(worldId, sessionId) {
@@ -42,7 +46,6 @@ export class EnhancedSessionManager {
       },
       messageHistory: [],
       recentHistory: [],
-      relationships: {},
       questLog: [],
       gameState: {
         timeOfDay: 'morning',
@@ -74,7 +77,15 @@ export class EnhancedSessionManager {
     const {
       sceneType = this.detectSceneType(action),
       importance = this.calculateActionImportance(action),
-      style = 'balanced'
+      style = 'balanced',
+      encounter = null,
+      quests = null,
+      factions = null,
+      clock = null,
+      timePassed = null,
+      characters = [],
+      extractState = true,
+      onToken = null
     } = options;
 
     // Check if we need memory compression
@@ -83,18 +94,32 @@ export class EnhancedSessionManager {
     }
 
     // Generate GM response with memory context
-    const response = await generateGMResponse(world, this.session, action, this.memory, {
+    // A running encounter, the quest log, faction standings, the clock and the party
+    // (with their funds) are passed in fresh each turn rather than kept on the session
+    const session = {
+      ...this.session,
+      encounter,
+      quests,
+      factions,
+      clock,
+      timePassed,
+      characters: characters.length > 0 ? characters : this.session.characters
+    };
+    const response = await generateGMResponse(world, session, action, this.memory, {
       sceneType,
       importance,
       style,
-      recordAction: true
+      recordAction: true,
+      onToken
     });
 
     // Update session state
     this.updateSessionState(action, response, sceneType);
-    
-    // Track character relationships from the interaction
-    await this.updateRelationships(action, response);
+
+    // Second, cheap pass: what actually changed in the world
+    const stateChanges = extractState
+      ? await this.applyStateChanges(world, action, response, characters, factions || [])
+      : null;
 
     // Update session statistics
     this.session.sessionStats.actions++;
@@ -105,7 +130,8 @@ export class EnhancedSessionManager {
       sceneType,
       importance,
       memoryEvents: this.session.sessionStats.memoryEvents,
-      contextUsage: this.contextUsage
+      contextUsage: this.contextUsage,
+      stateChanges
     };
   }
 
@@ -127,18 +153,6 @@ export class EnhancedSessionManager {
     if (this.session.recentHistory.length > 10) {
       this.session.recentHistory = this.session.recentHistory.slice(-8);
     }
-
-    // Update scene if location change detected
-    const locationChange = this.detectLocationChange(response);
-    if (locationChange) {
-      this.transitionScene(locationChange);
-    }
-
-    // Update NPCs if new characters introduced
-    const newNPCs = this.extractNewNPCs(response);
-    if (newNPCs.length > 0) {
-      this.session.currentScene.npcs.push(...newNPCs);
-    }
   }
 
   /**
@@ -183,67 +197,169 @@ export class EnhancedSessionManager {
   }
 
   /**
-   * Update character relationships based on interactions
+   * Extract state changes from a GM response and apply them
+   * The scene updates in memory; NPCs, locations and inventory go through
+   * the persistence manager, attitudes into the relationship graph.
+   * Returns what was applied, or null when extraction failed.
    */
-  async updateRelationships(action, response) {
-    // Extract character names from action and response
-    const mentionedCharacters = this.extractCharacterNames(action + ' ' + response);
-    
-    if (mentionedCharacters.length === 0) return;
+  async applyStateChanges(world, action, response, characters = [], factions = []) {
+    let changes;
+    try {
+      changes = await extractStateChanges(world, {
+        characters,
+        currentScene: this.session.currentScene,
+        factions
+      }, action, response);
+    } catch (error) {
+      console.warn('State extraction failed:', error.message);
+      return null;
+    }
 
-    // Analyze sentiment of the interaction
-    const sentiment = this.analyzeSentiment(action, response);
-    
-    for (const character of mentionedCharacters) {
-      if (!this.session.relationships[character]) {
-        this.session.relationships[character] = {
-          trust: 0,
-          respect: 0,
-          affection: 0,
-          fear: 0,
-          lastInteraction: Date.now(),
-          interactionCount: 0
-        };
+    const persistence = this.memory.persistenceManager;
+    const sameName = (a, b) => a?.trim().toLowerCase() === b?.trim().toLowerCase();
+    const findCharacter = name => characters.find(c => sameName(c.name, name)) ||
+      characters.find(c => sameName(c.name.split(' ')[0], name));
+    const applied = { location: null, npcs: [], items: [], relationships: [], reputation: [], currency: [] };
+
+    // Location
+    const { changed, name: locationName, type: locationType, description } = changes.location;
+    if (changed && locationName && !sameName(locationName, this.session.currentScene.location)) {
+      await this.transitionScene({ to: locationName, description });
+
+      if (persistence.getLocation(locationName)) {
+        persistence.visitLocation(locationName);
+      } else {
+        await persistence.discoverLocation({ name: locationName, type: locationType, description });
+      }
+      applied.location = locationName;
+    }
+
+    // NPCs (never the player characters)
+    const location = this.session.currentScene.location;
+    for (const npc of changes.npcs) {
+      if (characters.some(c => sameName(c.name, npc.name))) continue;
+
+      const known = persistence.getNPC(npc.name);
+      if (known) {
+        if (known.location !== location) await persistence.updateNPC(npc.name, { location });
+      } else {
+        await persistence.createNPC({
+          name: npc.name,
+          description: npc.description,
+          disposition: npc.disposition,
+          location,
+          notes: npc.role || ''
+        });
       }
 
-      const relationship = this.session.relationships[character];
-      
-      // Update relationship based on sentiment
-      if (sentiment.positive > sentiment.negative) {
-        relationship.trust += 0.1;
-        relationship.affection += 0.05;
-      } else if (sentiment.negative > sentiment.positive) {
-        relationship.trust -= 0.1;
-        relationship.fear += 0.05;
+      if (!this.session.currentScene.npcs.some(known => sameName(known.name, npc.name))) {
+        this.session.currentScene.npcs.push({
+          name: npc.name,
+          role: npc.role || 'unknown',
+          disposition: npc.disposition || 'neutral',
+          firstMet: Date.now()
+        });
       }
-      
-      relationship.interactionCount++;
-      relationship.lastInteraction = Date.now();
-      
+      applied.npcs.push(npc.name);
+    }
+
+    // Items gained or lost by player characters
+    for (const item of changes.items) {
+      const character = findCharacter(item.character);
+      if (!character) continue;
+
+      const quantity = item.quantity || 1;
+      try {
+        if (item.change === 'gained') {
+          await persistence.addInventoryItem(character.id, {
+            name: item.name,
+            description: item.description,
+            quantity
+          });
+        } else {
+          await persistence.removeInventoryItem(character.id, item.name, quantity);
+        }
+        applied.items.push({ character: character.name, name: item.name, change: item.change, quantity });
+      } catch (error) {
+        // Losing an item the character never had
+        console.warn(`Skipped inventory change for ${character.name}:`, error.message);
+      }
+    }
+
+    // Money received or paid by player characters, through the wallet ledger
+    for (const change of changes.currency || []) {
+      const character = findCharacter(change.character);
+      if (!character || !change.amount) continue;
+
+      const result = adjustBalance(character.id, change.amount, change.reason || (change.amount > 0 ? 'loot' : 'fee'), {
+        sessionId: this.sessionId,
+        description: change.description || action.substring(0, 100)
+      });
+      if (!result || result.error) {
+        console.warn(`Skipped currency change for ${character.name}:`, result?.details || 'character not found');
+        continue;
+      }
+      applied.currency.push({ characterId: character.id, character: character.name, amount: change.amount, balance: result.balance });
+    }
+
+    // Attitude shifts, toward the party unless one character or NPC is named
+    const nodeFor = name => {
+      const character = findCharacter(name);
+      return character ? { type: 'character', ref: character.id } : { type: 'npc', ref: name.trim() };
+    };
+    for (const shift of changes.relationships) {
+      const source = nodeFor(shift.npc);
+      const targets = shift.toward
+        ? [nodeFor(shift.toward)]
+        : characters.map(c => ({ type: 'character', ref: c.id }));
+      const cause = shift.reason || action.substring(0, 100);
+
+      const edges = targets
+        .map(target => adjustRelationship(this.worldId, source, target, shift, { cause, sessionId: this.sessionId }))
+        .filter(edge => !edge.error);
+      if (edges.length === 0) continue;
+
       // Record significant relationship changes
-      if (Math.abs(relationship.trust) > 0.5) {
+      const largestShift = Math.max(...RELATIONSHIP_DIMENSIONS.map(dimension => Math.abs(shift[dimension] || 0)));
+      if (largestShift >= 0.3) {
         await this.memory.recordEvent('relationship_change', {
-          character,
-          relationship: { ...relationship },
-          trigger: action.substring(0, 100)
+          character: shift.npc,
+          toward: shift.toward || 'the party',
+          relationships: edges.map(({ target, trust, respect, affection, fear }) =>
+            ({ target: target.name, trust, respect, affection, fear })),
+          trigger: cause
         }, 0.6);
       }
+      applied.relationships.push(shift.npc);
     }
-  }
 
-  /**
-   * Simple sentiment analysis for relationship tracking
-   */
-  analyzeSentiment(action, response) {
-    const positiveWords = ['help', 'save', 'protect', 'friend', 'ally', 'trust', 'love', 'respect', 'honor'];
-    const negativeWords = ['attack', 'hurt', 'betray', 'enemy', 'hate', 'fear', 'threaten', 'kill', 'steal'];
-    
-    const text = (action + ' ' + response).toLowerCase();
-    
-    const positive = positiveWords.filter(word => text.includes(word)).length;
-    const negative = negativeWords.filter(word => text.includes(word)).length;
-    
-    return { positive, negative, neutral: Math.max(0, text.split(' ').length - positive - negative) };
+    // Standing with factions, for one character or everyone present
+    for (const shift of changes.reputation || []) {
+      const faction = findFaction(this.worldId, shift.faction);
+      if (!faction) continue;
+
+      const affected = shift.character ? [findCharacter(shift.character)].filter(Boolean) : characters;
+      for (const character of affected) {
+        const result = adjustReputation(this.worldId, faction.id, character.id, shift.change, {
+          cause: shift.reason || action.substring(0, 100),
+          sessionId: this.sessionId
+        });
+        if (result.error) continue;
+
+        applied.reputation.push(...result.map(entry => ({ characterId: character.id, character: character.name, ...entry })));
+        if (Math.abs(shift.change) >= 15) {
+          await this.memory.recordEvent('reputation_change', {
+            character: character.name,
+            faction: faction.name,
+            change: shift.change,
+            standing: result[0].tier,
+            trigger: shift.reason || action.substring(0, 100)
+          }, 0.6);
+        }
+      }
+    }
+
+    return applied;
   }
 
   /**
@@ -300,60 +416,6 @@ export class EnhancedSessionManager {
     return `[${timestamp}] ${actionType}: ${action.substring(0, 50)}...`;
   }
 
-  detectLocationChange(response) {
-    const locationPatterns = [
-      /(?:arrive|enter|reach|travel to)\s+(?:the\s+)?([^.!?]+)/i,
-      /(?:you find yourself in)\s+([^.!?]+)/i,
-      /(?:the scene changes to)\s+([^.!?]+)/i
-    ];
-
-    for (const pattern of locationPatterns) {
-      const match = response.match(pattern);
-      if (match) {
-        return {
-          to: match[1].trim(),
-          method: 'travel'
-        };
-      }
-    }
-
-    return null;
-  }
-
-  extractNewNPCs(response) {
-    // Simple NPC extraction - could be enhanced with NER
-    const npcPatterns = [
-      /(?:meet|encounter|see)\s+([A-Z][a-z]+)/g,
-      /([A-Z][a-z]+)\s+(?:says|tells|asks)/g
-    ];
-
-    const npcs = [];
-    for (const pattern of npcPatterns) {
-      let match;
-      while ((match = pattern.exec(response)) !== null) {
-        const name = match[1];
-        if (name && !npcs.some(npc => npc.name === name)) {
-          npcs.push({
-            name,
-            role: 'unknown',
-            disposition: 'neutral',
-            firstMet: Date.now()
-          });
-        }
-      }
-    }
-
-    return npcs;
-  }
-
-  extractCharacterNames(text) {
-    // Extract capitalized words that might be character names
-    const words = text.match(/\b[A-Z][a-z]{2,}\b/g) || [];
-    return [...new Set(words)].filter(word => 
-      !['The', 'You', 'Your', 'This', 'That', 'They'].includes(word)
-    );
-  }
-
   /**
    * Get session status for debugging/monitoring
    */
@@ -365,7 +427,7 @@ export class EnhancedSessionManager {
       location: this.session.currentScene.location,
       characters: this.session.characters.length,
       messageHistory: this.session.messageHistory.length,
-      relationships: Object.keys(this.session.relationships).length,
+      relationships: getRelationshipGraph(this.worldId).edges.length,
       sessionStats: this.session.sessionStats,
       memoryStatus: {
         hotMemorySize: this.memory.hotMemory.size,
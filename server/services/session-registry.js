@@ -0,0 +1,71 @@
+/**
+ * Session Registry - Live enhanced session managers
+ *
+ * One EnhancedSessionManager per active session, shared by every route,
+ * so memory events recorded outside the action loop (level-ups, quest
+ * progress, ...) land in the same hot memory the GM reads from.
+ */
+
+import { queryOne } from '../db/init.js';
+import { EnhancedSessionManager } from './session-manager.js';
+import RPGMemoryManager from './memory.js';
+
+const activeSessions = new Map(); // sessionId -> EnhancedSessionManager
+
+/**
+ * Get the live manager for a session, creating it on first use
+ */
+export async function getSessionManager(sessionId, worldId, world = null) {
+  let sessionManager = activeSessions.get(sessionId);
+  if (sessionManager) return sessionManager;
+
+  sessionManager = new EnhancedSessionManager(worldId, sessionId);
+  await sessionManager.initialize(world || queryOne('SELECT * FROM worlds WHERE id = ?', [worldId]));
+  activeSessions.set(sessionId, sessionManager);
+  return sessionManager;
+}
+
+/**
+ * The live manager for a session, without creating one
+ */
+export function getActiveSessionManager(sessionId) {
+  return activeSessions.get(sessionId) || null;
+}
+
+/**
+ * Save and drop a session's live manager
+ */
+export async function releaseSessionManager(sessionId) {
+  const sessionManager = activeSessions.get(sessionId);
+  if (!sessionManager) return false;
+
+  await sessionManager.saveSession();
+  activeSessions.delete(sessionId);
+  return true;
+}
+
+/**
+ * Record a memory event for a session from outside the action loop
+ * Uses the live manager's memory when the session is active, otherwise
+ * the session's stored memory; either way the event is written to disk.
+ */
+export async function recordSessionEvent(sessionId, worldId, record) {
+  const live = activeSessions.get(sessionId);
+  let memory = live?.memory;
+
+  if (!memory) {
+    memory = new RPGMemoryManager(worldId, sessionId);
+    await memory.initialize();
+  }
+
+  const eventId = await record(memory);
+  await memory.saveMemoryState();
+  return eventId;
+}
+
+export default {
+  getSessionManager,
+  getActiveSessionManager,
+  releaseSessionManager,
+  recordSessionEvent
+};
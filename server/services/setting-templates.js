@@ -0,0 +1,458 @@
+/**
+ * Setting Templates
+ *
+ * Settings built by players, stored in the templates table:
+ * - templates.setting is the setting id worlds use; it never changes
+ * - templates.config is a complete setting config, the same shape as the
+ *   built-ins in shared/settings.js
+ * - Every template is registered with shared/settings.js, so
+ *   getSettingConfig and everything built on it see custom settings
+ * - Rows with is_builtin are read-only
+ * - Any setting exports as a versioned JSON bundle; importing one validates
+ *   it like a builder submission
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+import {
+  SETTINGS,
+  getSettingConfig,
+  getCalendar,
+  isBuiltinSetting,
+  registerSetting,
+  unregisterSetting,
+  hasSetting
+} from '../../shared/settings.js';
+
+const ATTRIBUTE_KEY = /^[A-Z][A-Z0-9]{1,5}$/;
+const MIN_ATTRIBUTES = 3;
+const MAX_ATTRIBUTES = 8;
+const MAX_NAME_LENGTH = 100;
+const FLAVOR_TEXT = ['currency', 'technology', 'transport', 'lighting', 'materials'];
+const PROGRESSION_FIELDS = ['baseXp', 'growth', 'maxLevel', 'attributePoints', 'skillPoints', 'attributeCap', 'skillCap'];
+const SLOT_ID = /^[a-z][a-z0-9-]{0,19}$/;
+const SETTING_ID = /^[a-z0-9][a-z0-9-]{0,99}$/;
+const MAX_SLOTS = 10;
+const MAX_MONTHS = 24;
+const MAX_WEATHER = 12;
+const MAX_WEATHER_WEIGHT = 100;
+const WEATHER_CONDITION = /^[a-z][a-z ]{1,29}$/;
+
+export const SETTING_BUNDLE_FORMAT = 'humbbot-setting';
+export const SETTING_BUNDLE_VERSION = 1;
+export const IMPORT_CONFLICTS = ['error', 'rename', 'replace'];
+
+function toText(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// Lists may arrive as arrays or comma-separated text from a form
+function toList(value) {
+  const items = Array.isArray(value) ? value : toText(value).split(',');
+  return [...new Set(items.map(toText).filter(Boolean))];
+}
+
+/**
+ * "Elven Realms!" -> "elven-realms", unique among all settings
+ */
+export function settingIdFor(name) {
+  const base = toText(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'setting';
+  let id = base;
+  for (let n = 2; hasSetting(id) || queryOne('SELECT id FROM templates WHERE setting = ?', [id]); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+// Attributes as keys or { key, name } objects; names fall back to the key
+function readAttributes(data, problems) {
+  const attributes = [];
+  const attributeNames = {};
+
+  for (const entry of Array.isArray(data.attributes) ? data.attributes : []) {
+    const key = toText(typeof entry === 'object' ? entry?.key : entry).toUpperCase();
+    if (!ATTRIBUTE_KEY.test(key)) {
+      problems.push(`attribute ${key || '(blank)'} must be 2-6 letters or digits, starting with a letter`);
+      continue;
+    }
+    if (attributes.includes(key)) {
+      problems.push(`attribute ${key} is listed twice`);
+      continue;
+    }
+    attributes.push(key);
+    attributeNames[key] = toText(typeof entry === 'object' ? entry.name : data.attributeNames?.[key]) || key;
+  }
+
+  if (attributes.length < MIN_ATTRIBUTES || attributes.length > MAX_ATTRIBUTES) {
+    problems.push(`a setting needs ${MIN_ATTRIBUTES}-${MAX_ATTRIBUTES} attributes`);
+  }
+  return { attributes, attributeNames };
+}
+
+// Skills as names or { name, attribute } objects; untested skills use the first attribute
+function readSkills(data, attributes, problems) {
+  const skills = [];
+  const skillAttributes = {};
+
+  for (const entry of Array.isArray(data.skills) ? data.skills : toList(data.skills)) {
+    const name = toText(typeof entry === 'object' ? entry?.name : entry);
+    if (!name || skills.includes(name)) continue;
+
+    const attribute = toText(typeof entry === 'object' ? entry.attribute : data.skillAttributes?.[name]).toUpperCase()
+      || attributes[0];
+    if (attribute && !attributes.includes(attribute)) {
+      problems.push(`skill ${name} uses unknown attribute ${attribute}`);
+    }
+    skills.push(name);
+    skillAttributes[name] = attribute;
+  }
+
+  if (skills.length === 0) problems.push('at least one skill is required');
+  return { skills, skillAttributes };
+}
+
+// Calendars as { months: [{ name, days, season }], startYear, era, start, wageDays };
+// anything left out falls back to the default calendar
+function readCalendar(data, problems) {
+  if (data.calendar === undefined) return null;
+
+  const input = data.calendar && typeof data.calendar === 'object' ? data.calendar : {};
+  const calendar = {};
+  const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (input.months !== undefined) {
+    const months = Array.isArray(input.months) ? input.months : [];
+    if (months.length === 0 || months.length > MAX_MONTHS) problems.push(`calendar.months needs 1-${MAX_MONTHS} months`);
+
+    calendar.months = months.map((month, index) => {
+      const name = toText(month?.name);
+      const days = Number(month?.days);
+      const season = toText(month?.season).toLowerCase();
+      if (!name) problems.push(`calendar month ${index + 1} needs a name`);
+      if (!isWhole(days, 1, 100)) problems.push(`calendar month ${name || index + 1} must have 1-100 days`);
+      if (!season) problems.push(`calendar month ${name || index + 1} needs a season`);
+      return { name, days, season };
+    });
+  }
+
+  if (input.startYear !== undefined) {
+    const year = Number(input.startYear);
+    if (!Number.isInteger(year)) problems.push('calendar.startYear must be a whole number');
+    else calendar.startYear = year;
+  }
+  if (toText(input.era)) calendar.era = toText(input.era);
+
+  if (input.wageDays !== undefined) {
+    const days = Number(input.wageDays);
+    if (!isWhole(days, 1, 365)) problems.push('calendar.wageDays must be a whole number from 1 to 365');
+    else calendar.wageDays = days;
+  }
+
+  if (input.start !== undefined) {
+    const start = {
+      month: Number(input.start?.month ?? 0),
+      day: Number(input.start?.day ?? 1),
+      hour: Number(input.start?.hour ?? 8)
+    };
+    const months = calendar.months || getCalendar('custom').months;
+    if (!isWhole(start.month, 0, months.length - 1)) problems.push(`calendar.start.month must be from 0 to ${months.length - 1}`);
+    else if (!isWhole(start.day, 1, months[start.month].days)) problems.push('calendar.start.day is not a day of that month');
+    if (!isWhole(start.hour, 0, 23)) problems.push('calendar.start.hour must be from 0 to 23');
+    calendar.start = start;
+  }
+
+  return calendar;
+}
+
+// Weather flavor as { condition: weight }, multiplying the seasonal odds
+// (0 rules a condition out; new conditions join at their weight)
+function readWeather(data, problems) {
+  if (data.weather === undefined) return null;
+
+  const entries = Object.entries(data.weather && typeof data.weather === 'object' ? data.weather : {});
+  if (entries.length === 0 || entries.length > MAX_WEATHER) problems.push(`weather needs 1-${MAX_WEATHER} conditions`);
+
+  const weather = {};
+  for (const [name, value] of entries) {
+    const condition = toText(name).toLowerCase();
+    const weight = Number(value);
+    if (!WEATHER_CONDITION.test(condition)) problems.push(`weather condition ${name} must be 2-30 letters or spaces`);
+    else if (!Number.isFinite(weight) || weight < 0 || weight > MAX_WEATHER_WEIGHT) {
+      problems.push(`weather ${condition} must have a weight from 0 to ${MAX_WEATHER_WEIGHT}`);
+    } else weather[condition] = weight;
+  }
+  return weather;
+}
+
+/**
+ * Check a builder submission and turn it into a full setting config
+ * Returns { value, problems }
+ */
+export function validateSettingTemplate(data) {
+  const problems = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, problems: ['Setting must be an object'] };
+  }
+
+  const name = toText(data.name);
+  if (!name) problems.push('name is required');
+  else if (name.length > MAX_NAME_LENGTH) problems.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+  const { attributes, attributeNames } = readAttributes(data, problems);
+  const { skills, skillAttributes } = readSkills(data, attributes, problems);
+
+  const classes = toList(data.classes);
+  if (classes.length === 0) problems.push('at least one class is required');
+
+  const derived = {};
+  for (const field of ['initiativeAttribute', 'hitPointAttribute']) {
+    const attribute = toText(data[field]).toUpperCase();
+    if (!attribute) continue;
+    if (attributes.includes(attribute)) derived[field] = attribute;
+    else problems.push(`${field} ${attribute} is not one of the attributes`);
+  }
+
+  const economy = { ...SETTINGS.custom.economy };
+  if (data.economy?.startingCredits !== undefined) {
+    const credits = Number(data.economy.startingCredits);
+    if (!Number.isInteger(credits) || credits < 0) problems.push('economy.startingCredits must be a whole number of 0 or more');
+    else economy.startingCredits = credits;
+  }
+  if (toText(data.economy?.currencyUnit)) economy.currencyUnit = toText(data.economy.currencyUnit);
+
+  const progression = { ...SETTINGS.custom.progression };
+  for (const field of PROGRESSION_FIELDS) {
+    if (data.progression?.[field] === undefined) continue;
+    const number = Number(data.progression[field]);
+    if (!Number.isFinite(number) || number <= 0) problems.push(`progression.${field} must be a positive number`);
+    else progression[field] = number;
+  }
+
+  let equipmentSlots = { ...SETTINGS.custom.equipmentSlots };
+  if (data.equipmentSlots !== undefined) {
+    const slots = Object.entries(data.equipmentSlots && typeof data.equipmentSlots === 'object' ? data.equipmentSlots : {});
+    if (slots.length === 0 || slots.length > MAX_SLOTS) problems.push(`equipmentSlots needs 1-${MAX_SLOTS} slots`);
+    for (const [slot] of slots.filter(([slot]) => !SLOT_ID.test(slot))) {
+      problems.push(`equipment slot ${slot} must be lowercase letters, digits or dashes`);
+    }
+    equipmentSlots = Object.fromEntries(slots.map(([slot, label]) => [slot, toText(label) || slot]));
+  }
+
+  const calendar = readCalendar(data, problems);
+  const weather = readWeather(data, problems);
+
+  const flavor = { locations: toList(data.flavor?.locations) };
+  for (const field of FLAVOR_TEXT) {
+    flavor[field] = toText(data.flavor?.[field]) || SETTINGS.custom.flavor[field];
+  }
+  if (flavor.locations.length === 0) flavor.locations = [...SETTINGS.custom.flavor.locations];
+  if (!toText(data.flavor?.currency)) flavor.currency = economy.currencyUnit;
+
+  const value = {
+    name,
+    description: toText(data.description),
+    attributes,
+    attributeNames,
+    classes,
+    skills,
+    skillAttributes,
+    ...derived,
+    progression,
+    economy,
+    equipmentSlots,
+    ...(calendar && { calendar }),
+    ...(weather && { weather }),
+    forbidden: toList(data.forbidden),
+    required: toList(data.required),
+    flavor
+  };
+
+  return { value, problems };
+}
+
+function formatTemplate(row) {
+  return {
+    id: row.id,
+    setting: row.setting,
+    name: row.name,
+    description: row.description,
+    builtin: !!row.is_builtin,
+    config: parseJson(row.config, {}),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Register every stored template with the settings registry
+ * Called once the database is open
+ */
+export function loadSettingTemplates() {
+  const rows = queryAll('SELECT * FROM templates');
+  for (const row of rows) {
+    if (isBuiltinSetting(row.setting)) {
+      console.warn(`⚠️ Template ${row.name} uses the built-in setting id ${row.setting}; skipped`);
+      continue;
+    }
+    registerSetting(row.setting, parseJson(row.config, {}));
+  }
+  return rows.length;
+}
+
+export function listSettingTemplates() {
+  return queryAll('SELECT * FROM templates ORDER BY name').map(formatTemplate);
+}
+
+export function getSettingTemplate(settingId) {
+  const row = queryOne('SELECT * FROM templates WHERE setting = ?', [settingId]);
+  return row ? formatTemplate(row) : null;
+}
+
+/**
+ * Save a new setting; returns { error, details } when it does not validate
+ */
+export function createSettingTemplate(data, { settingId = null } = {}) {
+  const { value, problems } = validateSettingTemplate(data);
+  if (problems.length > 0) {
+    return { error: 'Invalid setting', details: problems.join('; ') };
+  }
+
+  const setting = settingId || settingIdFor(value.name);
+  const now = new Date().toISOString();
+  execute(
+    `INSERT INTO templates (id, name, setting, description, config, is_builtin, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, 0, ?, ?)`,
+    [uuid(), value.name, setting, value.description, JSON.stringify(value), now, now]
+  );
+  registerSetting(setting, value);
+
+  return getSettingTemplate(setting);
+}
+
+// Write a validated config over a stored setting and re-register it
+function saveSettingTemplate(settingId, value) {
+  execute(
+    'UPDATE templates SET name = ?, description = ?, config = ?, updated_at = ? WHERE setting = ?',
+    [value.name, value.description, JSON.stringify(value), new Date().toISOString(), settingId]
+  );
+  registerSetting(settingId, value);
+
+  return getSettingTemplate(settingId);
+}
+
+/**
+ * Edit a setting; fields not given keep their current values
+ * Worlds using the setting pick up the change on their next prompt.
+ */
+export function updateSettingTemplate(settingId, data) {
+  const existing = getSettingTemplate(settingId);
+  if (!existing) return { error: 'Setting not found' };
+  if (existing.builtin) return { error: 'Built-in setting', details: `${existing.name} cannot be edited` };
+
+  const { value, problems } = validateSettingTemplate({ ...existing.config, ...data });
+  if (problems.length > 0) {
+    return { error: 'Invalid setting', details: problems.join('; ') };
+  }
+
+  return saveSettingTemplate(settingId, value);
+}
+
+/**
+ * Delete a setting no world uses any more
+ */
+export function deleteSettingTemplate(settingId) {
+  const existing = getSettingTemplate(settingId);
+  if (!existing) return { error: 'Setting not found' };
+  if (existing.builtin) return { error: 'Built-in setting', details: `${existing.name} cannot be deleted` };
+
+  const { count } = queryOne('SELECT COUNT(*) AS count FROM worlds WHERE setting = ?', [settingId]);
+  if (count > 0) {
+    return { error: 'Setting in use', details: `${count} world(s) use ${existing.name}` };
+  }
+
+  execute('DELETE FROM templates WHERE setting = ?', [settingId]);
+  unregisterSetting(settingId);
+  return { success: true };
+}
+
+/**
+ * Any setting, built-in or custom, as a bundle another server can import
+ */
+export function exportSetting(settingId) {
+  if (!hasSetting(settingId)) return null;
+
+  return {
+    format: SETTING_BUNDLE_FORMAT,
+    version: SETTING_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    setting: { id: settingId, ...getSettingConfig(settingId) }
+  };
+}
+
+/**
+ * Import a bundle from exportSetting
+ * The bundle's setting id is kept when it is free. When it is taken,
+ * onConflict decides: 'error' refuses, 'rename' imports under a new id,
+ * 'replace' overwrites a custom setting (built-ins are never replaced).
+ * Returns the template plus { imported: 'created' | 'renamed' | 'replaced' },
+ * or { error, details }.
+ */
+export function importSetting(bundle, { onConflict = 'error' } = {}) {
+  if (!IMPORT_CONFLICTS.includes(onConflict)) {
+    return { error: 'Invalid import', details: `onConflict must be one of: ${IMPORT_CONFLICTS.join(', ')}` };
+  }
+  if (bundle?.format !== SETTING_BUNDLE_FORMAT || !bundle.setting || typeof bundle.setting !== 'object') {
+    return { error: 'Invalid import', details: `Not a ${SETTING_BUNDLE_FORMAT} bundle` };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > SETTING_BUNDLE_VERSION) {
+    return { error: 'Invalid import', details: `Bundle version ${bundle.version} is not supported (up to ${SETTING_BUNDLE_VERSION})` };
+  }
+
+  const { id, ...config } = bundle.setting;
+  const wanted = toText(id).toLowerCase();
+  if (wanted && !SETTING_ID.test(wanted)) {
+    return { error: 'Invalid import', details: `Setting id ${wanted} must be lowercase letters, digits or dashes` };
+  }
+
+  const { value, problems } = validateSettingTemplate(config);
+  if (problems.length > 0) {
+    return { error: 'Invalid setting', details: problems.join('; ') };
+  }
+
+  const existing = wanted && getSettingTemplate(wanted);
+  const taken = wanted && (isBuiltinSetting(wanted) || existing);
+  if (!taken) {
+    const created = createSettingTemplate(config, { settingId: wanted || null });
+    return created.error ? created : { ...created, imported: 'created' };
+  }
+
+  // The bundle replaces the stored setting whole: nothing it leaves out is kept
+  if (onConflict === 'replace' && existing && !existing.builtin) {
+    return { ...saveSettingTemplate(wanted, value), imported: 'replaced' };
+  }
+  if (onConflict === 'rename') {
+    const renamed = createSettingTemplate(config, { settingId: settingIdFor(wanted) });
+    return renamed.error ? renamed : { ...renamed, imported: 'renamed' };
+  }
+
+  return {
+    error: 'Setting exists',
+    details: isBuiltinSetting(wanted) || existing?.builtin
+      ? `${wanted} is a built-in setting; import it with onConflict 'rename'`
+      : `${wanted} already exists; import with onConflict 'rename' or 'replace'`
+  };
+}
+
+export default {
+  validateSettingTemplate,
+  settingIdFor,
+  loadSettingTemplates,
+  listSettingTemplates,
+  getSettingTemplate,
+  createSettingTemplate,
+  updateSettingTemplate,
+  deleteSettingTemplate,
+  exportSetting,
+  importSetting
+};
@@ -0,0 +1,458 @@
+/**
+ * Shops
+ *
+ * Priced stock lists run by a session NPC, optionally inside a building:
+ * - Stock is seeded from the building's or the owner's inventory
+ * - Buying and selling at listed prices through the wallet ledger
+ * - One haggle per character per restock, rolled with the setting's
+ *   Persuasion/Barter/Negotiation skill, which shifts that character's prices
+ * - The owner's faction adds the character's reputation discount or markup,
+ *   and refuses to trade with Hated characters
+ * - Restocking to base quantities as in-game hours pass
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute, transaction } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+import { getSettingConfig, getEconomy } from '../../shared/settings.js';
+import { resolveRoll } from './dice.js';
+import { adjustBalance, getTradingNpc, giveCharacterItem } from './economy.js';
+import { findItem, takeItem } from './inventory.js';
+import { withEquipment } from './equipment.js';
+import { recordSessionEvent } from './session-registry.js';
+import { getShopStanding } from './factions.js';
+
+const HAGGLE_SKILLS = ['Persuasion', 'Barter', 'Negotiation'];
+
+// Price shift from a haggle: a success starts at 10% and grows with the margin
+const HAGGLE_BASE = 0.1;
+const HAGGLE_PER_MARGIN = 0.02;
+const HAGGLE_MAX = 0.3;
+const HAGGLE_OFFENDED = -0.1;
+
+const sameName = (a, b) => a?.trim().toLowerCase() === b?.trim().toLowerCase();
+
+/**
+ * The skill a setting uses for haggling
+ */
+export function getHaggleSkill(settingId) {
+  const { skills = [] } = getSettingConfig(settingId);
+  return HAGGLE_SKILLS.find(skill => skills.includes(skill)) || HAGGLE_SKILLS[0];
+}
+
+/**
+ * Shop stock entries: { name, type, description, price, quantity, baseQuantity }
+ * Entries without a whole-number price are not for sale and are dropped
+ */
+export function normalizeStock(stock) {
+  return (Array.isArray(stock) ? stock : [])
+    .map(item => typeof item === 'string' ? { name: item } : { ...item, name: item?.name || item?.item_name })
+    .filter(item => item.name)
+    .map(item => {
+      const quantity = Math.max(0, Math.round(Number(item.quantity ?? 1) || 0));
+      return {
+        name: item.name,
+        type: item.type || 'item',
+        description: item.description || '',
+        price: Math.round(Number(item.price ?? item.value ?? NaN)),
+        quantity,
+        baseQuantity: Math.max(0, Math.round(Number(item.baseQuantity ?? quantity) || 0))
+      };
+    })
+    .filter(item => Number.isInteger(item.price) && item.price >= 0);
+}
+
+function parseShop(row) {
+  return row && {
+    ...row,
+    stock: parseJson(row.stock, []),
+    haggles: parseJson(row.haggles, {})
+  };
+}
+
+function getSessionSetting(sessionId) {
+  return queryOne(
+    'SELECT s.world_id, w.setting FROM sessions s JOIN worlds w ON w.id = s.world_id WHERE s.id = ?',
+    [sessionId]
+  );
+}
+
+/**
+ * A shop in a session, with stock and haggles parsed
+ */
+export function getShop(sessionId, shopId) {
+  return parseShop(queryOne('SELECT * FROM session_shops WHERE id = ? AND session_id = ?', [shopId, sessionId]));
+}
+
+/**
+ * Shops in a session, optionally only those at a location
+ */
+export function listShops(sessionId, { location = null } = {}) {
+  const rows = location
+    ? queryAll(
+      'SELECT * FROM session_shops WHERE session_id = ? AND location = ? COLLATE NOCASE ORDER BY shop_name',
+      [sessionId, location]
+    )
+    : queryAll('SELECT * FROM session_shops WHERE session_id = ? ORDER BY shop_name', [sessionId]);
+  return rows.map(parseShop);
+}
+
+/**
+ * Open a shop
+ * Name, owner, location and stock default to the building's; without a
+ * building, the owner NPC's location and priced inventory are used.
+ */
+export function createShop(sessionId, data) {
+  let building = null;
+  if (data.buildingId) {
+    building = queryOne('SELECT * FROM session_buildings WHERE id = ? AND session_id = ?', [data.buildingId, sessionId]);
+    if (!building) return { error: 'Building not found', details: data.buildingId };
+  }
+
+  const owner = data.owner ?? building?.owner ?? null;
+  const ownerNpc = owner ? getTradingNpc(sessionId, owner) : null;
+  let stock = data.stock ?? (building && parseJson(building.inventory, []));
+  if (!stock || stock.length === 0) {
+    stock = ownerNpc?.inventory;
+  }
+
+  const now = Date.now();
+  const shop = {
+    id: uuid(),
+    session_id: sessionId,
+    shop_name: data.name || building?.building_name,
+    owner,
+    building_id: building?.id || null,
+    location: data.location || building?.location || ownerNpc?.location || null,
+    stock: JSON.stringify(normalizeStock(stock)),
+    buy_rate: data.buyRate ?? 0.5,
+    haggle_dc: data.haggleDc ?? 15,
+    haggles: '{}',
+    restock_hours: data.restockHours ?? 24,
+    hours_since_restock: 0,
+    status: 'open',
+    created_at: now,
+    updated_at: now
+  };
+  if (!shop.shop_name) return { error: 'name is required' };
+
+  execute(`
+    INSERT INTO session_shops
+    (id, session_id, shop_name, owner, building_id, location, stock, buy_rate, haggle_dc,
+     haggles, restock_hours, hours_since_restock, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, Object.values(shop));
+
+  console.log(`🏪 Opened shop: ${shop.shop_name}${shop.location ? ` at ${shop.location}` : ''}`);
+  return getShop(sessionId, shop.id);
+}
+
+/**
+ * Change a shop's status, stock or terms
+ */
+export function updateShop(sessionId, shopId, updates) {
+  const shop = getShop(sessionId, shopId);
+  if (!shop) return null;
+
+  const columns = {
+    shop_name: updates.name,
+    owner: updates.owner,
+    location: updates.location,
+    stock: updates.stock && JSON.stringify(normalizeStock(updates.stock)),
+    buy_rate: updates.buyRate,
+    haggle_dc: updates.haggleDc,
+    restock_hours: updates.restockHours,
+    status: updates.status
+  };
+  const changed = Object.entries(columns).filter(([, value]) => value !== undefined);
+  if (changed.length > 0) {
+    execute(
+      `UPDATE session_shops SET ${changed.map(([key]) => `${key} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...changed.map(([, value]) => value), Date.now(), shopId]
+    );
+  }
+  return getShop(sessionId, shopId);
+}
+
+// What the shop charges for one unit, and pays for an item worth value;
+// never more than it would charge for it, so nothing sells back at a profit
+function buyPrice(price, modifier) {
+  return Math.max(0, Math.round(price * (1 - modifier)));
+}
+
+function sellRate(shop, modifier) {
+  return Math.min(shop.buy_rate * (1 + modifier), 1 - modifier);
+}
+
+function sellPrice(shop, value, modifier) {
+  return Math.max(0, Math.min(buyPrice(value, modifier), Math.floor(value * sellRate(shop, modifier))));
+}
+
+// A character's haggle plus their standing with the owner's faction
+function priceModifier(shop, characterId, standing = getShopStanding(shop.session_id, shop.owner, characterId)) {
+  return Math.round(((shop.haggles[characterId]?.modifier || 0) + (standing?.price || 0)) * 100) / 100;
+}
+
+function refusal(shop, standing, characterName) {
+  return {
+    error: 'Refused',
+    details: `${shop.owner} won't deal with ${characterName}: ${standing.faction} hates them`
+  };
+}
+
+/**
+ * A shop as seen by a character: their haggle result, faction standing and
+ * the prices they pay
+ */
+export function quoteShop(shop, characterId = null) {
+  const setting = getSessionSetting(shop.session_id)?.setting;
+  const haggle = characterId ? shop.haggles[characterId] || null : null;
+  const standing = characterId ? getShopStanding(shop.session_id, shop.owner, characterId) : null;
+  const modifier = characterId ? priceModifier(shop, characterId, standing) : 0;
+
+  return {
+    id: shop.id,
+    name: shop.shop_name,
+    owner: shop.owner,
+    buildingId: shop.building_id,
+    location: shop.location,
+    status: shop.status,
+    currency: getEconomy(setting).currencyUnit,
+    buyRate: shop.buy_rate,
+    // Share of an item's value the shop pays this character
+    sellRate: Math.round(sellRate(shop, modifier) * 100) / 100,
+    haggleSkill: getHaggleSkill(setting),
+    haggleDc: shop.haggle_dc,
+    haggle,
+    standing,
+    restockHours: shop.restock_hours,
+    hoursUntilRestock: Math.max(0, shop.restock_hours - shop.hours_since_restock),
+    stock: shop.stock.map(item => ({ ...item, buyPrice: buyPrice(item.price, modifier) }))
+  };
+}
+
+function saveShopState(shop, { stock = shop.stock, haggles = shop.haggles, hoursSinceRestock = shop.hours_since_restock }) {
+  execute(
+    'UPDATE session_shops SET stock = ?, haggles = ?, hours_since_restock = ?, updated_at = ? WHERE id = ?',
+    [
+      JSON.stringify(stock.filter(item => item.quantity > 0 || item.baseQuantity > 0)),
+      JSON.stringify(haggles),
+      hoursSinceRestock,
+      Date.now(),
+      shop.id
+    ]
+  );
+}
+
+async function recordShopEvent(sessionId, worldId, type, data, significance) {
+  try {
+    await recordSessionEvent(sessionId, worldId, memory => memory.recordEvent(type, data, significance));
+  } catch (e) {
+    console.warn(`Failed to record ${type} in memory:`, e.message);
+  }
+}
+
+function getHaggler(sessionId, characterId) {
+  const row = queryOne('SELECT * FROM characters WHERE id = ?', [characterId]);
+  return row && withEquipment({
+    ...row,
+    attributes: parseJson(row.attributes, {}),
+    skills: parseJson(row.skills, {})
+  }, sessionId);
+}
+
+/**
+ * Haggle with the shopkeeper
+ * A success discounts purchases and raises sale prices for this character
+ * until the next restock; a critical failure offends the shopkeeper.
+ */
+export async function haggle(sessionId, shopId, characterId, rng = Math.random) {
+  const shop = getShop(sessionId, shopId);
+  if (!shop) return { error: 'Shop not found' };
+  if (shop.status !== 'open') return { error: 'Shop is closed', details: shop.shop_name };
+
+  const character = getHaggler(sessionId, characterId);
+  if (!character) return { error: 'Character not found' };
+  if (shop.haggles[characterId]) {
+    return { error: 'Already haggled', details: `${shop.owner || shop.shop_name} won't budge again until the next restock` };
+  }
+  const standing = getShopStanding(sessionId, shop.owner, characterId);
+  if (standing?.refusesTrade) return refusal(shop, standing, character.name);
+
+  const { world_id, setting } = getSessionSetting(sessionId);
+  const roll = resolveRoll(character, getHaggleSkill(setting), shop.haggle_dc, setting, rng);
+
+  let modifier = 0;
+  if (roll.critical === 'failure') modifier = HAGGLE_OFFENDED;
+  else if (roll.success) modifier = Math.min(HAGGLE_MAX, HAGGLE_BASE + Math.max(0, roll.margin) * HAGGLE_PER_MARGIN);
+  modifier = Math.round(modifier * 100) / 100;
+
+  saveShopState(shop, { haggles: { ...shop.haggles, [characterId]: { modifier, roll: roll.total, success: roll.success } } });
+
+  await recordShopEvent(sessionId, world_id, 'haggle', {
+    characterId,
+    characterName: character.name,
+    shop: shop.shop_name,
+    npc: shop.owner,
+    success: roll.success,
+    modifier
+  }, 0.3);
+
+  return { roll, modifier, shop: quoteShop(getShop(sessionId, shopId), characterId) };
+}
+
+/**
+ * Buy from or sell to a shop at its prices
+ * Shops pay buy_rate of an item's value, adjusted by the character's haggle
+ * and faction standing.
+ * Returns { error, details } when the trade cannot happen.
+ */
+export async function tradeWithShop(sessionId, shopId, { characterId, mode, itemName, quantity = 1 }) {
+  const shop = getShop(sessionId, shopId);
+  if (!shop) return { error: 'Shop not found' };
+  if (shop.status !== 'open') return { error: 'Shop is closed', details: shop.shop_name };
+
+  const character = queryOne('SELECT id, name FROM characters WHERE id = ?', [characterId]);
+  if (!character) return { error: 'Character not found' };
+
+  const count = Math.round(Number(quantity));
+  if (!Number.isInteger(count) || count < 1) {
+    return { error: 'quantity must be a positive whole number' };
+  }
+
+  const standing = getShopStanding(sessionId, shop.owner, characterId);
+  if (standing?.refusesTrade) return refusal(shop, standing, character.name);
+
+  const modifier = priceModifier(shop, characterId, standing);
+  const listed = shop.stock.find(stock => sameName(stock.name, itemName));
+  let item;
+  let unitPrice;
+  let stock;
+
+  if (mode === 'buy') {
+    item = listed;
+    if (!item) return { error: 'Item not found', details: `${shop.shop_name} doesn't sell ${itemName}` };
+    if (item.quantity < count) {
+      return { error: 'Not enough stock', details: `${shop.shop_name} has ${item.quantity} ${item.name}` };
+    }
+    unitPrice = buyPrice(item.price, modifier);
+    stock = shop.stock.map(s => s === item ? { ...s, quantity: s.quantity - count } : s);
+  } else if (mode === 'sell') {
+    const owned = findItem(characterId, itemName, { sessionId });
+    if (!owned) return { error: 'Item not found', details: `${character.name} has no ${itemName}` };
+    if (owned.quantity < count) {
+      return { error: 'Not enough items', details: `${character.name} has ${owned.quantity} ${owned.item_name}` };
+    }
+
+    const properties = parseJson(owned.properties, {});
+    const value = Math.round(Number(properties.value ?? properties.price ?? listed?.price ?? NaN));
+    if (!Number.isInteger(value)) {
+      return { error: 'No offer', details: `${shop.shop_name} can't put a price on ${owned.item_name}` };
+    }
+
+    item = { ...owned, name: owned.item_name };
+    unitPrice = sellPrice(shop, value, modifier);
+    stock = listed
+      ? shop.stock.map(s => s === listed ? { ...s, quantity: s.quantity + count } : s)
+      : [...shop.stock, {
+        name: owned.item_name,
+        type: owned.item_type,
+        description: owned.description || '',
+        price: value,
+        quantity: count,
+        baseQuantity: 0
+      }];
+  } else {
+    return { error: "mode must be 'buy' or 'sell'" };
+  }
+
+  const total = unitPrice * count;
+  const details = { item: item.name, quantity: count, unitPrice, shopId };
+
+  const result = transaction(() => {
+    const payment = adjustBalance(characterId, mode === 'buy' ? -total : total, mode, {
+      sessionId,
+      description: `${mode === 'buy' ? 'Bought' : 'Sold'} ${count} ${item.name}`,
+      counterparty: shop.owner || shop.shop_name,
+      metadata: details
+    });
+    if (payment.error) return payment;
+
+    if (mode === 'buy') {
+      giveCharacterItem(characterId, item, count);
+    } else {
+      takeItem(item, count);
+    }
+    saveShopState(shop, { stock });
+    return payment;
+  });
+
+  if (result.error) return result;
+
+  const { world_id } = getSessionSetting(sessionId);
+  await recordShopEvent(sessionId, world_id, 'trade', {
+    characterId,
+    characterName: character.name,
+    shop: shop.shop_name,
+    npc: shop.owner,
+    mode,
+    ...details,
+    total
+  }, 0.4);
+
+  return {
+    mode,
+    ...details,
+    total,
+    balance: result.balance,
+    transaction: result.transaction,
+    shop: quoteShop(getShop(sessionId, shopId), characterId)
+  };
+}
+
+/**
+ * Let in-game hours pass for every shop in a session; the game clock
+ * (clock.js) calls this as time passes. Each full restock period tops
+ * stock back up to its base quantities and clears haggles.
+ * Returns the shops that restocked.
+ */
+export function advanceShopTime(sessionId, hours) {
+  const restocked = [];
+
+  transaction(() => {
+    for (const shop of listShops(sessionId)) {
+      const elapsed = shop.hours_since_restock + hours;
+      const period = Math.max(1, shop.restock_hours);
+
+      if (elapsed < period) {
+        saveShopState(shop, { hoursSinceRestock: elapsed });
+        continue;
+      }
+
+      saveShopState(shop, {
+        stock: shop.stock.map(item => ({ ...item, quantity: Math.max(item.quantity, item.baseQuantity) })),
+        haggles: {},
+        hoursSinceRestock: elapsed % period
+      });
+      restocked.push(getShop(sessionId, shop.id));
+    }
+  });
+
+  if (restocked.length > 0) {
+    console.log(`📦 Restocked ${restocked.length} shop(s) after ${hours}h`);
+  }
+  return restocked;
+}
+
+export default {
+  getHaggleSkill,
+  normalizeStock,
+  getShop,
+  listShops,
+  createShop,
+  updateShop,
+  quoteShop,
+  haggle,
+  tradeWithShop,
+  advanceShopTime
+};
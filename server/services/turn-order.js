@@ -0,0 +1,234 @@
+/**
+ * Turn Order - Initiative mode for multi-character sessions
+ *
+ * Kept on the session state as `turnOrder`:
+ * - Initiative rolled from each setting's agility-style attribute
+ * - Whose turn it is, and rejection of out-of-turn actions
+ * - Round tracking, with a log of the round for the GM summary
+ * - A claim on the current turn while its action is generated, so the
+ *   same turn is never played twice
+ */
+
+import { queryOne, execute } from '../db/init.js';
+import { getInitiativeAttribute } from '../../shared/settings.js';
+import { rollDie, attributeModifier } from './dice.js';
+
+// A claim this old belongs to a request that never finished
+const TURN_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Roll initiative for one character
+ */
+function rollCharacterInitiative(character, settingId, rng = Math.random) {
+  const attributes = typeof character.attributes === 'string'
+    ? JSON.parse(character.attributes || '{}')
+    : character.attributes || {};
+  const attribute = getInitiativeAttribute(settingId);
+  const modifier = attribute ? attributeModifier(attributes[attribute]) : 0;
+  const roll = rollDie(20, rng);
+
+  return {
+    characterId: character.id,
+    name: character.name,
+    attribute,
+    roll,
+    modifier,
+    initiative: roll + modifier
+  };
+}
+
+/**
+ * Roll initiative for every character, highest first
+ * Ties go to the higher modifier, then alphabetically
+ */
+export function rollInitiative(characters, settingId, rng = Math.random) {
+  return characters
+    .map(c => rollCharacterInitiative(c, settingId, rng))
+    .sort((a, b) =>
+      b.initiative - a.initiative ||
+      b.modifier - a.modifier ||
+      a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Start a fresh turn order for a set of characters
+ */
+export function createTurnOrder(characters, settingId, options = {}, rng = Math.random) {
+  const { roundSummary = false } = options;
+
+  return {
+    enabled: true,
+    round: 1,
+    currentIndex: 0,
+    order: rollInitiative(characters, settingId, rng),
+    roundSummary: Boolean(roundSummary),
+    roundLog: [],
+    startedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Add a character who joined mid-fight; they act last this round
+ */
+export function addToTurnOrder(turnOrder, character, settingId, rng = Math.random) {
+  if (!turnOrder?.enabled) return turnOrder;
+  if (turnOrder.order.some(entry => entry.characterId === character.id)) return turnOrder;
+
+  return {
+    ...turnOrder,
+    order: [...turnOrder.order, rollCharacterInitiative(character, settingId, rng)]
+  };
+}
+
+/**
+ * The entry whose turn it is, or null when turn order is off
+ */
+export function getCurrentTurn(turnOrder) {
+  if (!turnOrder?.enabled || turnOrder.order.length === 0) return null;
+  return turnOrder.order[turnOrder.currentIndex] || null;
+}
+
+/**
+ * Check whether a character may act now
+ * Anyone may act while turn order is off
+ */
+export function checkTurn(turnOrder, characterId) {
+  const current = getCurrentTurn(turnOrder);
+  if (!current) return { allowed: true, current: null };
+
+  return { allowed: current.characterId === characterId, current };
+}
+
+/**
+ * 409 body for an action taken out of initiative order
+ * Takes a refused checkTurn or claimSessionTurn result
+ */
+export function notYourTurn({ current, busy }) {
+  return {
+    error: 'Not your turn',
+    details: busy ? `${current.name}'s turn is already being played` : `It is ${current.name}'s turn`,
+    currentTurn: current
+  };
+}
+
+/**
+ * Move to the next character, logging the turn that just happened
+ * When the last character has acted the round completes and its log is returned
+ */
+export function advanceTurn(turnOrder, entry = {}) {
+  if (!turnOrder?.enabled) {
+    return { turnOrder, roundComplete: false, roundLog: null };
+  }
+
+  const roundLog = [...(turnOrder.roundLog || []), entry];
+  const nextIndex = turnOrder.currentIndex + 1;
+
+  if (nextIndex < turnOrder.order.length) {
+    return {
+      turnOrder: { ...turnOrder, currentIndex: nextIndex, roundLog },
+      roundComplete: false,
+      roundLog: null
+    };
+  }
+
+  return {
+    turnOrder: { ...turnOrder, currentIndex: 0, round: turnOrder.round + 1, roundLog: [] },
+    roundComplete: true,
+    roundLog
+  };
+}
+
+/**
+ * Public view of a turn order for the API
+ */
+export function describeTurnOrder(turnOrder) {
+  if (!turnOrder?.enabled) {
+    return { enabled: false, round: null, current: null, order: [] };
+  }
+
+  return {
+    enabled: true,
+    round: turnOrder.round,
+    roundSummary: turnOrder.roundSummary,
+    current: getCurrentTurn(turnOrder),
+    order: turnOrder.order.map((entry, index) => ({
+      ...entry,
+      hasActed: index < turnOrder.currentIndex
+    }))
+  };
+}
+
+function saveTurnOrder(sessionId, state, turnOrder) {
+  execute('UPDATE sessions SET state = ? WHERE id = ?', [JSON.stringify({ ...state, turnOrder }), sessionId]);
+}
+
+/**
+ * Claim the current turn before a character's action is generated
+ * Returns checkTurn's result; a turn already being played is not allowed
+ * (busy). Anyone may act, unclaimed, while turn order is off.
+ */
+export function claimSessionTurn(sessionId, characterId) {
+  const session = queryOne('SELECT state FROM sessions WHERE id = ?', [sessionId]);
+  const state = JSON.parse(session?.state || '{}');
+
+  const turn = checkTurn(state.turnOrder, characterId);
+  if (!turn.allowed || !turn.current) return turn;
+
+  const { claim } = state.turnOrder;
+  if (claim && Date.now() - claim.at < TURN_CLAIM_MS) {
+    return { allowed: false, current: turn.current, busy: true };
+  }
+
+  saveTurnOrder(sessionId, state, { ...state.turnOrder, claim: { characterId, at: Date.now() } });
+  return turn;
+}
+
+/**
+ * Give up a claimed turn when its action failed, so it can be played again
+ */
+export function releaseSessionTurn(sessionId) {
+  const session = queryOne('SELECT state FROM sessions WHERE id = ?', [sessionId]);
+  const state = JSON.parse(session?.state || '{}');
+  if (!state.turnOrder?.claim) return;
+
+  const { claim, ...turnOrder } = state.turnOrder;
+  saveTurnOrder(sessionId, state, turnOrder);
+}
+
+/**
+ * Advance a session's stored turn order after a character has acted
+ * Reads the state fresh so changes made while the GM was generating are kept;
+ * the order only moves on when it is still that character's turn.
+ * Returns null when the session is not in turn order mode
+ */
+export function advanceSessionTurn(sessionId, entry) {
+  const session = queryOne('SELECT state FROM sessions WHERE id = ?', [sessionId]);
+  if (!session) return null;
+
+  const state = JSON.parse(session.state || '{}');
+  if (!state.turnOrder?.enabled) return null;
+
+  const { claim, ...turnOrder } = state.turnOrder;
+  if (!checkTurn(turnOrder, entry.characterId).allowed) {
+    return { turnOrder: state.turnOrder, roundComplete: false, roundLog: null };
+  }
+
+  const result = advanceTurn(turnOrder, entry);
+  saveTurnOrder(sessionId, state, result.turnOrder);
+  return result;
+}
+
+export default {
+  rollInitiative,
+  createTurnOrder,
+  addToTurnOrder,
+  getCurrentTurn,
+  checkTurn,
+  notYourTurn,
+  advanceTurn,
+  describeTurnOrder,
+  claimSessionTurn,
+  releaseSessionTurn,
+  advanceSessionTurn
+};
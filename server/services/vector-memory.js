@@ -6,10 +6,12 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getProvider } from './llm-providers.js';
 
 class VectorMemoryEnhancer {
   constructor(options = {}) {
-    this.embeddingServiceUrl = options.embeddingServiceUrl || 'http://127.0.0.1:8082/v1/embeddings';
+    // Embeds text with the configured embedding provider unless one is passed in
+    this.embed = options.embed || (text => getProvider(null, 'embedding').embed(text));
     this.vectorStorePath = options.vectorStorePath || './data/vector-memory';
     this.vectors = new Map();
     this.metadata = new Map();
@@ -38,21 +40,7 @@ class VectorMemoryEnhancer {
    */
   async generateEmbedding(text) {
     try {
-      const response = await fetch(this.embeddingServiceUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: 'nomic-embed-text',
-          input: text,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Embedding service error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return data.data[0].embedding;
+      return await this.embed(text);
     } catch (error) {
       console.error('❌ Failed to generate embedding:', error.message);
       return null;
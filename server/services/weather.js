@@ -0,0 +1,166 @@
+/**
+ * Weather
+ *
+ * Procedural weather for every place a session visits, kept in session state
+ * (state.weather, keyed by location) and moved on by the game clock:
+ * - the odds start from the season, then shift with the kind of place
+ *   (session_locations.location_type, or the place's name when the type
+ *   says nothing) and the setting's weather flavor
+ * - a spell of weather lasts a few hours; the next one tends to carry on
+ *   from it, and a new place tends to share the weather the party brought
+ * - indoors and underground the weather still turns, but the scene is sheltered
+ */
+
+import { getWeatherFlavor } from '../../shared/settings.js';
+
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+const MIN_SPELL_HOURS = 3;
+const MAX_SPELL_HOURS = 12;
+const PERSISTENCE = 3;
+const MAX_PLACES = 20;
+const DEFAULT_LOCATION = 'starting area';
+
+/**
+ * Odds of each condition by season; ScenePanel has icons for these six
+ */
+export const SEASON_WEATHER = {
+  spring: { clear: 4, cloudy: 3, rainy: 3, stormy: 1, foggy: 1, snowy: 0.2 },
+  summer: { clear: 6, cloudy: 2, rainy: 1, stormy: 2, foggy: 0.5, snowy: 0 },
+  autumn: { clear: 3, cloudy: 3, rainy: 3, stormy: 1, foggy: 2, snowy: 0.5 },
+  winter: { clear: 3, cloudy: 3, rainy: 1, stormy: 1, foggy: 1, snowy: 4 }
+};
+
+/**
+ * How each kind of place shifts the odds; same rules as setting flavor
+ */
+export const PLACE_WEATHER = {
+  sheltered: {},
+  settlement: {},
+  wilderness: {},
+  forest: { foggy: 1.5, rainy: 1.5, stormy: 0.8 },
+  mountain: { snowy: 3, stormy: 1.5, foggy: 1.5, clear: 0.8 },
+  desert: { clear: 3, rainy: 0.2, stormy: 0.5, foggy: 0.1, snowy: 0, 'dust storm': 1 },
+  coast: { foggy: 2, stormy: 2, rainy: 1.5 },
+  swamp: { foggy: 3, rainy: 2, clear: 0.5 }
+};
+
+// Location types and names, first match wins; sheltered places come first
+// so "Harbor Inn" is indoors rather than on the coast
+const PLACE_PATTERNS = [
+  ['sheltered', /\b(interior|indoors?|underground|building|tavern|inn|shop|store|house|hall|temple|church|chapel|castle|manor|mansion|asylum|dungeon|cave|cavern|mine|sewers?|bunker|vault|lab|laboratory|clinic|station|ship|starship|lair|office|apartment|saloon)\b/],
+  ['desert', /\b(desert|dunes?|sands?|badlands|wastes?|wasteland|canyon|mesa)\b/],
+  ['mountain', /\b(mountains?|peaks?|pass|cliffs?|highlands?|summit|glacier)\b/],
+  ['coast', /\b(coast|sea|ocean|harbou?r|port|docks?|beach|shore|bay|island|cove)\b/],
+  ['swamp', /\b(swamp|marsh|bog|fen|bayou|mire)\b/],
+  ['forest', /\b(forest|woods?|woodland|jungle|grove)\b/],
+  ['settlement', /\b(settlement|city|town|village|street|square|market|district|hamlet|camp)\b/],
+  ['wilderness', /\b(wilderness|plains?|fields?|hills?|road|valley|moor|tundra|steppe)\b/]
+];
+
+/**
+ * The kind of place a location is, from its type or else its name
+ */
+export function placeType(location, locationType) {
+  const find = text => PLACE_PATTERNS.find(([, pattern]) => pattern.test(text?.toLowerCase() || ''))?.[0];
+  return find(locationType) || find(location) || 'wilderness';
+}
+
+/**
+ * Odds of each condition for a season, kind of place and setting;
+ * conditions ruled out are left out
+ */
+export function weatherOdds({ season, place, setting }) {
+  const odds = { ...(SEASON_WEATHER[season] || SEASON_WEATHER.spring) };
+  for (const modifiers of [PLACE_WEATHER[place] || {}, getWeatherFlavor(setting)]) {
+    for (const [condition, weight] of Object.entries(modifiers)) {
+      odds[condition] = condition in odds ? odds[condition] * weight : weight;
+    }
+  }
+  return Object.fromEntries(Object.entries(odds).filter(([, weight]) => weight > 0));
+}
+
+function pick(odds, random) {
+  const entries = Object.entries(odds);
+  let roll = random() * entries.reduce((total, [, weight]) => total + weight, 0);
+  for (const [condition, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return condition;
+  }
+  return entries.at(-1)?.[0] || 'clear';
+}
+
+const placeKey = location => (location || DEFAULT_LOCATION).trim().toLowerCase();
+
+/**
+ * The weather recorded for the scene's location, or null before any
+ */
+export function currentWeather(state) {
+  return state.weather?.[placeKey(state.currentScene?.location)] || null;
+}
+
+/**
+ * The weather at the scene's location at `now` (clock minutes)
+ * Keeps the current spell until it runs out, then rolls the next one;
+ * `planned` is a spell already rolled for this place and moment, kept instead.
+ * Returns { weather: { location, condition, place, sheltered, since, until }, changed }
+ */
+export function weatherAt(state, { locationType = null, season, setting, now, planned = null, random = Math.random }) {
+  const location = state.currentScene?.location || DEFAULT_LOCATION;
+  const current = state.weather?.[placeKey(location)];
+  const last = current?.condition ?? state.gameState?.weather;
+  if (current && current.until > now) return { weather: current, changed: false };
+  if (planned && planned.since === now && placeKey(planned.location) === placeKey(location)) {
+    return { weather: planned, changed: last !== undefined && planned.condition !== last };
+  }
+
+  const place = placeType(location, locationType);
+  const odds = weatherOdds({ season, place, setting });
+
+  // Weather that ended a day ago or more has nothing to carry on
+  const carried = current && now - current.until < MINUTES_PER_DAY ? current.condition : state.gameState?.weather;
+  if (carried && odds[carried]) odds[carried] *= PERSISTENCE;
+
+  const condition = pick(odds, random);
+  const hours = MIN_SPELL_HOURS + Math.floor(random() * (MAX_SPELL_HOURS - MIN_SPELL_HOURS + 1));
+  return {
+    weather: {
+      location,
+      condition,
+      place,
+      sheltered: place === 'sheltered',
+      since: now,
+      until: now + hours * MINUTES_PER_HOUR
+    },
+    changed: last !== undefined && condition !== last
+  };
+}
+
+/**
+ * state.weather with a place's weather recorded; only the most recently
+ * rolled places are kept
+ */
+export function recordWeather(places = {}, weather) {
+  const next = { ...places, [placeKey(weather.location)]: weather };
+  return Object.fromEntries(
+    Object.entries(next).sort(([, a], [, b]) => b.since - a.since).slice(0, MAX_PLACES)
+  );
+}
+
+/**
+ * "rainy", or "rainy outside (sheltered here)"
+ */
+export function describeWeather(weather) {
+  return weather.sheltered ? `${weather.condition} outside (sheltered here)` : weather.condition;
+}
+
+export default {
+  SEASON_WEATHER,
+  PLACE_WEATHER,
+  placeType,
+  weatherOdds,
+  currentWeather,
+  weatherAt,
+  recordWeather,
+  describeWeather
+};
@@ -0,0 +1,298 @@
+/**
+ * World Content (Codex)
+ *
+ * World-level lore, NPCs and locations shared by every session in a world:
+ * - Generic CRUD over the world_lore, world_npcs and world_locations tables
+ * - Validation that coerces loose input into each kind's fields
+ * - Reading /api/llm/generate output (schema-checked objects) into entries
+ * - The codex the prompt builder draws on
+ */
+
+import { v4 as uuid } from 'uuid';
+import { queryAll, queryOne, execute } from '../db/init.js';
+import { parseJson } from '../utils/json.js';
+
+// Text fields are plain strings, list fields JSON arrays of strings;
+// anything else the generator produced is kept in `details`
+export const CONTENT_KINDS = {
+  lore: {
+    table: 'world_lore',
+    nameField: 'title',
+    text: ['category', 'title', 'content'],
+    lists: ['tags'],
+    order: 'category ASC, title ASC'
+  },
+  npcs: {
+    table: 'world_npcs',
+    nameField: 'name',
+    text: ['name', 'role', 'appearance', 'personality', 'motivations', 'secrets', 'location'],
+    lists: [],
+    order: 'name ASC'
+  },
+  locations: {
+    table: 'world_locations',
+    nameField: 'name',
+    text: ['name', 'description', 'atmosphere'],
+    lists: ['features', 'encounters'],
+    order: 'name ASC'
+  }
+};
+
+// /api/llm/generate/:type -> codex kind (quests are kept as lore hooks)
+export const GENERATED_KINDS = {
+  location: 'locations',
+  npc: 'npcs',
+  lore: 'lore',
+  quest: 'lore'
+};
+
+const MAX_NAME_LENGTH = 200;
+
+// Flatten generated values ("motivations": ["a", "b"]) into text
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join('; ');
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([key, v]) => `${key}: ${toText(v)}`).join('; ');
+  }
+  return String(value).trim();
+}
+
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(toText).filter(Boolean);
+}
+
+function formatEntry(kind, row) {
+  const entry = { ...row, details: parseJson(row.details, {}) };
+  for (const field of CONTENT_KINDS[kind].lists) {
+    entry[field] = parseJson(row[field], []);
+  }
+  return entry;
+}
+
+/**
+ * Check and coerce an entry for a kind
+ * Returns { value, problems }; `partial` skips the required name for updates
+ */
+export function validateContent(kind, data, { partial = false } = {}) {
+  const spec = CONTENT_KINDS[kind];
+  const problems = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value, problems: ['Entry must be an object'] };
+  }
+
+  for (const field of spec.text) {
+    if (data[field] !== undefined) value[field] = toText(data[field]);
+  }
+  for (const field of spec.lists) {
+    if (data[field] !== undefined) value[field] = toList(data[field]);
+  }
+  if (data.details !== undefined) {
+    if (typeof data.details !== 'object' || Array.isArray(data.details) || data.details === null) {
+      problems.push('details must be an object');
+    } else {
+      value.details = data.details;
+    }
+  }
+
+  const name = value[spec.nameField];
+  if (!partial || name !== undefined) {
+    if (!name) {
+      problems.push(`${spec.nameField} is required`);
+    } else if (name.length > MAX_NAME_LENGTH) {
+      problems.push(`${spec.nameField} must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+
+  return { value, problems };
+}
+
+/**
+ * List a world's entries of one kind (lore can be filtered by category)
+ */
+export function listContent(worldId, kind, { category = null } = {}) {
+  const spec = CONTENT_KINDS[kind];
+  const rows = category && kind === 'lore'
+    ? queryAll(`SELECT * FROM ${spec.table} WHERE world_id = ? AND category = ? ORDER BY ${spec.order}`, [worldId, category])
+    : queryAll(`SELECT * FROM ${spec.table} WHERE world_id = ? ORDER BY ${spec.order}`, [worldId]);
+  return rows.map(row => formatEntry(kind, row));
+}
+
+/**
+ * Get one entry
+ */
+export function getContent(kind, entryId) {
+  const row = queryOne(`SELECT * FROM ${CONTENT_KINDS[kind].table} WHERE id = ?`, [entryId]);
+  return row ? formatEntry(kind, row) : null;
+}
+
+/**
+ * Add an entry to a world
+ * Returns { error, details } when it does not validate
+ */
+export function createContent(worldId, kind, data, source = 'manual') {
+  const spec = CONTENT_KINDS[kind];
+  const { value, problems } = validateContent(kind, data);
+  if (problems.length > 0) {
+    return { error: 'Invalid content', details: problems.join('; ') };
+  }
+
+  const now = new Date().toISOString();
+  const id = uuid();
+  const fields = { ...value, details: value.details || {} };
+  for (const field of spec.lists) {
+    fields[field] = JSON.stringify(fields[field] || []);
+  }
+  fields.details = JSON.stringify(fields.details);
+
+  const columns = ['id', 'world_id', ...Object.keys(fields), 'source', 'created_at', 'updated_at'];
+  execute(
+    `INSERT INTO ${spec.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    [id, worldId, ...Object.values(fields), source, now, now]
+  );
+
+  return getContent(kind, id);
+}
+
+/**
+ * Edit an entry; only the fields given change
+ */
+export function updateContent(kind, entryId, data) {
+  const spec = CONTENT_KINDS[kind];
+  const { value, problems } = validateContent(kind, data, { partial: true });
+  if (problems.length > 0) {
+    return { error: 'Invalid content', details: problems.join('; ') };
+  }
+
+  const fields = { ...value };
+  for (const field of [...spec.lists, 'details']) {
+    if (fields[field] !== undefined) fields[field] = JSON.stringify(fields[field]);
+  }
+
+  if (Object.keys(fields).length > 0) {
+    const setClause = Object.keys(fields).map(key => `${key} = ?`).join(', ');
+    execute(
+      `UPDATE ${spec.table} SET ${setClause}, updated_at = ? WHERE id = ?`,
+      [...Object.values(fields), new Date().toISOString(), entryId]
+    );
+  }
+
+  return getContent(kind, entryId);
+}
+
+/**
+ * Delete an entry
+ */
+export function deleteContent(kind, entryId) {
+  return execute(`DELETE FROM ${CONTENT_KINDS[kind].table} WHERE id = ?`, [entryId]).changes > 0;
+}
+
+// Take the first of several keys a model might use, removing them from `rest`
+function take(rest, ...keys) {
+  let found;
+  for (const key of keys) {
+    if (rest[key] !== undefined) {
+      found = found ?? rest[key];
+      delete rest[key];
+    }
+  }
+  return found;
+}
+
+function npcFromGenerated(data) {
+  const rest = { ...data };
+  return {
+    name: take(rest, 'name', 'npc_name', 'npcName'),
+    role: take(rest, 'role', 'occupation', 'class'),
+    appearance: take(rest, 'appearance', 'description', 'physical_description'),
+    personality: take(rest, 'personality', 'traits'),
+    motivations: take(rest, 'motivations', 'motivation', 'goals'),
+    secrets: take(rest, 'secrets', 'secret'),
+    location: take(rest, 'location', 'home'),
+    details: rest
+  };
+}
+
+function locationFromGenerated(data) {
+  const rest = { ...data };
+  return {
+    name: take(rest, 'name', 'location_name', 'locationName'),
+    description: take(rest, 'description', 'physical_description', 'physicalDescription'),
+    atmosphere: take(rest, 'atmosphere', 'mood'),
+    features: take(rest, 'features', 'notable_features', 'notableFeatures'),
+    encounters: take(rest, 'encounters', 'potential_encounters', 'potentialEncounters'),
+    details: rest
+  };
+}
+
+function loreFromGenerated(data) {
+  const rest = { ...data };
+  return {
+    category: take(rest, 'category', 'type') || 'lore',
+    title: take(rest, 'title', 'name'),
+    content: take(rest, 'content', 'text', 'body', 'description'),
+    tags: take(rest, 'tags', 'keywords'),
+    details: rest
+  };
+}
+
+function questHookFromGenerated(data) {
+  const sections = [
+    ['Hook', data.hook || data.description],
+    ['Objective', data.objective || data.objectives],
+    ['Complications', data.complications],
+    ['Rewards', data.rewards || data.reward]
+  ];
+  return {
+    category: 'quest',
+    title: data.title || data.name || data.quest_name || data.questName,
+    content: sections
+      .filter(([, value]) => value)
+      .map(([label, value]) => `**${label}:** ${toText(value)}`)
+      .join('\n\n'),
+    details: data
+  };
+}
+
+/**
+ * Turn /api/llm/generate output (an object checked against its schema)
+ * into a codex entry
+ * Returns { kind, data } or null for an unknown type or no object
+ */
+export function entryFromGenerated(type, content) {
+  const kind = GENERATED_KINDS[type];
+  if (!kind || !content || typeof content !== 'object' || Array.isArray(content)) return null;
+
+  const data = type === 'npc' ? npcFromGenerated(content)
+    : type === 'location' ? locationFromGenerated(content)
+      : type === 'lore' ? loreFromGenerated(content)
+        : questHookFromGenerated(content);
+  return { kind, data };
+}
+
+/**
+ * Everything in a world's codex, for the prompt builder
+ */
+export function getWorldCodex(worldId) {
+  return {
+    npcs: listContent(worldId, 'npcs'),
+    locations: listContent(worldId, 'locations'),
+    lore: listContent(worldId, 'lore')
+  };
+}
+
+export default {
+  CONTENT_KINDS,
+  GENERATED_KINDS,
+  validateContent,
+  listContent,
+  getContent,
+  createContent,
+  updateContent,
+  deleteContent,
+  entryFromGenerated,
+  getWorldCodex
+};
@@ -0,0 +1,175 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let characterId;
+let sessionId;
+let failNext = false;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      { match: 'look around', reply: 'Market stalls are opening for the day.' },
+      { match: 'travel', reply: 'The road to Eastmere is long and dusty.' },
+      { match: 'rest', reply: 'You sleep soundly under the stars.' },
+      {
+        match: 'storm',
+        reply: () => {
+          if (failNext) {
+            failNext = false;
+            throw new Error('model offline');
+          }
+          return 'The storm blows itself out at last.';
+        }
+      },
+      { match: 'wait', reply: 'The bells ring out over the square.' }
+    ]
+  });
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api);
+  characterId = character.id;
+  sessionId = (await api('POST', '/sessions', { world_id: world.id, character_ids: [characterId] })).body.id;
+});
+
+after(() => server.close());
+
+const act = action => api('POST', `/sessions/${sessionId}/action`, { character_id: characterId, action });
+const lastPrompt = () => server.llm.chatRequests().at(-1).messages[0].content;
+
+test('actions move the clock by what they take', async () => {
+  const clock = (await api('GET', `/clock/sessions/${sessionId}`)).body;
+  assert.equal(clock.label, '1 Seedtide 1012 AR, 08:00');
+  assert.equal(clock.timeOfDay, 'morning');
+  assert.equal(clock.season, 'spring');
+
+  await act('I look around the square');
+  assert.match(lastPrompt(), /\*\*Time:\*\* 1 Seedtide 1012 AR, 08:30 \(morning, spring\)/);
+
+  const travelled = await act('We travel to Eastmere');
+  assert.equal(travelled.body.clock.label, '1 Seedtide 1012 AR, 12:30');
+  assert.equal(travelled.body.clock.timeOfDay, 'noon');
+
+  await act('We rest until dawn');
+  assert.match(lastPrompt(), /\*\*Time Passed:\*\* 16 hours 30 minutes \(1 day passes; it is now dawn[;)]/);
+
+  const session = (await api('GET', `/sessions/${sessionId}`)).body;
+  assert.equal(session.clock.label, '2 Seedtide 1012 AR, 05:00');
+  assert.equal(session.state.gameState.timeOfDay, 'dawn');
+  assert.equal(session.state.gameState.season, 'spring');
+});
+
+test('timed events fire and staff are paid as time passes', async () => {
+  const bells = (await api('POST', `/clock/sessions/${sessionId}/events`, {
+    name: 'Temple bells',
+    description: 'Bells call the faithful to prayer',
+    in: { minutes: 10 },
+    repeat: { days: 1 }
+  })).body;
+  assert.equal(bells.in, '10 minutes');
+  assert.equal(bells.repeatEvery, '1 day');
+
+  await api('POST', `/clock/sessions/${sessionId}/events`, { name: 'Caravan arrives', in: { days: 3 } });
+
+  await act('I wait for an hour');
+  assert.match(lastPrompt(), /\*\*Just Happened:\*\* Temple bells - Bells call the faithful to prayer/);
+  assert.match(lastPrompt(), /\*\*Coming Up:\*\* Temple bells in 23 hours/);
+
+  const pending = (await api('GET', `/clock/sessions/${sessionId}/events`)).body;
+  assert.deepEqual(pending.map(event => event.name), ['Temple bells', 'Caravan arrives']);
+
+  const bram = await api('POST', `/persistence/sessions/${sessionId}/staff`, { name: 'Bram', role: 'porter', wages: 10, employerId: characterId });
+  assert.equal(bram.status, 200);
+  await api('POST', `/persistence/sessions/${sessionId}/staff`, { name: 'Sir Aldric', role: 'bodyguard', wages: 1000, employerId: characterId });
+
+  const week = (await api('POST', `/clock/sessions/${sessionId}/advance`, { days: 8 })).body;
+  assert.ok(week.changes.includes('8 days pass'));
+  assert.deepEqual(week.events.map(event => event.name).sort(), ['Caravan arrives', 'Temple bells']);
+  assert.deepEqual(week.wages.map(w => [w.staff, w.paid]).sort(), [['Bram', true], ['Sir Aldric', false]]);
+
+  const wallet = (await api('GET', `/economy/characters/${characterId}/wallet`)).body;
+  assert.equal(wallet.balance, 90);
+  assert.equal(wallet.transactions[0].reason, 'wages');
+
+  const staff = (await api('GET', `/persistence/sessions/${sessionId}/staff`)).body;
+  assert.equal(staff.find(s => s.name === 'Sir Aldric').status, 'unpaid');
+
+  const fired = (await api('GET', `/clock/sessions/${sessionId}/events?status=fired`)).body;
+  assert.deepEqual(fired.map(event => event.name), ['Caravan arrives']);
+
+  const summer = (await api('POST', `/clock/sessions/${sessionId}/advance`, { days: 90 })).body;
+  assert.ok(summer.changes.includes('summer begins'));
+  assert.equal(summer.clock.season, 'summer');
+});
+
+test('an action that fails passes no time, so trying again pays wages once', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const id = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body.id;
+  await api('POST', `/persistence/sessions/${id}/staff`, { name: 'Wren', role: 'cook', wages: 10, employerId: character.id });
+
+  const start = (await api('GET', `/clock/sessions/${id}`)).body;
+  const balance = async () => (await api('GET', `/economy/characters/${character.id}/wallet`)).body.balance;
+  const before = await balance();
+  const shelter = () => api('POST', `/sessions/${id}/action`, { character_id: character.id, action: 'We shelter from the storm for 8 days' });
+
+  failNext = true;
+  assert.equal((await shelter()).status, 500);
+  assert.equal((await api('GET', `/clock/sessions/${id}`)).body.minutes, start.minutes);
+  assert.equal(await balance(), before);
+
+  const sheltered = await shelter();
+  assert.equal(sheltered.status, 200);
+  assert.match(lastPrompt(), /\*\*Wages:\*\* Wren was paid 10 gold/);
+  assert.equal(sheltered.body.clock.minutes, start.minutes + 8 * 24 * 60);
+  assert.equal(await balance(), before - 10);
+});
+
+test('rejects bad clock requests', async () => {
+  assert.equal((await api('GET', '/clock/sessions/missing')).status, 404);
+  assert.equal((await api('POST', '/clock/sessions/missing/advance', { hours: 1 })).status, 404);
+
+  const backwards = await api('POST', `/clock/sessions/${sessionId}/advance`, { hours: -2 });
+  assert.equal(backwards.status, 400);
+  assert.equal(backwards.body.error, 'Invalid duration');
+
+  assert.equal((await api('POST', `/clock/sessions/${sessionId}/events`, { in: { hours: 1 } })).status, 400);
+  assert.equal((await api('POST', `/clock/sessions/${sessionId}/events`, { name: 'Yesterday', at: 0 })).status, 400);
+  assert.equal((await api('GET', `/clock/sessions/${sessionId}/events?status=lost`)).status, 400);
+  assert.equal((await api('DELETE', `/clock/sessions/${sessionId}/events/missing`)).status, 404);
+
+  assert.equal((await api('POST', `/persistence/sessions/${sessionId}/staff`, { name: 'Ghost', employerId: 'missing' })).status, 404);
+  assert.equal((await api('POST', `/persistence/sessions/${sessionId}/staff`, { name: 'Greedy', wages: -5 })).status, 400);
+});
+
+test('custom settings bring their own calendar', async () => {
+  const template = {
+    name: 'Two Moons',
+    attributes: ['STR', 'DEX', 'INT', 'CHA'],
+    classes: ['Wanderer'],
+    skills: ['Stargazing'],
+    calendar: {
+      months: [{ name: 'Brightmoon', days: 20, season: 'summer' }, { name: 'Darkmoon', days: 20, season: 'winter' }],
+      startYear: 77,
+      era: 'TM',
+      start: { month: 1, day: 5, hour: 22 }
+    }
+  };
+  const created = await api('POST', '/templates', template);
+  assert.equal(created.status, 200);
+
+  const { world, character } = await createWorldWithCharacter(api, { setting: 'two-moons' });
+  const id = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body.id;
+  const clock = (await api('GET', `/clock/sessions/${id}`)).body;
+  assert.equal(clock.label, '5 Darkmoon 77 TM, 22:00');
+  assert.equal(clock.season, 'winter');
+  assert.equal(clock.timeOfDay, 'night');
+
+  const invalid = await api('POST', '/templates', {
+    ...template,
+    name: 'Broken Moons',
+    calendar: { months: [{ name: 'Nevermonth', days: 0 }] }
+  });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+
+before(async () => {
+  server = await startTestServer();
+  api = server.api;
+});
+
+after(() => server.close());
+
+async function createSession(setting = 'fantasy', attributes = undefined) {
+  const { world, character } = await createWorldWithCharacter(api, { setting, character: { attributes } });
+  const session = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body;
+  return { character, sessionId: session.id };
+}
+
+test('hit points come from each setting\'s toughness attribute', async () => {
+  const cases = [
+    ['fantasy', { STR: 10, DEX: 14, CON: 14 }, 24, 12],
+    ['scifi', { PHY: 16, REF: 10 }, 26, 10],
+    ['horror', { END: 8, AGI: 12 }, 18, 11]
+  ];
+
+  for (const [setting, attributes, maxHp, armor] of cases) {
+    const { sessionId } = await createSession(setting, attributes);
+    const encounter = (await api('POST', `/combat/sessions/${sessionId}/encounters`, { name: 'Ambush' })).body;
+    const [pc] = encounter.combatants;
+    assert.equal(pc.kind, 'pc');
+    assert.equal(pc.max_hp, maxHp, setting);
+    assert.equal(pc.hp, maxHp);
+    assert.equal(pc.armor, armor, setting);
+  }
+});
+
+test('rounds tick conditions down and defeated foes pay out XP', async () => {
+  const { character, sessionId } = await createSession();
+  const base = `/combat/sessions/${sessionId}/encounters`;
+
+  const encounter = (await api('POST', base, {
+    name: 'Goblin Raid',
+    enemies: [{ name: 'Goblin', tier: 'minion' }, { name: 'Ogre', hp: 20, armor: 13 }]
+  })).body;
+  assert.deepEqual(encounter.combatants.map(c => c.name).sort(), ['Aria Vale', 'Goblin', 'Ogre']);
+  assert.equal(encounter.round, 1);
+  assert.equal(encounter.current.id, encounter.combatants[0].id);
+
+  assert.equal((await api('POST', base, { name: 'Second fight' })).status, 409);
+  assert.equal((await api('GET', `${base}/active`)).body.id, encounter.id);
+
+  const byName = name => encounter.combatants.find(c => c.name === name);
+  const combatant = name => `${base}/${encounter.id}/combatants/${byName(name).id}`;
+
+  await api('POST', `${combatant('Aria Vale')}/conditions`, { name: 'poisoned', duration: 2 });
+  const prone = (await api('POST', `${combatant('Aria Vale')}/conditions`, { name: 'prone' })).body;
+  assert.deepEqual(prone.conditions, [{ name: 'poisoned', duration: 2 }, { name: 'prone', duration: null }]);
+  assert.equal((await api('POST', `${combatant('Aria Vale')}/conditions`, { name: 'dazed', duration: 0 })).status, 400);
+
+  // Three turns make a round; poisoned lasts two of them
+  const advance = () => api('POST', `${base}/${encounter.id}/advance`);
+  let result;
+  for (let turn = 0; turn < 3; turn++) result = (await advance()).body;
+  assert.equal(result.encounter.round, 2);
+  assert.deepEqual(result.encounter.combatants.find(c => c.kind === 'pc').conditions, [
+    { name: 'poisoned', duration: 1 },
+    { name: 'prone', duration: null }
+  ]);
+
+  const expired = [];
+  for (let turn = 0; turn < 3; turn++) expired.push(...(await advance()).body.expiredConditions);
+  assert.deepEqual(expired, [{ combatant: 'Aria Vale', condition: 'poisoned' }]);
+
+  // Damage and healing stay within 0 and max HP
+  const goblin = (await api('POST', `${combatant('Goblin')}/damage`, { amount: 10 })).body.combatant;
+  assert.equal(goblin.hp, 0);
+  assert.equal(goblin.status, 'defeated');
+  await api('POST', `${combatant('Aria Vale')}/damage`, { amount: 5 });
+  const healed = (await api('POST', `${combatant('Aria Vale')}/damage`, { amount: 50, type: 'healing' })).body.combatant;
+  assert.equal(healed.hp, healed.max_hp);
+  assert.equal((await api('POST', `${combatant('Ogre')}/damage`, { amount: 'lots' })).status, 400);
+
+  // The GM's attack example uses a foe still standing
+  await api('POST', `/sessions/${sessionId}/action`, { character_id: character.id, action: 'I swing at the ogre' });
+  const prompt = server.llm.chatRequests().filter(r => !r.response_format).at(-1).messages[0].content;
+  assert.match(prompt, /## Active Encounter: Goblin Raid \(Round 3\)/);
+  assert.match(prompt, /- Goblin \[Enemy\] HP 0\/6, Armor 10 - DEFEATED/);
+  assert.match(prompt, /an attack on Ogre is \[ROLL:skill:13\]/);
+
+  // The minion's 6 HP are worth 30 XP; the ogre is still standing
+  const ended = (await api('POST', `${base}/${encounter.id}/end`, { outcome: 'victory' })).body;
+  assert.equal(ended.status, 'ended');
+  assert.equal(ended.outcome, 'victory');
+  assert.deepEqual(ended.xpAwards.map(award => [award.name, award.awarded]), [['Aria Vale', 30]]);
+
+  const progression = (await api('GET', `/characters/${character.id}/progression`)).body;
+  assert.equal(progression.xp, 30);
+
+  assert.equal((await advance()).status, 409);
+  assert.equal((await api('GET', `${base}/active`)).status, 404);
+  assert.deepEqual((await api('GET', base)).body.map(e => e.id), [encounter.id]);
+});
+
+test('rejects encounters that cannot be fought', async () => {
+  const { sessionId } = await createSession();
+
+  assert.equal((await api('POST', '/combat/sessions/missing/encounters', {})).status, 404);
+  assert.equal((await api('POST', `/combat/sessions/${sessionId}/encounters`, { character_ids: [] })).status, 400);
+  assert.equal((await api('GET', `/combat/sessions/${sessionId}/encounters/missing`)).status, 404);
+
+  const encounter = (await api('POST', `/combat/sessions/${sessionId}/encounters`, {})).body;
+  const missing = `/combat/sessions/${sessionId}/encounters/${encounter.id}/combatants/missing`;
+  assert.equal((await api('POST', `${missing}/damage`, { amount: 1 })).status, 404);
+  assert.equal((await api('POST', `${missing}/conditions`, { name: 'stunned' })).status, 404);
+});
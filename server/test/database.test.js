@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { existsSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+let dir;
+let dbPath;
+let database;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'humbbot-db-'));
+  dbPath = join(dir, 'rpg.db');
+  process.env.DB_PATH = dbPath;
+  process.env.DB_SAVE_DELAY_MS = '50';
+
+  // Imported late so the module sees the environment above
+  database = await import('../db/init.js');
+  await database.initDatabase();
+});
+
+after(async () => {
+  database.closeDatabase();
+  await rm(dir, { recursive: true, force: true });
+});
+
+function addWorld(id) {
+  database.execute(
+    'INSERT INTO worlds (id, name, setting) VALUES (?, ?, ?)',
+    [id, `World ${id}`, 'fantasy']
+  );
+}
+
+test('commits every write in a transaction together', () => {
+  const result = database.transaction(() => {
+    addWorld('w1');
+    addWorld('w2');
+    return 'done';
+  });
+
+  assert.equal(result, 'done');
+  assert.equal(database.queryAll("SELECT id FROM worlds WHERE id IN ('w1', 'w2')").length, 2);
+});
+
+test('rolls back a failed transaction', () => {
+  assert.throws(() => database.transaction(() => {
+    addWorld('w3');
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.equal(database.queryOne("SELECT id FROM worlds WHERE id = 'w3'"), null);
+});
+
+test('rolls back only the failed part of a nested transaction', () => {
+  database.transaction(() => {
+    addWorld('w4');
+    assert.throws(() => database.transaction(() => {
+      addWorld('w5');
+      throw new Error('inner');
+    }));
+  });
+
+  assert.ok(database.queryOne("SELECT id FROM worlds WHERE id = 'w4'"));
+  assert.equal(database.queryOne("SELECT id FROM worlds WHERE id = 'w5'"), null);
+});
+
+test('refuses async transaction callbacks', async () => {
+  assert.throws(() => database.transaction(async () => addWorld('w6')), /synchronous/);
+  assert.equal(database.queryOne("SELECT id FROM worlds WHERE id = 'w6'"), null);
+});
+
+test('batches saves and writes the file atomically', async () => {
+  database.saveDatabase();
+  const savedAt = statSync(dbPath).mtimeMs;
+
+  addWorld('w7');
+  addWorld('w8');
+  assert.equal(statSync(dbPath).mtimeMs, savedAt, 'writes are not saved immediately');
+
+  await sleep(150);
+  assert.ok(statSync(dbPath).mtimeMs > savedAt, 'the debounced save ran');
+  assert.ok(!existsSync(`${dbPath}.tmp`), 'no temp file is left behind');
+});
+
+test('reloads what was saved', async () => {
+  addWorld('w9');
+  database.closeDatabase();
+
+  await database.initDatabase();
+  assert.ok(database.queryOne("SELECT id FROM worlds WHERE id = 'w9'"));
+});
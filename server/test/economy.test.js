@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let characterId;
+let sessionId;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [{
+      schema: 'state_changes',
+      reply: body => ({
+        location: { changed: false },
+        npcs: [],
+        items: [],
+        relationships: [],
+        currency: body.messages.at(-1).content.includes('coin purse')
+          ? [{ character: 'Aria Vale', amount: 12, reason: 'loot', description: 'A bandit\'s coin purse' }]
+          : []
+      })
+    }]
+  });
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api);
+  characterId = character.id;
+  sessionId = (await api('POST', '/enhanced-sessions', { worldId: world.id, characterIds: [character.id] })).body.id;
+
+  await api('POST', `/persistence/sessions/${sessionId}/npcs`, {
+    name: 'Old Tobin',
+    type: 'merchant',
+    location: 'Market Square',
+    inventory: [{ name: 'Lantern', quantity: 2, price: 15 }, 'Rope']
+  });
+});
+
+after(() => server.close());
+
+const wallet = async () => (await api('GET', `/economy/characters/${characterId}/wallet`)).body;
+const trade = body => api('POST', `/economy/sessions/${sessionId}/trade`, { characterId, npc: 'Old Tobin', ...body });
+
+test('opens a wallet with the setting\'s starting funds', async () => {
+  const { balance, currency, formatted, transactions } = await wallet();
+  assert.equal(balance, 100);
+  assert.equal(currency, 'gold');
+  assert.equal(formatted, '100 gold');
+  assert.deepEqual(transactions.map(t => [t.reason, t.amount, t.balance_after]), [['starting', 100, 100]]);
+
+  assert.equal((await api('GET', '/economy/characters/missing/wallet')).status, 404);
+});
+
+test('records payments and refuses to overspend', async () => {
+  const base = `/economy/characters/${characterId}/transactions`;
+
+  const paid = await api('POST', base, { amount: 25, reason: 'wages', description: 'Dock work', session_id: sessionId });
+  assert.equal(paid.status, 200);
+  assert.equal(paid.body.balance, 125);
+
+  const overspent = await api('POST', base, { amount: -500, reason: 'fee' });
+  assert.equal(overspent.status, 409);
+  assert.equal(overspent.body.error, 'Insufficient funds');
+  assert.equal((await wallet()).balance, 125);
+
+  assert.equal((await api('POST', base, { amount: 5, reason: 'theft' })).status, 400);
+  assert.equal((await api('POST', base, { amount: 1.5 })).status, 400);
+
+  await api('POST', base, { amount: -25, reason: 'adjustment' });
+});
+
+test('buys from and sells to an NPC', async () => {
+  const bought = await trade({ mode: 'buy', item: 'lantern' });
+  assert.equal(bought.status, 200);
+  assert.equal(bought.body.total, 15);
+  assert.equal(bought.body.balance, 85);
+  assert.deepEqual(bought.body.npcInventory.map(i => [i.name, i.quantity]), [['Lantern', 1], ['Rope', 1]]);
+
+  const inventoryUrl = `/persistence/sessions/${sessionId}/characters/${characterId}/inventory`;
+  let inventory = (await api('GET', inventoryUrl)).body.inventory;
+  assert.deepEqual(inventory.map(i => [i.name, i.quantity]), [['Lantern', 1]]);
+
+  // Rope has no listed price, and a price from the client is never used
+  assert.equal((await trade({ mode: 'buy', item: 'Rope' })).status, 400);
+  assert.equal((await trade({ mode: 'buy', item: 'Rope', price: 0 })).status, 400);
+  assert.equal((await trade({ mode: 'buy', item: 'Lantern', quantity: 5 })).status, 409);
+  assert.equal((await trade({ mode: 'buy', item: 'Sword' })).status, 404);
+
+  const sold = await trade({ mode: 'sell', item: 'Lantern', price: 500 });
+  assert.equal(sold.status, 200);
+  assert.equal(sold.body.balance, 100);
+  assert.equal(sold.body.npcInventory.find(i => i.name === 'Lantern').quantity, 2);
+
+  inventory = (await api('GET', inventoryUrl)).body.inventory;
+  assert.deepEqual(inventory, []);
+
+  const { transactions } = await wallet();
+  assert.deepEqual(transactions.slice(0, 2).map(t => [t.reason, t.amount, t.counterparty]), [
+    ['sell', 15, 'Old Tobin'],
+    ['buy', -15, 'Old Tobin']
+  ]);
+});
+
+test('pays quest rewards into every wallet', async () => {
+  const quest = (await api('POST', `/quests/sessions/${sessionId}/quests`, {
+    title: 'Clear the cellar',
+    rewards: { xp: 50, currency: 30 }
+  })).body;
+
+  const { body } = await api('POST', `/quests/sessions/${sessionId}/quests/${quest.id}/status`, { status: 'completed' });
+  assert.equal(body.payments.length, 1);
+  assert.equal(body.payments[0].balance, 130);
+
+  const { transactions } = await wallet();
+  assert.equal(transactions[0].reason, 'reward');
+  assert.equal(transactions[0].description, 'Quest completed: Clear the cellar');
+});
+
+test('shows the balance to the GM and applies money from the story', async () => {
+  const { body } = await api('POST', `/enhanced-sessions/${sessionId}/action`, { characterId, action: 'I take the coin purse' });
+  assert.deepEqual(body.stateChanges.currency, [{ characterId, character: 'Aria Vale', amount: 12, balance: 142 }]);
+
+  const prompt = server.llm.chatRequests()
+    .map(request => request.messages[0].content)
+    .findLast(content => content.includes('## Active Characters'));
+  assert.match(prompt, /Funds: 130 gold/);
+
+  const { transactions } = await wallet();
+  assert.deepEqual([transactions[0].reason, transactions[0].description], ['loot', 'A bandit\'s coin purse']);
+});
+
+test('treats an NPC inventory that no longer parses as empty', async () => {
+  await api('POST', `/persistence/sessions/${sessionId}/npcs`, { name: 'Cracked Jug', type: 'merchant', location: 'Docks' });
+  const { execute } = await import('../db/init.js');
+  execute('UPDATE session_npcs SET inventory = ? WHERE session_id = ? AND npc_name = ?', ['[{"name": "Lan', sessionId, 'Cracked Jug']);
+
+  const bought = await trade({ npc: 'Cracked Jug', mode: 'buy', item: 'Lantern' });
+  assert.equal(bought.status, 404);
+
+  const shop = await api('POST', `/economy/sessions/${sessionId}/shops`, { name: 'Jug Stall', owner: 'Cracked Jug' });
+  assert.equal(shop.status, 200);
+  assert.deepEqual(shop.body.stock, []);
+});
@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter, parseEvents } from './helpers.js';
+
+let server;
+let api;
+let whileGenerating = null;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      {
+        schema: 'state_changes',
+        reply: body => body.messages.at(-1).content.includes('Salt Gate')
+          ? {
+            location: { changed: true, name: 'Salt Gate', description: 'The harbor gate' },
+            npcs: [{ name: 'Mira Hale', role: 'Captain', disposition: 'friendly' }],
+            items: [{ character: 'Aria Vale', name: 'Brass Key', change: 'gained', quantity: 1 }],
+            relationships: [{ npc: 'Mira Hale', trust: 0.4, reason: 'Helped her at the gate' }]
+          }
+          : { location: { changed: false }, npcs: [], items: [], relationships: [] }
+      },
+      { match: 'Salt Gate', reply: 'You pass the Salt Gate. Captain Mira Hale hands you a brass key.' },
+      {
+        match: 'wait for the others',
+        reply: async () => {
+          const during = whileGenerating;
+          whileGenerating = null;
+          if (during) await during();
+          return 'Footsteps echo in the hall.';
+        }
+      },
+    ]
+  });
+  api = server.api;
+});
+
+after(() => server.close());
+
+async function createSession() {
+  const { world, character } = await createWorldWithCharacter(api);
+  const { status, body } = await api('POST', '/enhanced-sessions', {
+    worldId: world.id,
+    characterIds: [character.id]
+  });
+  assert.equal(status, 200);
+  return { world, character, session: body };
+}
+
+test('creates an enhanced session with memory', async () => {
+  const { world, session } = await createSession();
+  assert.equal(session.worldId, world.id);
+  assert.equal(session.memoryEnabled, true);
+
+  const { body } = await api('GET', `/enhanced-sessions/${session.id}`);
+  assert.equal(body.characters[0].name, 'Aria Vale');
+  assert.equal(body.currentScene.location, 'starting area');
+
+  const status = await api('GET', `/enhanced-sessions/${session.id}/status`);
+  assert.equal(status.body.active, true);
+});
+
+test('rejects unknown worlds and sessions', async () => {
+  assert.equal((await api('POST', '/enhanced-sessions', {})).status, 400);
+  assert.equal((await api('POST', '/enhanced-sessions', { worldId: 'missing' })).status, 404);
+  assert.equal((await api('POST', '/enhanced-sessions/missing/action', { action: 'wait' })).status, 404);
+  assert.equal((await api('GET', '/enhanced-sessions/missing/memory')).status, 404);
+});
+
+test('plays an action, records history and applies state changes', async () => {
+  const { character, session } = await createSession();
+
+  const { status, body } = await api('POST', `/enhanced-sessions/${session.id}/action`, {
+    characterId: character.id,
+    action: 'I head through the Salt Gate'
+  });
+  assert.equal(status, 200);
+  assert.match(body.response, /Captain Mira Hale/);
+  assert.equal(body.stateChanges.location, 'Salt Gate');
+  assert.deepEqual(body.stateChanges.npcs, ['Mira Hale']);
+  assert.equal(body.sessionUpdate.currentScene.location, 'Salt Gate');
+
+  const messages = (await api('GET', `/enhanced-sessions/${session.id}/messages`)).body;
+  assert.deepEqual(messages.map(m => m.role), ['player', 'gm']);
+  assert.equal(messages[0].content, 'I head through the Salt Gate');
+
+  // Extracted changes are persisted: the key is in the inventory, the captain at the gate
+  const inventory = (await api('GET', `/persistence/sessions/${session.id}/characters/${character.id}/inventory`)).body;
+  assert.ok(inventory.inventory.some(item => item.name === 'Brass Key'));
+
+  const npcs = (await api('GET', `/persistence/sessions/${session.id}/locations/Salt%20Gate/npcs`)).body;
+  assert.deepEqual(npcs.npcs.map(npc => npc.name), ['Mira Hale']);
+});
+
+test('records the turn in memory and searches it', async () => {
+  const { session } = await createSession();
+  await api('POST', `/enhanced-sessions/${session.id}/action`, { action: 'I head through the Salt Gate' });
+
+  const memory = (await api('GET', `/enhanced-sessions/${session.id}/memory`)).body;
+  const types = memory.events.map(event => event.type);
+  assert.ok(types.includes('player_action'));
+  assert.ok(types.includes('gm_response'));
+
+  const search = await api('POST', `/enhanced-sessions/${session.id}/search`, { query: 'Salt Gate' });
+  assert.equal(search.status, 200);
+  assert.ok(search.body.total > 0);
+
+  // Embeddings were requested from the mock's embedding endpoint
+  assert.ok(server.llm.requests.some(r => r.path === '/embeddings'));
+
+  const stats = (await api('GET', `/enhanced-sessions/${session.id}/stats`)).body;
+  assert.ok(stats.memoryStats.vector.totalEvents > 0);
+
+  assert.equal((await api('POST', `/enhanced-sessions/${session.id}/search`, { query: ' ' })).status, 400);
+});
+
+test('streams an enhanced action', async () => {
+  const { session } = await createSession();
+
+  const { body } = await api('POST', `/enhanced-sessions/${session.id}/action/stream`, { action: 'I wait by the fire' });
+  const events = parseEvents(body);
+
+  assert.equal(events[0].event, 'action');
+  assert.ok(events.some(e => e.event === 'token'));
+  assert.equal(events.at(-1).event, 'done');
+  assert.match(events.at(-1).data.response, /The Game Master nods/);
+});
+
+test('keeps turn order changes made while the GM is generating', async () => {
+  const { world, character, session } = await createSession();
+  const second = (await api('POST', '/characters', { world_id: world.id, name: 'Bram Stone', class: 'Fighter' })).body;
+  await api('POST', `/sessions/${session.id}/turns`, {});
+
+  // Bram joins while the GM is still describing Aria's action
+  whileGenerating = () => api('POST', `/sessions/${session.id}/characters`, { character_id: second.id });
+  const { status, body } = await api('POST', `/enhanced-sessions/${session.id}/action`, {
+    characterId: character.id,
+    action: 'I wait for the others'
+  });
+  assert.equal(status, 200);
+  assert.equal(body.turn.current.characterId, second.id);
+
+  const order = (await api('GET', `/sessions/${session.id}/turns`)).body;
+  assert.deepEqual(order.order.map(entry => entry.characterId), [character.id, second.id]);
+});
+
+test('updates the scene and releases the session manager', async () => {
+  const { session } = await createSession();
+
+  const scene = await api('PATCH', `/enhanced-sessions/${session.id}/scene`, { location: 'Old Mill', atmosphere: 'quiet' });
+  assert.equal(scene.body.scene.location, 'Old Mill');
+
+  await api('DELETE', `/enhanced-sessions/${session.id}/cleanup`);
+  assert.equal((await api('GET', `/enhanced-sessions/${session.id}/status`)).body.active, false);
+});
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let characterId;
+let sessionId;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      { match: 'pick the lock', reply: 'The lock resists. [ROLL:Stealth:medium]' },
+      { match: 'DICE RESULTS', reply: 'The tumblers give way with a soft click.' }
+    ]
+  });
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api, {
+    character: { attributes: { STR: 12, DEX: 14, CON: 12, INT: 10, WIS: 10, CHA: 10 } }
+  });
+  characterId = character.id;
+  sessionId = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body.id;
+
+  const items = [
+    { name: 'Chain Mail', type: 'armor', properties: { slot: 'armor', modifiers: { armor: 3, attributes: { DEX: -2 } } } },
+    { name: 'Shadow Cloak', type: 'clothing', properties: { slot: 'trinket', modifiers: { skills: { Stealth: 2 } } } },
+    { name: 'Dagger', type: 'weapon', quantity: 2, properties: { slot: 'weapon', modifiers: { skills: { Melee: 1 } } } }
+  ];
+  for (const item of items) {
+    await api('POST', `/persistence/sessions/${sessionId}/characters/${characterId}/inventory`, item);
+  }
+});
+
+after(() => server.close());
+
+const equip = (item, slot) => api('POST', `/characters/${characterId}/equipment`, { item, slot, session_id: sessionId });
+const unequip = slot => api('DELETE', `/characters/${characterId}/equipment/${slot}?session_id=${sessionId}`);
+const inventory = async () => (await api('GET', `/persistence/sessions/${sessionId}/characters/${characterId}/inventory`)).body.inventory
+  .map(i => [i.name, i.quantity, i.location]);
+
+test('lists the setting\'s slots and unequipped stats', async () => {
+  const { status, body } = await api('GET', `/characters/${characterId}/equipment?session_id=${sessionId}`);
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body.slots), ['weapon', 'offhand', 'armor', 'head', 'trinket']);
+  assert.deepEqual(body.equipment, []);
+  assert.deepEqual(body.derivedStats, { maxHp: 22, armor: 12, initiativeBonus: 2 });
+
+});
+
+test('equips items and applies their modifiers', async () => {
+  const armored = await equip('chain mail');
+  assert.equal(armored.status, 200);
+  assert.equal(armored.body.slot, 'armor');
+  // +3 armor, but DEX 14 -> 12 costs a point of armor and initiative
+  assert.deepEqual(armored.body.derivedStats, { maxHp: 22, armor: 14, initiativeBonus: 1 });
+
+  // One dagger leaves the stack
+  const armed = await equip('Dagger');
+  assert.equal(armed.status, 200);
+  assert.deepEqual(armed.body.equipment.map(i => [i.slotName, i.name, i.summary]), [
+    ['Weapon', 'Dagger', '+1 Melee'],
+    ['Armor', 'Chain Mail', '-2 DEX, +3 armor']
+  ]);
+  assert.deepEqual((await inventory()).filter(([name]) => name === 'Dagger').sort(), [
+    ['Dagger', 1, 'equipped'],
+    ['Dagger', 1, 'inventory']
+  ]);
+
+  assert.equal((await equip('Shadow Cloak', 'belt')).status, 400);
+  assert.equal((await equip('Longbow', 'weapon')).status, 404);
+
+  // Unequipping stacks the dagger back
+  const unarmed = await unequip('weapon');
+  assert.equal(unarmed.status, 200);
+  assert.equal(unarmed.body.unequipped, 'Dagger');
+  assert.deepEqual((await inventory()).filter(([name]) => name === 'Dagger'), [['Dagger', 2, 'inventory']]);
+  assert.equal((await unequip('weapon')).status, 404);
+});
+
+test('adds gear to rolls and shows it to the GM', async () => {
+  await equip('Shadow Cloak');
+
+  const { body } = await api('POST', `/sessions/${sessionId}/action`, {
+    character_id: characterId,
+    action: 'I pick the lock'
+  });
+  assert.equal(body.rolls[0].gearBonus, 2);
+  assert.equal(body.rolls[0].total, body.rolls[0].roll + body.rolls[0].modifier + 2);
+
+  const prompt = server.llm.chatRequests()
+    .map(request => request.messages[0].content)
+    .findLast(content => content.includes('## Active Characters'));
+  assert.match(prompt, /Equipped: Chain Mail \(Armor: -2 DEX, \+3 armor\), Shadow Cloak \(Trinket: \+2 Stealth\)/);
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let worldId;
+let characterId;
+let sessionId;
+const factions = {};
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      {
+        schema: 'state_changes',
+        reply: body => body.messages.at(-1).content.includes('smuggler')
+          ? {
+            location: { changed: false },
+            npcs: [],
+            items: [],
+            relationships: [],
+            reputation: [{ faction: 'harbor watch', change: 20, reason: 'Turned in a smuggler' }]
+          }
+          : { location: { changed: false }, npcs: [], items: [], relationships: [] }
+      },
+      { match: 'smuggler', reply: 'The watch captain claps you on the shoulder.' },
+      { match: 'room', reply: 'For a friend of the Watch, a room is on the house.' }
+    ]
+  });
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api);
+  worldId = world.id;
+  characterId = character.id;
+  sessionId = (await api('POST', '/enhanced-sessions', { worldId, characterIds: [characterId] })).body.id;
+
+  for (const name of ['Harbor Watch', 'Merchant Guild', 'Black Sails']) {
+    factions[name] = (await api('POST', `/worlds/${worldId}/factions`, { name, goals: 'Keep the harbor theirs' })).body;
+  }
+  const stance = (a, b, value) =>
+    api('PUT', `/worlds/${worldId}/factions/${factions[a].id}/stances/${factions[b].id}`, { stance: value });
+  await stance('Harbor Watch', 'Merchant Guild', 'allied');
+  await stance('Black Sails', 'Harbor Watch', 'war');
+
+  await api('POST', `/persistence/sessions/${sessionId}/npcs`, {
+    name: 'Marta',
+    location: 'Harbor',
+    inventory: [{ name: 'Lantern', quantity: 5, price: 100 }]
+  });
+  await api('PUT', `/factions/sessions/${sessionId}/npcs/marta/faction`, { faction: 'merchant guild' });
+});
+
+after(() => server.close());
+
+const standings = async () => Object.fromEntries(
+  (await api('GET', `/factions/characters/${characterId}/reputation`)).body.map(f => [f.faction, [f.reputation, f.tier]])
+);
+
+test('factions hold stances and members', async () => {
+  const list = (await api('GET', `/worlds/${worldId}/factions`)).body;
+  const watch = list.find(f => f.name === 'Harbor Watch');
+  assert.deepEqual(watch.goals, ['Keep the harbor theirs']);
+  assert.deepEqual(watch.stances.map(s => [s.faction, s.stance]), [['Black Sails', 'war'], ['Merchant Guild', 'allied']]);
+  assert.deepEqual(list.find(f => f.name === 'Merchant Guild').members, ['Marta']);
+
+  assert.equal((await api('POST', `/worlds/${worldId}/factions`, { name: 'harbor watch' })).status, 409);
+  assert.equal((await api('POST', `/worlds/${worldId}/factions`, {})).status, 400);
+  assert.equal((await api('PUT', `/worlds/${worldId}/factions/${watch.id}/stances/${watch.id}`, { stance: 'war' })).status, 400);
+  assert.equal((await api('PUT', `/worlds/${worldId}/factions/${watch.id}/stances/missing`, { stance: 'bored' })).status, 400);
+  assert.equal((await api('PUT', `/factions/sessions/${sessionId}/npcs/marta/faction`, { faction: 'Nobody' })).status, 404);
+});
+
+test('deeds in play change reputation, spreading to allies and enemies', async () => {
+  await api('POST', `/enhanced-sessions/${sessionId}/action`, { characterId, action: 'I hand the smuggler to the watch' });
+
+  assert.deepEqual(await standings(), {
+    'Black Sails': [-10, 'Unfriendly'],
+    'Harbor Watch': [20, 'Friendly'],
+    'Merchant Guild': [10, 'Friendly']
+  });
+
+  const history = (await api('GET', `/factions/characters/${characterId}/reputation`)).body
+    .find(f => f.faction === 'Merchant Guild').history;
+  assert.equal(history[0].cause, 'Turned in a smuggler (via Harbor Watch)');
+  assert.equal(history[0].sessionId, sessionId);
+
+  // The GM sees standings on the next turn
+  await api('POST', `/enhanced-sessions/${sessionId}/action`, { characterId, action: 'I ask the watch for a room' });
+  const prompt = server.llm.chatRequests().filter(r => !r.response_format).at(-1).messages[0].content;
+  assert.match(prompt, /## Factions/);
+  assert.match(prompt, /\*\*Harbor Watch\*\*[\s\S]*Standing: Aria Vale Friendly \(\+20\)/);
+  assert.match(prompt, /Stances: war with Black Sails, allied with Merchant Guild/);
+});
+
+test('reputation tiers change shop prices and NPC disposition', async () => {
+  const shop = (await api('POST', `/economy/sessions/${sessionId}/shops`, { name: 'Lamp Stall', owner: 'Marta' })).body;
+  const quote = async () => (await api('GET', `/economy/sessions/${sessionId}/shops/${shop.id}?character_id=${characterId}`)).body;
+  const adjust = (faction, change) =>
+    api('POST', `/factions/characters/${characterId}/reputation`, { faction, change, ripple: false, reason: 'test' });
+
+  // Friendly with the Merchant Guild: 5% off
+  assert.equal((await quote()).standing.tier, 'Friendly');
+  assert.equal((await quote()).stock[0].buyPrice, 95);
+
+  await adjust('Merchant Guild', 25);
+  assert.equal((await quote()).stock[0].buyPrice, 90);
+
+  const persona = (await api('GET', `/sessions/${sessionId}/npcs`)).body.find(npc => npc.name === 'Marta');
+  assert.equal(persona.faction, 'Merchant Guild');
+
+  // Honored: Marta warms from neutral to friendly toward Aria
+  await api('POST', `/sessions/${sessionId}/npcs/Marta/talk`, { character_id: characterId, message: 'Spare a room?' });
+  const system = server.llm.chatRequests().at(-1).messages[0].content;
+  assert.match(system, /Member of: Merchant Guild, where Aria Vale is Honored/);
+  assert.match(system, /Attitude toward the party: friendly/);
+
+  // Hated: Marta won't trade at all
+  await adjust('Merchant Guild', -200);
+  assert.equal((await quote()).standing.tier, 'Hated');
+  const refused = await api('POST', `/economy/sessions/${sessionId}/shops/${shop.id}/trade`, {
+    characterId, mode: 'buy', item: 'Lantern'
+  });
+  assert.equal(refused.status, 403);
+  assert.match(refused.body.details, /Merchant Guild/);
+
+  assert.equal((await adjust('Nobody', 5)).status, 404);
+  assert.equal((await adjust('Merchant Guild', 0)).status, 400);
+});
+
+test('standing never lets a character sell back at a profit', async () => {
+  const shop = (await api('POST', `/economy/sessions/${sessionId}/shops`, { name: 'Lamp Counter', owner: 'Marta', buyRate: 1 })).body;
+  const trade = mode => api('POST', `/economy/sessions/${sessionId}/shops/${shop.id}/trade`, { characterId, mode, item: 'Lantern' });
+  const balance = async () => (await api('GET', `/economy/characters/${characterId}/wallet`)).body.balance;
+
+  await api('POST', `/factions/characters/${characterId}/reputation`, { faction: 'Merchant Guild', change: 200, ripple: false, reason: 'test' });
+  const quote = (await api('GET', `/economy/sessions/${sessionId}/shops/${shop.id}?character_id=${characterId}`)).body;
+  assert.equal(quote.standing.tier, 'Exalted');
+  assert.equal(quote.sellRate, 0.8);
+
+  const start = await balance();
+  for (let round = 0; round < 3; round++) {
+    assert.equal((await trade('buy')).status, 200);
+    assert.equal((await trade('sell')).status, 200);
+    assert.ok(await balance() <= start);
+  }
+});
@@ -0,0 +1,100 @@
+/**
+ * Test harness
+ *
+ * Runs the API in-process (fastify.inject) against a throwaway database,
+ * with chat and embeddings served by the mock LLM server. Each test file
+ * runs in its own process, so one harness per file.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMockLlmServer } from '../mock-llm-server.js';
+
+/**
+ * Start the mock LLM and the API
+ * Memory and vector stores are written relative to the working directory,
+ * so the process moves into a temp directory until close().
+ * Service logs go to stderr until then too: node --test reads each file's
+ * results from its stdout and fails with "Unable to deserialize cloned data"
+ * when an emoji log line follows a result (seen on Node 20 and 22).
+ */
+export async function startTestServer({ fixtures = [] } = {}) {
+  const originalDir = process.cwd();
+  const dir = await mkdtemp(join(tmpdir(), 'humbbot-test-'));
+  process.chdir(dir);
+
+  const originalLog = console.log;
+  console.log = console.error;
+
+  const llm = createMockLlmServer({ fixtures });
+  const llmUrl = await llm.listen();
+
+  Object.assign(process.env, {
+    DB_PATH: join(dir, 'rpg.db'),
+    RPG_CONFIG: join(dir, 'config.json'), // not created: ignore the repo's config.json
+    LLM_PROVIDER: 'openai',
+    LLM_BASE_URL: llmUrl,
+    EMBEDDING_PROVIDER: 'openai',
+    EMBEDDING_BASE_URL: llmUrl
+  });
+
+  // Imported late so the modules see the environment above
+  const { resetLlmConfig } = await import('../services/llm-providers.js');
+  resetLlmConfig();
+  const { buildServer } = await import('../index.js');
+  const app = await buildServer({ logger: false });
+
+  /**
+   * Call the API; JSON bodies are parsed, anything else is returned as text
+   */
+  const api = async (method, url, payload) => {
+    const response = await app.inject({ method, url: `/api${url}`, payload });
+    const isJson = response.headers['content-type']?.includes('application/json');
+    return { status: response.statusCode, body: isJson ? response.json() : response.body };
+  };
+
+  const close = async () => {
+    await app.close();
+    await llm.close();
+    process.chdir(originalDir);
+    console.log = originalLog;
+    await rm(dir, { recursive: true, force: true });
+  };
+
+  return { app, api, llm, dir, close };
+}
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+export function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      return { event, data: data && JSON.parse(data) };
+    });
+}
+
+/**
+ * Create a world and a character in it
+ */
+export async function createWorldWithCharacter(api, { setting = 'fantasy', character = {} } = {}) {
+  const world = (await api('POST', '/worlds', {
+    name: 'Test World',
+    setting,
+    description: 'A world for integration tests'
+  })).body;
+
+  const created = (await api('POST', '/characters', {
+    world_id: world.id,
+    name: 'Aria Vale',
+    class: 'Rogue',
+    ...character
+  })).body;
+
+  return { world, character: created };
+}
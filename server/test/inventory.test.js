@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let worldId;
+let characterId;
+let sessionId;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [{ match: 'check my pack', reply: 'You have a rope and two torches.' }]
+  });
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api, {
+    character: { inventory: ['Rope', { name: 'Torch', quantity: 2 }] }
+  });
+  worldId = world.id;
+  characterId = character.id;
+  sessionId = (await api('POST', '/sessions', { world_id: worldId, character_ids: [characterId] })).body.id;
+});
+
+after(() => server.close());
+
+const names = items => items.map(i => [i.name, i.quantity, i.scope]);
+const sessionInventory = async id =>
+  (await api('GET', `/persistence/sessions/${id}/characters/${characterId}/inventory`)).body.inventory;
+
+test('the character sheet, the session and the GM see the same items', async () => {
+  const character = (await api('GET', `/characters/${characterId}`)).body;
+  assert.deepEqual(names(character.inventory), [['Rope', 1, 'character'], ['Torch', 2, 'character']]);
+  assert.deepEqual(names(await sessionInventory(sessionId)), names(character.inventory));
+
+  const session = (await api('GET', `/sessions/${sessionId}`)).body;
+  assert.deepEqual(names(session.characters[0].inventory), names(character.inventory));
+
+  await api('POST', `/sessions/${sessionId}/action`, { character_id: characterId, action: 'I check my pack' });
+  const prompt = server.llm.chatRequests().at(-1).messages[0].content;
+  assert.match(prompt, /Carrying: Rope, Torch \(2\)/);
+});
+
+test('items gained in a session go with the character', async () => {
+  await api('POST', `/persistence/sessions/${sessionId}/characters/${characterId}/inventory`, { name: 'Silver Key' });
+
+  const character = (await api('GET', `/characters/${characterId}`)).body;
+  assert.ok(character.inventory.some(i => i.name === 'Silver Key'));
+
+  const nextSession = (await api('POST', '/sessions', { world_id: worldId, character_ids: [characterId] })).body.id;
+  assert.ok((await sessionInventory(nextSession)).some(i => i.name === 'Silver Key'));
+});
+
+test('session-scoped items stay in their session', async () => {
+  const added = await api('POST', `/persistence/sessions/${sessionId}/characters/${characterId}/inventory`, {
+    name: 'Dream Shard',
+    scope: 'session'
+  });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.item.scope, 'session');
+
+  assert.equal((await api('POST', `/persistence/sessions/${sessionId}/characters/${characterId}/inventory`, {
+    name: 'Pebble',
+    scope: 'party'
+  })).status, 400);
+
+  const otherSession = (await api('POST', '/sessions', { world_id: worldId, character_ids: [characterId] })).body.id;
+  assert.ok((await sessionInventory(sessionId)).some(i => i.name === 'Dream Shard'));
+  assert.ok(!(await sessionInventory(otherSession)).some(i => i.name === 'Dream Shard'));
+
+  // Editing the character sheet replaces their own items only
+  await api('PUT', `/characters/${characterId}`, { inventory: ['Lantern'] });
+  assert.deepEqual(names(await sessionInventory(sessionId)), [['Dream Shard', 1, 'session'], ['Lantern', 1, 'character']]);
+});
@@ -0,0 +1,225 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMockLlmServer } from '../mock-llm-server.js';
+import { getLlmConfig, describeLlmConfig, getProvider, resetLlmConfig } from '../services/llm-providers.js';
+import { chatJson, generateGMResponse } from '../services/llm.js';
+
+const ENV_KEYS = [
+  'RPG_CONFIG', 'LLM_PROVIDER', 'LLM_BASE_URL', 'LLM_MODEL', 'LLM_API_KEY',
+  'LLM_BRIEF_PROVIDER', 'LLM_BRIEF_BASE_URL', 'LLM_BRIEF_MODEL',
+  'EMBEDDING_PROVIDER', 'EMBEDDING_BASE_URL', 'EMBEDDING_MODEL'
+];
+
+let dir;
+let savedEnv;
+let native;
+
+/**
+ * A stand-in for Ollama and KoboldCpp's native endpoints
+ * Records each request and answers in that backend's own format.
+ */
+function createNativeServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = data ? JSON.parse(data) : {};
+      requests.push({ path: req.url, body });
+
+      if (req.url === '/api/chat' && body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write(`${JSON.stringify({ message: { content: 'Rain ' }, done: false })}\n`);
+        return res.end(`${JSON.stringify({ message: { content: 'falls.' }, done: true })}\n`);
+      }
+      if (req.url === '/api/chat') {
+        const content = body.format ? JSON.stringify({ answer: 'yes' }) : 'Ollama speaks.';
+        return res.end(JSON.stringify({ message: { role: 'assistant', content }, done: true }));
+      }
+      if (req.url === '/api/v1/generate') {
+        return res.end(JSON.stringify({ results: [{ text: '  Kobold speaks.\n' }] }));
+      }
+      if (req.url === '/api/extra/generate/stream') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`event: message\ndata: ${JSON.stringify({ token: 'Snow ' })}\n\n`);
+        return res.end(`event: message\ndata: ${JSON.stringify({ token: 'falls.' })}\n\n`);
+      }
+      res.writeHead(404);
+      res.end('{}');
+    });
+  });
+
+  return {
+    requests,
+    async listen() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function collect(stream) {
+  const tokens = [];
+  for await (const token of stream) tokens.push(token);
+  return tokens;
+}
+
+before(async () => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  for (const key of ENV_KEYS) delete process.env[key];
+
+  dir = await mkdtemp(join(tmpdir(), 'humbbot-providers-'));
+  process.env.RPG_CONFIG = join(dir, 'config.json');
+
+  native = createNativeServer();
+  native.url = await native.listen();
+});
+
+beforeEach(() => resetLlmConfig());
+
+after(async () => {
+  await native.close();
+  await rm(dir, { recursive: true, force: true });
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  resetLlmConfig();
+});
+
+test('configuration layers: defaults < config.json < environment < world', async () => {
+  assert.equal(getLlmConfig().baseUrl, 'http://127.0.0.1:8080/v1');
+  assert.equal(getLlmConfig().model, 'local-main');
+
+  await writeFile(process.env.RPG_CONFIG, JSON.stringify({
+    llm: {
+      baseUrl: 'http://file-host:8080/v1',
+      model: 'file-model',
+      apiKey: 'file-key',
+      brief: { model: 'file-brief' },
+      embedding: { model: 'file-embed' }
+    }
+  }));
+  process.env.LLM_MODEL = 'env-model';
+  process.env.EMBEDDING_BASE_URL = '';
+  resetLlmConfig();
+
+  const global = getLlmConfig();
+  assert.equal(global.baseUrl, 'http://file-host:8080/v1');
+  assert.equal(global.model, 'env-model');
+  assert.equal(global.brief.model, 'file-brief');
+  // An empty variable does not blank out a lower layer
+  assert.equal(global.embedding.baseUrl, 'http://127.0.0.1:8082/v1');
+  assert.equal(global.embedding.model, 'file-embed');
+
+  // A world's config (stored as a string) sits on top; switching provider
+  // without a URL uses that provider's default rather than the file's
+  const world = { config: JSON.stringify({ llm: { provider: 'ollama', model: 'world-model', brief: { model: '' } } }) };
+  const routes = describeLlmConfig(world);
+  assert.deepEqual(routes.story, {
+    provider: 'ollama',
+    baseUrl: 'http://127.0.0.1:11434',
+    model: 'world-model',
+    apiKey: 'set'
+  });
+  assert.equal(routes.brief.model, 'file-brief');
+  assert.equal(routes.embedding.provider, 'openai');
+
+  delete process.env.LLM_MODEL;
+  delete process.env.EMBEDDING_BASE_URL;
+  await rm(process.env.RPG_CONFIG);
+});
+
+test('quick lookups go to the brief model, story actions to the story model', async () => {
+  const story = createMockLlmServer({ script: ['The door creaks open.'] });
+  const brief = createMockLlmServer({ script: ['A rope and a lantern.'] });
+  const world = {
+    name: 'Routing World',
+    setting: 'fantasy',
+    config: {
+      llm: {
+        baseUrl: await story.listen(),
+        model: 'story-model',
+        brief: { baseUrl: await brief.listen(), model: 'brief-model' }
+      }
+    }
+  };
+  const session = { characters: [], messageHistory: [] };
+
+  try {
+    assert.equal(await generateGMResponse(world, session, 'What is in my inventory?'), 'A rope and a lantern.');
+    assert.equal(await generateGMResponse(world, session, 'I push the door open'), 'The door creaks open.');
+
+    const [lookup] = brief.chatRequests();
+    assert.equal(lookup.model, 'brief-model');
+    assert.equal(lookup.temperature, 0.3);
+    assert.equal(lookup.max_tokens, 200);
+
+    const [action] = story.chatRequests();
+    assert.equal(action.model, 'story-model');
+    assert.equal(action.max_tokens, 800);
+    assert.equal(story.chatRequests().length, 1);
+    assert.equal(brief.chatRequests().length, 1);
+  } finally {
+    await story.close();
+    await brief.close();
+  }
+
+  // Without a brief model, lookups fall back to the story server
+  const fallback = describeLlmConfig({ config: { llm: { baseUrl: 'http://story:1/v1', model: 'story-model' } } });
+  assert.deepEqual([fallback.brief.baseUrl, fallback.brief.model], ['http://story:1/v1', 'story-model']);
+});
+
+test('Ollama gets chat messages with its own options and the schema as format', async () => {
+  const world = { config: { llm: { provider: 'ollama', baseUrl: `${native.url}/`, model: 'llama3' } } };
+  const ollama = getProvider(world);
+  const messages = [{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'Weather?' }];
+  native.requests.length = 0;
+
+  assert.equal(await ollama.chat(messages, { temperature: 0.4, maxTokens: 50, stopSequences: ['END'] }), 'Ollama speaks.');
+  assert.deepEqual(native.requests[0], {
+    path: '/api/chat',
+    body: { model: 'llama3', messages, stream: false, options: { temperature: 0.4, num_predict: 50, stop: ['END'] } }
+  });
+
+  assert.deepEqual(await collect(ollama.chatStream(messages, { maxTokens: 50 })), ['Rain ', 'falls.']);
+  assert.equal(native.requests[1].body.stream, true);
+
+  const schema = { type: 'object', properties: { answer: { type: 'string' } }, required: ['answer'] };
+  assert.deepEqual(await chatJson(messages, schema, { world }), { answer: 'yes' });
+  assert.deepEqual(native.requests[2].body.format, schema);
+});
+
+test('KoboldCpp gets one flattened prompt with chat turns as stop sequences', async () => {
+  const kobold = getProvider({ config: { llm: { provider: 'koboldcpp', baseUrl: native.url } } });
+  const messages = [
+    { role: 'system', content: 'Be terse.' },
+    { role: 'user', content: 'Weather?' },
+    { role: 'assistant', content: 'Grey.' },
+    { role: 'user', content: 'And tomorrow?' }
+  ];
+  native.requests.length = 0;
+
+  const options = { temperature: 0.6, maxTokens: 80, stopSequences: ['END'], grammar: 'root ::= "yes"' };
+  assert.equal(await kobold.chat(messages, options), 'Kobold speaks.');
+  assert.deepEqual(native.requests[0], {
+    path: '/api/v1/generate',
+    body: {
+      prompt: '### System:\nBe terse.\n\n### User:\nWeather?\n\n### Assistant:\nGrey.\n\n### User:\nAnd tomorrow?\n\n### Assistant:\n',
+      temperature: 0.6,
+      max_length: 80,
+      stop_sequence: ['### User:', 'END'],
+      grammar: 'root ::= "yes"'
+    }
+  });
+
+  assert.deepEqual(await collect(kobold.chatStream(messages, { maxTokens: 80 })), ['Snow ', 'falls.']);
+  assert.equal(native.requests[1].path, '/api/extra/generate/stream');
+  assert.deepEqual(native.requests[1].body.stop_sequence, ['### User:']);
+});
@@ -0,0 +1,60 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let worldId;
+
+const LORE = {
+  title: 'The Sundering',
+  category: 'history',
+  content: 'The old kingdom split in a single night.'
+};
+
+before(async () => {
+  server = await startTestServer();
+  api = server.api;
+  worldId = (await createWorldWithCharacter(api)).world.id;
+});
+
+beforeEach(() => server.llm.reset());
+
+after(() => server.close());
+
+test('an invalid structured reply is sent back to the model with its problems', async () => {
+  server.llm.enqueue('I would rather tell you a story instead.', LORE);
+
+  const result = await api('POST', '/llm/generate/lore', { world_id: worldId, prompt: 'How did it fall?', save: true });
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body.content, LORE);
+  assert.equal(result.body.kind, 'lore');
+  assert.equal(result.body.saved.title, 'The Sundering');
+
+  const [first, retry] = server.llm.chatRequests('lore');
+  assert.equal(server.llm.chatRequests('lore').length, 2);
+  assert.equal(first.response_format.json_schema.strict, true);
+  assert.deepEqual(retry.messages.at(-2), { role: 'assistant', content: 'I would rather tell you a story instead.' });
+  assert.match(retry.messages.at(-1).content, /That reply was not valid: Response is not valid JSON/);
+
+  const codex = (await api('GET', `/worlds/${worldId}/content/lore`)).body;
+  assert.ok(codex.some(entry => entry.title === 'The Sundering'));
+});
+
+test('a reply that never matches the schema is a 502', async () => {
+  server.llm.enqueue('not json', { title: 'Half an answer' }, '```json\n{ "title": "Still wrong"\n```');
+
+  const result = await api('POST', '/llm/generate/lore', { world_id: worldId, prompt: 'Tell me more', save: true });
+  assert.equal(result.status, 502);
+  assert.equal(result.body.error, 'Generated content did not match the schema');
+  assert.equal(result.body.details, 'Response is not valid JSON');
+  assert.match(result.body.content, /Still wrong/);
+
+  // The first try and two retries, each shown what was wrong with the last
+  const requests = server.llm.chatRequests('lore');
+  assert.equal(requests.length, 3);
+  assert.match(requests[2].messages.at(-1).content, /\$\.category is required; \$\.content is required/);
+
+  const codex = (await api('GET', `/worlds/${worldId}/content/lore`)).body;
+  assert.ok(!codex.some(entry => entry.title === 'Half an answer'));
+});
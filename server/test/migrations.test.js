@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSqlJsBackend } from '../db/backends.js';
+import { loadMigrations, migrationStatus, runMigrations } from '../db/migrate.js';
+
+// An in-memory database (the path never exists, and nothing here saves it)
+function openBlank() {
+  return createSqlJsBackend(join(tmpdir(), `humbbot-migrate-${process.pid}-${Math.random()}.db`));
+}
+
+function columns(db, table) {
+  return db.all(`PRAGMA table_info(${table})`).map(row => row.name);
+}
+
+test('creates the full schema on a new database', async () => {
+  const db = await openBlank();
+  const migrations = await loadMigrations();
+
+  const result = await runMigrations(db);
+  assert.equal(result.from, 0);
+  assert.equal(result.to, migrations.at(-1).version);
+  assert.deepEqual(result.applied.map(m => m.version), migrations.map(m => m.version));
+
+  assert.ok(columns(db, 'characters').includes('credits'));
+  assert.ok(columns(db, 'character_inventory').includes('item_name'));
+
+  // Running again is a no-op
+  const again = await runMigrations(db);
+  assert.deepEqual(again.applied, []);
+  assert.deepEqual((await migrationStatus(db)).pending, []);
+});
+
+test('upgrades a database created before migrations existed', async () => {
+  const db = await openBlank();
+  db.exec(`CREATE TABLE worlds (id TEXT PRIMARY KEY, name TEXT NOT NULL, setting TEXT NOT NULL, description TEXT,
+    config TEXT DEFAULT '{}', created_at TEXT, updated_at TEXT)`);
+  db.exec(`CREATE TABLE characters (id TEXT PRIMARY KEY, world_id TEXT NOT NULL, player_id TEXT, name TEXT NOT NULL,
+    class TEXT, level INTEGER DEFAULT 1, xp INTEGER DEFAULT 0, attributes TEXT DEFAULT '{}', skills TEXT DEFAULT '{}',
+    inventory TEXT DEFAULT '[]', backstory TEXT, notes TEXT, created_at TEXT, updated_at TEXT,
+    unspent_attribute_points INTEGER DEFAULT 0)`);
+  db.run(`INSERT INTO worlds (id, name, setting) VALUES ('w1', 'Old World', 'fantasy')`);
+  db.run(`INSERT INTO characters (id, world_id, name) VALUES ('c1', 'w1', 'Old Hero')`);
+
+  assert.equal((await migrationStatus(db)).current, 0);
+  await runMigrations(db);
+
+  const character = db.all(`SELECT name, credits, unspent_skill_points FROM characters`)[0];
+  assert.deepEqual({ ...character }, { name: 'Old Hero', credits: 0, unspent_skill_points: 0 });
+  assert.ok(db.all(`SELECT name FROM sqlite_master WHERE name = 'session_npcs'`).length);
+});
+
+test('dry runs report pending migrations without changing anything', async () => {
+  const db = await openBlank();
+
+  const result = await runMigrations(db, { dryRun: true });
+  assert.ok(result.applied.length > 0);
+  assert.equal(result.dryRun, true);
+
+  assert.deepEqual(db.all(`SELECT name FROM sqlite_master WHERE type = 'table'`), []);
+  assert.equal((await migrationStatus(db)).current, 0);
+});
+
+test('stops at the last good version when a migration fails', async () => {
+  const db = await openBlank();
+  const migrations = [
+    { version: 1, name: 'one', description: 'one', up: d => d.exec('CREATE TABLE one (id INTEGER)') },
+    { version: 2, name: 'broken', description: 'broken', up: d => {
+      d.exec('CREATE TABLE two (id INTEGER)');
+      d.exec('INSERT INTO missing VALUES (1)');
+    } }
+  ];
+
+  await assert.rejects(runMigrations(db, { migrations }), /Migration 002_broken failed/);
+  const status = await migrationStatus(db, migrations);
+  assert.equal(status.current, 1);
+  assert.deepEqual(status.pending.map(m => m.name), ['broken']);
+  assert.equal(db.all(`SELECT name FROM sqlite_master WHERE name = 'two'`).length, 0);
+});
+
+test('refuses databases from a newer server', async () => {
+  const db = await openBlank();
+  await runMigrations(db);
+  db.run('INSERT INTO schema_version (version, name) VALUES (999, ?)', ['future']);
+
+  await assert.rejects(runMigrations(db), /newer than this server/);
+});
+
+test('merges session inventories and the old inventory column into one', async () => {
+  const db = await openBlank();
+  const migrations = await loadMigrations();
+  await runMigrations(db, { migrations: migrations.filter(m => m.version < 7) });
+
+  db.run(`INSERT INTO worlds (id, name, setting) VALUES ('w1', 'World', 'fantasy')`);
+  db.run(`INSERT INTO characters (id, world_id, name, inventory) VALUES ('c1', 'w1', 'Hero', ?)`,
+    [JSON.stringify(['Rope', { name: 'Torch', quantity: 2 }])]);
+  for (const [id, session, item, quantity, location, slot, updated] of [
+    ['i1', 's1', 'Torch', 1, 'inventory', null, 1],
+    ['i2', 's2', 'Sword', 1, 'equipped', 'weapon', 2],
+    ['i3', 's1', 'Axe', 1, 'equipped', 'weapon', 1]
+  ]) {
+    db.run(`INSERT INTO character_inventory (id, session_id, character_id, item_id, item_name, quantity, location, slot, updated_at)
+      VALUES (?, ?, 'c1', ?, ?, ?, ?, ?, ?)`, [id, session, id, item, quantity, location, slot, updated]);
+  }
+
+  await runMigrations(db, { migrations });
+
+  const items = db.all(`SELECT item_name, quantity, location, slot, session_id FROM character_inventory ORDER BY item_name`)
+    .map(row => ({ ...row }));
+  assert.deepEqual(items, [
+    { item_name: 'Axe', quantity: 1, location: 'inventory', slot: null, session_id: null },
+    { item_name: 'Rope', quantity: 1, location: 'inventory', slot: null, session_id: null },
+    { item_name: 'Sword', quantity: 1, location: 'equipped', slot: 'weapon', session_id: null },
+    { item_name: 'Torch', quantity: 3, location: 'inventory', slot: null, session_id: null }
+  ]);
+  assert.equal(db.all(`SELECT inventory FROM characters`)[0].inventory, '[]');
+});
+
+test('turns session NPC attitudes into relationship graph edges', async () => {
+  const db = await openBlank();
+  const migrations = await loadMigrations();
+  await runMigrations(db, { migrations: migrations.filter(m => m.version < 10) });
+
+  db.run(`INSERT INTO worlds (id, name, setting) VALUES ('w1', 'World', 'fantasy')`);
+  db.run(`INSERT INTO characters (id, world_id, name) VALUES ('c1', 'w1', 'Hero'), ('c2', 'w1', 'Sidekick')`);
+  db.run(`INSERT INTO sessions (id, world_id) VALUES ('s1', 'w1')`);
+  db.run(`INSERT INTO session_participants (session_id, character_id) VALUES ('s1', 'c1'), ('s1', 'c2')`);
+  db.run(`INSERT INTO session_npcs (id, session_id, npc_name, location, relationship_data) VALUES
+    ('n1', 's1', 'Mira', 'Gate', ?), ('n2', 's1', 'Dorn', 'Gate', '{}')`,
+  [JSON.stringify({ trust: 0.4, fear: -0.2, interactionCount: 3 })]);
+
+  await runMigrations(db, { migrations });
+
+  const edges = db.all(`SELECT source_ref, target_ref, trust, fear, interaction_count FROM relationships ORDER BY target_ref`)
+    .map(row => ({ ...row }));
+  assert.deepEqual(edges, [
+    { source_ref: 'Mira', target_ref: 'c1', trust: 0.4, fear: -0.2, interaction_count: 3 },
+    { source_ref: 'Mira', target_ref: 'c2', trust: 0.4, fear: -0.2, interaction_count: 3 }
+  ]);
+  assert.equal(db.all(`SELECT * FROM relationship_history`).length, 2);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockLlmServer } from '../mock-llm-server.js';
+import { chat, chatStream, chatJson } from '../services/llm.js';
+import { getProvider } from '../services/llm-providers.js';
+import { STATE_CHANGES_SCHEMA, validateSchema } from '../services/schemas.js';
+
+let mock;
+let world;
+
+before(async () => {
+  mock = createMockLlmServer({
+    fixtures: [
+      { match: /dragon/i, reply: 'A dragon circles overhead.' },
+      { schema: 'state_changes', reply: { location: { changed: true, name: 'Tower' }, npcs: [], items: [], relationships: [] } }
+    ]
+  });
+  const url = await mock.listen();
+
+  // A world whose config points every route at the mock
+  world = {
+    name: 'Mock World',
+    config: { llm: { provider: 'openai', baseUrl: url, embedding: { provider: 'openai', baseUrl: url } } }
+  };
+});
+
+after(() => mock.close());
+
+test('answers from fixtures, then the default narration', async () => {
+  assert.equal(await chat([{ role: 'user', content: 'Is that a DRAGON?' }], { world }), 'A dragon circles overhead.');
+  assert.match(await chat([{ role: 'user', content: 'I wait' }], { world }), /The Game Master nods/);
+});
+
+test('uses scripted replies in order before fixtures', async () => {
+  mock.enqueue('First.', 'Second.');
+  const messages = [{ role: 'user', content: 'dragon' }];
+
+  assert.equal(await chat(messages, { world }), 'First.');
+  assert.equal(await chat(messages, { world }), 'Second.');
+  assert.equal(await chat(messages, { world }), 'A dragon circles overhead.');
+});
+
+test('streams replies token by token', async () => {
+  const tokens = [];
+  for await (const token of chatStream([{ role: 'user', content: 'dragon' }], { world })) {
+    tokens.push(token);
+  }
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), 'A dragon circles overhead.');
+});
+
+test('answers structured requests with schema-valid JSON', async () => {
+  const changes = await chatJson([{ role: 'user', content: 'x' }], STATE_CHANGES_SCHEMA, { world, name: 'state_changes' });
+  assert.equal(changes.location.name, 'Tower');
+
+  // Without a fixture the reply is the smallest value the schema allows
+  const sampled = await chatJson([{ role: 'user', content: 'x' }], STATE_CHANGES_SCHEMA, { world, name: 'other' });
+  assert.deepEqual(validateSchema(STATE_CHANGES_SCHEMA, sampled), []);
+  assert.equal(mock.chatRequests('other')[0].response_format.type, 'json_schema');
+});
+
+test('returns deterministic embeddings that reflect shared words', async () => {
+  const embedder = getProvider(world, 'embedding');
+  const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+  const gate = await embedder.embed('The party reaches the harbor gate');
+  assert.deepEqual(await embedder.embed('The party reaches the harbor gate'), gate);
+
+  const similar = await embedder.embed('At the harbor gate the party waits');
+  const unrelated = await embedder.embed('Dwarven ale brewing secrets');
+  assert.ok(cosine(gate, similar) > cosine(gate, unrelated));
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let characterId;
+let sessionId;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      { match: 'room for the night', reply: 'Aye, two silver a night, and mind the stairs.' },
+      { match: 'cellar', reply: '*wipes the bar a little too hard* Nothing down there but barrels.' }
+    ]
+  });
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api);
+  characterId = character.id;
+  sessionId = (await api('POST', '/sessions', { world_id: world.id, character_ids: [characterId] })).body.id;
+
+  // Mira's secret only exists in the world codex
+  await api('POST', `/worlds/${world.id}/content/npcs`, {
+    name: 'Mira',
+    role: 'innkeeper of the Rusty Anchor',
+    personality: 'warm but guarded',
+    secrets: 'She hides a smuggler in the cellar'
+  });
+  await api('POST', `/persistence/sessions/${sessionId}/npcs`, { name: 'Mira', location: 'Rusty Anchor', disposition: 'friendly' });
+  await api('POST', `/persistence/sessions/${sessionId}/npcs`, {
+    name: 'Lord Aldric',
+    location: 'Keep',
+    voice: 'noble',
+    goals: ['Find whoever is smuggling past his toll'],
+    secrets: ['He owes the smugglers money']
+  });
+});
+
+after(() => server.close());
+
+const talk = (npc, message) => api('POST', `/sessions/${sessionId}/npcs/${encodeURIComponent(npc)}/talk`, {
+  character_id: characterId,
+  message
+});
+const lastChat = () => server.llm.chatRequests().at(-1).messages;
+
+test('NPCs answer in their own voice with their goals and secrets', async () => {
+  const { status, body } = await talk('mira', 'Do you have a room for the night?');
+  assert.equal(status, 200);
+  assert.equal(body.npc, 'Mira');
+  assert.equal(body.reply, 'Aye, two silver a night, and mind the stairs.');
+
+  const system = lastChat()[0].content;
+  assert.match(system, /You are Mira, innkeeper of the Rusty Anchor/);
+  assert.match(system, /How You Speak \(merchant\)/);
+  assert.match(system, /Personality: warm but guarded/);
+  assert.match(system, /She hides a smuggler in the cellar/);
+  assert.match(system, /Attitude toward the party: friendly/);
+
+  await talk('Lord Aldric', 'My lord, a word?');
+  const noble = lastChat()[0].content;
+  assert.match(noble, /How You Speak \(noble\)/);
+  assert.match(noble, /Find whoever is smuggling past his toll/);
+
+  const npcs = (await api('GET', `/sessions/${sessionId}/npcs`)).body;
+  assert.deepEqual(npcs.map(n => [n.name, n.voice, n.exchanges]), [['Lord Aldric', 'noble', 1], ['Mira', 'merchant', 1]]);
+  assert.ok(npcs.every(n => n.secrets === undefined));
+});
+
+test('NPCs remember earlier exchanges with the same character', async () => {
+  await talk('Mira', 'What is in the cellar?');
+
+  const messages = lastChat();
+  assert.deepEqual(messages.slice(1).map(m => [m.role, m.content]), [
+    ['user', 'Aria Vale: Do you have a room for the night?'],
+    ['assistant', 'Aye, two silver a night, and mind the stairs.'],
+    ['user', 'Aria Vale: What is in the cellar?']
+  ]);
+
+  const { body } = await api('GET', `/sessions/${sessionId}/npcs/Mira/dialogue?character_id=${characterId}`);
+  assert.deepEqual(body.exchanges.map(e => e.message), ['Do you have a room for the night?', 'What is in the cellar?']);
+
+  const history = (await api('GET', `/sessions/${sessionId}`)).body.history;
+  assert.deepEqual(history.slice(-2).map(h => h.content), [
+    'Aria Vale (to Mira): What is in the cellar?',
+    'Mira: *wipes the bar a little too hard* Nothing down there but barrels.'
+  ]);
+  assert.equal(history.at(-1).metadata.type, 'npc_dialogue');
+});
+
+test('rejects unknown, silent and unaddressed NPCs', async () => {
+  assert.equal((await talk('Nobody', 'Hello?')).status, 404);
+  assert.equal((await talk('Mira', '   ')).status, 400);
+
+  await api('PATCH', `/persistence/sessions/${sessionId}/npcs/Lord Aldric`, { status: 'dead' });
+  const silent = await talk('Lord Aldric', 'My lord?');
+  assert.equal(silent.status, 409);
+  assert.match(silent.body.details, /dead/);
+});
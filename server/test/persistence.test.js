@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let sessionId;
+let characterId;
+
+before(async () => {
+  server = await startTestServer();
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api);
+  characterId = character.id;
+  sessionId = (await api('POST', '/enhanced-sessions', { worldId: world.id, characterIds: [character.id] })).body.id;
+});
+
+after(() => server.close());
+
+test('adds and removes inventory items', async () => {
+  const base = `/persistence/sessions/${sessionId}/characters/${characterId}/inventory`;
+
+  const added = await api('POST', base, { name: 'Healing Potion', type: 'consumable', quantity: 2 });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.item.name, 'Healing Potion');
+
+  await api('POST', base, { name: 'Rope', quantity: 1 });
+  let inventory = (await api('GET', base)).body.inventory;
+  assert.deepEqual(inventory.map(item => [item.name, item.quantity]).sort(), [['Healing Potion', 2], ['Rope', 1]]);
+
+  const removed = await api('DELETE', `${base}/Healing%20Potion?quantity=1`);
+  assert.equal(removed.status, 200);
+  inventory = (await api('GET', base)).body.inventory;
+  assert.equal(inventory.find(item => item.name === 'Healing Potion').quantity, 1);
+
+  await api('DELETE', `${base}/Rope`);
+  inventory = (await api('GET', base)).body.inventory;
+  assert.ok(!inventory.some(item => item.name === 'Rope'));
+
+  assert.equal((await api('POST', base, {})).status, 400);
+});
+
+test('creates NPCs, moves them and finds them by name', async () => {
+  const base = `/persistence/sessions/${sessionId}`;
+
+  const created = await api('POST', `${base}/npcs`, {
+    name: 'Old Tobin',
+    type: 'merchant',
+    description: 'A stooped trader',
+    location: 'Market Square'
+  });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.npc.location, 'Market Square');
+
+  const atMarket = (await api('GET', `${base}/locations/Market%20Square/npcs`)).body.npcs;
+  assert.deepEqual(atMarket.map(npc => npc.name), ['Old Tobin']);
+
+  await api('PATCH', `${base}/npcs/Old%20Tobin`, { location: 'Docks', disposition: 'friendly' });
+  const atDocks = (await api('GET', `${base}/locations/Docks/npcs`)).body.npcs;
+  assert.equal(atDocks[0].disposition, 'friendly');
+
+  const found = await api('GET', `${base}/find/Old%20Tobin`);
+  assert.equal(found.body.entity.type, 'npc');
+  assert.equal((await api('GET', `${base}/find/Nobody`)).status, 404);
+
+  assert.equal((await api('POST', `${base}/npcs`, { name: 'No Location' })).status, 400);
+});
+
+test('creates buildings and builds location context', async () => {
+  const base = `/persistence/sessions/${sessionId}`;
+
+  const created = await api('POST', `${base}/buildings`, {
+    name: 'The Gilded Anchor',
+    type: 'tavern',
+    description: 'A noisy dockside tavern',
+    location: 'Docks'
+  });
+  assert.equal(created.status, 200);
+
+  const buildings = (await api('GET', `${base}/locations/Docks/buildings`)).body.buildings;
+  assert.deepEqual(buildings.map(b => b.name), ['The Gilded Anchor']);
+
+  const { context } = (await api('GET', `${base}/locations/Docks/context`)).body;
+  assert.deepEqual(context.buildings.map(b => b.name), ['The Gilded Anchor']);
+  assert.ok(context.npcs.some(npc => npc.name === 'Old Tobin'));
+});
+
+test('returns 404 for unknown sessions', async () => {
+  const { status } = await api('GET', `/persistence/sessions/missing/characters/${characterId}/inventory`);
+  assert.equal(status, 404);
+});
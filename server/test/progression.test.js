@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+
+before(async () => {
+  server = await startTestServer();
+  api = server.api;
+});
+
+after(() => server.close());
+
+test('XP crosses level thresholds and level-ups spend points', async () => {
+  const { world, character } = await createWorldWithCharacter(api, {
+    character: { attributes: { STR: 10, DEX: 14, CON: 12, INT: 10, WIS: 10, CHA: 10 } }
+  });
+  const session = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body;
+  const base = `/characters/${character.id}`;
+
+  const start = (await api('GET', `${base}/progression`)).body;
+  assert.equal(start.level, 1);
+  assert.equal(start.nextLevelXp, 300);
+  assert.equal(start.pendingLevelUps, 0);
+
+  const early = await api('POST', `${base}/level-up`, {});
+  assert.equal(early.status, 409);
+  assert.match(early.body.details, /needs 300 more XP/);
+
+  const short = (await api('POST', `${base}/xp`, { amount: 250, reason: 'Cleared the cellar' })).body;
+  assert.equal(short.levelUpAvailable, false);
+  assert.equal(short.progression.xpToNextLevel, 50);
+
+  // 750 XP passes both level 2 (300) and level 3 (700)
+  const crossed = (await api('POST', `${base}/xp`, { amount: 500 })).body;
+  assert.equal(crossed.levelUpAvailable, true);
+  assert.equal(crossed.progression.pendingLevelUps, 2);
+
+  const invalid = await api('POST', `${base}/level-up`, { attributes: { DEX: 2, LUCK: 1 }, skills: { Stealth: 0 } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid point allocation');
+  assert.match(invalid.body.details, /Skill Stealth: points must be a positive whole number/);
+  assert.match(invalid.body.details, /Unknown attribute for .*: LUCK/);
+  assert.match(invalid.body.details, /Only 1 attribute point\(s\) available/);
+
+  const leveled = await api('POST', `${base}/level-up`, {
+    attributes: { DEX: 1 },
+    skills: { Stealth: 1 },
+    session_id: session.id
+  });
+  assert.equal(leveled.status, 200);
+  assert.equal(leveled.body.leveledUp, true);
+  assert.equal(leveled.body.character.level, 2);
+  assert.equal(leveled.body.character.attributes.DEX, 15);
+  assert.equal(leveled.body.character.skills.Stealth, 1);
+  assert.equal(leveled.body.progression.unspentSkillPoints, 1);
+  assert.equal(leveled.body.progression.pendingLevelUps, 1);
+
+  // The level-up is remembered in the session
+  const memory = (await api('GET', `/enhanced-sessions/${session.id}/memory`)).body;
+  const levelUp = memory.events.find(event => event.data?.type === 'level_up');
+  assert.equal(levelUp.data.characterId, character.id);
+  assert.deepEqual([levelUp.data.details.from, levelUp.data.details.to], [1, 2]);
+
+  // The second pending level banks what is not spent...
+  const third = (await api('POST', `${base}/level-up`, {})).body;
+  assert.equal(third.character.level, 3);
+  assert.equal(third.progression.unspentAttributePoints, 1);
+  assert.equal(third.progression.unspentSkillPoints, 3);
+
+  // ...to be spent later without a new level
+  const banked = (await api('POST', `${base}/level-up`, { attributes: { CON: 1 }, skills: { Perception: 3 } })).body;
+  assert.equal(banked.leveledUp, false);
+  assert.equal(banked.character.level, 3);
+  assert.equal(banked.character.attributes.CON, 13);
+  assert.equal(banked.progression.unspentSkillPoints, 0);
+  assert.equal((await api('POST', `${base}/level-up`, {})).status, 409);
+});
+
+test('rejects bad XP awards and unknown characters', async () => {
+  const { character } = await createWorldWithCharacter(api);
+
+  assert.equal((await api('POST', `/characters/${character.id}/xp`, { amount: -5 })).status, 400);
+  assert.equal((await api('POST', `/characters/${character.id}/xp`, { amount: 1.5 })).status, 400);
+  assert.equal((await api('POST', '/characters/missing/xp', { amount: 10 })).status, 404);
+  assert.equal((await api('GET', '/characters/missing/progression')).status, 404);
+  assert.equal((await api('POST', '/characters/missing/level-up', {})).status, 404);
+});
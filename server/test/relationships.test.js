@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      {
+        schema: 'state_changes',
+        reply: body => body.messages.at(-1).content.includes('ledger')
+          ? {
+            location: { changed: false },
+            npcs: [{ name: 'Mira Hale', role: 'Captain' }],
+            items: [],
+            relationships: [
+              { npc: 'Mira Hale', trust: 0.4, respect: 0.2, reason: 'Returned her ledger' },
+              { npc: 'Mira Hale', toward: 'Dorn Vey', trust: -0.5, reason: 'The ledger proves Dorn lied' }
+            ]
+          }
+          : { location: { changed: false }, npcs: [], items: [], relationships: [] }
+      },
+      { match: 'ledger', reply: 'Captain Mira Hale thanks you and glares at Dorn Vey.' },
+      { match: 'report', reply: 'Mira nods at you.' }
+    ]
+  });
+  api = server.api;
+});
+
+after(() => server.close());
+
+async function playSession() {
+  const { world, character } = await createWorldWithCharacter(api);
+  const session = (await api('POST', '/enhanced-sessions', { worldId: world.id, characterIds: [character.id] })).body;
+  return { world, character, session };
+}
+
+test('attitude shifts from play become graph edges with their causes', async () => {
+  const { world, character, session } = await playSession();
+
+  await api('POST', `/enhanced-sessions/${session.id}/action`, {
+    characterId: character.id,
+    action: 'I hand the captain her ledger'
+  });
+
+  const graph = (await api('GET', `/worlds/${world.id}/relationships`)).body;
+  assert.deepEqual(graph.nodes.map(node => node.name).sort(), ['Aria Vale', 'Dorn Vey', 'Mira Hale']);
+
+  const toAria = graph.edges.find(edge => edge.target.name === 'Aria Vale');
+  assert.equal(toAria.source.name, 'Mira Hale');
+  assert.equal(toAria.trust, 0.4);
+  assert.equal(toAria.respect, 0.2);
+  const toDorn = graph.edges.find(edge => edge.target.name === 'Dorn Vey');
+  assert.equal(toDorn.target.type, 'npc');
+  assert.equal(toDorn.trust, -0.5);
+
+  const detail = (await api('GET', `/worlds/${world.id}/relationships/${toAria.id}`)).body;
+  assert.deepEqual(detail.history.map(entry => [entry.cause, entry.sessionId, entry.changes]), [
+    ['Returned her ledger', session.id, { trust: 0.4, respect: 0.2 }]
+  ]);
+
+  // The next session's GM sees how Mira regards Aria
+  const next = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body;
+  const sessionView = (await api('GET', `/sessions/${next.id}`)).body;
+  assert.deepEqual(sessionView.characters[0].relationships, { 'Mira Hale': 0.4 });
+
+  await api('POST', `/sessions/${next.id}/action`, { character_id: character.id, action: 'I report to the captain' });
+  const prompt = server.llm.chatRequests().at(-1).messages[0].content;
+  assert.match(prompt, /Relationships: Mira Hale \(\+0\.4\)/);
+});
+
+test('edges can be created, edited and deleted through the API', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const base = `/worlds/${world.id}/relationships`;
+
+  const created = await api('POST', base, {
+    source: { type: 'npc', name: 'Old Tamsin' },
+    target: { type: 'character', id: character.id },
+    affection: 0.6,
+    fear: 3,
+    cause: 'Raised her as a child'
+  });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.affection, 0.6);
+  assert.equal(created.body.fear, 1);
+  assert.equal(created.body.interactionCount, 0);
+
+  const edited = await api('PUT', `${base}/${created.body.id}`, { fear: 0 });
+  assert.equal(edited.body.fear, 0);
+  assert.equal(edited.body.affection, 0.6);
+  assert.deepEqual(edited.body.history.map(entry => [entry.cause, entry.changes]), [
+    ['Edited', { fear: -1 }],
+    ['Raised her as a child', { affection: 0.6, fear: 1 }]
+  ]);
+
+  const focused = (await api('GET', `${base}?node_type=npc&node_ref=old tamsin`)).body;
+  assert.equal(focused.edges.length, 1);
+
+  assert.equal((await api('POST', base, { source: { type: 'god', name: 'Sol' }, target: { type: 'npc', name: 'Tamsin' } })).status, 400);
+  assert.equal((await api('POST', base, { source: { type: 'npc', name: 'Tamsin' }, target: { type: 'character', id: 'missing' } })).status, 400);
+  assert.equal((await api('PUT', `${base}/${created.body.id}`, { trust: 'lots' })).status, 400);
+  assert.equal((await api('GET', '/worlds/missing/relationships')).status, 404);
+
+  assert.equal((await api('DELETE', `${base}/${created.body.id}`)).status, 200);
+  assert.equal((await api('GET', `${base}/${created.body.id}`)).status, 404);
+});
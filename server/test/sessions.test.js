@@ -0,0 +1,206 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter, parseEvents } from './helpers.js';
+
+let server;
+let api;
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      { match: 'pick the lock', reply: 'The lock resists. [ROLL:Stealth:medium]' },
+      { match: 'DICE RESULTS', reply: 'The tumblers give way with a soft click.' },
+      { match: 'inventory', reply: 'Your inventory contains:\n- Lockpicks' }
+    ]
+  });
+  api = server.api;
+});
+
+after(() => server.close());
+
+test('creates worlds, characters and sessions', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  assert.equal(world.setting, 'fantasy');
+  assert.equal(character.name, 'Aria Vale');
+
+  const stored = await api('GET', `/characters/${character.id}`);
+  assert.equal(stored.status, 200);
+  assert.equal(stored.body.credits, 100);
+
+  const created = await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] });
+  assert.equal(created.status, 200);
+
+  const session = await api('GET', `/sessions/${created.body.id}`);
+  assert.equal(session.body.world_id, world.id);
+  assert.deepEqual(session.body.characters.map(c => c.id), [character.id]);
+});
+
+test('rejects sessions for unknown worlds and actions without text', async () => {
+  assert.equal((await api('POST', '/sessions', { world_id: 'missing' })).status, 400);
+  assert.equal((await api('GET', '/sessions/missing')).status, 404);
+
+  const { world } = await createWorldWithCharacter(api);
+  const session = (await api('POST', '/sessions', { world_id: world.id })).body;
+  assert.equal((await api('POST', `/sessions/${session.id}/action`, {})).status, 400);
+  assert.equal((await api('POST', '/sessions/missing/action', { action: 'wait' })).status, 404);
+});
+
+test('plays an action and records it in the history', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const session = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body;
+
+  const result = await api('POST', `/sessions/${session.id}/action`, {
+    character_id: character.id,
+    action: 'I walk into the market'
+  });
+  assert.equal(result.status, 200);
+  assert.match(result.body.response, /The Game Master nods/);
+
+  const { body } = await api('GET', `/sessions/${session.id}`);
+  assert.deepEqual(body.history.map(h => h.role), ['user', 'assistant']);
+  assert.equal(body.history[0].content, 'Aria Vale: I walk into the market');
+
+  // The GM prompt is built from the world and the acting character
+  const prompt = server.llm.chatRequests().at(-1).messages[0].content;
+  assert.match(prompt, /Test World/);
+  assert.match(prompt, /Aria Vale/);
+});
+
+test('resolves requested rolls and narrates the outcome', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const session = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body;
+
+  const { body } = await api('POST', `/sessions/${session.id}/action`, {
+    character_id: character.id,
+    action: 'I pick the lock'
+  });
+  assert.equal(body.rolls.length, 1);
+  assert.equal(body.rolls[0].skill, 'Stealth');
+  assert.equal(body.followUp, 'The tumblers give way with a soft click.');
+});
+
+test('streams the GM response as server-sent events', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const session = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body;
+
+  const { status, body } = await api('POST', `/sessions/${session.id}/action/stream`, {
+    character_id: character.id,
+    action: 'I check my inventory'
+  });
+  assert.equal(status, 200);
+
+  const events = parseEvents(body);
+  assert.equal(events[0].event, 'action');
+  assert.equal(events.at(-1).event, 'done');
+
+  const streamed = events.filter(e => e.event === 'token').map(e => e.data.token).join('');
+  assert.equal(streamed, 'Your inventory contains:\n- Lockpicks');
+  assert.equal(events.at(-1).data.response, streamed);
+
+  // Inventory checks are brief requests: low temperature, short answer
+  const request = server.llm.chatRequests().at(-1);
+  assert.equal(request.stream, true);
+  assert.equal(request.temperature, 0.3);
+});
+
+test('enforces turn order once initiative is rolled', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const second = (await api('POST', '/characters', { world_id: world.id, name: 'Bram Stone', class: 'Fighter' })).body;
+  const session = (await api('POST', '/sessions', {
+    world_id: world.id,
+    character_ids: [character.id, second.id]
+  })).body;
+
+  const turns = (await api('POST', `/sessions/${session.id}/turns`, {})).body;
+  const waiting = [character.id, second.id].find(id => id !== turns.current.characterId);
+
+  const blocked = await api('POST', `/sessions/${session.id}/action`, { character_id: waiting, action: 'I wait' });
+  assert.equal(blocked.status, 409);
+
+  const allowed = await api('POST', `/sessions/${session.id}/action`, {
+    character_id: turns.current.characterId,
+    action: 'I wait'
+  });
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.body.turn.current.characterId, waiting);
+
+  // Sent twice at once, the turn is played once and the order moves on once
+  const twice = await Promise.all([1, 2].map(() =>
+    api('POST', `/sessions/${session.id}/action`, { character_id: waiting, action: 'I wait' })
+  ));
+  assert.deepEqual(twice.map(r => r.status).sort(), [200, 409]);
+  assert.match(twice.find(r => r.status === 409).body.details, /already being played/);
+
+  const order = (await api('GET', `/sessions/${session.id}/turns`)).body;
+  assert.equal(order.round, turns.round + 1);
+  assert.equal(order.current.characterId, turns.current.characterId);
+});
+
+/**
+ * Open a session socket in-process; next(type) waits for the next message of that type
+ * injectWS resolves once the socket is open, after the server's connected
+ * greeting has gone by, so presence is read from later broadcasts.
+ */
+async function connect(url) {
+  const socket = await server.app.injectWS(`/api${url}`);
+  const messages = [];
+  let notify = () => {};
+
+  socket.on('message', raw => {
+    messages.push(JSON.parse(raw.toString()));
+    notify();
+  });
+
+  const next = async type => {
+    for (;;) {
+      const index = messages.findIndex(message => message.type === type);
+      if (index >= 0) return messages.splice(index, 1)[0];
+      await new Promise(resolve => { notify = resolve; });
+    }
+  };
+  return { socket, next };
+}
+
+test('shares presence and play with every socket in the session', { timeout: 10000 }, async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const session = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body;
+  const ws = `/sessions/${session.id}/ws`;
+
+  const alice = await connect(`${ws}?client_id=alice&player_name=Alice&character_id=${character.id}`);
+  const bob = await connect(`${ws}?client_id=bob`);
+  const joined = await alice.next('presence');
+  assert.equal(joined.sessionId, session.id);
+  assert.deepEqual(joined.payload.clients.map(c => [c.clientId, c.playerName, c.characterId]), [
+    ['alice', 'Alice', character.id],
+    ['bob', null, null]
+  ]);
+
+  bob.socket.send(JSON.stringify({ type: 'identify', player_name: 'Bob' }));
+  for (const player of [alice, bob]) {
+    assert.deepEqual((await player.next('presence')).payload.clients.map(c => c.playerName), ['Alice', 'Bob']);
+  }
+  bob.socket.send('not json');
+  assert.equal((await bob.next('error')).payload.error, 'Invalid message');
+  bob.socket.send(JSON.stringify({ type: 'ping' }));
+  await bob.next('pong');
+
+  // An action over HTTP reaches both players
+  await api('POST', `/sessions/${session.id}/action`, { character_id: character.id, action: 'I look around', client_id: 'alice' });
+  for (const player of [alice, bob]) {
+    const action = (await player.next('player_action')).payload;
+    assert.deepEqual([action.clientId, action.characterName, action.action], ['alice', 'Aria Vale', 'I look around']);
+    const response = (await player.next('gm_response')).payload;
+    assert.equal(response.characterId, character.id);
+    assert.ok(response.response);
+    await player.next('time_update');
+  }
+
+  // Bob drops out, as a closed tab would
+  bob.socket.terminate();
+  assert.deepEqual((await alice.next('presence')).payload.clients.map(c => c.clientId), ['alice']);
+  alice.socket.terminate();
+
+  const missing = await server.app.injectWS('/api/sessions/missing/ws');
+  const [code] = await new Promise(resolve => missing.on('close', (...args) => resolve(args)));
+  assert.equal(code, 4404);
+});
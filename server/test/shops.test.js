@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+let characterId;
+let sessionId;
+let shopId;
+
+before(async () => {
+  server = await startTestServer();
+  api = server.api;
+
+  const { world, character } = await createWorldWithCharacter(api, { character: { skills: { Persuasion: 2 } } });
+  characterId = character.id;
+  sessionId = (await api('POST', '/enhanced-sessions', { worldId: world.id, characterIds: [character.id] })).body.id;
+
+  await api('POST', `/persistence/sessions/${sessionId}/npcs`, {
+    name: 'Marta',
+    type: 'merchant',
+    location: 'Harbor',
+    inventory: [{ name: 'Fishing Net', quantity: 1, price: 8 }]
+  });
+});
+
+after(() => server.close());
+
+const shopUrl = (path = '') => `/economy/sessions/${sessionId}/shops/${shopId}${path}`;
+const trade = body => api('POST', shopUrl('/trade'), { characterId, ...body });
+const balance = async () => (await api('GET', `/economy/characters/${characterId}/wallet`)).body.balance;
+
+test('opens a shop from a building and its owner', async () => {
+  const building = (await api('POST', `/persistence/sessions/${sessionId}/buildings`, {
+    name: 'The Salty Anchor',
+    type: 'shop',
+    location: 'Harbor',
+    owner: 'Marta',
+    inventory: [{ name: 'Torch', quantity: 3, price: 2 }, { name: 'Rations', quantity: 2, value: 5 }, 'Old Boot']
+  })).body.building;
+
+  const { status, body: shop } = await api('POST', `/economy/sessions/${sessionId}/shops`, {
+    buildingId: building.id,
+    restockHours: 24
+  });
+  assert.equal(status, 200);
+  shopId = shop.id;
+
+  assert.equal(shop.name, 'The Salty Anchor');
+  assert.equal(shop.owner, 'Marta');
+  assert.equal(shop.currency, 'gold');
+  assert.equal(shop.haggleSkill, 'Persuasion');
+  // Unpriced goods are not for sale
+  assert.deepEqual(shop.stock.map(i => [i.name, i.buyPrice, i.quantity]), [['Torch', 2, 3], ['Rations', 5, 2]]);
+
+  // Without a building or stock, the owner's priced inventory is used
+  const stall = (await api('POST', `/economy/sessions/${sessionId}/shops`, { name: 'Net Stall', owner: 'Marta' })).body;
+  assert.deepEqual(stall.stock.map(i => i.name), ['Fishing Net']);
+
+  const listed = (await api('GET', `/economy/sessions/${sessionId}/shops?location=harbor`)).body;
+  assert.deepEqual(listed.map(s => s.name), ['Net Stall', 'The Salty Anchor']);
+
+  assert.equal((await api('POST', `/economy/sessions/${sessionId}/shops`, { buildingId: 'missing' })).status, 404);
+  assert.equal((await api('POST', `/economy/sessions/${sessionId}/shops`, { name: 'Bad', buyRate: 2 })).status, 400);
+});
+
+test('buys at listed prices and sells at the buy rate', async () => {
+  const bought = await trade({ mode: 'buy', item: 'torch', quantity: 2 });
+  assert.equal(bought.status, 200);
+  assert.equal(bought.body.total, 4);
+  assert.equal(bought.body.balance, 96);
+  assert.equal(bought.body.shop.stock.find(i => i.name === 'Torch').quantity, 1);
+
+  const sold = await trade({ mode: 'sell', item: 'Torch' });
+  assert.equal(sold.status, 200);
+  assert.equal(sold.body.unitPrice, 1);
+  assert.equal(sold.body.balance, 97);
+
+  assert.equal((await trade({ mode: 'buy', item: 'Rations', quantity: 3 })).status, 409);
+  assert.equal((await trade({ mode: 'sell', item: 'Lantern' })).status, 404);
+
+  await api('PUT', shopUrl(), { status: 'closed' });
+  assert.equal((await trade({ mode: 'buy', item: 'Rations' })).status, 409);
+  await api('PUT', shopUrl(), { status: 'open' });
+
+  const { transactions } = (await api('GET', `/economy/characters/${characterId}/wallet`)).body;
+  assert.deepEqual(transactions.slice(0, 2).map(t => [t.reason, t.amount, t.counterparty]), [
+    ['sell', 1, 'Marta'],
+    ['buy', -4, 'Marta']
+  ]);
+});
+
+test('haggles once per restock and reprices for that character', async () => {
+  const { status, body } = await api('POST', shopUrl('/haggle'), { characterId });
+  assert.equal(status, 200);
+  assert.equal(body.roll.skill, 'Persuasion');
+  assert.equal(body.roll.skillBonus, 2);
+  assert.equal(body.modifier > 0, body.roll.success);
+  assert.equal(body.shop.haggle.modifier, body.modifier);
+
+  const rations = body.shop.stock.find(i => i.name === 'Rations');
+  assert.equal(rations.buyPrice, Math.round(5 * (1 - body.modifier)));
+
+  // Other characters still see list prices
+  const listPrices = (await api('GET', shopUrl())).body;
+  assert.equal(listPrices.stock.find(i => i.name === 'Rations').buyPrice, 5);
+
+  const before = await balance();
+  const bought = await trade({ mode: 'buy', item: 'Rations' });
+  assert.equal(bought.body.unitPrice, rations.buyPrice);
+  assert.equal(await balance(), before - rations.buyPrice);
+
+  assert.equal((await api('POST', shopUrl('/haggle'), { characterId })).status, 409);
+});
+
+test('restocks as in-game hours pass', async () => {
+  const advance = hours => api('POST', `/clock/sessions/${sessionId}/advance`, { hours });
+
+  const early = (await advance(10)).body;
+  assert.deepEqual(early.restocked, []);
+  assert.equal((await api('GET', shopUrl())).body.hoursUntilRestock, 14);
+
+  const { restocked } = (await advance(16)).body;
+  const shop = restocked.find(s => s.id === shopId);
+  assert.deepEqual(shop.stock.map(i => [i.name, i.quantity]), [['Torch', 3], ['Rations', 2]]);
+  assert.equal(shop.hoursUntilRestock, 22);
+
+  // Haggles reset with the stock
+  assert.equal((await api('GET', `${shopUrl()}?character_id=${characterId}`)).body.haggle, null);
+  assert.equal((await advance(-1)).status, 400);
+});
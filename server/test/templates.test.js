@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+
+const EMBERFALL = {
+  name: 'Emberfall',
+  description: 'Volcanic isles ruled by fire cults',
+  attributes: [
+    { key: 'MIG', name: 'Might' },
+    { key: 'GRA', name: 'Grace' },
+    { key: 'WIT', name: 'Wit' },
+    { key: 'NER', name: 'Nerve' }
+  ],
+  classes: ['Ashwalker', 'Flamecaller'],
+  skills: [{ name: 'Climbing', attribute: 'MIG' }, { name: 'Firelore', attribute: 'WIT' }, 'Sneak'],
+  initiativeAttribute: 'GRA',
+  hitPointAttribute: 'MIG',
+  economy: { startingCredits: 30, currencyUnit: 'cinders' },
+  flavor: { locations: 'caldera, obsidian market', technology: 'bronze age' },
+  forbidden: ['gunpowder', 'steel'],
+  required: ['smouldering heat']
+};
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [{ match: 'look around', reply: 'Ash drifts over the caldera.' }]
+  });
+  api = server.api;
+});
+
+after(() => server.close());
+
+test('builds a setting and offers it alongside the built-ins', async () => {
+  const { status, body } = await api('POST', '/templates', EMBERFALL);
+  assert.equal(status, 200);
+  assert.equal(body.setting, 'emberfall');
+  assert.equal(body.builtin, false);
+  assert.deepEqual(body.config.skillAttributes, { Climbing: 'MIG', Firelore: 'WIT', Sneak: 'MIG' });
+  assert.deepEqual(body.config.flavor.locations, ['caldera', 'obsidian market']);
+
+  const settings = (await api('GET', '/templates')).body;
+  assert.ok(settings.some(s => s.id === 'fantasy' && s.builtin));
+  assert.ok(settings.some(s => s.id === 'emberfall' && !s.builtin));
+
+  // Same name, new id; ids never clash with built-ins
+  assert.equal((await api('POST', '/templates', EMBERFALL)).body.setting, 'emberfall-2');
+  assert.equal((await api('POST', '/templates', { ...EMBERFALL, name: 'Fantasy' })).body.setting, 'fantasy-2');
+
+  const invalid = await api('POST', '/templates', { ...EMBERFALL, attributes: ['MIG', 'mig'], skills: [{ name: 'Dig', attribute: 'STR' }] });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.details, /listed twice/);
+  assert.match(invalid.body.details, /unknown attribute STR/);
+
+  assert.equal((await api('POST', '/worlds', { name: 'Nowhere', setting: 'atlantis' })).status, 400);
+});
+
+test('worlds in a custom setting use it for characters and the GM', async () => {
+  const { world, character } = await createWorldWithCharacter(api, { setting: 'emberfall' });
+  assert.deepEqual(Object.keys(character.attributes), ['MIG', 'GRA', 'WIT', 'NER']);
+  assert.equal(character.credits, 30);
+
+  const config = (await api('GET', '/characters/settings/emberfall')).body;
+  assert.deepEqual(config.classes, ['Ashwalker', 'Flamecaller']);
+
+  const sessionId = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body.id;
+  await api('POST', `/sessions/${sessionId}/action`, { character_id: character.id, action: 'I look around' });
+
+  const prompt = server.llm.chatRequests().at(-1).messages[0].content;
+  assert.match(prompt, /Emberfall/);
+  assert.match(prompt, /FORBIDDEN: gunpowder, steel/);
+  assert.match(prompt, /REQUIRED: smouldering heat/);
+});
+
+test('edits custom settings and protects ones in use', async () => {
+  const updated = await api('PUT', '/templates/emberfall', { classes: ['Ashwalker', 'Flamecaller', 'Glassblower'] });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.config.name, 'Emberfall');
+  assert.deepEqual((await api('GET', '/characters/settings/emberfall')).body.classes.at(-1), 'Glassblower');
+
+  assert.equal((await api('DELETE', '/templates/emberfall')).status, 409);
+  assert.equal((await api('PUT', '/templates/fantasy', { name: 'Mine' })).status, 404);
+
+  assert.equal((await api('DELETE', '/templates/emberfall-2')).status, 200);
+  assert.equal((await api('GET', '/templates/emberfall-2')).status, 404);
+  assert.ok(!(await api('GET', '/templates')).body.some(s => s.id === 'emberfall-2'));
+});
+
+test('exports built-in and custom settings as versioned bundles', async () => {
+  const western = await api('GET', '/templates/western/export');
+  assert.equal(western.status, 200);
+  assert.equal(western.body.format, 'humbbot-setting');
+  assert.equal(western.body.version, 1);
+  assert.equal(western.body.setting.id, 'western');
+  assert.equal(western.body.setting.economy.startingCredits, 100);
+
+  for (const id of ['cyberpunk', 'superhero']) {
+    assert.equal((await api('GET', `/templates/${id}/export`)).body.setting.id, id);
+  }
+  assert.equal((await api('GET', '/templates/atlantis/export')).status, 404);
+});
+
+test('imports bundles with validation and conflict handling', async () => {
+  const bundle = (await api('GET', '/templates/emberfall/export')).body;
+  const importBundle = (body, onConflict = 'error') => api('POST', `/templates/import?on_conflict=${onConflict}`, body);
+
+  // Taken ids need a conflict strategy
+  const conflict = await importBundle(bundle);
+  assert.equal(conflict.status, 409);
+
+  const renamed = await importBundle(bundle, 'rename');
+  assert.equal(renamed.body.imported, 'renamed');
+  assert.equal(renamed.body.setting, 'emberfall-2');
+  assert.deepEqual(renamed.body.config.equipmentSlots, bundle.setting.equipmentSlots);
+
+  // Replacing takes the bundle whole: what it leaves out is not kept from before
+  const { initiativeAttribute, forbidden, ...trimmed } = bundle.setting;
+  const changed = { ...bundle, setting: { ...trimmed, classes: ['Ashwalker'] } };
+  const replaced = await importBundle(changed, 'replace');
+  assert.equal(replaced.body.imported, 'replaced');
+  assert.equal(replaced.body.config.initiativeAttribute, undefined);
+  assert.deepEqual(replaced.body.config.forbidden, []);
+  const emberfall = (await api('GET', '/characters/settings/emberfall')).body;
+  assert.deepEqual(emberfall.classes, ['Ashwalker']);
+  assert.deepEqual(emberfall.forbidden, []);
+
+  // Built-ins are never replaced
+  const western = (await api('GET', '/templates/western/export')).body;
+  assert.equal((await importBundle(western, 'replace')).status, 409);
+  assert.equal((await importBundle(western, 'rename')).body.setting, 'western-2');
+
+  // A fresh id is kept as is
+  const moved = await importBundle({ ...bundle, setting: { ...bundle.setting, id: 'cinder-isles' } });
+  assert.equal(moved.body.imported, 'created');
+  assert.equal(moved.body.setting, 'cinder-isles');
+
+  assert.equal((await importBundle({ ...bundle, version: 99 })).status, 400);
+  assert.equal((await importBundle({ format: 'something-else', setting: {} })).status, 400);
+  const broken = await importBundle({ ...bundle, setting: { ...bundle.setting, id: 'broken', attributes: ['A'] } });
+  assert.equal(broken.status, 400);
+  assert.match(broken.body.details, /2-6 letters/);
+});
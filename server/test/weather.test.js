@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createWorldWithCharacter } from './helpers.js';
+
+let server;
+let api;
+
+const NO_WEATHER = { location: { changed: false }, npcs: [], items: [], relationships: [] };
+
+before(async () => {
+  server = await startTestServer({
+    fixtures: [
+      {
+        schema: 'state_changes',
+        reply: body => {
+          const request = body.messages.at(-1).content;
+          if (request.includes('Player action: We ride into the dunes')) {
+            return { ...NO_WEATHER, location: { changed: true, name: 'Sunscorch Dunes', type: 'desert' } };
+          }
+          if (request.includes('Player action: We walk to the Harbor Inn')) {
+            return { ...NO_WEATHER, location: { changed: true, name: 'Harbor Inn', type: 'interior' } };
+          }
+          return NO_WEATHER;
+        }
+      }
+    ]
+  });
+  api = server.api;
+});
+
+after(() => server.close());
+
+const gmPrompt = () => server.llm.chatRequests().filter(r => !r.response_format).at(-1).messages[0].content;
+
+test('each place has its own weather, kept in session state', async () => {
+  const { world, character } = await createWorldWithCharacter(api);
+  const sessionId = (await api('POST', '/enhanced-sessions', { worldId: world.id, characterIds: [character.id] })).body.id;
+  const act = action => api('POST', `/enhanced-sessions/${sessionId}/action`, { characterId: character.id, action });
+
+  const arrived = (await act('We ride into the dunes')).body.sessionUpdate.clock;
+  assert.equal(arrived.weather.location, 'Sunscorch Dunes');
+  assert.equal(arrived.weather.place, 'desert');
+  assert.equal(arrived.weather.sheltered, false);
+  assert.notEqual(arrived.weather.condition, 'snowy');
+
+  // A spell lasts hours, so a short look around keeps it
+  const looked = (await act('I look around')).body.sessionUpdate.clock;
+  assert.deepEqual(looked.weather, arrived.weather);
+  assert.match(gmPrompt(), new RegExp(`\\*\\*Weather:\\*\\* ${arrived.weather.condition}\\n`));
+
+  await act('We walk to the Harbor Inn');
+  await act('I look around');
+  assert.match(gmPrompt(), /\*\*Weather:\*\* [a-z ]+ outside \(sheltered here\)/);
+
+  const { state, clock } = (await api('GET', `/sessions/${sessionId}`)).body;
+  assert.deepEqual(Object.keys(state.weather).sort(), ['harbor inn', 'starting area', 'sunscorch dunes']);
+  assert.equal(clock.weather.location, 'Harbor Inn');
+  assert.equal(state.gameState.weather, clock.weather.condition);
+  assert.equal(state.currentScene.weather, clock.weather.condition);
+
+  // Days later a new spell has begun
+  const later = (await api('POST', `/clock/sessions/${sessionId}/advance`, { days: 2 })).body.clock;
+  assert.equal(later.weather.since, later.minutes);
+  assert.equal(later.weather.sheltered, true);
+});
+
+test('settings flavor the weather', async () => {
+  const template = {
+    name: 'Ashlands',
+    attributes: ['STR', 'DEX', 'INT'],
+    classes: ['Cinderwalker'],
+    skills: ['Survival'],
+    weather: { clear: 0, cloudy: 0, rainy: 0, stormy: 0, foggy: 0, snowy: 0, 'ash fall': 1 }
+  };
+  assert.equal((await api('POST', '/templates', template)).status, 200);
+
+  const { world, character } = await createWorldWithCharacter(api, { setting: 'ashlands' });
+  const sessionId = (await api('POST', '/sessions', { world_id: world.id, character_ids: [character.id] })).body.id;
+  await api('POST', `/sessions/${sessionId}/action`, { character_id: character.id, action: 'I look around' });
+  assert.match(gmPrompt(), /\*\*Weather:\*\* ash fall\n/);
+
+  const { state } = (await api('GET', `/sessions/${sessionId}`)).body;
+  assert.equal(state.gameState.weather, 'ash fall');
+
+  const invalid = await api('POST', '/templates', { ...template, name: 'Bad Skies', weather: { 'acid!': 2, rainy: -1 } });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.details, /acid! must be 2-30 letters or spaces/);
+  assert.match(invalid.body.details, /rainy must have a weight from 0 to 100/);
+});
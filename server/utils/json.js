@@ -0,0 +1,16 @@
+/**
+ * JSON helpers for columns stored as text
+ */
+
+/**
+ * Parse a JSON column, or return `fallback` when it is empty or malformed;
+ * values that are already parsed pass through
+ */
+export function parseJson(value, fallback) {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value || 'null') ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
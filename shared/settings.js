@@ -1,6 +1,8 @@
 /**
  * Setting Templates
  * Defines attributes, skills, and flavor for each setting type
+ * - forbidden/required list elements the GM must avoid or weave in
+ * - Settings built by players are registered at runtime (registerSetting)
  */
 
 export const SETTINGS = {
@@ -18,6 +20,36 @@ export const SETTINGS = {
     },
     classes: ['Warrior', 'Mage', 'Rogue', 'Cleric', 'Ranger', 'Bard', 'Paladin', 'Warlock'],
     skills: ['Melee', 'Ranged', 'Magic', 'Stealth', 'Perception', 'Persuasion', 'Athletics', 'Arcana', 'Nature', 'Religion'],
+    skillAttributes: {
+      Melee: 'STR', Ranged: 'DEX', Magic: 'INT', Stealth: 'DEX', Perception: 'WIS',
+      Persuasion: 'CHA', Athletics: 'STR', Arcana: 'INT', Nature: 'WIS', Religion: 'WIS'
+    },
+    initiativeAttribute: 'DEX',
+    hitPointAttribute: 'CON',
+    progression: { baseXp: 300, growth: 1.35, maxLevel: 20, attributePoints: 1, skillPoints: 2 },
+    economy: { startingCredits: 100, currencyUnit: 'gold' },
+    calendar: {
+      months: [
+        { name: 'Deepwinter', days: 30, season: 'winter' },
+        { name: 'Frostwane', days: 30, season: 'winter' },
+        { name: 'Seedtide', days: 30, season: 'spring' },
+        { name: 'Blossom', days: 30, season: 'spring' },
+        { name: 'Greenleaf', days: 30, season: 'spring' },
+        { name: 'Highsun', days: 30, season: 'summer' },
+        { name: 'Emberheat', days: 30, season: 'summer' },
+        { name: 'Goldfield', days: 30, season: 'summer' },
+        { name: 'Harvest', days: 30, season: 'autumn' },
+        { name: 'Leaffall', days: 30, season: 'autumn' },
+        { name: 'Mistmoot', days: 30, season: 'autumn' },
+        { name: 'Longnight', days: 30, season: 'winter' }
+      ],
+      startYear: 1012,
+      era: 'AR',
+      start: { month: 2, day: 1, hour: 8 }
+    },
+    equipmentSlots: { weapon: 'Weapon', offhand: 'Off-hand', armor: 'Armor', head: 'Head', trinket: 'Trinket' },
+    forbidden: ['modern technology', 'firearms', 'computers', 'vehicles', 'electricity'],
+    required: ['magical atmosphere', 'heroic potential', 'mythic resonance'],
     flavor: {
       locations: ['tavern', 'castle', 'forest', 'dungeon', 'village', 'tower', 'cave', 'temple'],
       currency: 'gold coins',
@@ -42,6 +74,18 @@ export const SETTINGS = {
     },
     classes: ['Marine', 'Pilot', 'Engineer', 'Scientist', 'Medic', 'Hacker', 'Diplomat', 'Mercenary'],
     skills: ['Firearms', 'Piloting', 'Hacking', 'Engineering', 'Medicine', 'Science', 'Stealth', 'Negotiation', 'Zero-G', 'Xenology'],
+    skillAttributes: {
+      Firearms: 'REF', Piloting: 'REF', Hacking: 'TEC', Engineering: 'TEC', Medicine: 'INT',
+      Science: 'INT', Stealth: 'REF', Negotiation: 'SOC', 'Zero-G': 'PHY', Xenology: 'INT'
+    },
+    initiativeAttribute: 'REF',
+    hitPointAttribute: 'PHY',
+    progression: { baseXp: 1000, growth: 1.3, maxLevel: 20, attributePoints: 1, skillPoints: 3 },
+    economy: { startingCredits: 1000, currencyUnit: 'credits' },
+    calendar: { startYear: 2387 },
+    equipmentSlots: { weapon: 'Weapon', sidearm: 'Sidearm', armor: 'Armor', implant: 'Implant', gadget: 'Gadget' },
+    forbidden: ['magic spells', 'medieval weapons', 'taverns', 'horses', 'torches', 'castles'],
+    required: ['technological wonder', 'scientific plausibility', 'future possibilities'],
     flavor: {
       locations: ['space station', 'starship', 'colony', 'megacity', 'orbital platform', 'alien world', 'research lab'],
       currency: 'credits',
@@ -66,6 +110,19 @@ export const SETTINGS = {
     },
     classes: ['Investigator', 'Occultist', 'Survivor', 'Medium', 'Hunter', 'Scholar', 'Priest', 'Journalist'],
     skills: ['Investigation', 'Occult', 'Stealth', 'Medicine', 'Firearms', 'Psychology', 'Athletics', 'Sanity', 'First Aid', 'Research'],
+    skillAttributes: {
+      Investigation: 'INT', Occult: 'INT', Stealth: 'AGI', Medicine: 'INT', Firearms: 'AGI',
+      Psychology: 'WIL', Athletics: 'STR', Sanity: 'WIL', 'First Aid': 'INT', Research: 'INT'
+    },
+    initiativeAttribute: 'AGI',
+    hitPointAttribute: 'END',
+    progression: { baseXp: 200, growth: 1.5, maxLevel: 10, attributePoints: 1, skillPoints: 2 },
+    economy: { startingCredits: 50, currencyUnit: 'dollars' },
+    calendar: { startYear: 1987 },
+    weather: { foggy: 4, stormy: 1.5, clear: 0.5 },
+    equipmentSlots: { weapon: 'Weapon', light: 'Light Source', clothing: 'Clothing', charm: 'Charm' },
+    forbidden: ['comedic relief', 'easy solutions', 'perfect outcomes'],
+    required: ['unsettling atmosphere', 'mounting tension', 'lurking threats'],
     flavor: {
       locations: ['abandoned asylum', 'haunted mansion', 'foggy cemetery', 'dark forest', 'decrepit church', 'isolated cabin'],
       currency: 'dollars',
@@ -90,6 +147,18 @@ export const SETTINGS = {
     },
     classes: ['Agent', 'Detective', 'Soldier', 'Hacker', 'Doctor', 'Criminal', 'Journalist', 'Executive'],
     skills: ['Firearms', 'Driving', 'Computers', 'Investigation', 'Persuasion', 'Stealth', 'Medicine', 'Athletics', 'Streetwise', 'Law'],
+    skillAttributes: {
+      Firearms: 'AGI', Driving: 'AGI', Computers: 'INT', Investigation: 'PER', Persuasion: 'CHA',
+      Stealth: 'AGI', Medicine: 'INT', Athletics: 'STR', Streetwise: 'CHA', Law: 'INT'
+    },
+    initiativeAttribute: 'AGI',
+    hitPointAttribute: 'CON',
+    progression: { baseXp: 500, growth: 1.3, maxLevel: 15, attributePoints: 1, skillPoints: 3 },
+    economy: { startingCredits: 1000, currencyUnit: 'dollars' },
+    calendar: { startYear: 2024 },
+    equipmentSlots: { weapon: 'Weapon', armor: 'Body Armor', clothing: 'Clothing', gadget: 'Gadget' },
+    forbidden: [],
+    required: [],
     flavor: {
       locations: ['city streets', 'office building', 'warehouse', 'apartment', 'nightclub', 'airport', 'hospital'],
       currency: 'dollars/euros',
@@ -114,6 +183,19 @@ export const SETTINGS = {
     },
     classes: ['Inventor', 'Aristocrat', 'Airship Captain', 'Automaton', 'Detective', 'Rogue', 'Soldier', 'Scholar'],
     skills: ['Engineering', 'Etiquette', 'Piloting', 'Firearms', 'Melee', 'Science', 'Persuasion', 'Stealth', 'Medicine', 'Clockwork'],
+    skillAttributes: {
+      Engineering: 'INT', Etiquette: 'PRE', Piloting: 'DEX', Firearms: 'DEX', Melee: 'STR',
+      Science: 'INT', Persuasion: 'PRE', Stealth: 'DEX', Medicine: 'INT', Clockwork: 'WIT'
+    },
+    initiativeAttribute: 'DEX',
+    hitPointAttribute: 'CON',
+    progression: { baseXp: 400, growth: 1.35, maxLevel: 20, attributePoints: 1, skillPoints: 2 },
+    economy: { startingCredits: 200, currencyUnit: 'pounds' },
+    calendar: { startYear: 1887 },
+    weather: { smog: 3, foggy: 2, rainy: 1.5 },
+    equipmentSlots: { weapon: 'Weapon', sidearm: 'Sidearm', armor: 'Armor', goggles: 'Goggles', gadget: 'Contraption' },
+    forbidden: [],
+    required: ['mechanical ingenuity', 'Victorian propriety', 'industrial aesthetic'],
     flavor: {
       locations: ['airship', 'clocktower', 'factory', 'manor house', 'underground lair', 'laboratory', 'Victorian street'],
       currency: 'pounds sterling',
@@ -138,6 +220,19 @@ export const SETTINGS = {
     },
     classes: ['Scavenger', 'Wastelander', 'Mutant', 'Tech Salvager', 'Medic', 'Raider', 'Settler', 'Nomad'],
     skills: ['Survival', 'Scavenging', 'Firearms', 'Melee', 'Medicine', 'Repair', 'Barter', 'Stealth', 'Driving', 'Radiation'],
+    skillAttributes: {
+      Survival: 'END', Scavenging: 'PER', Firearms: 'AGI', Melee: 'STR', Medicine: 'INT',
+      Repair: 'INT', Barter: 'PER', Stealth: 'AGI', Driving: 'AGI', Radiation: 'END'
+    },
+    initiativeAttribute: 'AGI',
+    hitPointAttribute: 'END',
+    progression: { baseXp: 250, growth: 1.3, maxLevel: 25, attributePoints: 1, skillPoints: 3 },
+    economy: { startingCredits: 20, currencyUnit: 'caps' },
+    calendar: { startYear: 2097 },
+    weather: { 'toxic storm': 2, 'dust storm': 2, 'radiation haze': 1, rainy: 0.5, snowy: 0.5 },
+    equipmentSlots: { weapon: 'Weapon', armor: 'Armor', mask: 'Gas Mask', pack: 'Pack' },
+    forbidden: ['pristine environments', 'abundant resources', 'functioning governments'],
+    required: [],
     flavor: {
       locations: ['ruined city', 'wasteland', 'bunker', 'settlement', 'toxic zone', 'abandoned mall', 'crater'],
       currency: 'bottle caps, barter goods, clean water',
@@ -148,6 +243,116 @@ export const SETTINGS = {
     }
   },
 
+  western: {
+    name: 'Western',
+    description: 'Frontier towns, outlaws, and the law of the gun',
+    attributes: ['GRT', 'QCK', 'TGH', 'SMT', 'NRV', 'CHA'],
+    attributeNames: {
+      GRT: 'Grit',
+      QCK: 'Quickness',
+      TGH: 'Toughness',
+      SMT: 'Smarts',
+      NRV: 'Nerve',
+      CHA: 'Charm'
+    },
+    classes: ['Gunslinger', 'Lawman', 'Outlaw', 'Gambler', 'Rancher', 'Preacher', 'Doc', 'Scout'],
+    skills: ['Shooting', 'Riding', 'Brawling', 'Tracking', 'Gambling', 'Persuasion', 'Intimidation', 'Survival', 'Medicine', 'Lockpicking'],
+    skillAttributes: {
+      Shooting: 'QCK', Riding: 'QCK', Brawling: 'GRT', Tracking: 'SMT', Gambling: 'NRV',
+      Persuasion: 'CHA', Intimidation: 'NRV', Survival: 'TGH', Medicine: 'SMT', Lockpicking: 'QCK'
+    },
+    initiativeAttribute: 'QCK',
+    hitPointAttribute: 'TGH',
+    progression: { baseXp: 300, growth: 1.3, maxLevel: 15, attributePoints: 1, skillPoints: 2 },
+    economy: { startingCredits: 100, currencyUnit: 'dollars' },
+    calendar: { startYear: 1877 },
+    weather: { 'dust storm': 1.5, clear: 1.5, rainy: 0.5, foggy: 0.5 },
+    equipmentSlots: { weapon: 'Long Gun', sidearm: 'Sidearm', armor: 'Duster', head: 'Hat', mount: 'Horse' },
+    forbidden: ['electricity', 'automobiles', 'modern firearms', 'telephones'],
+    required: ['frontier hardship', 'wide open country', 'a code of honor'],
+    flavor: {
+      locations: ['saloon', 'sheriff\'s office', 'general store', 'ranch', 'mining camp', 'railroad depot', 'canyon', 'desert'],
+      currency: 'dollars, gold dust, and silver',
+      technology: '1870s frontier (revolvers, rifles, telegraph, steam trains)',
+      transport: 'horseback, stagecoach, wagon, steam train',
+      lighting: 'oil lamps, lanterns, campfires, candles',
+      materials: 'timber, adobe, leather, iron, canvas'
+    }
+  },
+
+  cyberpunk: {
+    name: 'Cyberpunk',
+    description: 'Neon megacities, megacorps, and chrome-enhanced outlaws',
+    attributes: ['BOD', 'REF', 'TEC', 'INT', 'COOL', 'EMP'],
+    attributeNames: {
+      BOD: 'Body',
+      REF: 'Reflexes',
+      TEC: 'Technique',
+      INT: 'Intelligence',
+      COOL: 'Cool',
+      EMP: 'Empathy'
+    },
+    classes: ['Netrunner', 'Solo', 'Techie', 'Fixer', 'Nomad', 'Medtech', 'Media', 'Corpo'],
+    skills: ['Firearms', 'Netrunning', 'Cybertech', 'Driving', 'Stealth', 'Streetwise', 'Negotiation', 'Brawling', 'Medicine', 'Perception'],
+    skillAttributes: {
+      Firearms: 'REF', Netrunning: 'INT', Cybertech: 'TEC', Driving: 'REF', Stealth: 'REF',
+      Streetwise: 'COOL', Negotiation: 'EMP', Brawling: 'BOD', Medicine: 'TEC', Perception: 'INT'
+    },
+    initiativeAttribute: 'REF',
+    hitPointAttribute: 'BOD',
+    progression: { baseXp: 800, growth: 1.3, maxLevel: 20, attributePoints: 1, skillPoints: 3 },
+    economy: { startingCredits: 2000, currencyUnit: 'eddies' },
+    calendar: { startYear: 2077 },
+    weather: { 'acid rain': 2, rainy: 2, smog: 2, clear: 0.5 },
+    equipmentSlots: { weapon: 'Weapon', sidearm: 'Sidearm', armor: 'Armor', cyberware: 'Cyberware', deck: 'Cyberdeck' },
+    forbidden: ['magic', 'medieval weapons', 'benevolent corporations', 'clean streets'],
+    required: ['neon and rain', 'corporate power', 'human cost of technology'],
+    flavor: {
+      locations: ['megabuilding', 'night market', 'corporate tower', 'ripperdoc clinic', 'nightclub', 'badlands', 'the Net'],
+      currency: 'eurodollars (eddies)',
+      technology: 'near future (cyberware, smartguns, the Net, drones, AVs)',
+      transport: 'motorbike, car, AV, maglev, metro',
+      lighting: 'neon signs, holograms, screens, flickering streetlights',
+      materials: 'chrome, concrete, plastic, carbon fiber, synthskin'
+    }
+  },
+
+  superhero: {
+    name: 'Superhero',
+    description: 'Costumed heroes, super-powered villains, and cities in peril',
+    attributes: ['MIG', 'AGI', 'END', 'INT', 'WIL', 'PRE'],
+    attributeNames: {
+      MIG: 'Might',
+      AGI: 'Agility',
+      END: 'Endurance',
+      INT: 'Intellect',
+      WIL: 'Willpower',
+      PRE: 'Presence'
+    },
+    classes: ['Brick', 'Speedster', 'Blaster', 'Gadgeteer', 'Mystic', 'Vigilante', 'Telepath', 'Shapeshifter'],
+    skills: ['Powers', 'Combat', 'Acrobatics', 'Investigation', 'Technology', 'Persuasion', 'Stealth', 'Athletics', 'Science', 'Insight'],
+    skillAttributes: {
+      Powers: 'WIL', Combat: 'MIG', Acrobatics: 'AGI', Investigation: 'INT', Technology: 'INT',
+      Persuasion: 'PRE', Stealth: 'AGI', Athletics: 'MIG', Science: 'INT', Insight: 'WIL'
+    },
+    initiativeAttribute: 'AGI',
+    hitPointAttribute: 'END',
+    progression: { baseXp: 500, growth: 1.3, maxLevel: 20, attributePoints: 1, skillPoints: 2 },
+    economy: { startingCredits: 500, currencyUnit: 'dollars' },
+    calendar: { startYear: 2024 },
+    equipmentSlots: { costume: 'Costume', gadget: 'Gadget', utility: 'Utility Belt', mask: 'Mask' },
+    forbidden: ['gratuitous cruelty', 'heroes killing casually', 'powerless victories over cosmic threats'],
+    required: ['secret identities', 'heroic sacrifice', 'larger-than-life villains'],
+    flavor: {
+      locations: ['city rooftops', 'secret lair', 'newsroom', 'villain\'s hideout', 'bank', 'research facility', 'city hall'],
+      currency: 'dollars',
+      technology: 'modern with super-science (power armor, teleporters, experimental serums)',
+      transport: 'flight, super-speed, hero vehicles, cars, subway',
+      lighting: 'streetlights, spotlights, searchlights, energy glows',
+      materials: 'steel, glass, concrete, spandex, exotic alloys'
+    }
+  },
+
   custom: {
     name: 'Custom',
     description: 'Build your own setting from scratch',
@@ -162,6 +367,14 @@ export const SETTINGS = {
     },
     classes: ['Custom Class'],
     skills: ['Custom Skill'],
+    skillAttributes: {
+      'Custom Skill': 'ATTR1'
+    },
+    progression: { baseXp: 300, growth: 1.3, maxLevel: 20, attributePoints: 1, skillPoints: 2 },
+    economy: { startingCredits: 1000, currencyUnit: 'coins' },
+    equipmentSlots: { weapon: 'Weapon', armor: 'Armor', accessory: 'Accessory' },
+    forbidden: [],
+    required: [],
     flavor: {
       locations: ['custom location'],
       currency: 'custom currency',
@@ -173,8 +386,101 @@ export const SETTINGS = {
   }
 };
 
+/**
+ * Progression defaults; settings override what they need
+ * baseXp is the XP for level 2, each later level costs `growth` times more
+ */
+const DEFAULT_PROGRESSION = {
+  baseXp: 300,
+  growth: 1.3,
+  maxLevel: 20,
+  attributePoints: 1,
+  skillPoints: 2,
+  attributeCap: 20,
+  skillCap: 10
+};
+
+/**
+ * Economy defaults: what a new character starts with and the short unit
+ * used for amounts ("120 gold"); flavor.currency is the longer description
+ */
+const DEFAULT_ECONOMY = {
+  startingCredits: 1000,
+  currencyUnit: 'coins'
+};
+
+/**
+ * Calendar defaults: Gregorian months without leap years
+ * - start is where a new session's clock begins (month is 0-based)
+ * - era follows the year in dates ("1012 AR")
+ * - staff wages come due every wageDays days
+ */
+const DEFAULT_CALENDAR = {
+  months: [
+    { name: 'January', days: 31, season: 'winter' },
+    { name: 'February', days: 28, season: 'winter' },
+    { name: 'March', days: 31, season: 'spring' },
+    { name: 'April', days: 30, season: 'spring' },
+    { name: 'May', days: 31, season: 'spring' },
+    { name: 'June', days: 30, season: 'summer' },
+    { name: 'July', days: 31, season: 'summer' },
+    { name: 'August', days: 31, season: 'summer' },
+    { name: 'September', days: 30, season: 'autumn' },
+    { name: 'October', days: 31, season: 'autumn' },
+    { name: 'November', days: 30, season: 'autumn' },
+    { name: 'December', days: 31, season: 'winter' }
+  ],
+  startYear: 1,
+  era: '',
+  start: { month: 3, day: 1, hour: 8 },
+  wageDays: 7
+};
+
+/**
+ * Equipment slots when a setting has none: slot id -> display name
+ */
+const DEFAULT_EQUIPMENT_SLOTS = {
+  weapon: 'Weapon',
+  armor: 'Armor',
+  accessory: 'Accessory'
+};
+
+/**
+ * Settings defined at runtime, keyed by setting id; built-ins win on a clash
+ */
+const registeredSettings = new Map();
+
+export function isBuiltinSetting(settingId) {
+  return Object.hasOwn(SETTINGS, settingId);
+}
+
+export function registerSetting(settingId, config) {
+  if (isBuiltinSetting(settingId)) {
+    throw new Error(`${settingId} is a built-in setting`);
+  }
+  registeredSettings.set(settingId, config);
+}
+
+export function unregisterSetting(settingId) {
+  return registeredSettings.delete(settingId);
+}
+
+export function hasSetting(settingId) {
+  return isBuiltinSetting(settingId) || registeredSettings.has(settingId);
+}
+
+/**
+ * Every selectable setting, built-ins first: [{ id, name, description, builtin }]
+ */
+export function listSettings() {
+  return [
+    ...Object.entries(SETTINGS).map(([id, config]) => ({ id, config, builtin: true })),
+    ...[...registeredSettings].map(([id, config]) => ({ id, config, builtin: false }))
+  ].map(({ id, config, builtin }) => ({ id, name: config.name, description: config.description, builtin }));
+}
+
 export function getSettingConfig(settingId) {
-  return SETTINGS[settingId] || SETTINGS.custom;
+  return (isBuiltinSetting(settingId) ? SETTINGS[settingId] : registeredSettings.get(settingId)) || SETTINGS.custom;
 }
 
 export function getDefaultAttributes(settingId) {
@@ -186,4 +492,92 @@ export function getDefaultAttributes(settingId) {
   return attrs;
 }
 
+/**
+ * Find the attribute a skill is tested against.
+ * Accepts attribute keys and full attribute names as "skills" too,
+ * since the GM sometimes asks for raw attribute checks.
+ */
+export function getSkillAttribute(settingId, skill) {
+  const setting = getSettingConfig(settingId);
+  if (!skill) return null;
+
+  const wanted = skill.trim().toLowerCase();
+
+  const attribute = setting.attributes.find(attr =>
+    attr.toLowerCase() === wanted || setting.attributeNames[attr]?.toLowerCase() === wanted
+  );
+  if (attribute) return attribute;
+
+  const mapped = Object.entries(setting.skillAttributes || {})
+    .find(([name]) => name.toLowerCase() === wanted);
+  return mapped ? mapped[1] : null;
+}
+
+/**
+ * Find the attribute initiative is rolled with.
+ * Falls back to the first agility-style attribute the setting has.
+ */
+export function getInitiativeAttribute(settingId) {
+  const setting = getSettingConfig(settingId);
+  if (setting.initiativeAttribute) return setting.initiativeAttribute;
+
+  return ['DEX', 'REF', 'AGI'].find(attr => setting.attributes.includes(attr)) || null;
+}
+
+/**
+ * Find the attribute hit points are derived from.
+ * Falls back to the first toughness-style attribute the setting has.
+ */
+export function getHitPointAttribute(settingId) {
+  const setting = getSettingConfig(settingId);
+  if (setting.hitPointAttribute) return setting.hitPointAttribute;
+
+  return ['CON', 'END', 'PHY'].find(attr => setting.attributes.includes(attr)) || null;
+}
+
+export function getProgression(settingId) {
+  return { ...DEFAULT_PROGRESSION, ...getSettingConfig(settingId).progression };
+}
+
+export function getEconomy(settingId) {
+  return { ...DEFAULT_ECONOMY, ...getSettingConfig(settingId).economy };
+}
+
+export function getCalendar(settingId) {
+  const calendar = getSettingConfig(settingId).calendar || {};
+  return { ...DEFAULT_CALENDAR, ...calendar, start: { ...DEFAULT_CALENDAR.start, ...calendar.start } };
+}
+
+/**
+ * Setting weather flavor: condition -> weight multiplier on the seasonal odds
+ * (see server/services/weather.js); a condition the seasons do not know,
+ * like 'toxic storm', joins them at that weight, and 0 rules one out
+ */
+export function getWeatherFlavor(settingId) {
+  return { ...getSettingConfig(settingId).weather };
+}
+
+export function getEquipmentSlots(settingId) {
+  return getSettingConfig(settingId).equipmentSlots || DEFAULT_EQUIPMENT_SLOTS;
+}
+
+/**
+ * An amount of money in the setting's unit, e.g. "1,250 credits"
+ */
+export function formatMoney(amount, settingId) {
+  return `${(Number(amount) || 0).toLocaleString('en-US')} ${getEconomy(settingId).currencyUnit}`;
+}
+
+/**
+ * Total XP needed to reach a level (level 1 starts at 0)
+ */
+export function getXpThreshold(settingId, level) {
+  const { baseXp, growth } = getProgression(settingId);
+  let total = 0;
+  for (let l = 1; l < level; l++) {
+    total += baseXp * Math.pow(growth, l - 1);
+  }
+  return Math.round(total / 50) * 50;
+}
+
 export default SETTINGS;